@@ -0,0 +1,281 @@
+/**
+ * Album feedback helper functions
+ * Detects skipped and played-through albums from zone updates, and turns
+ * skips, play-throughs and thumbs up/down into selection weights.
+ * Separated from roonService and AlbumFeedbackService to enable testing
+ * without Electron/Roon dependencies
+ */
+
+import { normalizeArtistName, splitCreditedArtists } from './roonHelpers.js';
+
+// Album feedback constants (exported for use in tests)
+export const ALBUM_FEEDBACK_STORAGE_VERSION = 1;
+export const MAX_ALBUM_FEEDBACK_ITEMS = 5000;
+// An album left after less listening than this was skipped
+export const SKIP_EARLY_SECONDS = 60;
+// An album listened to for this share of its length was played through
+export const PLAYED_THROUGH_RATIO = 0.9;
+// Stop watching for an album that never shows up on the zone
+export const LISTEN_START_TIMEOUT_MS = 30000;
+
+// Score points for each kind of feedback
+export const LIKE_POINTS = 3;
+export const SKIP_POINTS = -1;
+export const PLAYED_THROUGH_POINTS = 0.5;
+// Share of an album's score that carries over to the artist's other albums
+export const ARTIST_SCORE_SHARE = 0.5;
+// Each score point multiplies the selection weight by this
+export const FEEDBACK_WEIGHT_BASE = 1.5;
+export const MAX_FEEDBACK_SCORE = 8;
+
+/**
+ * Creates the listening state for an album the app just started on a zone
+ * @param {Object} album - Album ({ albumKey, title, artist })
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {Object} Listen tracker
+ */
+export function createListenTracker(album, now = Date.now()) {
+  return {
+    albumKey: album.albumKey,
+    title: album.title,
+    artist: album.artist,
+    requestedAt: now,
+    started: false,
+    listenedMs: 0,
+    playingSince: null,
+    albumSeconds: null,
+  };
+}
+
+/**
+ * Checks whether the album a zone is playing is the tracked album
+ * @param {Object} tracker - Listen tracker
+ * @param {string|null} nowPlayingAlbum - Album title from the zone
+ * @returns {boolean} True if they match (ignoring case)
+ */
+function isTrackedAlbum(tracker, nowPlayingAlbum) {
+  return (
+    typeof nowPlayingAlbum === 'string' &&
+    nowPlayingAlbum.trim().toLowerCase() === tracker.title.trim().toLowerCase()
+  );
+}
+
+/**
+ * Works out how long the tracked album has been listened to
+ * @param {Object} tracker - Listen tracker
+ * @param {number} now - Current timestamp
+ * @returns {number} Milliseconds listened
+ */
+function getListenedMs(tracker, now) {
+  return (
+    tracker.listenedMs +
+    (tracker.playingSince !== null
+      ? Math.max(0, now - tracker.playingSince)
+      : 0)
+  );
+}
+
+/**
+ * Decides what leaving an album after some listening means
+ * @param {Object} tracker - Listen tracker
+ * @param {number} now - Current timestamp
+ * @returns {string|null} 'skip', 'playedThrough' or null for neither
+ */
+export function classifyListen(tracker, now = Date.now()) {
+  if (!tracker.started) return null;
+
+  const listenedSeconds = getListenedMs(tracker, now) / 1000;
+  if (listenedSeconds < SKIP_EARLY_SECONDS) return 'skip';
+  if (
+    tracker.albumSeconds > 0 &&
+    listenedSeconds >= tracker.albumSeconds * PLAYED_THROUGH_RATIO
+  ) {
+    return 'playedThrough';
+  }
+  return null;
+}
+
+/**
+ * Applies a zone update to a listen tracker
+ *
+ * The tracker starts once the zone shows the album (Roon reports the new
+ * album shortly after the play request). From then on, time spent playing
+ * counts as listening, and the zone's first queue time gives the album's
+ * length. The listen ends when the zone moves on to another album or runs
+ * out of queue.
+ *
+ * @param {Object} tracker - Listen tracker
+ * @param {Object} update - Zone update
+ * @param {string|null} [update.album] - Album title now playing (undefined if not in the update)
+ * @param {string} [update.zoneState] - Roon zone state
+ * @param {number} [update.queueTimeRemaining] - Seconds left in the queue
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {Object} { tracker, outcome, ended } where outcome is 'skip', 'playedThrough' or null
+ */
+export function applyListenUpdate(tracker, update, now = Date.now()) {
+  const { album, zoneState, queueTimeRemaining } = update;
+
+  if (!tracker.started) {
+    if (isTrackedAlbum(tracker, album)) {
+      const next = {
+        ...tracker,
+        started: true,
+        playingSince: zoneState === 'playing' ? now : null,
+        albumSeconds:
+          typeof queueTimeRemaining === 'number' && queueTimeRemaining > 0
+            ? queueTimeRemaining
+            : null,
+      };
+      return { tracker: next, outcome: null, ended: false };
+    }
+
+    // The album never showed up (the play request failed or was replaced)
+    const expired = now - tracker.requestedAt > LISTEN_START_TIMEOUT_MS;
+    return { tracker, outcome: null, ended: expired };
+  }
+
+  // Moved on to another album, or the queue ran out
+  const leftAlbum =
+    (album !== undefined && !isTrackedAlbum(tracker, album)) ||
+    (zoneState === 'stopped' && album === null);
+  if (leftAlbum) {
+    return { tracker, outcome: classifyListen(tracker, now), ended: true };
+  }
+
+  let next = tracker;
+  if (next.albumSeconds === null && queueTimeRemaining > 0) {
+    next = {
+      ...next,
+      albumSeconds: queueTimeRemaining + getListenedMs(next, now) / 1000,
+    };
+  }
+
+  if (zoneState !== undefined) {
+    const isPlaying = zoneState === 'playing';
+    const wasPlaying = next.playingSince !== null;
+    if (isPlaying && !wasPlaying) {
+      next = { ...next, playingSince: now };
+    } else if (!isPlaying && wasPlaying) {
+      next = {
+        ...next,
+        listenedMs: getListenedMs(next, now),
+        playingSince: null,
+      };
+    }
+  }
+
+  return { tracker: next, outcome: null, ended: false };
+}
+
+/**
+ * Creates the key feedback is grouped under for an artist
+ * Uses the primary artist of a credit, ignoring case and accents
+ * @param {string} credit - Artist credit ("Artist1 / Artist2")
+ * @returns {string} Artist key
+ */
+export function createArtistFeedbackKey(credit) {
+  return normalizeArtistName(splitCreditedArtists(credit)[0] || '');
+}
+
+/**
+ * Scores the feedback for one album
+ * @param {Object} feedback - Album feedback ({ rating, skips, playedThrough })
+ * @returns {number} Score (positive for liked, negative for disliked)
+ */
+export function scoreAlbumFeedback(feedback) {
+  if (!feedback) return 0;
+  return (
+    (feedback.rating || 0) * LIKE_POINTS +
+    (feedback.skips || 0) * SKIP_POINTS +
+    (feedback.playedThrough || 0) * PLAYED_THROUGH_POINTS
+  );
+}
+
+/**
+ * Clamps a score to ±MAX_FEEDBACK_SCORE
+ * @param {number} score - Score
+ * @returns {number} Clamped score
+ */
+function clampScore(score) {
+  return Math.min(Math.max(score, -MAX_FEEDBACK_SCORE), MAX_FEEDBACK_SCORE);
+}
+
+/**
+ * Builds a function that gives each album its selection weight
+ * An album's weight grows with its own score and with the scores of the
+ * artist's other albums; albums without feedback keep a weight of 1
+ * @param {Object} albums - Map of album key to feedback ({ artist, rating, skips, playedThrough })
+ * @returns {Function} (albumKey, artistCredit) => weight
+ */
+export function createFeedbackWeigher(albums) {
+  const artistScores = new Map();
+  Object.values(albums || {}).forEach(feedback => {
+    const artistKey = createArtistFeedbackKey(feedback.artist);
+    if (!artistKey) return;
+    artistScores.set(
+      artistKey,
+      (artistScores.get(artistKey) || 0) + scoreAlbumFeedback(feedback)
+    );
+  });
+
+  return (albumKey, artistCredit) => {
+    const albumScore = scoreAlbumFeedback(albums?.[albumKey]);
+    const artistScore =
+      artistScores.get(createArtistFeedbackKey(artistCredit)) || 0;
+
+    // The album's own feedback counts in full, so leave it out of the artist share
+    const score = clampScore(
+      albumScore + (artistScore - albumScore) * ARTIST_SCORE_SHARE
+    );
+    return Math.pow(FEEDBACK_WEIGHT_BASE, score);
+  };
+}
+
+/**
+ * Picks one item at random in proportion to its weight
+ * Falls back to a uniform pick when every weight is zero
+ * @param {Array} items - Items to pick from
+ * @param {Function} getWeight - Returns the weight of an item
+ * @param {Function} random - Random number source (for testing)
+ * @returns {*} Selected item or null if the list is empty
+ */
+export function pickWeightedItem(items, getWeight, random = Math.random) {
+  if (!Array.isArray(items) || items.length === 0) return null;
+
+  const weights = items.map(item => Math.max(0, getWeight(item) || 0));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  if (!(totalWeight > 0)) {
+    return items[Math.floor(random() * items.length)];
+  }
+
+  let remaining = random() * totalWeight;
+  let lastWeighted = null;
+
+  for (let i = 0; i < items.length; i++) {
+    if (weights[i] <= 0) continue;
+    if (remaining < weights[i]) return items[i];
+    remaining -= weights[i];
+    lastWeighted = items[i];
+  }
+
+  // Floating point rounding can leave a sliver past the last weight
+  return lastWeighted;
+}
+
+/**
+ * Trims feedback to the most recently updated albums
+ * @param {Object} albums - Map of album key to feedback ({ updatedAt, ... })
+ * @param {number} maxItems - Maximum number of albums to keep
+ * @returns {Object} Trimmed map
+ */
+export function trimAlbumFeedback(albums, maxItems = MAX_ALBUM_FEEDBACK_ITEMS) {
+  const entries = Object.entries(albums || {});
+  if (entries.length <= maxItems) return Object.fromEntries(entries);
+
+  return Object.fromEntries(
+    entries
+      .sort((a, b) => (b[1].updatedAt || 0) - (a[1].updatedAt || 0))
+      .slice(0, maxItems)
+  );
+}
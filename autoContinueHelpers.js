@@ -0,0 +1,98 @@
+/**
+ * Auto-continue ("endless random") helper functions
+ * Separated from roonService to enable testing without Electron/Roon dependencies
+ */
+
+// Auto-continue constants (exported for use in tests)
+// Queue another album once this much of the zone's queue is left
+export const AUTO_CONTINUE_LEAD_SECONDS = 15;
+// A zone that stops with this little queue left ran out rather than being stopped
+export const END_OF_QUEUE_THRESHOLD_SECONDS = 3;
+// Never continue the same zone more often than this, even if Roon reports odd state
+export const AUTO_CONTINUE_MIN_INTERVAL_MS = 30000;
+
+/**
+ * Creates the tracking state for a zone with auto-continue enabled
+ * @param {Object} [zone] - Raw Roon zone to seed state from
+ * @returns {Object} Auto-continue state
+ */
+export function createAutoContinueState(zone = null) {
+  return {
+    zoneState: zone?.state || null,
+    queueTimeRemaining:
+      typeof zone?.queue_time_remaining === 'number'
+        ? zone.queue_time_remaining
+        : null,
+    armed: true,
+    lastTriggeredAt: 0,
+  };
+}
+
+/**
+ * Applies a zone update to the auto-continue state and decides whether to continue
+ *
+ * Triggers:
+ * - 'nearEnd': the zone is playing and its queue is about to run out, so an
+ *   album should be appended to the queue
+ * - 'stopped': the zone went from playing to stopped right at the end of its
+ *   queue, so an album should be started
+ *
+ * Manual stops and pauses don't trigger, because they happen with queue left.
+ * After a trigger the zone is disarmed until its queue grows again, so one
+ * ending never picks twice.
+ *
+ * @param {Object} state - Current state (from createAutoContinueState)
+ * @param {Object} update - Zone update ({ zoneState?, queueTimeRemaining? })
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {Object} { state, trigger } where trigger is 'nearEnd', 'stopped' or null
+ */
+export function applyAutoContinueUpdate(state, update, now = Date.now()) {
+  const zoneState = update?.zoneState ?? state.zoneState;
+  const queueTimeRemaining =
+    typeof update?.queueTimeRemaining === 'number'
+      ? update.queueTimeRemaining
+      : state.queueTimeRemaining;
+
+  const next = {
+    ...state,
+    zoneState,
+    queueTimeRemaining,
+    // Queue was extended (by us or by the user): watch for the next ending
+    armed:
+      state.armed ||
+      (queueTimeRemaining !== null &&
+        queueTimeRemaining > AUTO_CONTINUE_LEAD_SECONDS),
+  };
+
+  const coolingDown =
+    now - state.lastTriggeredAt < AUTO_CONTINUE_MIN_INTERVAL_MS;
+  if (!next.armed || coolingDown) {
+    return { state: next, trigger: null };
+  }
+
+  let trigger = null;
+  if (
+    zoneState === 'playing' &&
+    queueTimeRemaining !== null &&
+    queueTimeRemaining > 0 &&
+    queueTimeRemaining <= AUTO_CONTINUE_LEAD_SECONDS
+  ) {
+    trigger = 'nearEnd';
+  } else if (
+    state.zoneState === 'playing' &&
+    zoneState === 'stopped' &&
+    state.queueTimeRemaining !== null &&
+    state.queueTimeRemaining <= END_OF_QUEUE_THRESHOLD_SECONDS
+  ) {
+    trigger = 'stopped';
+  }
+
+  if (!trigger) {
+    return { state: next, trigger: null };
+  }
+
+  return {
+    state: { ...next, armed: false, lastTriggeredAt: now },
+    trigger,
+  };
+}
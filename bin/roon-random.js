@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * roon-random - Command-line interface for a running Roon Random Album app
+ *
+ * Sends one command over the app's control socket and prints the result.
+ * Run with --help for the list of commands; exit codes are listed in
+ * cliHelpers.js.
+ */
+
+import net from 'net';
+import {
+  CLI_USAGE,
+  EXIT_CODES,
+  UsageError,
+  formatResult,
+  getExitCode,
+  parseCliArgs,
+} from '../cliHelpers.js';
+import { getControlSocketPath } from '../controlSocket.js';
+
+// Random picks can take a while on large libraries (indexing, year lookups)
+const REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * Sends a request to the app and waits for the response line
+ * @param {Object} request - { command, params }
+ * @returns {Promise<Object>} Parsed response ({ ok, result } or { ok, error })
+ */
+function sendRequest(request) {
+  return new Promise((resolve, reject) => {
+    const connection = net.connect(getControlSocketPath());
+    let buffer = '';
+
+    connection.setEncoding('utf8');
+    connection.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      connection.destroy(new Error('Timed out waiting for the app'));
+    });
+
+    connection.on('connect', () => {
+      connection.write(`${JSON.stringify(request)}\n`);
+    });
+    connection.on('data', chunk => {
+      buffer += chunk;
+    });
+    connection.on('end', () => {
+      try {
+        resolve(JSON.parse(buffer));
+      } catch {
+        reject(new Error('Unexpected response from the app'));
+      }
+    });
+    connection.on('error', reject);
+  });
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`${error.message}\n\n${CLI_USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (parsed.help) {
+    console.log(CLI_USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  let response;
+  try {
+    response = await sendRequest({
+      command: parsed.command,
+      params: parsed.params,
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED') {
+      console.error('Roon Random Album is not running.');
+      return EXIT_CODES.APP_NOT_RUNNING;
+    }
+    console.error(error.message);
+    return EXIT_CODES.ERROR;
+  }
+
+  if (parsed.json) {
+    console.log(JSON.stringify(response, null, 2));
+  } else if (response.ok) {
+    console.log(formatResult(parsed.command, response.result));
+  } else {
+    console.error(response.error?.message || 'Unknown error');
+  }
+
+  if (!response.ok) return getExitCode(response.error?.code);
+  if (parsed.command === 'status' && !response.result?.connected) {
+    return EXIT_CODES.NOT_CONNECTED;
+  }
+  return EXIT_CODES.OK;
+}
+
+main().then(
+  code => {
+    process.exitCode = code;
+  },
+  error => {
+    console.error(error);
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+);
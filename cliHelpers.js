@@ -0,0 +1,205 @@
+/**
+ * CLI helper functions
+ * Argument parsing, output formatting and exit codes for the roon-random
+ * command-line interface, kept free of I/O so they can be tested directly
+ */
+
+import { parseArgs } from 'util';
+
+// Exit codes (documented in the README, so scripts can rely on them)
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_CONNECTED: 3, // The app is running but not paired with a Roon Core
+  NO_ALBUMS: 4, // Nothing matched the filters
+  APP_NOT_RUNNING: 5,
+};
+
+// CLI words for transport actions ("play" starts a random pick instead)
+export const TRANSPORT_COMMANDS = {
+  resume: 'play',
+  pause: 'pause',
+  toggle: 'playpause',
+  stop: 'stop',
+  next: 'next',
+  previous: 'previous',
+  prev: 'previous',
+};
+
+export const CLI_USAGE = `Usage: roon-random <command> [options]
+
+Commands:
+  play [--genre <genre>]...     Play a random album (genres like "Jazz" or "Jazz::Bebop")
+  album <title> --artist <name> Play a specific album
+  artist [name]                 Play another album by an artist (default: now playing)
+  now                           Show what's playing
+  zones                         List zones
+  status                        Show the Roon Core connection
+  activity [--limit <n>]        List recently played albums
+  resume | pause | toggle | stop | next | previous
+
+Options:
+  --zone <name or id>           Zone to use instead of the one selected in the app
+  --json                        Print the raw JSON result
+  --help                        Show this help`;
+
+/**
+ * Error for invalid command-line arguments
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parses command-line arguments into a control command
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { help } or { command, params, json }
+ * @throws {UsageError} If the arguments are invalid
+ */
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        genre: { type: 'string', short: 'g', multiple: true },
+        zone: { type: 'string', short: 'z' },
+        artist: { type: 'string', short: 'a' },
+        limit: { type: 'string', short: 'n' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [name, ...rest] = positionals;
+  if (values.help || !name) return { help: true };
+
+  const json = values.json === true;
+  const zoneParams = values.zone ? { zoneId: values.zone } : {};
+  const argument = rest.join(' ').trim();
+
+  if (TRANSPORT_COMMANDS[name]) {
+    return {
+      command: 'transport',
+      params: { action: TRANSPORT_COMMANDS[name], ...zoneParams },
+      json,
+    };
+  }
+
+  switch (name) {
+    case 'play':
+      return {
+        command: 'playRandom',
+        params: { genres: values.genre || [], ...zoneParams },
+        json,
+      };
+
+    case 'album':
+      if (!argument || !values.artist) {
+        throw new UsageError('album needs a title and --artist');
+      }
+      return {
+        command: 'playAlbum',
+        params: { album: argument, artist: values.artist, ...zoneParams },
+        json,
+      };
+
+    case 'artist':
+      return {
+        command: 'moreFromArtist',
+        params: { ...(argument ? { artist: argument } : {}), ...zoneParams },
+        json,
+      };
+
+    case 'now':
+      return { command: 'nowPlaying', params: zoneParams, json };
+
+    case 'zones':
+      return { command: 'zones', params: {}, json };
+
+    case 'status':
+      return { command: 'status', params: {}, json };
+
+    case 'activity':
+      return {
+        command: 'activity',
+        params: values.limit ? { limit: Number(values.limit) } : {},
+        json,
+      };
+
+    default:
+      throw new UsageError(`Unknown command: ${name}`);
+  }
+}
+
+/**
+ * Formats a command result for the terminal
+ * @param {string} command - Control command that ran
+ * @param {*} result - Command result
+ * @returns {string} Text to print
+ */
+export function formatResult(command, result) {
+  switch (command) {
+    case 'playRandom':
+    case 'playAlbum':
+    case 'moreFromArtist':
+      if (result?.ignored) {
+        return 'Busy with earlier requests, try again shortly.';
+      }
+      return `Playing "${result.album}" by ${result.artist}`;
+
+    case 'nowPlaying': {
+      const { song, artist, album } = result?.nowPlaying || {};
+      if (!song && !artist && !album) return 'Nothing playing.';
+      return [song, artist, album].filter(Boolean).join(' — ');
+    }
+
+    case 'zones':
+      if (!result?.length) return 'No zones available.';
+      return result
+        .map(zone => `${zone.name} (${zone.state || 'unknown'})`)
+        .join('\n');
+
+    case 'status':
+      return result?.connected
+        ? `Connected to ${result.coreName || 'Roon Core'}`
+        : 'Not connected to a Roon Core.';
+
+    case 'activity':
+      if (!result?.length) return 'No recent activity.';
+      return result.map(item => `${item.title} — ${item.subtitle}`).join('\n');
+
+    case 'transport':
+      return `Sent ${result?.action}.`;
+
+    default:
+      return JSON.stringify(result, null, 2);
+  }
+}
+
+/**
+ * Maps an error code from the app to an exit code
+ * @param {string} code - Error code (see errors/AppError.js)
+ * @returns {number} Exit code
+ */
+export function getExitCode(code) {
+  switch (code) {
+    case 'CONNECTION_ERROR':
+      return EXIT_CODES.NOT_CONNECTED;
+    case 'NO_ALBUMS':
+      return EXIT_CODES.NO_ALBUMS;
+    case 'VALIDATION_ERROR':
+      return EXIT_CODES.USAGE;
+    default:
+      return EXIT_CODES.ERROR;
+  }
+}
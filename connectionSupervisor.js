@@ -0,0 +1,273 @@
+/**
+ * Connection Supervisor - Keeps the app connected to a Roon Core
+ *
+ * Tracks the connection through its states and reconnects on its own:
+ *
+ *   discovering - looking for a Core on the network (auto mode)
+ *   pairing     - connected to a configured host, waiting for the Core to
+ *                 pair (the extension may need enabling in Roon)
+ *   paired      - connected; the Core is checked with a heartbeat
+ *   degraded    - paired, but the last heartbeat went unanswered
+ *   lost        - disconnected; a reconnection is scheduled
+ *
+ * Reconnections back off exponentially with jitter and never give up, in
+ * both modes. A socket that stops answering heartbeats is treated as lost,
+ * since a half-open connection may never report closing by itself.
+ *
+ * The supervisor only decides when to connect; connecting, probing and
+ * dropping a connection are left to the callbacks it is given.
+ */
+
+// Supervisor constants (exported for use in tests)
+export const CONNECTION_STATES = [
+  'discovering',
+  'pairing',
+  'paired',
+  'degraded',
+  'lost',
+];
+export const RECONNECT_BASE_DELAY = 1000; // First retry after ~1 second
+export const RECONNECT_MAX_DELAY = 60 * 1000; // Retries at least once a minute
+export const DISCOVERY_TIMEOUT = 30 * 1000; // Restart discovery if nothing pairs
+export const HEARTBEAT_INTERVAL = 15 * 1000;
+export const HEARTBEAT_TIMEOUT = 5 * 1000;
+export const MAX_MISSED_HEARTBEATS = 3; // Missed in a row before the socket counts as stale
+
+/**
+ * Gets the delay before a reconnection attempt
+ * The delay doubles with each attempt up to RECONNECT_MAX_DELAY, and half of
+ * it is random so that many clients don't retry in lockstep
+ * @param {number} attempt - Attempts already made (0 for the first retry)
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getReconnectDelay(attempt, random = Math.random) {
+  const ceiling = Math.min(
+    RECONNECT_MAX_DELAY,
+    RECONNECT_BASE_DELAY * 2 ** Math.min(attempt, 30)
+  );
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+/**
+ * Runs a heartbeat probe, failing if it takes longer than HEARTBEAT_TIMEOUT
+ * @param {Function} probe - Resolves if the Core answered
+ * @returns {Promise<void>}
+ */
+function probeWithTimeout(probe) {
+  let timer;
+  return Promise.race([
+    Promise.resolve().then(probe),
+    new Promise((_resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error('Heartbeat timed out')),
+        HEARTBEAT_TIMEOUT
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Supervisor class for the Roon Core connection
+ */
+export class ConnectionSupervisor {
+  /**
+   * Creates a connection supervisor
+   * @param {Object} callbacks - Connection callbacks
+   * @param {Function} callbacks.connect - Opens a new connection (discovery or manual)
+   * @param {Function} callbacks.probe - Resolves if the paired Core answers a request
+   * @param {Function} callbacks.dropConnection - Closes a connection that stopped answering
+   * @param {Function} callbacks.onChange - Called with the status after every change
+   * @param {Function} [callbacks.random] - Random source for jitter
+   */
+  constructor({ connect, probe, dropConnection, onChange, random }) {
+    this.connect = connect;
+    this.probe = probe;
+    this.dropConnection = dropConnection;
+    this.onChange = onChange;
+    this.random = random || Math.random;
+
+    this.target = null; // { mode, host, port } once started
+    this.state = null;
+    this.since = null;
+    this.coreName = null;
+    this.error = null;
+    this.attempt = 0;
+    this.retryAt = null;
+    this.missedHeartbeats = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Starts connecting, replacing any connection in progress
+   * @param {Object} target - { mode: 'auto' } or { mode: 'manual', host, port }
+   */
+  start(target) {
+    this.stop();
+    this.target = target;
+    this.attempt = 0;
+    this.error = null;
+    this._connect();
+  }
+
+  /**
+   * Stops supervising (no more heartbeats or reconnections)
+   */
+  stop() {
+    this._clearTimer();
+    this.target = null;
+    this.state = null;
+  }
+
+  /**
+   * Records a successful pairing and starts the heartbeat
+   * @param {string} coreName - Display name of the paired Core
+   */
+  handlePaired(coreName) {
+    if (!this.target) return;
+
+    this._clearTimer();
+    this.coreName = coreName || null;
+    this.attempt = 0;
+    this.error = null;
+    this.missedHeartbeats = 0;
+    this._setState('paired');
+    this._scheduleHeartbeat();
+  }
+
+  /**
+   * Records a lost (or failed) connection and schedules a reconnection
+   * Ignored while a reconnection is already scheduled
+   * @param {string} [error] - What went wrong
+   */
+  handleLost(error) {
+    if (!this.target || this.state === 'lost') return;
+
+    this._clearTimer();
+    this.error = error || 'Connection lost';
+
+    const delay = getReconnectDelay(this.attempt, this.random);
+    this.retryAt = Date.now() + delay;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.attempt++;
+      this._connect();
+    }, delay);
+
+    this._setState('lost');
+  }
+
+  /**
+   * Gets the current connection status
+   * @returns {Object} { state, mode, host, port, coreName, attempt, retryAt, error, since }
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      mode: this.target?.mode || null,
+      host: this.target?.host || null,
+      port: this.target?.port || null,
+      coreName:
+        this.state === 'paired' || this.state === 'degraded'
+          ? this.coreName
+          : null,
+      attempt: this.attempt,
+      retryAt: this.state === 'lost' ? this.retryAt : null,
+      error: this.state === 'lost' ? this.error : null,
+      since: this.since,
+    };
+  }
+
+  /**
+   * Opens a connection and, in auto mode, watches discovery
+   * @private
+   */
+  _connect() {
+    const discovering = this.target.mode !== 'manual';
+    this._setState(discovering ? 'discovering' : 'pairing');
+
+    // A Core that never shows up is retried like a lost connection
+    if (discovering) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.handleLost('No Roon Core found on the network');
+      }, DISCOVERY_TIMEOUT);
+    }
+
+    try {
+      this.connect();
+    } catch (error) {
+      this.handleLost(error?.message || 'Failed to connect');
+    }
+  }
+
+  /**
+   * Schedules the next heartbeat
+   * @private
+   */
+  _scheduleHeartbeat() {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._heartbeat();
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  /**
+   * Probes the Core; degrades on a miss and drops stale sockets
+   * @private
+   */
+  async _heartbeat() {
+    const target = this.target;
+
+    try {
+      await probeWithTimeout(this.probe);
+      if (this.target !== target || this.state === 'lost') return;
+
+      this.missedHeartbeats = 0;
+      if (this.state === 'degraded') {
+        this._setState('paired');
+      }
+    } catch (error) {
+      if (this.target !== target || this.state === 'lost') return;
+
+      this.missedHeartbeats++;
+      console.warn(
+        `[ConnectionSupervisor] Missed heartbeat ${this.missedHeartbeats}/${MAX_MISSED_HEARTBEATS}:`,
+        error?.message || error
+      );
+
+      if (this.missedHeartbeats >= MAX_MISSED_HEARTBEATS) {
+        this.handleLost('Roon Core stopped responding');
+        this.dropConnection();
+        return;
+      }
+      this._setState('degraded');
+    }
+
+    this._scheduleHeartbeat();
+  }
+
+  /**
+   * Changes state (or reports a new attempt) and notifies the listener
+   * @param {string} state - One of CONNECTION_STATES
+   * @private
+   */
+  _setState(state) {
+    if (state !== this.state) {
+      this.since = Date.now();
+    }
+    this.state = state;
+    this.onChange?.(this.getStatus());
+  }
+
+  /**
+   * Cancels the pending retry, discovery watchdog or heartbeat
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -0,0 +1,450 @@
+/**
+ * Control API - Opt-in local HTTP/JSON interface
+ *
+ * Lets scripts, home automation and launchers on the same machine drive the
+ * random picker. The server only listens on the loopback interface, is off by
+ * default and requires the bearer token shown in Settings. Every route maps
+ * to a control command, so validation and playback behave exactly like the
+ * app's own buttons.
+ */
+
+import http from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { URL } from 'url';
+
+import { AppError, ValidationError } from './errors/AppError.js';
+import { Validators } from './validators.js';
+
+// ==================== CONSTANTS ====================
+
+// Control API constants (exported for use in tests)
+export const CONTROL_API_HOST = '127.0.0.1';
+export const DEFAULT_CONTROL_API_PORT = 37913;
+export const MAX_REQUEST_BODY_BYTES = 16 * 1024;
+
+/**
+ * Routes ("METHOD /path") and the control command each one runs
+ */
+export const CONTROL_API_ROUTES = {
+  'GET /status': 'status',
+  'GET /zones': 'zones',
+  'GET /now-playing': 'nowPlaying',
+  'GET /activity': 'activity',
+  'POST /play/random': 'playRandom',
+  'POST /play/album': 'playAlbum',
+  'POST /play/artist': 'moreFromArtist',
+  'POST /transport': 'transport',
+};
+
+// HTTP status for each AppError code
+const STATUS_BY_ERROR_CODE = {
+  VALIDATION_ERROR: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  NO_ALBUMS: 404,
+  METHOD_NOT_ALLOWED: 405,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  CONNECTION_ERROR: 503,
+};
+
+// Host headers accepted (guards against DNS rebinding from web pages)
+const ALLOWED_HOSTNAMES = new Set(['127.0.0.1', 'localhost']);
+
+// ==================== MODULE STATE ====================
+
+let server = null;
+let store = null;
+let secretStorage = null;
+let runCommand = null;
+let lastError = null;
+
+// ==================== REQUEST HELPERS ====================
+
+/**
+ * Creates a new random access token
+ * @returns {string} 48-character hex token
+ */
+export function createControlApiToken() {
+  return randomBytes(24).toString('hex');
+}
+
+/**
+ * Checks an Authorization header against the token in constant time
+ * @param {string|undefined} header - Authorization header ("Bearer <token>")
+ * @param {string} token - Expected token
+ * @returns {boolean} True if the header carries the token
+ */
+export function isAuthorized(header, token) {
+  if (typeof header !== 'string' || !token) return false;
+
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) return false;
+
+  const provided = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return (
+    provided.length === expected.length && timingSafeEqual(provided, expected)
+  );
+}
+
+/**
+ * Checks that a request was addressed to the loopback interface
+ * @param {string|undefined} hostHeader - Host header ("127.0.0.1:37913")
+ * @returns {boolean} True for 127.0.0.1 or localhost
+ */
+export function isLoopbackHost(hostHeader) {
+  if (typeof hostHeader !== 'string') return false;
+  const hostname = hostHeader.replace(/:\d+$/, '').toLowerCase();
+  return ALLOWED_HOSTNAMES.has(hostname);
+}
+
+/**
+ * Finds the command for a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL (path and query)
+ * @returns {Object} { command, query } or { error } with an error code
+ */
+export function resolveRoute(method, url) {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const path = pathname.replace(/\/+$/, '') || '/';
+  const command = CONTROL_API_ROUTES[`${method} ${path}`];
+
+  if (command) {
+    return { command, query: Object.fromEntries(searchParams) };
+  }
+
+  const knownPath = Object.keys(CONTROL_API_ROUTES).some(
+    route => route.split(' ')[1] === path
+  );
+  return { error: knownPath ? 'METHOD_NOT_ALLOWED' : 'NOT_FOUND' };
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_REQUEST_BODY_BYTES) {
+        // Stop reading but keep the socket open so the 413 can be sent
+        request.off('data', onData);
+        request.off('end', onEnd);
+        request.pause();
+        reject(new AppError('Request body is too large', 'PAYLOAD_TOO_LARGE'));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    const onEnd = () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(new ValidationError('Request body is not valid JSON'));
+      }
+    };
+
+    request.on('data', onData);
+    request.on('end', onEnd);
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} response - Outgoing response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(response, status, body) {
+  const payload = JSON.stringify(body);
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store',
+  });
+  response.end(payload);
+}
+
+/**
+ * Sends an error response
+ * @param {http.ServerResponse} response - Outgoing response
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+function sendError(response, code, message) {
+  sendJson(response, STATUS_BY_ERROR_CODE[code] || 500, {
+    ok: false,
+    error: { code, message },
+  });
+}
+
+/**
+ * Creates the HTTP request handler
+ * @param {Object} options - Handler options
+ * @param {Function} options.getToken - Returns the current token
+ * @param {Function} options.runCommand - Control command runner
+ * @returns {Function} (request, response) => Promise<void>
+ */
+export function createRequestHandler({ getToken, runCommand: run }) {
+  return async (request, response) => {
+    if (!isLoopbackHost(request.headers.host)) {
+      return sendError(response, 'FORBIDDEN', 'Host not allowed');
+    }
+
+    if (!isAuthorized(request.headers.authorization, getToken())) {
+      return sendError(response, 'UNAUTHORIZED', 'Missing or invalid token');
+    }
+
+    const route = resolveRoute(request.method, request.url);
+    if (route.error) {
+      return sendError(
+        response,
+        route.error,
+        route.error === 'NOT_FOUND' ? 'Unknown endpoint' : 'Method not allowed'
+      );
+    }
+
+    try {
+      const params =
+        request.method === 'POST' ? await readJsonBody(request) : route.query;
+      if (!Validators.isObject(params)) {
+        throw new ValidationError('Request body must be a JSON object');
+      }
+
+      const result = await run(route.command, params, 'http');
+      sendJson(response, 200, { ok: true, result: result ?? null });
+    } catch (error) {
+      const code = STATUS_BY_ERROR_CODE[error?.code]
+        ? error.code
+        : 'INTERNAL_ERROR';
+      if (code === 'INTERNAL_ERROR') {
+        console.error(`[ControlApi] ${route.command} failed:`, error);
+      }
+      if (code === 'PAYLOAD_TOO_LARGE') {
+        // The rest of the body is never read, so close once the reply is out
+        response.setHeader('Connection', 'close');
+        response.on('finish', () => request.destroy());
+      }
+      sendError(response, code, error.message);
+    }
+  };
+}
+
+// ==================== TOKEN STORAGE ====================
+
+/**
+ * Checks whether the OS keychain can encrypt the token
+ * @returns {boolean} True if encryption is available
+ */
+function canEncrypt() {
+  return !!secretStorage?.isEncryptionAvailable();
+}
+
+/**
+ * Encrypts the token for storage
+ * Falls back to plain text (with a warning) where the OS offers no encryption
+ * @param {string} token - Access token
+ * @returns {Object|string} Encrypted token
+ */
+function encryptToken(token) {
+  if (!canEncrypt()) {
+    console.warn(
+      'Encryption not available, storing control API token in plain text'
+    );
+    return token;
+  }
+
+  return {
+    _encrypted: true,
+    _version: 1,
+    data: secretStorage.encryptString(token).toString('base64'),
+  };
+}
+
+/**
+ * Decrypts the stored token
+ * @param {Object|string|null} stored - Stored token (encrypted or plain)
+ * @returns {string|null} Access token (null if it can't be decrypted)
+ */
+function decryptToken(stored) {
+  if (!stored?._encrypted) {
+    return Validators.isNonEmptyString(stored) ? stored : null;
+  }
+
+  if (!canEncrypt()) {
+    console.error('Encryption not available, cannot decrypt control API token');
+    return null;
+  }
+
+  try {
+    const token = secretStorage.decryptString(
+      Buffer.from(stored.data, 'base64')
+    );
+    return Validators.isNonEmptyString(token) ? token : null;
+  } catch (error) {
+    console.error('Failed to decrypt control API token:', error);
+    return null;
+  }
+}
+
+// ==================== SERVER LIFECYCLE ====================
+
+/**
+ * Stores the settings, encrypting the token
+ * @param {Object} settings - { enabled, port, token }
+ */
+function saveSettings(settings) {
+  store.set('controlApi', {
+    ...settings,
+    token: encryptToken(settings.token),
+  });
+}
+
+/**
+ * Gets the stored settings, creating a token the first time
+ * A token stored in plain text by an earlier version is encrypted on read
+ * @returns {Object} { enabled, port, token }
+ */
+function getStoredSettings() {
+  const stored = store.get('controlApi') || {};
+  const settings = {
+    enabled: stored.enabled === true,
+    port: Validators.isValidListenPort(stored.port)
+      ? stored.port
+      : DEFAULT_CONTROL_API_PORT,
+    token: decryptToken(stored.token),
+  };
+
+  if (!settings.token) {
+    settings.token = createControlApiToken();
+    saveSettings(settings);
+  } else if (!stored.token._encrypted && canEncrypt()) {
+    saveSettings(settings);
+  }
+
+  return settings;
+}
+
+/**
+ * Stops the server if it is running
+ * @returns {Promise<void>}
+ */
+export function stopControlApi() {
+  if (!server) return Promise.resolve();
+
+  const closing = server;
+  server = null;
+  return new Promise(resolve => {
+    closing.close(() => resolve());
+    closing.closeAllConnections?.();
+  });
+}
+
+/**
+ * Starts or stops the server to match the stored settings
+ * @returns {Promise<void>}
+ */
+async function applySettings() {
+  await stopControlApi();
+  lastError = null;
+
+  const { enabled, port } = getStoredSettings();
+  if (!enabled || !runCommand) return;
+
+  const nextServer = http.createServer(
+    createRequestHandler({
+      getToken: () => getStoredSettings().token,
+      runCommand,
+    })
+  );
+
+  await new Promise(resolve => {
+    nextServer.once('error', error => {
+      lastError =
+        error.code === 'EADDRINUSE'
+          ? `Port ${port} is already in use.`
+          : error.message;
+      console.error('[ControlApi] Failed to start:', error.message);
+      resolve();
+    });
+
+    nextServer.listen(port, CONTROL_API_HOST, () => {
+      server = nextServer;
+      console.log(
+        `[ControlApi] Listening on http://${CONTROL_API_HOST}:${port}`
+      );
+      resolve();
+    });
+  });
+}
+
+/**
+ * Gets the control API settings and server status
+ * @returns {Object} { enabled, port, token, running, error }
+ */
+export function getControlApiSettings() {
+  return {
+    ...getStoredSettings(),
+    running: !!server,
+    error: lastError,
+  };
+}
+
+/**
+ * Updates the control API settings and restarts the server
+ * @param {Object} settings - Partial settings ({ enabled, port })
+ * @returns {Promise<Object>} Updated settings and status
+ */
+export async function setControlApiSettings(settings) {
+  const current = getStoredSettings();
+  saveSettings({
+    ...current,
+    enabled: settings.enabled ?? current.enabled,
+    port: settings.port ?? current.port,
+  });
+
+  await applySettings();
+  return getControlApiSettings();
+}
+
+/**
+ * Replaces the access token; clients using the old token stop working
+ * @returns {Object} Updated settings and status
+ */
+export function regenerateControlApiToken() {
+  saveSettings({
+    ...getStoredSettings(),
+    token: createControlApiToken(),
+  });
+  return getControlApiSettings();
+}
+
+/**
+ * Initializes the control API and starts it when enabled
+ * @param {Object} storeInstance - Electron store instance
+ * @param {Function} commandRunner - Control command runner (see controlCommands.js)
+ * @param {Object} [secretStorageInstance] - Electron safeStorage, used to encrypt the token
+ * @returns {Promise<void>}
+ */
+export function initialize(
+  storeInstance,
+  commandRunner,
+  secretStorageInstance = null
+) {
+  store = storeInstance;
+  runCommand = commandRunner;
+  secretStorage = secretStorageInstance;
+  return applySettings();
+}
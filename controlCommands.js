@@ -0,0 +1,300 @@
+/**
+ * Control Commands - Remote control operations for the random picker
+ *
+ * The local control API (and any other remote front end) drives the app
+ * through these commands instead of calling RoonService directly. Each
+ * command validates its parameters with the same Validators the IPC handlers
+ * use, then delegates to the existing RoonService functions. Failures are
+ * thrown as AppErrors so callers can map them to status codes.
+ */
+
+import {
+  AppError,
+  ConnectionError,
+  NotFoundError,
+  ValidationError,
+} from './errors/AppError.js';
+import { Validators, VALID_TRANSPORT_ACTIONS } from './validators.js';
+import {
+  createGenreKey,
+  parseGenreKey,
+  splitCreditedArtists,
+} from './roonHelpers.js';
+
+// Command constants (exported for use in tests)
+export const DEFAULT_ACTIVITY_LIMIT = 20;
+export const MAX_ACTIVITY_LIMIT = 100;
+export const PLAY_COMMAND_INTERVAL_MS = 1000; // Same spacing as the UI play buttons
+
+/**
+ * Names of the available commands
+ */
+export const CONTROL_COMMANDS = [
+  'status',
+  'zones',
+  'nowPlaying',
+  'activity',
+  'playRandom',
+  'playAlbum',
+  'moreFromArtist',
+  'transport',
+];
+
+// Commands that start playback share one rate limit
+const PLAY_COMMANDS = new Set(['playRandom', 'playAlbum', 'moreFromArtist']);
+
+/**
+ * Validates an optional zone parameter
+ * @param {*} zoneId - Zone ID from the request
+ * @throws {ValidationError} If present but not a non-empty string
+ */
+function validateZoneParam(zoneId) {
+  if (
+    zoneId !== undefined &&
+    zoneId !== null &&
+    !Validators.isNonEmptyString(zoneId)
+  ) {
+    throw new ValidationError('Invalid zone ID: must be a non-empty string', {
+      field: 'zoneId',
+    });
+  }
+}
+
+/**
+ * Validates a required album or artist name
+ * @param {*} value - Name from the request
+ * @param {string} field - Parameter name for the error message
+ * @throws {ValidationError} If not a non-empty string of up to 500 characters
+ */
+function validateName(value, field) {
+  if (!Validators.isNonEmptyString(value, 500)) {
+    throw new ValidationError(
+      `Invalid ${field}: must be a non-empty string with max 500 characters`,
+      { field }
+    );
+  }
+}
+
+/**
+ * Converts genre parameters into the genre objects RoonService expects
+ * Genre keys ("Jazz" or "Jazz::Bebop") are the remote-friendly form
+ * @param {*} genres - Genre keys or genre objects
+ * @returns {Array<Object>} Genre objects
+ * @throws {ValidationError} If genres is not a valid genre array
+ */
+export function parseGenreParams(genres = []) {
+  if (!Validators.isGenreArray(genres)) {
+    throw new ValidationError(
+      'Invalid genres: must be an array of genre keys or genre objects with max 100 items',
+      { field: 'genres' }
+    );
+  }
+
+  return genres.map(genre =>
+    typeof genre === 'string' ? parseGenreKey(genre) : genre
+  );
+}
+
+/**
+ * Creates the command runner
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.roon - RoonService module
+ * @param {Object} deps.store - Electron store instance (selected zone)
+ * @param {Object} deps.activityService - ActivityService instance
+ * @param {Function} [deps.now] - Clock (for testing)
+ * @returns {Function} runCommand(name, params, source) => Promise<*>
+ */
+export function createControlCommands({
+  roon,
+  store,
+  activityService,
+  now = Date.now,
+}) {
+  let lastPlayAt = 0;
+
+  function requireConnection() {
+    if (!roon.getCore()) {
+      throw new ConnectionError('Not connected to a Roon Core.');
+    }
+  }
+
+  /**
+   * Resolves the zone a command applies to
+   * Zones can be given by ID or by name ("Kitchen", case-insensitive)
+   * @param {string|null|undefined} zoneId - Requested zone (defaults to the selected zone)
+   * @returns {string} Zone ID
+   * @throws {NotFoundError} If the zone is unknown or none is selected
+   */
+  function resolveZone(zoneId) {
+    validateZoneParam(zoneId);
+
+    const targetZoneId = zoneId || store.get('lastZoneId');
+    if (!targetZoneId) {
+      throw new NotFoundError('No zone selected.');
+    }
+
+    const zones = roon.getZonesCache();
+    const zoneName = targetZoneId.trim().toLowerCase();
+    const zone =
+      zones.find(z => z.id === targetZoneId) ||
+      zones.find(z => (z.name || '').trim().toLowerCase() === zoneName);
+    if (!zone) {
+      throw new NotFoundError('The chosen zone is no longer available.', {
+        zoneId: targetZoneId,
+      });
+    }
+
+    return zone.id;
+  }
+
+  /**
+   * Reports an album started remotely so the UI can add it to the activity feed
+   * @param {Object} result - Play result ({ album, artist, image_key })
+   * @param {string} source - Front end that started it
+   * @param {Object} context - Where and how it was picked ({ zoneId, genres })
+   * @returns {Object} The same result
+   */
+  function announce(result, source, context) {
+    if (result && !result.ignored) {
+      roon.announceRemotePlay(result, source, context);
+    }
+    return result;
+  }
+
+  const handlers = {
+    status() {
+      const core = roon.getCore();
+      return {
+        connected: !!core,
+        coreName: core?.display_name || null,
+        zoneId: store.get('lastZoneId') || null,
+        filters: roon.getFilters(),
+      };
+    },
+
+    zones() {
+      return roon.getZonesCache();
+    },
+
+    nowPlaying({ zoneId } = {}) {
+      const targetZoneId = resolveZone(zoneId);
+      return {
+        zoneId: targetZoneId,
+        nowPlaying: roon.getZoneNowPlaying(targetZoneId),
+      };
+    },
+
+    activity({ limit = DEFAULT_ACTIVITY_LIMIT } = {}) {
+      const count = Number(limit);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_ACTIVITY_LIMIT) {
+        throw new ValidationError(
+          `Invalid limit: must be a whole number between 1 and ${MAX_ACTIVITY_LIMIT}`,
+          { field: 'limit' }
+        );
+      }
+
+      return activityService.getAll().slice(0, count);
+    },
+
+    async playRandom({ genres, zoneId } = {}, source) {
+      const genreFilters = parseGenreParams(genres);
+      requireConnection();
+      const targetZoneId = resolveZone(zoneId);
+
+      return announce(
+        await roon.pickRandomAlbumAndPlay(genreFilters, targetZoneId),
+        source,
+        { zoneId: targetZoneId, genres: genreFilters.map(createGenreKey) }
+      );
+    },
+
+    async playAlbum({ album, artist, zoneId } = {}, source) {
+      validateName(album, 'album');
+      validateName(artist, 'artist');
+      requireConnection();
+      const targetZoneId = resolveZone(zoneId);
+
+      return announce(
+        await roon.playAlbumByName(album, artist, targetZoneId),
+        source,
+        { zoneId: targetZoneId }
+      );
+    },
+
+    async moreFromArtist({ artist, album, zoneId } = {}, source) {
+      if (artist !== undefined) validateName(artist, 'artist');
+      if (album !== undefined && album !== null) validateName(album, 'album');
+      requireConnection();
+      const targetZoneId = resolveZone(zoneId);
+
+      // Default to whatever is playing on the zone
+      let artistName = artist;
+      let currentAlbum = album ?? null;
+      if (!artistName) {
+        const nowPlaying = roon.getZoneNowPlaying(targetZoneId);
+        artistName = splitCreditedArtists(nowPlaying?.artist)[0];
+        currentAlbum = nowPlaying?.album || null;
+      }
+      if (!artistName) {
+        throw new NotFoundError('Nothing is playing on this zone.', {
+          zoneId: targetZoneId,
+        });
+      }
+
+      return announce(
+        await roon.playRandomAlbumByArtist(
+          artistName,
+          currentAlbum,
+          targetZoneId
+        ),
+        source,
+        { zoneId: targetZoneId }
+      );
+    },
+
+    async transport({ action, zoneId } = {}) {
+      if (!Validators.isValidTransportAction(action)) {
+        throw new ValidationError(
+          `Invalid transport action: must be one of ${VALID_TRANSPORT_ACTIONS.join(', ')}`,
+          { field: 'action' }
+        );
+      }
+      requireConnection();
+
+      await roon.controlTransport(resolveZone(zoneId), action);
+      return { action };
+    },
+  };
+
+  /**
+   * Runs a command
+   * @param {string} name - One of CONTROL_COMMANDS
+   * @param {Object} [params] - Command parameters
+   * @param {string} [source] - Front end issuing the command ('http', 'cli')
+   * @returns {Promise<*>} Command result
+   * @throws {AppError} ValidationError, NotFoundError, ConnectionError or RATE_LIMITED
+   */
+  return async function runCommand(name, params = {}, source = 'remote') {
+    const handler = Object.hasOwn(handlers, name) ? handlers[name] : null;
+    if (!handler) {
+      throw new NotFoundError(`Unknown command: ${name}`, { command: name });
+    }
+
+    if (params !== undefined && !Validators.isObject(params)) {
+      throw new ValidationError('Invalid parameters: must be an object');
+    }
+
+    if (PLAY_COMMANDS.has(name)) {
+      const current = now();
+      if (current - lastPlayAt < PLAY_COMMAND_INTERVAL_MS) {
+        throw new AppError(
+          'Too many play requests, try again shortly.',
+          'RATE_LIMITED'
+        );
+      }
+      lastPlayAt = current;
+    }
+
+    return handler(params || {}, source);
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Control Socket - Local socket for the command-line interface
+ *
+ * The roon-random CLI talks to the running app over a Unix domain socket
+ * (a named pipe on Windows) that only the current user can open: the socket
+ * lives in a directory private to the user and is created with owner-only
+ * permissions. Each
+ * connection carries one newline-terminated JSON request
+ * ({ command, params }) and gets one JSON line back, shaped like the HTTP
+ * control API's responses. Commands run through the shared control commands.
+ *
+ * This module must not import Electron: the CLI uses getControlSocketPath.
+ */
+
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+// Control socket constants (exported for use in tests)
+export const MAX_SOCKET_REQUEST_BYTES = 16 * 1024;
+export const SOCKET_NAME = 'roon-random-album';
+const SOCKET_FILE_NAME = 'control.sock';
+const APP_DATA_NAME = 'Roon Random Album'; // Electron's userData folder name (productName)
+
+let server = null;
+let socketPath = null;
+
+/**
+ * Gets the private directory holding the socket for the current user
+ * XDG_RUNTIME_DIR is already private to the user; without it the socket
+ * goes in the app's data folder (where Electron's userData is)
+ * @param {string} [platform] - Platform (process.platform by default)
+ * @param {Object} [env] - Environment (process.env by default)
+ * @returns {string} Directory path
+ */
+export function getControlSocketDir(
+  platform = process.platform,
+  env = process.env
+) {
+  if (env.XDG_RUNTIME_DIR) {
+    return path.join(env.XDG_RUNTIME_DIR, SOCKET_NAME);
+  }
+
+  const appData =
+    platform === 'darwin'
+      ? path.join(os.homedir(), 'Library', 'Application Support')
+      : env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(appData, APP_DATA_NAME, 'run');
+}
+
+/**
+ * Gets the socket path for the current user
+ * @param {string} [platform] - Platform (process.platform by default)
+ * @param {Object} [env] - Environment (process.env by default)
+ * @returns {string} Socket file path or Windows pipe name
+ */
+export function getControlSocketPath(
+  platform = process.platform,
+  env = process.env
+) {
+  if (platform === 'win32') {
+    return `\\\\.\\pipe\\${SOCKET_NAME}-${os.userInfo().username}`;
+  }
+
+  return path.join(getControlSocketDir(platform, env), SOCKET_FILE_NAME);
+}
+
+/**
+ * Creates the socket directory, or checks an existing one, so that only
+ * the current user can reach it
+ * @param {string} directory - Socket directory
+ * @throws {Error} If the directory belongs to someone else or isn't a directory
+ */
+function ensurePrivateDirectory(directory) {
+  fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+
+  const stats = fs.lstatSync(directory);
+  if (!stats.isDirectory() || stats.uid !== process.getuid()) {
+    throw new Error(`${directory} is not a directory owned by this user`);
+  }
+  if ((stats.mode & 0o077) !== 0) {
+    fs.chmodSync(directory, 0o700);
+  }
+}
+
+/**
+ * Encodes a response line
+ * @param {*} result - Command result
+ * @param {Error} [error] - Error thrown by the command
+ * @returns {string} JSON line
+ */
+export function encodeResponse(result, error = null) {
+  const body = error
+    ? {
+        ok: false,
+        error: { code: error.code || 'INTERNAL_ERROR', message: error.message },
+      }
+    : { ok: true, result: result ?? null };
+  return `${JSON.stringify(body)}\n`;
+}
+
+/**
+ * Handles one client connection
+ * @param {net.Socket} connection - Client connection
+ * @param {Function} runCommand - Control command runner
+ */
+function handleConnection(connection, runCommand) {
+  let buffer = '';
+
+  connection.setEncoding('utf8');
+  connection.on('data', async chunk => {
+    buffer += chunk;
+    if (buffer.length > MAX_SOCKET_REQUEST_BYTES) {
+      connection.end(
+        encodeResponse(null, {
+          code: 'VALIDATION_ERROR',
+          message: 'Request is too large',
+        })
+      );
+      return;
+    }
+
+    const newline = buffer.indexOf('\n');
+    if (newline === -1) return;
+    connection.pause();
+
+    let response;
+    try {
+      const { command, params } = JSON.parse(buffer.slice(0, newline));
+      response = encodeResponse(await runCommand(command, params, 'cli'));
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        error.code = 'VALIDATION_ERROR';
+      } else if (!error.code) {
+        console.error('[ControlSocket] Command failed:', error);
+      }
+      response = encodeResponse(null, error);
+    }
+
+    connection.end(response);
+  });
+
+  connection.on('error', error => {
+    console.warn('[ControlSocket] Connection error:', error.message);
+  });
+}
+
+/**
+ * Checks whether another app instance is already serving the socket
+ * @param {string} target - Socket path
+ * @returns {Promise<boolean>} True if something accepted a connection
+ */
+function isSocketInUse(target) {
+  return new Promise(resolve => {
+    const probe = net.connect(target);
+    probe.once('connect', () => {
+      probe.destroy();
+      resolve(true);
+    });
+    probe.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Starts listening for CLI requests
+ * @param {Function} runCommand - Control command runner (see controlCommands.js)
+ * @returns {Promise<void>}
+ * @throws {Error} If the socket directory can't be made private
+ */
+export async function startControlSocket(runCommand) {
+  if (server) return;
+
+  const isUnixSocket = process.platform !== 'win32';
+  const target = getControlSocketPath();
+
+  if (isUnixSocket) {
+    ensurePrivateDirectory(path.dirname(target));
+
+    // Only this user can write to the directory, so a socket answering
+    // there is another instance of the app
+    const existing = fs.lstatSync(target, { throwIfNoEntry: false });
+    if (existing?.isSocket() && (await isSocketInUse(target))) {
+      console.warn(
+        '[ControlSocket] Another instance is already listening, CLI disabled'
+      );
+      return;
+    }
+    if (existing) {
+      // Left behind by a crash
+      fs.unlinkSync(target);
+    }
+  }
+
+  const nextServer = net.createServer(connection =>
+    handleConnection(connection, runCommand)
+  );
+
+  await new Promise(resolve => {
+    nextServer.once('error', error => {
+      console.error('[ControlSocket] Failed to start:', error.message);
+      resolve();
+    });
+    nextServer.once('listening', () => {
+      server = nextServer;
+      socketPath = target;
+      console.log(`[ControlSocket] Listening on ${target}`);
+      resolve();
+    });
+
+    // The socket file is created owner-only (the umask applies while it binds)
+    const previousUmask = isUnixSocket ? process.umask(0o177) : null;
+    try {
+      nextServer.listen(target);
+    } finally {
+      if (isUnixSocket) process.umask(previousUmask);
+    }
+  });
+}
+
+/**
+ * Stops listening and removes the socket file
+ */
+export function stopControlSocket() {
+  if (!server) return;
+
+  server.close();
+  server = null;
+
+  if (process.platform !== 'win32' && socketPath) {
+    try {
+      fs.unlinkSync(socketPath);
+    } catch {
+      // Already gone
+    }
+  }
+  socketPath = null;
+}
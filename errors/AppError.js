@@ -83,6 +83,16 @@ export class NotFoundError extends AppError {
   }
 }
 
+/**
+ * NoAlbumsError - Thrown when a random pick has nothing to choose from
+ * Used for empty album lists and filters or exclusions that leave no albums
+ */
+export class NoAlbumsError extends AppError {
+  constructor(message, details = {}) {
+    super(message, 'NO_ALBUMS', details);
+  }
+}
+
 /**
  * PersistenceError - Thrown when storage operations fail
  * Used for electron-store failures, data corruption
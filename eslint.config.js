@@ -25,6 +25,7 @@ export default [
         // Node.js globals for main process
         process: 'readonly',
         Buffer: 'readonly',
+        Response: 'readonly', // Fetch API (protocol.handle responses)
         console: 'readonly',
         __dirname: 'readonly',
         __filename: 'readonly',
@@ -33,6 +34,7 @@ export default [
         window: 'readonly',
         document: 'readonly',
         navigator: 'readonly',
+        URLSearchParams: 'readonly',
         React: 'readonly',
         ReactDOM: 'readonly',
         alert: 'readonly',
@@ -1,23 +1,64 @@
 /**
- * LRU (Least Recently Used) Image Cache
+ * Two-tier album art cache
  *
- * Caches album art data URLs to reduce memory usage and API calls.
- * When cache is full, automatically evicts the least recently used image.
+ * Images are cached per image key AND rendering options (width, height,
+ * format, scale), so a 64px thumbnail is never served where the 512px cover
+ * was asked for. Recently used images are held in memory; every image is
+ * also written to a bounded directory under userData, so art survives
+ * restarts instead of being fetched from the Core again.
  *
- * Memory savings:
- * - Before: 100 images × 100KB = 10MB+
- * - After:  50 images × 100KB = 5MB
- * - Reduction: ~50% memory usage
+ * Both tiers evict the least recently used images once their byte budget is
+ * exceeded (a cover can be 5KB or 500KB, so counting images says little
+ * about memory or disk use).
  */
 
+import crypto from 'crypto';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+// Cache budgets (exported for use in tests)
+export const DEFAULT_MEMORY_CACHE_BYTES = 16 * 1024 * 1024; // 16MB
+export const DEFAULT_DISK_CACHE_BYTES = 200 * 1024 * 1024; // 200MB
+
+// File extension per content type (anything else is stored as .img)
+const EXTENSIONS_BY_TYPE = { 'image/jpeg': 'jpg', 'image/png': 'png' };
+const TYPES_BY_EXTENSION = { jpg: 'image/jpeg', png: 'image/png' };
+
+/**
+ * Creates the cache key for an image rendering
+ * @param {string} imageKey - Roon image key
+ * @param {Object} options - Rendering options ({ scale, width, height, format })
+ * @returns {string} Cache key ("<imageKey>|fit|512x512|image/jpeg")
+ */
+export function createImageCacheKey(imageKey, options = {}) {
+  const { scale = '', width = '', height = '', format = '' } = options;
+  return `${imageKey}|${scale}|${width}x${height}|${format}`;
+}
+
+/**
+ * Formats a hit rate for stats
+ * @param {number} hits - Cache hits
+ * @param {number} misses - Cache misses
+ * @returns {string} Hit rate percentage ("87.5%")
+ */
+function formatHitRate(hits, misses) {
+  const totalRequests = hits + misses;
+  const hitRate = totalRequests > 0 ? hits / totalRequests : 0;
+  return (hitRate * 100).toFixed(1) + '%';
+}
+
+/**
+ * In-memory LRU cache of images, bounded by total bytes
+ */
 export class LRUImageCache {
   /**
-   * Creates an LRU cache for image data URLs
-   * @param {number} maxSize - Maximum number of images to cache (default: 50)
+   * Creates an LRU cache for images
+   * @param {number} maxBytes - Maximum total image size to hold
    */
-  constructor(maxSize = 50) {
+  constructor(maxBytes = DEFAULT_MEMORY_CACHE_BYTES) {
     this.cache = new Map(); // Map maintains insertion order
-    this.maxSize = maxSize;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
 
     // Statistics for monitoring cache effectiveness
     this.hits = 0; // Cache hits (image found in cache)
@@ -28,8 +69,8 @@ export class LRUImageCache {
   /**
    * Retrieves an image from cache
    * Moves accessed image to most recent position (LRU behavior)
-   * @param {string} key - Image key to retrieve
-   * @returns {string|null} Data URL or null if not in cache
+   * @param {string} key - Cache key (see createImageCacheKey)
+   * @returns {Object|null} Image ({ contentType, body }) or null if not in cache
    */
   get(key) {
     if (!this.cache.has(key)) {
@@ -40,46 +81,50 @@ export class LRUImageCache {
     this.hits++;
 
     // Move to end (most recently used)
-    const value = this.cache.get(key);
+    const image = this.cache.get(key);
     this.cache.delete(key);
-    this.cache.set(key, value);
+    this.cache.set(key, image);
 
-    return value;
+    return image;
   }
 
   /**
    * Stores an image in cache
-   * Automatically evicts oldest image if cache is full
-   * @param {string} key - Image key
-   * @param {string} value - Image data URL
+   * Evicts the oldest images until the cache is back within its byte budget
+   * @param {string} key - Cache key
+   * @param {Object} image - Image ({ contentType, body })
    */
-  set(key, value) {
-    // If key exists, delete it (we'll re-add to update position)
-    if (this.cache.has(key)) {
-      this.cache.delete(key);
-    }
+  set(key, image) {
+    this.delete(key);
+
+    // An image larger than the whole budget would evict everything else
+    if (image.body.length > this.maxBytes) return;
 
-    // Add to end (most recent)
-    this.cache.set(key, value);
+    this.cache.set(key, image);
+    this.bytes += image.body.length;
 
-    // Evict oldest if over limit
-    if (this.cache.size > this.maxSize) {
-      // Map.keys() returns iterator in insertion order
+    while (this.bytes > this.maxBytes) {
       // First key = oldest (least recently used)
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
+      this.delete(this.cache.keys().next().value);
       this.evictions++;
+    }
+  }
 
-      // Log stats when we start evicting (cache is full and working)
-      if (this.evictions === 1 || this.evictions % 10 === 0) {
-        this.logStats();
-      }
+  /**
+   * Removes an image from cache
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    const image = this.cache.get(key);
+    if (image) {
+      this.bytes -= image.body.length;
+      this.cache.delete(key);
     }
   }
 
   /**
    * Checks if an image is in cache without updating LRU order
-   * @param {string} key - Image key to check
+   * @param {string} key - Cache key to check
    * @returns {boolean} True if image is cached
    */
   has(key) {
@@ -93,6 +138,7 @@ export class LRUImageCache {
   clear() {
     const previousSize = this.cache.size;
     this.cache.clear();
+    this.bytes = 0;
 
     if (previousSize > 0) {
       console.log(`Image cache cleared: freed ${previousSize} images`);
@@ -101,30 +147,286 @@ export class LRUImageCache {
 
   /**
    * Returns current cache statistics
-   * Useful for monitoring cache effectiveness
    * @returns {Object} Cache statistics
    */
   getStats() {
-    const totalRequests = this.hits + this.misses;
-    const hitRate = totalRequests > 0 ? this.hits / totalRequests : 0;
+    return {
+      entries: this.cache.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: formatHitRate(this.hits, this.misses),
+    };
+  }
+}
+
+/**
+ * On-disk LRU cache of images, bounded by total bytes
+ * Each image is one file named after a hash of its cache key; the index of
+ * files is rebuilt from the directory on first use, oldest first by mtime.
+ * Disk errors never fail an image request: a broken cache is just a miss.
+ */
+export class DiskImageCache {
+  /**
+   * Creates a disk cache for images
+   * @param {string} directory - Directory holding the cached files
+   * @param {number} maxBytes - Maximum total size of the cached files
+   */
+  constructor(directory, maxBytes = DEFAULT_DISK_CACHE_BYTES) {
+    this.directory = directory;
+    this.maxBytes = maxBytes;
+    this.files = new Map(); // File name -> size in bytes, oldest first
+    this.bytes = 0;
+    this.ready = null;
+    this.disabled = false;
+
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Gets the file name for a cache key and content type
+   * @param {string} key - Cache key
+   * @param {string} contentType - Image content type
+   * @returns {string} File name ("<sha1>.jpg")
+   * @private
+   */
+  _fileName(key, contentType) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return `${hash}.${EXTENSIONS_BY_TYPE[contentType] || 'img'}`;
+  }
+
+  /**
+   * Finds the cached file for a cache key, whatever its content type
+   * @param {string} key - Cache key
+   * @returns {string|null} File name or null if not cached
+   * @private
+   */
+  _findFile(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    for (const extension of ['jpg', 'png', 'img']) {
+      const fileName = `${hash}.${extension}`;
+      if (this.files.has(fileName)) return fileName;
+    }
+    return null;
+  }
+
+  /**
+   * Builds the file index from the cache directory (once)
+   * @returns {Promise<void>}
+   * @private
+   */
+  _load() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        try {
+          await fsPromises.mkdir(this.directory, { recursive: true });
+          const names = await fsPromises.readdir(this.directory);
+
+          const entries = [];
+          for (const name of names) {
+            if (!/^[0-9a-f]{40}\.(jpg|png|img)$/.test(name)) continue;
+            const stats = await fsPromises.stat(
+              path.join(this.directory, name)
+            );
+            entries.push({ name, size: stats.size, mtime: stats.mtimeMs });
+          }
+
+          entries
+            .sort((a, b) => a.mtime - b.mtime)
+            .forEach(({ name, size }) => {
+              this.files.set(name, size);
+              this.bytes += size;
+            });
+
+          await this._evict();
+        } catch (error) {
+          console.warn(
+            '[DiskImageCache] Disk cache unavailable:',
+            error?.message || error
+          );
+          this.disabled = true;
+        }
+      })();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Deletes the oldest files until the cache is within its byte budget
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _evict() {
+    while (this.bytes > this.maxBytes && this.files.size > 0) {
+      const [oldest, size] = this.files.entries().next().value;
+      this.files.delete(oldest);
+      this.bytes -= size;
+      this.evictions++;
+      await fsPromises
+        .unlink(path.join(this.directory, oldest))
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Retrieves an image from disk
+   * @param {string} key - Cache key (see createImageCacheKey)
+   * @returns {Promise<Object|null>} Image ({ contentType, body }) or null if not cached
+   */
+  async get(key) {
+    await this._load();
+
+    const fileName = this.disabled ? null : this._findFile(key);
+    if (!fileName) {
+      this.misses++;
+      return null;
+    }
+
+    const filePath = path.join(this.directory, fileName);
+    try {
+      const body = await fsPromises.readFile(filePath);
+      if (!Buffer.isBuffer(body)) throw new Error('Unreadable cache file');
+
+      // Move to end (most recently used) and keep that order across restarts
+      const size = this.files.get(fileName);
+      this.files.delete(fileName);
+      this.files.set(fileName, size);
+      const now = new Date();
+      fsPromises.utimes(filePath, now, now).catch(() => {});
+
+      this.hits++;
+      return {
+        contentType:
+          TYPES_BY_EXTENSION[path.extname(fileName).slice(1)] ||
+          'application/octet-stream',
+        body,
+      };
+    } catch {
+      // The file went missing or is unreadable; forget it
+      this.bytes -= this.files.get(fileName) || 0;
+      this.files.delete(fileName);
+      this.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Writes an image to disk
+   * Evicts the oldest files until the cache is back within its byte budget
+   * @param {string} key - Cache key
+   * @param {Object} image - Image ({ contentType, body })
+   * @returns {Promise<void>}
+   */
+  async set(key, image) {
+    await this._load();
+    if (this.disabled || image.body.length > this.maxBytes) return;
+
+    const fileName = this._fileName(key, image.contentType);
+    const filePath = path.join(this.directory, fileName);
+
+    try {
+      // Write to a temporary file first so a crash never leaves half an image
+      await fsPromises.writeFile(`${filePath}.tmp`, image.body);
+      await fsPromises.rename(`${filePath}.tmp`, filePath);
+    } catch (error) {
+      console.warn(
+        '[DiskImageCache] Failed to write image:',
+        error?.message || error
+      );
+      return;
+    }
+
+    this.bytes -= this.files.get(fileName) || 0;
+    this.files.delete(fileName);
+    this.files.set(fileName, image.body.length);
+    this.bytes += image.body.length;
+
+    await this._evict();
+  }
 
+  /**
+   * Returns current cache statistics
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
     return {
-      size: this.cache.size,
-      maxSize: this.maxSize,
+      directory: this.directory,
+      enabled: !this.disabled,
+      entries: this.files.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
       hits: this.hits,
       misses: this.misses,
       evictions: this.evictions,
-      hitRate: (hitRate * 100).toFixed(1) + '%',
-      memoryEstimate: `~${((this.cache.size * 100) / 1024).toFixed(1)}MB`,
+      hitRate: formatHitRate(this.hits, this.misses),
     };
   }
+}
+
+/**
+ * Album art cache combining the memory and disk tiers
+ * Disk hits are promoted to memory; new images are written to both.
+ */
+export class ImageCache {
+  /**
+   * Creates a two-tier image cache
+   * @param {Object} options - Cache options
+   * @param {string} options.directory - Directory for the disk tier
+   * @param {number} [options.memoryBytes] - Memory tier budget
+   * @param {number} [options.diskBytes] - Disk tier budget
+   */
+  constructor({
+    directory,
+    memoryBytes = DEFAULT_MEMORY_CACHE_BYTES,
+    diskBytes = DEFAULT_DISK_CACHE_BYTES,
+  }) {
+    this.memory = new LRUImageCache(memoryBytes);
+    this.disk = new DiskImageCache(directory, diskBytes);
+  }
 
   /**
-   * Logs cache statistics to console
-   * Call periodically to monitor cache performance
+   * Retrieves an image from memory, or from disk
+   * @param {string} key - Cache key (see createImageCacheKey)
+   * @returns {Promise<Object|null>} Image ({ contentType, body }) or null if not cached
    */
-  logStats() {
-    const stats = this.getStats();
-    console.log('📊 Image Cache Stats:', stats);
+  async get(key) {
+    const cached = this.memory.get(key);
+    if (cached) return cached;
+
+    const stored = await this.disk.get(key);
+    if (stored) {
+      this.memory.set(key, stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Stores an image in both tiers
+   * @param {string} key - Cache key
+   * @param {Object} image - Image ({ contentType, body })
+   * @returns {Promise<void>} Resolves once the image is on disk
+   */
+  set(key, image) {
+    this.memory.set(key, image);
+    return this.disk.set(key, image);
+  }
+
+  /**
+   * Empties the memory tier (the disk tier is kept)
+   */
+  clearMemory() {
+    this.memory.clear();
+  }
+
+  /**
+   * Returns statistics for both tiers
+   * @returns {Object} { memory, disk }
+   */
+  getStats() {
+    return { memory: this.memory.getStats(), disk: this.disk.getStats() };
   }
 }
@@ -0,0 +1,139 @@
+/**
+ * Image fetch scheduler
+ *
+ * Album art missing from the image cache is fetched from the Core through
+ * this scheduler, so opening the app with a full activity feed doesn't fire
+ * dozens of image requests at once. At most `concurrency` fetches run at a
+ * time, the most important art goes first (now playing, then the activity
+ * feed, then albums queued for later), and requests for an image already
+ * queued or being fetched share that fetch.
+ */
+
+// Priorities from most to least important (exported for use in tests)
+export const IMAGE_PRIORITIES = ['nowPlaying', 'activity', 'queued'];
+export const DEFAULT_IMAGE_PRIORITY = 'activity';
+export const DEFAULT_FETCH_CONCURRENCY = 3;
+
+/**
+ * Gets the rank of a priority (lower runs first)
+ * @param {string} [priority] - One of IMAGE_PRIORITIES
+ * @returns {number} Rank (unknown priorities rank as the default)
+ */
+function getRank(priority) {
+  const rank = IMAGE_PRIORITIES.indexOf(priority);
+  return rank === -1 ? IMAGE_PRIORITIES.indexOf(DEFAULT_IMAGE_PRIORITY) : rank;
+}
+
+/**
+ * Scheduler class running image fetches by priority with a concurrency limit
+ */
+export class ImageFetchScheduler {
+  /**
+   * Creates an image fetch scheduler
+   * @param {number} concurrency - Maximum fetches running at once
+   */
+  constructor(concurrency = DEFAULT_FETCH_CONCURRENCY) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.queue = []; // Waiting fetches, in arrival order
+    this.pending = new Map(); // Key -> queued or running fetch
+    this.sequence = 0;
+
+    // Statistics for diagnostics
+    this.started = 0; // Fetches run
+    this.deduplicated = 0; // Requests that joined an existing fetch
+  }
+
+  /**
+   * Schedules a fetch, or joins the one already pending for the same key
+   * A queued fetch moves up if it is requested again at a higher priority
+   * @param {string} key - Cache key of the image
+   * @param {Function} task - Fetches the image, resolving to the result
+   * @param {string} [priority] - One of IMAGE_PRIORITIES
+   * @returns {Promise<*>} Result of the task (null if the queue was cleared first)
+   */
+  schedule(key, task, priority = DEFAULT_IMAGE_PRIORITY) {
+    const rank = getRank(priority);
+
+    const existing = this.pending.get(key);
+    if (existing) {
+      this.deduplicated++;
+      if (existing.queued && rank < existing.rank) {
+        existing.rank = rank;
+      }
+      return existing.promise;
+    }
+
+    const entry = { key, task, rank, sequence: this.sequence++, queued: true };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this.pending.set(key, entry);
+    this.queue.push(entry);
+    this._drain();
+
+    return entry.promise;
+  }
+
+  /**
+   * Starts queued fetches while there is capacity
+   * @private
+   */
+  _drain() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      // Highest priority first, oldest first within a priority
+      let nextIndex = 0;
+      this.queue.forEach((entry, index) => {
+        const next = this.queue[nextIndex];
+        if (
+          entry.rank < next.rank ||
+          (entry.rank === next.rank && entry.sequence < next.sequence)
+        ) {
+          nextIndex = index;
+        }
+      });
+
+      const [entry] = this.queue.splice(nextIndex, 1);
+      entry.queued = false;
+      this.active++;
+      this.started++;
+
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.active--;
+          this.pending.delete(entry.key);
+          this._drain();
+        });
+    }
+  }
+
+  /**
+   * Drops all queued fetches (running ones finish on their own)
+   * Waiting requests resolve to null, e.g. when the Core disconnects
+   */
+  clear() {
+    this.queue.forEach(entry => {
+      this.pending.delete(entry.key);
+      entry.resolve(null);
+    });
+    this.queue = [];
+  }
+
+  /**
+   * Returns current scheduler statistics
+   * @returns {Object} Scheduler statistics
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      queued: this.queue.length,
+      started: this.started,
+      deduplicated: this.deduplicated,
+    };
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * roonimg:// protocol - Album art served straight from the main process
+ *
+ * The renderer points <img> tags (and CSS backgrounds) at URLs such as
+ * roonimg://art/<imageKey>?w=144&h=144 and the main process answers from the
+ * image cache, so art is never copied across IPC as base64 strings or kept
+ * in React state. renderer/utils/images.js builds these URLs.
+ */
+
+import { protocol } from 'electron';
+import { URL } from 'url';
+import { Validators } from './validators.js';
+import { IMAGE_PRIORITIES } from './imageFetchScheduler.js';
+
+// Protocol constants (exported for use in tests)
+export const IMAGE_PROTOCOL = 'roonimg';
+export const IMAGE_HOST = 'art';
+export const MAX_IMAGE_SIZE = 2048; // Largest width or height served
+export const IMAGE_SCALES = ['fit', 'fill', 'stretch'];
+
+// Short format names used in URLs
+const IMAGE_FORMATS = { jpeg: 'image/jpeg', png: 'image/png' };
+
+/**
+ * Parses an image size parameter
+ * @param {string|null} value - Parameter value
+ * @returns {number|undefined|null} Size, undefined if absent, null if invalid
+ */
+function parseSize(value) {
+  if (value === null) return undefined;
+  const size = Number(value);
+  return Number.isInteger(size) && size > 0 && size <= MAX_IMAGE_SIZE
+    ? size
+    : null;
+}
+
+/**
+ * Parses a roonimg:// URL into an image request
+ * @param {string} url - Requested URL
+ * @returns {Object|null} { imageKey, options, priority } where options may hold width, height, format and scale, or null if the URL is invalid
+ */
+export function parseImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  if (
+    parsed.protocol !== `${IMAGE_PROTOCOL}:` ||
+    parsed.hostname !== IMAGE_HOST
+  ) {
+    return null;
+  }
+
+  let imageKey;
+  try {
+    imageKey = decodeURIComponent(parsed.pathname.slice(1));
+  } catch {
+    return null;
+  }
+  if (!Validators.isNonEmptyString(imageKey, 500)) {
+    return null;
+  }
+
+  const { searchParams } = parsed;
+  const width = parseSize(searchParams.get('w'));
+  const height = parseSize(searchParams.get('h'));
+  const format = searchParams.get('format');
+  const scale = searchParams.get('scale');
+  const priority = searchParams.get('priority');
+
+  if (
+    width === null ||
+    height === null ||
+    (format !== null && !IMAGE_FORMATS[format]) ||
+    (scale !== null && !IMAGE_SCALES.includes(scale)) ||
+    (priority !== null && !IMAGE_PRIORITIES.includes(priority))
+  ) {
+    return null;
+  }
+
+  const options = {};
+  if (width) options.width = width;
+  if (height) options.height = height;
+  if (format) options.format = IMAGE_FORMATS[format];
+  if (scale) options.scale = scale;
+
+  return { imageKey, options, priority: priority || undefined };
+}
+
+/**
+ * Registers roonimg:// as a standard, secure scheme
+ * Must be called before the app's ready event
+ */
+export function registerImageScheme() {
+  protocol.registerSchemesAsPrivileged([
+    { scheme: IMAGE_PROTOCOL, privileges: { standard: true, secure: true } },
+  ]);
+}
+
+/**
+ * Serves roonimg:// requests
+ * Must be called after the app's ready event
+ * @param {Function} getImage - Resolves (imageKey, options, priority) to { contentType, body } or null
+ */
+export function handleImageProtocol(getImage) {
+  protocol.handle(IMAGE_PROTOCOL, async request => {
+    const imageRequest = parseImageUrl(request.url);
+    if (!imageRequest) {
+      return new Response(null, { status: 400 });
+    }
+
+    try {
+      const image = await getImage(
+        imageRequest.imageKey,
+        imageRequest.options,
+        imageRequest.priority
+      );
+      if (!image) {
+        return new Response(null, { status: 404 });
+      }
+
+      return new Response(image.body, {
+        headers: { 'Content-Type': image.contentType },
+      });
+    } catch (error) {
+      console.error('Failed to serve album art:', error);
+      return new Response(null, { status: 500 });
+    }
+  });
+}
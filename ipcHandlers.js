@@ -6,15 +6,42 @@
  * Each handler corresponds to a specific Roon operation or data request.
  */
 
-import { ipcMain } from 'electron';
+import { ipcMain, dialog, safeStorage } from 'electron';
+import fsPromises from 'fs/promises';
 import * as RoonService from './roonService.js';
 import {
   Validators,
   VALID_TRANSPORT_ACTIONS,
   MIN_VOLUME,
   MAX_VOLUME,
+  MIN_LISTEN_PORT,
+  MAX_PORT,
 } from './validators.js';
+import { MAX_COOLDOWN_DAYS, PICK_MODES } from './playHistoryHelpers.js';
+import {
+  GENRE_WEIGHTING_STRATEGIES,
+  MAX_GENRE_WEIGHT,
+  ARTIST_MATCH_MODES,
+  QUEUE_ACTIONS,
+  MAX_QUEUE_ALBUMS,
+  MIN_RELEASE_YEAR,
+  MAX_RELEASE_YEAR,
+  PICK_TYPES,
+  MAX_ALBUM_MINUTES_LIMIT,
+} from './roonHelpers.js';
 import { ActivityService } from './services/ActivityService.js';
+import { ListeningLogService } from './services/ListeningLogService.js';
+import {
+  exportListeningLog,
+  LISTENING_LOG_EXPORT_FORMATS,
+} from './listeningLogHelpers.js';
+import { submitPendingListens } from './listeningLogSubmitter.js';
+import * as ControlApi from './controlApi.js';
+import { parseImageUrl } from './imageProtocol.js';
+import {
+  FilterPresetService,
+  MAX_PRESET_NAME_LENGTH,
+} from './services/FilterPresetService.js';
 
 // ==================== CONSTANTS ====================
 
@@ -35,6 +62,7 @@ const IPC_CHANNELS = {
   LIST_ZONES: 'roon:listZones',
   GET_ZONE_NOW_PLAYING: 'roon:getZoneNowPlaying',
   REFRESH_NOW_PLAYING: 'roon:refreshNowPlaying', // NEW
+  GET_TRACK_HISTORY: 'roon:getTrackHistory',
 
   // Profile management
   LIST_PROFILES: 'roon:listProfiles',
@@ -44,12 +72,23 @@ const IPC_CHANNELS = {
   // Music browsing and selection
   LIST_GENRES: 'roon:listGenres',
   GET_SUBGENRES: 'roon:getSubgenres',
+  LIST_TAGS: 'roon:listTags',
   PLAY_RANDOM_ALBUM: 'roon:playRandomAlbum',
+  QUEUE_RANDOM_ALBUMS: 'roon:queueRandomAlbums',
   PLAY_ALBUM_BY_NAME: 'roon:playAlbumByName',
   PLAY_RANDOM_ALBUM_BY_ARTIST: 'roon:playRandomAlbumByArtist',
 
+  // Zone grouping
+  GROUP_ZONES: 'roon:groupZones',
+  UNGROUP_ZONE: 'roon:ungroupZone',
+
+  // Auto-continue ("endless random") per zone
+  GET_AUTO_CONTINUE_ZONES: 'roon:getAutoContinueZones',
+  SET_AUTO_CONTINUE: 'roon:setAutoContinue',
+
   // Media and transport controls
-  GET_IMAGE: 'roon:getImage',
+  GET_IMAGE_CACHE_STATS: 'roon:getImageCacheStats',
+  PREFETCH_IMAGES: 'roon:prefetchImages',
   TRANSPORT_CONTROL: 'roon:transport:control',
   SEEK: 'roon:seek',
   CHANGE_VOLUME: 'roon:changeVolume',
@@ -60,12 +99,43 @@ const IPC_CHANNELS = {
   ADD_ACTIVITY: 'roon:addActivity',
   CLEAR_ACTIVITY: 'roon:clearActivity',
   REMOVE_ACTIVITY: 'roon:removeActivity',
+
+  // Long-term listening log
+  GET_LISTENING_LOG: 'roon:getListeningLog',
+  EXPORT_LISTENING_LOG: 'roon:exportListeningLog',
+  CLEAR_LISTENING_LOG: 'roon:clearListeningLog',
+  SET_LISTENING_LOG_SUBMISSION: 'roon:setListeningLogSubmission',
+  SUBMIT_LISTENING_LOG: 'roon:submitListeningLog',
+
+  // Cross-session play history
+  GET_PLAY_HISTORY_SETTINGS: 'roon:getPlayHistorySettings',
+  SET_PLAY_HISTORY_COOLDOWN: 'roon:setPlayHistoryCooldown',
+  RESET_PLAY_HISTORY: 'roon:resetPlayHistory',
+
+  // Skip/like feedback
+  GET_NOW_PLAYING_RATING: 'roon:getNowPlayingRating',
+  RATE_NOW_PLAYING: 'roon:rateNowPlaying',
+  GET_ALBUM_FEEDBACK_SUMMARY: 'roon:getAlbumFeedbackSummary',
+  RESET_ALBUM_FEEDBACK: 'roon:resetAlbumFeedback',
+
+  // Saved filter presets
+  LIST_FILTER_PRESETS: 'roon:listFilterPresets',
+  SAVE_FILTER_PRESET: 'roon:saveFilterPreset',
+  APPLY_FILTER_PRESET: 'roon:applyFilterPreset',
+  DELETE_FILTER_PRESET: 'roon:deleteFilterPreset',
+
+  // Local HTTP control API
+  GET_CONTROL_API_SETTINGS: 'roon:getControlApiSettings',
+  SET_CONTROL_API_SETTINGS: 'roon:setControlApiSettings',
+  REGENERATE_CONTROL_API_TOKEN: 'roon:regenerateControlApiToken',
 };
 
 const RATE_LIMITS_MS = {
   LIST_GENRES: 1000,
   GET_SUBGENRES: 500,
+  LIST_TAGS: 1000,
   PLAY_RANDOM_ALBUM: 500,
+  QUEUE_RANDOM_ALBUMS: 1000,
   PLAY_ALBUM_BY_NAME: 500,
   PLAY_RANDOM_ALBUM_BY_ARTIST: 500,
 };
@@ -84,6 +154,176 @@ function createRateLimitedHandler(channel, intervalMs, handler) {
   };
 }
 
+/**
+ * Validates a filters object (or partial update) from the renderer
+ * Shared by setFilters and filter presets
+ * @param {*} filters - Filters to validate
+ * @throws {Error} If any filter field is invalid
+ */
+function validateFilters(filters) {
+  // Validate filters object
+  if (!Validators.isObject(filters)) {
+    throw new Error('Invalid filters: must be an object');
+  }
+
+  // Validate genres array if present
+  if (filters.genres !== undefined) {
+    if (!Validators.isStringArray(filters.genres)) {
+      throw new Error(
+        'Invalid filters.genres: must be an array of strings with max 100 items'
+      );
+    }
+  }
+
+  // Validate excludedArtists array if present
+  if (filters.excludedArtists !== undefined) {
+    if (!Validators.isArtistArray(filters.excludedArtists)) {
+      throw new Error(
+        'Invalid filters.excludedArtists: must be an array of strings with max 100 items'
+      );
+    }
+  }
+
+  // Validate artist match mode if present
+  if (filters.artistMatchMode !== undefined) {
+    if (!Validators.isValidArtistMatchMode(filters.artistMatchMode)) {
+      throw new Error(
+        `Invalid filters.artistMatchMode: must be one of ${ARTIST_MATCH_MODES.join(', ')}`
+      );
+    }
+  }
+
+  // Validate excludedGenres array if present
+  if (filters.excludedGenres !== undefined) {
+    if (!Validators.isStringArray(filters.excludedGenres)) {
+      throw new Error(
+        'Invalid filters.excludedGenres: must be an array of strings with max 100 items'
+      );
+    }
+  }
+
+  // Validate tag arrays if present
+  for (const key of ['includedTags', 'excludedTags']) {
+    if (filters[key] !== undefined && !Validators.isStringArray(filters[key])) {
+      throw new Error(
+        `Invalid filters.${key}: must be an array of strings with max 100 items`
+      );
+    }
+  }
+
+  // Validate excludedAlbums array if present
+  if (filters.excludedAlbums !== undefined) {
+    if (!Validators.isExcludedAlbumArray(filters.excludedAlbums)) {
+      throw new Error(
+        'Invalid filters.excludedAlbums: must be an array of { title, artist } objects with max 100 items'
+      );
+    }
+  }
+
+  // Validate genre weighting strategy if present
+  if (filters.genreWeighting !== undefined) {
+    if (!Validators.isValidGenreWeighting(filters.genreWeighting)) {
+      throw new Error(
+        `Invalid filters.genreWeighting: must be one of ${GENRE_WEIGHTING_STRATEGIES.join(', ')}`
+      );
+    }
+  }
+
+  // Validate custom genre weights if present
+  if (filters.genreWeights !== undefined) {
+    if (!Validators.isGenreWeightMap(filters.genreWeights)) {
+      throw new Error(
+        `Invalid filters.genreWeights: must map genre names to numbers between 0 and ${MAX_GENRE_WEIGHT}`
+      );
+    }
+  }
+
+  // Validate feedback weighting if present
+  if (
+    filters.feedbackWeighting !== undefined &&
+    typeof filters.feedbackWeighting !== 'boolean'
+  ) {
+    throw new Error('Invalid filters.feedbackWeighting: must be a boolean');
+  }
+
+  // Validate decades if present
+  if (filters.decades !== undefined) {
+    if (!Validators.isDecadeArray(filters.decades)) {
+      throw new Error(
+        `Invalid filters.decades: must be an array of decades (e.g. 1970) between ${MIN_RELEASE_YEAR} and ${MAX_RELEASE_YEAR}`
+      );
+    }
+  }
+
+  // Validate release year range if present
+  for (const key of ['yearFrom', 'yearTo']) {
+    if (
+      filters[key] !== undefined &&
+      !Validators.isValidReleaseYear(filters[key])
+    ) {
+      throw new Error(
+        `Invalid filters.${key}: must be null or a year between ${MIN_RELEASE_YEAR} and ${MAX_RELEASE_YEAR}`
+      );
+    }
+  }
+}
+
+/**
+ * Validates the optional target zone of a play request
+ * @param {*} targetZoneId - Zone ID, or null/undefined for the selected zone
+ * @throws {Error} If the zone ID is invalid
+ */
+function validateTargetZone(targetZoneId) {
+  if (
+    targetZoneId !== null &&
+    targetZoneId !== undefined &&
+    !Validators.isNonEmptyString(targetZoneId)
+  ) {
+    throw new Error('Invalid target zone: must be null or a zone ID');
+  }
+}
+
+/**
+ * Validates the options for a random pick
+ * @param {Object|null|undefined} options - Pick options ({ mode, type, maxMinutes, budgetMinutes })
+ * @throws {Error} If the options are invalid
+ */
+function validatePickOptions(options) {
+  if (options === null || options === undefined) return;
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Invalid pick options: must be an object');
+  }
+
+  if (options.mode !== undefined && !PICK_MODES.includes(options.mode)) {
+    throw new Error(
+      `Invalid pick mode: must be one of ${PICK_MODES.join(', ')}`
+    );
+  }
+
+  if (options.type !== undefined && !PICK_TYPES.includes(options.type)) {
+    throw new Error(
+      `Invalid pick type: must be one of ${PICK_TYPES.join(', ')}`
+    );
+  }
+
+  const isMinutes = value =>
+    Number.isInteger(value) && value >= 1 && value <= MAX_ALBUM_MINUTES_LIMIT;
+
+  ['maxMinutes', 'budgetMinutes'].forEach(key => {
+    const value = options[key];
+    if (value !== undefined && value !== null && !isMinutes(value)) {
+      throw new Error(
+        `Invalid ${key}: must be a whole number between 1 and ${MAX_ALBUM_MINUTES_LIMIT}`
+      );
+    }
+  });
+
+  if (options.type === 'fill' && !isMinutes(options.budgetMinutes)) {
+    throw new Error('Invalid budgetMinutes: required to fill a time budget');
+  }
+}
+
 // ==================== STATE & CONFIGURATION HANDLERS ====================
 
 /**
@@ -100,6 +340,7 @@ function registerStateHandlers(store, mainWindow) {
     coreName: RoonService.getCore()?.display_name,
     lastZoneId: store.get('lastZoneId'),
     filters: RoonService.getFilters(),
+    connection: RoonService.getConnectionStatus(),
   }));
 
   /**
@@ -139,28 +380,7 @@ function registerStateHandlers(store, mainWindow) {
    * @returns {Object} Updated filter settings
    */
   ipcMain.handle(IPC_CHANNELS.SET_FILTERS, (_event, filters) => {
-    // Validate filters object
-    if (!Validators.isObject(filters)) {
-      throw new Error('Invalid filters: must be an object');
-    }
-
-    // Validate genres array if present
-    if (filters.genres !== undefined) {
-      if (!Validators.isStringArray(filters.genres)) {
-        throw new Error(
-          'Invalid filters.genres: must be an array of strings with max 100 items'
-        );
-      }
-    }
-
-    // Validate excludedArtists array if present
-    if (filters.excludedArtists !== undefined) {
-      if (!Validators.isArtistArray(filters.excludedArtists)) {
-        throw new Error(
-          'Invalid filters.excludedArtists: must be an array of strings with max 100 items'
-        );
-      }
-    }
+    validateFilters(filters);
 
     return RoonService.setFilters(filters);
   });
@@ -226,6 +446,8 @@ function registerConnectionHandlers() {
 
   /**
    * Tests a connection to a Roon Core without changing settings
+   * Failures the test can explain resolve with { success: false, code,
+   * message, ... } because error codes don't survive an IPC rejection
    * @param {string} host - IP address or hostname to test
    * @param {number} port - Port number to test (default 9330)
    * @returns {Promise<Object>} Result with success status and core info
@@ -248,7 +470,13 @@ function registerConnectionHandlers() {
       return await RoonService.testConnection(host, portNum);
     } catch (error) {
       console.error('Connection test failed:', error);
-      throw error;
+      if (!error.code) throw error;
+      return {
+        success: false,
+        code: error.code,
+        message: error.message,
+        ...error.details,
+      };
     }
   });
 
@@ -292,6 +520,18 @@ function registerZoneHandlers(store, mainWindow) {
     return RoonService.getZoneNowPlaying(zoneId);
   });
 
+  /**
+   * Gets the tracks a zone played this session, newest first
+   * @param {string} zoneId - Zone identifier
+   * @returns {Array} Tracks with start time and time actually played
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_TRACK_HISTORY, (_event, zoneId) => {
+    if (!Validators.isNonEmptyString(zoneId)) {
+      throw new Error('Invalid zone ID: must be a non-empty string');
+    }
+    return RoonService.getTrackHistory(zoneId);
+  });
+
   /**
    * NEW: Actively refreshes and emits now playing for the current zone
    * This is useful for initial app startup to populate the Now Playing section
@@ -323,6 +563,86 @@ function registerZoneHandlers(store, mainWindow) {
 
     return nowPlaying;
   });
+
+  /**
+   * Groups zones so they play in sync (the first zone leads)
+   * @param {Array<string>} zoneIds - Zone identifiers
+   * @returns {Promise<void>}
+   */
+  ipcMain.handle(IPC_CHANNELS.GROUP_ZONES, async (_event, zoneIds) => {
+    if (!Validators.isStringArray(zoneIds) || zoneIds.length < 2) {
+      throw new Error(
+        'Invalid zones: must be an array of at least two zone IDs'
+      );
+    }
+
+    try {
+      return await RoonService.groupZones(zoneIds);
+    } catch (error) {
+      console.error('Failed to group zones:', error);
+      throw error;
+    }
+  });
+
+  /**
+   * Splits a grouped zone back into its outputs
+   * @param {string} zoneId - Grouped zone identifier
+   * @returns {Promise<void>}
+   */
+  ipcMain.handle(IPC_CHANNELS.UNGROUP_ZONE, async (_event, zoneId) => {
+    if (!Validators.isNonEmptyString(zoneId)) {
+      throw new Error('Invalid zone ID: must be a non-empty string');
+    }
+
+    try {
+      return await RoonService.ungroupZone(zoneId);
+    } catch (error) {
+      console.error('Failed to ungroup zone:', error);
+      throw error;
+    }
+  });
+
+  /**
+   * Gets the zones with auto-continue ("endless random") enabled
+   * @returns {Array<string>} Zone IDs
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_AUTO_CONTINUE_ZONES, () => {
+    return RoonService.getAutoContinueZones();
+  });
+
+  /**
+   * Turns auto-continue on or off for a zone
+   * Calling it again while enabled updates the genres used for the picks
+   * @param {string} zoneId - Zone identifier
+   * @param {boolean} enabled - Whether to keep the zone going
+   * @param {Array} genres - Genre objects or strings to filter picks by
+   * @returns {Array<string>} Zone IDs with auto-continue enabled
+   */
+  ipcMain.handle(
+    IPC_CHANNELS.SET_AUTO_CONTINUE,
+    (_event, zoneId, enabled, genres = []) => {
+      if (!Validators.isNonEmptyString(zoneId)) {
+        throw new Error('Invalid zone ID: must be a non-empty string');
+      }
+
+      if (typeof enabled !== 'boolean') {
+        throw new Error('Invalid enabled flag: must be a boolean');
+      }
+
+      if (!Validators.isGenreArray(genres)) {
+        throw new Error(
+          'Invalid genres: must be an array of genre objects or strings with max 100 items'
+        );
+      }
+
+      try {
+        return RoonService.setAutoContinue(zoneId, enabled, genres);
+      } catch (error) {
+        console.error('Failed to set auto-continue:', error);
+        throw error;
+      }
+    }
+  );
 }
 
 // ==================== PROFILE MANAGEMENT HANDLERS ====================
@@ -426,9 +746,31 @@ function registerMusicHandlers() {
     )
   );
 
+  /**
+   * Returns the library tags that hold albums, with album counts
+   * @returns {Promise<Array>} Array of tag objects (empty if the core has no tags)
+   */
+  ipcMain.handle(
+    IPC_CHANNELS.LIST_TAGS,
+    createRateLimitedHandler(
+      IPC_CHANNELS.LIST_TAGS,
+      RATE_LIMITS_MS.LIST_TAGS,
+      async () => {
+        try {
+          return await RoonService.listTags();
+        } catch (error) {
+          console.error('Failed to list tags:', error);
+          throw error;
+        }
+      }
+    )
+  );
+
   /**
    * Picks and plays a random album based on genre filters
    * @param {Array} genres - Array of genre objects or strings to filter by
+   * @param {string} [targetZoneId] - Zone to play on instead of the selected zone
+   * @param {Object} [options] - Pick options ({ mode, type, maxMinutes, budgetMinutes })
    * @returns {Promise<Object>} Album information and playback result
    */
   ipcMain.handle(
@@ -436,7 +778,7 @@ function registerMusicHandlers() {
     createRateLimitedHandler(
       IPC_CHANNELS.PLAY_RANDOM_ALBUM,
       RATE_LIMITS_MS.PLAY_RANDOM_ALBUM,
-      async (_event, genres) => {
+      async (_event, genres, targetZoneId, options) => {
         // Validate genres array (can be empty, strings, or genre objects)
         if (!Validators.isGenreArray(genres)) {
           throw new Error(
@@ -444,8 +786,15 @@ function registerMusicHandlers() {
           );
         }
 
+        validateTargetZone(targetZoneId);
+        validatePickOptions(options);
+
         try {
-          return await RoonService.pickRandomAlbumAndPlay(genres);
+          return await RoonService.pickRandomAlbumAndPlay(
+            genres,
+            targetZoneId,
+            options || {}
+          );
         } catch (error) {
           console.error('Failed to play random album:', error);
           throw error;
@@ -454,10 +803,52 @@ function registerMusicHandlers() {
     )
   );
 
+  /**
+   * Picks several random albums and adds them to the current zone's queue
+   * @param {Array} genres - Array of genre objects or strings to filter by
+   * @param {number} count - Number of albums to queue
+   * @param {string} action - 'addNext' or 'queue'
+   * @returns {Promise<Object>} Queued albums ({ albums, requested, error? })
+   */
+  ipcMain.handle(
+    IPC_CHANNELS.QUEUE_RANDOM_ALBUMS,
+    createRateLimitedHandler(
+      IPC_CHANNELS.QUEUE_RANDOM_ALBUMS,
+      RATE_LIMITS_MS.QUEUE_RANDOM_ALBUMS,
+      async (_event, genres, count, action) => {
+        if (!Validators.isGenreArray(genres)) {
+          throw new Error(
+            'Invalid genres: must be an array of genre objects or strings with max 100 items'
+          );
+        }
+
+        if (!Validators.isValidQueueCount(count)) {
+          throw new Error(
+            `Invalid album count: must be a whole number between 1 and ${MAX_QUEUE_ALBUMS}`
+          );
+        }
+
+        if (!Validators.isValidQueueAction(action)) {
+          throw new Error(
+            `Invalid queue action: must be one of ${QUEUE_ACTIONS.join(', ')}`
+          );
+        }
+
+        try {
+          return await RoonService.queueRandomAlbums(genres, count, action);
+        } catch (error) {
+          console.error('Failed to queue random albums:', error);
+          throw error;
+        }
+      }
+    )
+  );
+
   /**
    * Plays a specific album by name and artist
    * @param {string} albumTitle - Album title to search for
    * @param {string} artistName - Artist name to search for
+   * @param {string} [targetZoneId] - Zone to play on instead of the selected zone
    * @returns {Promise<Object>} Playback result
    */
   ipcMain.handle(
@@ -465,7 +856,7 @@ function registerMusicHandlers() {
     createRateLimitedHandler(
       IPC_CHANNELS.PLAY_ALBUM_BY_NAME,
       RATE_LIMITS_MS.PLAY_ALBUM_BY_NAME,
-      async (_event, albumTitle, artistName) => {
+      async (_event, albumTitle, artistName, targetZoneId) => {
         // Validate album title
         if (!Validators.isNonEmptyString(albumTitle, 500)) {
           throw new Error(
@@ -480,8 +871,14 @@ function registerMusicHandlers() {
           );
         }
 
+        validateTargetZone(targetZoneId);
+
         try {
-          return await RoonService.playAlbumByName(albumTitle, artistName);
+          return await RoonService.playAlbumByName(
+            albumTitle,
+            artistName,
+            targetZoneId
+          );
         } catch (error) {
           console.error('Failed to play album by name:', error);
           throw error;
@@ -494,6 +891,7 @@ function registerMusicHandlers() {
    * Plays a random album by the specified artist (excluding current album)
    * @param {string} artistName - Artist name
    * @param {string} currentAlbum - Current album to exclude from selection
+   * @param {string} [targetZoneId] - Zone to play on instead of the selected zone
    * @returns {Promise<Object>} Album information and playback result
    */
   ipcMain.handle(
@@ -501,7 +899,7 @@ function registerMusicHandlers() {
     createRateLimitedHandler(
       IPC_CHANNELS.PLAY_RANDOM_ALBUM_BY_ARTIST,
       RATE_LIMITS_MS.PLAY_RANDOM_ALBUM_BY_ARTIST,
-      async (_event, artistName, currentAlbum) => {
+      async (_event, artistName, currentAlbum, targetZoneId) => {
         // Validate artist name
         if (!Validators.isNonEmptyString(artistName, 500)) {
           throw new Error(
@@ -520,10 +918,13 @@ function registerMusicHandlers() {
           );
         }
 
+        validateTargetZone(targetZoneId);
+
         try {
           return await RoonService.playRandomAlbumByArtist(
             artistName,
-            currentAlbum
+            currentAlbum,
+            targetZoneId
           );
         } catch (error) {
           console.error('Failed to play random album by artist:', error);
@@ -542,30 +943,26 @@ function registerMusicHandlers() {
  */
 function registerMediaHandlers(store) {
   /**
-   * Retrieves album art or other images as data URLs
-   * @param {string} imageKey - Roon image key
-   * @param {Object} options - Image options (scale, width, height, format)
-   * @returns {Promise<string|null>} Data URL or null if not found
+   * Returns album art cache statistics for diagnostics
+   * @returns {Object} { memory, disk, fetches } with entries, bytes, budgets, hit rates and fetch queue counts
    */
-  ipcMain.handle(IPC_CHANNELS.GET_IMAGE, async (_event, imageKey, options) => {
-    // Validate image key
-    if (!Validators.isNonEmptyString(imageKey, 500)) {
-      console.error('Invalid image key: must be a non-empty string');
-      return null;
-    }
+  ipcMain.handle(IPC_CHANNELS.GET_IMAGE_CACHE_STATS, () => {
+    return RoonService.getImageCacheStats();
+  });
 
-    // Validate options if provided
-    if (options !== undefined && !Validators.isObject(options)) {
-      console.error('Invalid image options: must be an object');
-      return null;
+  /**
+   * Starts fetching album art the renderer is about to show
+   * @param {Array<string>} urls - roonimg:// URLs (invalid ones are skipped)
+   * @returns {number} Number of images requested
+   */
+  ipcMain.handle(IPC_CHANNELS.PREFETCH_IMAGES, (_event, urls) => {
+    if (!Validators.isStringArray(urls)) {
+      throw new Error(
+        'Invalid image URLs: must be an array of strings with max 100 items'
+      );
     }
 
-    try {
-      return await RoonService.getImageDataUrl(imageKey, options);
-    } catch (error) {
-      console.error('Failed to get image:', error);
-      return null;
-    }
+    return RoonService.prefetchImages(urls.map(parseImageUrl).filter(Boolean));
   });
 
   /**
@@ -581,30 +978,7 @@ function registerMediaHandlers(store) {
       );
     }
 
-    return new Promise((resolve, reject) => {
-      const selectedZoneId = store.get('lastZoneId');
-      const zone = RoonService.getRawZones().find(
-        z => z.zone_id === selectedZoneId
-      );
-
-      if (!zone) {
-        return reject(new Error('Selected zone not found'));
-      }
-
-      const transport = RoonService.getTransport();
-      if (!transport) {
-        return reject(new Error('Transport service not available'));
-      }
-
-      transport.control(zone, action, error => {
-        if (error) {
-          console.error(`Transport control '${action}' failed:`, error);
-          reject(error);
-        } else {
-          resolve();
-        }
-      });
-    });
+    return RoonService.controlTransport(store.get('lastZoneId'), action);
   });
 
   /**
@@ -712,13 +1086,37 @@ function registerMediaHandlers(store) {
 
 // ==================== ACTIVITY MANAGEMENT ====================
 
+/**
+ * Adds an album started through the app to the listening log
+ * Album entries are only exported; the tracks played from them are what
+ * gets submitted (see recordTrackPlayed)
+ * Failures are logged but never stop the activity item from being saved
+ * @param {Object} store - Electron store instance
+ * @param {ListeningLogService} listeningLog - Listening log
+ * @param {Object} activityItem - Saved activity item
+ */
+function recordListen(store, listeningLog, activityItem) {
+  try {
+    const zoneId = activityItem.zoneId || store.get('lastZoneId') || null;
+    const zone = RoonService.getZonesCache().find(z => z.id === zoneId);
+
+    listeningLog.record(activityItem, {
+      zoneId,
+      zoneName: zone?.name || null,
+      profile: RoonService.getCurrentProfile(),
+    });
+  } catch (error) {
+    console.error('Failed to record listen:', error);
+  }
+}
+
 /**
  * Registers activity persistence handlers
  * @param {Object} store - Electron store instance
+ * @param {ActivityService} activityService - Activity feed store
+ * @param {ListeningLogService} listeningLog - Listening log fed by new activity
  */
-function registerActivityHandlers(store) {
-  // Create ActivityService instance
-  const activityService = new ActivityService(store);
+function registerActivityHandlers(store, activityService, listeningLog) {
   /**
    * Gets all activity items (for UI display)
    * @returns {Array} Array of activity items
@@ -739,7 +1137,9 @@ function registerActivityHandlers(store) {
    */
   ipcMain.handle(IPC_CHANNELS.ADD_ACTIVITY, (_event, activityItem) => {
     try {
-      return activityService.add(activityItem);
+      const result = activityService.add(activityItem);
+      recordListen(store, listeningLog, activityItem);
+      return result;
     } catch (error) {
       console.error('Failed to add activity:', error);
       throw error;
@@ -774,12 +1174,414 @@ function registerActivityHandlers(store) {
   });
 }
 
+// ==================== LISTENING LOG ====================
+
+/**
+ * Adds a track from an app-started album to the listening log once it stops
+ * playing, and submits it when automatic submission is on
+ * Tracks that didn't play long enough to count are ignored
+ * @param {ListeningLogService} listeningLog - Listening log
+ * @param {Object} track - Track history entry
+ * @param {Object} context - { zoneId, zoneName, profile }
+ */
+function recordTrackPlayed(listeningLog, track, context) {
+  try {
+    if (!listeningLog.recordTrackListen(track, context)) return;
+  } catch (error) {
+    console.error('Failed to record track listen:', error);
+    return;
+  }
+
+  if (
+    listeningLog.getSubmissionSettings().autoSubmit &&
+    listeningLog.isSubmissionConfigured()
+  ) {
+    // Errors are kept in the log status for the settings screen
+    submitPendingListens(listeningLog).catch(() => {});
+  }
+}
+
+/**
+ * Gets the listening log status and submission settings for the UI
+ * @param {ListeningLogService} listeningLog - Listening log
+ * @returns {Object} Status ({ count, listens, pending, ... }) with submission settings
+ */
+function getListeningLogState(listeningLog) {
+  return {
+    ...listeningLog.getStatus(),
+    submission: listeningLog.getPublicSubmissionSettings(),
+    configured: listeningLog.isSubmissionConfigured(),
+  };
+}
+
+/**
+ * Registers handlers for the listening log, its exports and submission
+ * @param {ListeningLogService} listeningLog - Listening log
+ * @param {Object} mainWindow - Main window (parent of the save dialog)
+ */
+function registerListeningLogHandlers(listeningLog, mainWindow) {
+  RoonService.onTrackPlayed((track, context) =>
+    recordTrackPlayed(listeningLog, track, context)
+  );
+
+  /**
+   * Gets the log status and submission settings
+   * @returns {Object} Listening log state
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_LISTENING_LOG, () => {
+    return getListeningLogState(listeningLog);
+  });
+
+  /**
+   * Asks where to save the log and writes it in the chosen format
+   * @param {string} format - One of LISTENING_LOG_EXPORT_FORMATS
+   * @returns {Promise<Object>} { success, filePath, count, contents } or { success: false, canceled: true }
+   */
+  ipcMain.handle(IPC_CHANNELS.EXPORT_LISTENING_LOG, async (_event, format) => {
+    if (
+      typeof format !== 'string' ||
+      !Object.hasOwn(LISTENING_LOG_EXPORT_FORMATS, format)
+    ) {
+      throw new Error(
+        `Invalid export format: must be one of ${Object.keys(LISTENING_LOG_EXPORT_FORMATS).join(', ')}`
+      );
+    }
+
+    const { extension, label, contents } = LISTENING_LOG_EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+    const suffix = format === extension ? '' : `-${format}`;
+
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Listening Log',
+      defaultPath: `listening-log-${date}${suffix}.${extension}`,
+      filters: [{ name: label, extensions: [extension] }],
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    try {
+      const log = {
+        entries: listeningLog.getAll(),
+        listens: listeningLog.getListens(),
+      };
+      await fsPromises.writeFile(
+        filePath,
+        exportListeningLog(log, format),
+        'utf8'
+      );
+      return {
+        success: true,
+        filePath,
+        count: contents === 'tracks' ? log.listens.length : log.entries.length,
+        contents,
+      };
+    } catch (error) {
+      console.error('Failed to export listening log:', error);
+      throw error;
+    }
+  });
+
+  /**
+   * Clears the listening log
+   * @returns {Object} Listening log state
+   */
+  ipcMain.handle(IPC_CHANNELS.CLEAR_LISTENING_LOG, () => {
+    try {
+      listeningLog.clear();
+      return getListeningLogState(listeningLog);
+    } catch (error) {
+      console.error('Failed to clear listening log:', error);
+      throw error;
+    }
+  });
+
+  /**
+   * Updates the submission service, endpoint, credentials or auto-submit
+   * @param {Object} settings - Partial submission settings
+   * @returns {Object} Listening log state
+   */
+  ipcMain.handle(
+    IPC_CHANNELS.SET_LISTENING_LOG_SUBMISSION,
+    (_event, settings) => {
+      listeningLog.setSubmissionSettings(settings);
+      return getListeningLogState(listeningLog);
+    }
+  );
+
+  /**
+   * Submits every listen not sent yet
+   * @returns {Promise<Object>} Listening log state with the number submitted
+   */
+  ipcMain.handle(IPC_CHANNELS.SUBMIT_LISTENING_LOG, async () => {
+    const { submitted } = await submitPendingListens(listeningLog);
+    return { ...getListeningLogState(listeningLog), submitted };
+  });
+}
+
+// ==================== PLAY HISTORY MANAGEMENT ====================
+
+/**
+ * Registers handlers for the cross-session play history
+ */
+function registerPlayHistoryHandlers() {
+  /**
+   * Gets play history settings
+   * @returns {Object} Settings with cooldownDays and albumCount
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_PLAY_HISTORY_SETTINGS, () => {
+    return RoonService.getPlayHistorySettings();
+  });
+
+  /**
+   * Sets how many days a played album is skipped by the random picker
+   * @param {number} cooldownDays - Cooldown window in days (0 disables)
+   * @returns {Object} Updated settings
+   */
+  ipcMain.handle(
+    IPC_CHANNELS.SET_PLAY_HISTORY_COOLDOWN,
+    (_event, cooldownDays) => {
+      if (!Validators.isValidCooldownDays(cooldownDays)) {
+        throw new Error(
+          `Invalid cooldown: must be a whole number of days between 0 and ${MAX_COOLDOWN_DAYS}`
+        );
+      }
+
+      try {
+        return RoonService.setPlayHistoryCooldown(cooldownDays);
+      } catch (error) {
+        console.error('Failed to set play history cooldown:', error);
+        throw error;
+      }
+    }
+  );
+
+  /**
+   * Forgets all recorded plays
+   * @returns {Object} Updated settings
+   */
+  ipcMain.handle(IPC_CHANNELS.RESET_PLAY_HISTORY, () => {
+    try {
+      return RoonService.resetPlayHistory();
+    } catch (error) {
+      console.error('Failed to reset play history:', error);
+      throw error;
+    }
+  });
+}
+
+// ==================== ALBUM FEEDBACK ====================
+
+/**
+ * Registers handlers for skip/like feedback
+ */
+function registerAlbumFeedbackHandlers() {
+  /**
+   * Gets the rating of the album playing on a zone
+   * @param {string} zoneId - Zone identifier
+   * @returns {Object|null} { album, artist, rating } or null if nothing is playing
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_NOW_PLAYING_RATING, (_event, zoneId) => {
+    if (!Validators.isNonEmptyString(zoneId)) {
+      throw new Error('Invalid zone ID: must be a non-empty string');
+    }
+    return RoonService.getNowPlayingRating(zoneId);
+  });
+
+  /**
+   * Gives the album playing on a zone a thumbs up or down
+   * @param {string} zoneId - Zone identifier
+   * @param {number} rating - 1 (thumbs up), -1 (thumbs down) or 0 (clear)
+   * @returns {Object} { album, artist, rating }
+   */
+  ipcMain.handle(IPC_CHANNELS.RATE_NOW_PLAYING, (_event, zoneId, rating) => {
+    if (!Validators.isNonEmptyString(zoneId)) {
+      throw new Error('Invalid zone ID: must be a non-empty string');
+    }
+    if (![1, 0, -1].includes(rating)) {
+      throw new Error('Invalid rating: must be 1, 0 or -1');
+    }
+
+    try {
+      return RoonService.rateNowPlaying(zoneId, rating);
+    } catch (error) {
+      console.error('Failed to rate album:', error);
+      throw error;
+    }
+  });
+
+  /**
+   * Gets totals of the recorded feedback
+   * @returns {Object} { albumCount, liked, disliked, skipped }
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_ALBUM_FEEDBACK_SUMMARY, () => {
+    return RoonService.getAlbumFeedbackSummary();
+  });
+
+  /**
+   * Forgets every skip, play-through and rating
+   * @returns {Object} Updated totals
+   */
+  ipcMain.handle(IPC_CHANNELS.RESET_ALBUM_FEEDBACK, () => {
+    try {
+      return RoonService.resetAlbumFeedback();
+    } catch (error) {
+      console.error('Failed to reset album feedback:', error);
+      throw error;
+    }
+  });
+}
+
+// ==================== FILTER PRESETS ====================
+
+/**
+ * Registers handlers for saved filter presets
+ * @param {Object} store - Electron store instance
+ */
+function registerFilterPresetHandlers(store) {
+  const presetService = new FilterPresetService(store);
+
+  /**
+   * Lists saved presets
+   * @returns {Array} Presets sorted by name
+   */
+  ipcMain.handle(IPC_CHANNELS.LIST_FILTER_PRESETS, () => {
+    try {
+      return presetService.list();
+    } catch (error) {
+      console.error('Failed to list filter presets:', error);
+      return [];
+    }
+  });
+
+  /**
+   * Saves filters as a named preset (overwrites a preset with the same name)
+   * @param {string} name - Preset name
+   * @param {Object} filters - Filters to save, including selected genres
+   * @returns {Object} Saved preset
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_FILTER_PRESET, (_event, name, filters) => {
+    if (!Validators.isNonEmptyString(name, MAX_PRESET_NAME_LENGTH)) {
+      throw new Error(
+        `Invalid preset name: must be a non-empty string with max ${MAX_PRESET_NAME_LENGTH} characters`
+      );
+    }
+
+    validateFilters(filters);
+
+    try {
+      return presetService.save(name, filters);
+    } catch (error) {
+      console.error('Failed to save filter preset:', error);
+      throw error;
+    }
+  });
+
+  /**
+   * Applies a preset through setFilters, so the filters event updates the UI
+   * @param {string} presetId - Preset ID
+   * @returns {Object} Updated filter settings
+   */
+  ipcMain.handle(IPC_CHANNELS.APPLY_FILTER_PRESET, (_event, presetId) => {
+    if (!Validators.isNonEmptyString(presetId)) {
+      throw new Error('Invalid preset ID: must be a non-empty string');
+    }
+
+    const preset = presetService.get(presetId);
+    if (!preset) {
+      throw new Error('Preset not found');
+    }
+
+    return RoonService.setFilters(preset.filters, {
+      preset: { id: preset.id, name: preset.name },
+    });
+  });
+
+  /**
+   * Deletes a preset
+   * @param {string} presetId - Preset ID
+   * @returns {Object} Success result
+   */
+  ipcMain.handle(IPC_CHANNELS.DELETE_FILTER_PRESET, (_event, presetId) => {
+    try {
+      return presetService.delete(presetId);
+    } catch (error) {
+      console.error('Failed to delete filter preset:', error);
+      throw error;
+    }
+  });
+}
+
+// ==================== CONTROL API ====================
+
+/**
+ * Registers handlers for the local HTTP control API settings
+ */
+function registerControlApiHandlers() {
+  /**
+   * Gets control API settings and server status
+   * @returns {Object} { enabled, port, token, running, error }
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_CONTROL_API_SETTINGS, () => {
+    return ControlApi.getControlApiSettings();
+  });
+
+  /**
+   * Enables or disables the control API or changes its port
+   * @param {Object} settings - Partial settings ({ enabled, port })
+   * @returns {Promise<Object>} Updated settings and server status
+   */
+  ipcMain.handle(
+    IPC_CHANNELS.SET_CONTROL_API_SETTINGS,
+    async (_event, settings) => {
+      if (!Validators.isObject(settings)) {
+        throw new Error('Invalid settings: must be an object');
+      }
+
+      if (
+        settings.enabled !== undefined &&
+        typeof settings.enabled !== 'boolean'
+      ) {
+        throw new Error('Invalid enabled flag: must be a boolean');
+      }
+
+      if (
+        settings.port !== undefined &&
+        !Validators.isValidListenPort(settings.port)
+      ) {
+        throw new Error(
+          `Invalid port: must be a whole number between ${MIN_LISTEN_PORT} and ${MAX_PORT}`
+        );
+      }
+
+      try {
+        return await ControlApi.setControlApiSettings({
+          enabled: settings.enabled,
+          port: settings.port,
+        });
+      } catch (error) {
+        console.error('Failed to set control API settings:', error);
+        throw error;
+      }
+    }
+  );
+
+  /**
+   * Replaces the control API token
+   * @returns {Object} Updated settings and server status
+   */
+  ipcMain.handle(IPC_CHANNELS.REGENERATE_CONTROL_API_TOKEN, () => {
+    return ControlApi.regenerateControlApiToken();
+  });
+}
+
 // ==================== PUBLIC API ====================
 
 /**
  * Registers all IPC handlers for communication between main and renderer processes
  * @param {Object} store - Electron store instance for persistent data
  * @param {Object} mainWindow - Main window instance for sending events
+ * @returns {Object} { activityService } - Services shared with the control commands
  */
 export function registerIpcHandlers(store, mainWindow) {
   if (!store) {
@@ -792,6 +1594,12 @@ export function registerIpcHandlers(store, mainWindow) {
     );
   }
 
+  // Shared with the control commands, which read the same feed
+  const activityService = new ActivityService(store);
+
+  // Shared by the activity handlers (which feed it) and its own handlers
+  const listeningLog = new ListeningLogService(store, safeStorage);
+
   // Register all handler groups
   registerStateHandlers(store, mainWindow);
   registerConnectionHandlers();
@@ -799,7 +1607,14 @@ export function registerIpcHandlers(store, mainWindow) {
   registerProfileHandlers();
   registerMusicHandlers();
   registerMediaHandlers(store);
-  registerActivityHandlers(store);
+  registerActivityHandlers(store, activityService, listeningLog);
+  registerListeningLogHandlers(listeningLog, mainWindow);
+  registerPlayHistoryHandlers();
+  registerAlbumFeedbackHandlers();
+  registerFilterPresetHandlers(store);
+  registerControlApiHandlers();
 
   console.log('All IPC handlers registered successfully');
+
+  return { activityService };
 }
@@ -0,0 +1,316 @@
+/**
+ * Listening log helper functions
+ * Entry creation, trimming and export formats for the long-term listening
+ * log, kept free of Electron so they can be tested directly
+ *
+ * The log keeps two lists: albums started through the app (entries, for
+ * export only) and tracks from those albums that were actually played long
+ * enough to count as a listen (listens, which are what gets submitted).
+ */
+
+import { createHash } from 'crypto';
+
+// Listening log constants (exported for use in tests and error messages)
+export const LISTENING_LOG_STORAGE_VERSION = 1;
+export const MAX_LISTENING_LOG_ENTRIES = 50000; // Roughly 30 years of daily listening
+export const MAX_LOG_GENRES = 20;
+export const SUBMISSION_CLIENT_NAME = 'Roon Random Album';
+
+// Scrobbling rules shared by ListenBrainz and Last.fm: a track counts once
+// half of it (or 4 minutes, whichever is less) has played
+export const SCROBBLE_MIN_TRACK_SECONDS = 30; // Shorter tracks never count
+export const SCROBBLE_MAX_REQUIRED_PLAY_MS = 4 * 60 * 1000;
+
+/**
+ * Export formats and their file details
+ */
+// contents: which list of the log the format is made from
+export const LISTENING_LOG_EXPORT_FORMATS = {
+  csv: {
+    extension: 'csv',
+    mimeType: 'text/csv',
+    label: 'CSV',
+    contents: 'albums',
+  },
+  json: {
+    extension: 'json',
+    mimeType: 'application/json',
+    label: 'JSON',
+    contents: 'albums',
+  },
+  listenbrainz: {
+    extension: 'json',
+    mimeType: 'application/json',
+    label: 'ListenBrainz',
+    contents: 'tracks',
+  },
+  lastfm: {
+    extension: 'json',
+    mimeType: 'application/json',
+    label: 'Last.fm',
+    contents: 'tracks',
+  },
+};
+
+/**
+ * Submission services, their default endpoints and batch sizes
+ * Endpoints can be changed, e.g. to a self-hosted ListenBrainz or a local
+ * stand-in server
+ */
+export const SUBMISSION_SERVICES = {
+  listenbrainz: {
+    label: 'ListenBrainz',
+    defaultEndpoint: 'https://api.listenbrainz.org/1/submit-listens',
+    batchSize: 100,
+  },
+  lastfm: {
+    label: 'Last.fm',
+    defaultEndpoint: 'https://ws.audioscrobbler.com/2.0/',
+    batchSize: 50, // track.scrobble accepts at most 50 scrobbles per request
+  },
+};
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'timestamp',
+  'album',
+  'artist',
+  'zoneId',
+  'zoneName',
+  'profile',
+  'genres',
+  'playedVia',
+];
+
+/**
+ * Creates a log entry from an activity item
+ * @param {Object} item - Activity item ({ id, title, subtitle, timestamp, playedVia, zoneId, genres })
+ * @param {Object} [context] - Details known to the main process ({ zoneId, zoneName, profile })
+ * @returns {Object} Log entry
+ */
+export function createLogEntry(item, context = {}) {
+  const genres = Array.isArray(item.genres)
+    ? item.genres
+        .filter(genre => typeof genre === 'string' && genre.length > 0)
+        .slice(0, MAX_LOG_GENRES)
+    : [];
+
+  return {
+    id: item.id,
+    timestamp: item.timestamp || Date.now(),
+    album: item.title,
+    artist: item.subtitle,
+    zoneId: item.zoneId || context.zoneId || null,
+    zoneName: context.zoneName || null,
+    profile: context.profile || null,
+    genres,
+    playedVia: item.playedVia || null,
+  };
+}
+
+/**
+ * Checks whether a played track counts as a listen
+ * @param {Object} track - Track history entry ({ title, artist, length, playedMs })
+ * @returns {boolean} True once enough of the track has played
+ */
+export function hasPassedPlayThreshold(track) {
+  if (!track?.title || !track?.artist) return false;
+  const playedMs = track.playedMs || 0;
+
+  // Without a length only a long play is certain to be half the track
+  if (typeof track.length !== 'number') {
+    return playedMs >= SCROBBLE_MAX_REQUIRED_PLAY_MS;
+  }
+  if (track.length <= SCROBBLE_MIN_TRACK_SECONDS) return false;
+
+  return (
+    playedMs >= Math.min(track.length * 500, SCROBBLE_MAX_REQUIRED_PLAY_MS)
+  );
+}
+
+/**
+ * Creates a listen from a played track
+ * @param {Object} track - Track history entry ({ id, title, artist, album, length, startedAt })
+ * @param {Object} [context] - Details known to the main process ({ zoneId, zoneName, profile })
+ * @returns {Object} Listen
+ */
+export function createTrackListen(track, context = {}) {
+  return {
+    id: track.id,
+    timestamp: track.startedAt || Date.now(),
+    track: track.title,
+    artist: track.artist,
+    album: track.album || null,
+    durationMs:
+      typeof track.length === 'number' ? Math.round(track.length * 1000) : null,
+    zoneId: context.zoneId || null,
+    zoneName: context.zoneName || null,
+    profile: context.profile || null,
+  };
+}
+
+/**
+ * Keeps the newest entries when the log grows past its limit
+ * Entries are stored oldest first
+ * @param {Array} entries - Log entries
+ * @param {number} maxEntries - Maximum entries to keep
+ * @returns {Array} Trimmed entries
+ */
+export function trimListeningLog(
+  entries,
+  maxEntries = MAX_LISTENING_LOG_ENTRIES
+) {
+  if (entries.length <= maxEntries) return entries;
+  return entries.slice(entries.length - maxEntries);
+}
+
+/**
+ * Escapes a CSV field (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats entries as CSV with a header row
+ * Genres are joined with "; " and timestamps are ISO 8601 (UTC)
+ * @param {Array} entries - Log entries
+ * @returns {string} CSV text
+ */
+export function formatCsv(entries) {
+  const rows = entries.map(entry =>
+    CSV_COLUMNS.map(column => {
+      if (column === 'timestamp') {
+        return new Date(entry.timestamp).toISOString();
+      }
+      if (column === 'genres') {
+        return escapeCsvField((entry.genres || []).join('; '));
+      }
+      return escapeCsvField(entry[column]);
+    }).join(',')
+  );
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Converts played tracks to ListenBrainz listens
+ * @param {Array} listens - Listens (see createTrackListen)
+ * @returns {Array} Listens for a submit-listens payload
+ */
+export function toListenBrainzListens(listens) {
+  return listens.map(listen => ({
+    listened_at: Math.floor(listen.timestamp / 1000),
+    track_metadata: {
+      artist_name: listen.artist,
+      track_name: listen.track,
+      ...(listen.album ? { release_name: listen.album } : {}),
+      additional_info: {
+        media_player: 'Roon',
+        submission_client: SUBMISSION_CLIENT_NAME,
+        ...(listen.durationMs ? { duration_ms: listen.durationMs } : {}),
+      },
+    },
+  }));
+}
+
+/**
+ * Converts played tracks to Last.fm track.scrobble fields
+ * @param {Array} listens - Listens (see createTrackListen)
+ * @returns {Array} Scrobbles ({ artist, track, timestamp, album?, duration? })
+ */
+export function toLastfmScrobbles(listens) {
+  return listens.map(listen => ({
+    artist: listen.artist,
+    track: listen.track,
+    timestamp: Math.floor(listen.timestamp / 1000),
+    ...(listen.album ? { album: listen.album } : {}),
+    ...(listen.durationMs
+      ? { duration: Math.round(listen.durationMs / 1000) }
+      : {}),
+  }));
+}
+
+/**
+ * Builds the indexed parameters for a batched track.scrobble request
+ * @param {Array} scrobbles - Scrobbles from toLastfmScrobbles (at most 50)
+ * @returns {Object} Parameters such as { 'artist[0]': ..., 'track[0]': ... }
+ */
+export function toLastfmScrobbleParams(scrobbles) {
+  const params = {};
+  scrobbles.forEach((scrobble, index) => {
+    Object.entries(scrobble).forEach(([field, value]) => {
+      params[`${field}[${index}]`] = String(value);
+    });
+  });
+  return params;
+}
+
+/**
+ * Signs Last.fm API parameters
+ * The signature is the MD5 of every parameter (sorted by name, except format
+ * and callback) as name + value, followed by the shared secret
+ * @param {Object} params - Request parameters
+ * @param {string} secret - API shared secret
+ * @returns {string} api_sig value
+ */
+export function signLastfmParams(params, secret) {
+  const base = Object.keys(params)
+    .filter(name => name !== 'format' && name !== 'callback')
+    .sort()
+    .map(name => `${name}${params[name]}`)
+    .join('');
+
+  return createHash('md5')
+    .update(base + secret, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Exports the log in one of LISTENING_LOG_EXPORT_FORMATS
+ * CSV lists the albums; the ListenBrainz and Last.fm formats list played
+ * tracks, like a submission would; JSON holds both
+ * @param {Object} log - { entries, listens }
+ * @param {string} format - Export format
+ * @param {number} [now] - Export timestamp (for testing)
+ * @returns {string} File content
+ */
+export function exportListeningLog(
+  { entries = [], listens = [] },
+  format,
+  now = Date.now()
+) {
+  switch (format) {
+    case 'csv':
+      return formatCsv(entries);
+
+    case 'json':
+      return JSON.stringify(
+        {
+          version: LISTENING_LOG_STORAGE_VERSION,
+          exportedAt: new Date(now).toISOString(),
+          entries,
+          listens,
+        },
+        null,
+        2
+      );
+
+    case 'listenbrainz':
+      // Same shape as a submit-listens import payload
+      return JSON.stringify(
+        { listen_type: 'import', payload: toListenBrainzListens(listens) },
+        null,
+        2
+      );
+
+    case 'lastfm':
+      return JSON.stringify(toLastfmScrobbles(listens), null, 2);
+
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Listening Log Submitter - Sends the listening log to a scrobbling service
+ *
+ * Submits listens that have not been sent yet to ListenBrainz (submit-listens)
+ * or Last.fm (track.scrobble), in batches, oldest first. Progress is saved
+ * after every batch, so a failed submission resumes where it stopped. The
+ * endpoint is configurable, so a self-hosted service or a local stand-in
+ * server can receive the listens instead.
+ */
+
+import http from 'http';
+import https from 'https';
+import { URL, URLSearchParams } from 'url';
+
+import {
+  SUBMISSION_SERVICES,
+  toListenBrainzListens,
+  toLastfmScrobbles,
+  toLastfmScrobbleParams,
+  signLastfmParams,
+} from './listeningLogHelpers.js';
+import { ApiError, ValidationError } from './errors/AppError.js';
+
+// Submission constants (exported for use in tests)
+export const SUBMISSION_TIMEOUT_MS = 15000;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+// Submission running now (shared, so automatic and manual submits don't overlap)
+let submissionPromise = null;
+
+/**
+ * Sends an HTTP POST request
+ * @param {string} endpoint - URL to post to
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @returns {Promise<Object>} { status, body } with the body parsed as JSON when possible
+ */
+function post(endpoint, headers, body) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(endpoint);
+    const transport = url.protocol === 'https:' ? https : http;
+
+    const request = transport.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: SUBMISSION_TIMEOUT_MS,
+      },
+      response => {
+        const chunks = [];
+        let size = 0;
+        response.on('data', chunk => {
+          size += chunk.length;
+          if (size <= MAX_RESPONSE_BYTES) chunks.push(chunk);
+        });
+        response.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          let parsed = text;
+          try {
+            parsed = text ? JSON.parse(text) : null;
+          } catch {
+            // Not JSON, keep the text for the error message
+          }
+          resolve({ status: response.statusCode, body: parsed });
+        });
+      }
+    );
+
+    request.on('timeout', () => {
+      request.destroy(new Error('The submission timed out'));
+    });
+    request.on('error', error =>
+      reject(
+        new ApiError(`Could not reach ${url.host}: ${error.message}`, {
+          endpoint,
+        })
+      )
+    );
+    request.end(body);
+  });
+}
+
+/**
+ * Creates the error for a submission the service turned down
+ * @param {string} serviceLabel - Service name
+ * @param {number|string} code - HTTP status or service error code
+ * @param {*} body - Parsed response body
+ * @returns {ApiError} Error with the service's message, if it sent one
+ */
+function createRejectionError(serviceLabel, code, body) {
+  const message =
+    typeof body === 'string'
+      ? body.slice(0, 200)
+      : body?.error_description || body?.message || null;
+
+  return new ApiError(
+    `${serviceLabel} rejected the submission (${code})${message ? `: ${message}` : ''}`,
+    { code }
+  );
+}
+
+/**
+ * Submits one batch to ListenBrainz
+ * @param {Object} settings - Submission settings
+ * @param {string} endpoint - submit-listens URL
+ * @param {Array} listens - Listens
+ */
+async function submitListenBrainzBatch(settings, endpoint, listens) {
+  const { status, body } = await post(
+    endpoint,
+    {
+      Authorization: `Token ${settings.token}`,
+      'Content-Type': 'application/json',
+    },
+    JSON.stringify({
+      listen_type: listens.length === 1 ? 'single' : 'import',
+      payload: toListenBrainzListens(listens),
+    })
+  );
+
+  if (status < 200 || status >= 300) {
+    throw createRejectionError('ListenBrainz', status, body);
+  }
+}
+
+/**
+ * Submits one batch to Last.fm
+ * @param {Object} settings - Submission settings
+ * @param {string} endpoint - API root URL
+ * @param {Array} listens - Listens (at most 50)
+ */
+async function submitLastfmBatch(settings, endpoint, listens) {
+  const params = {
+    method: 'track.scrobble',
+    api_key: settings.apiKey,
+    sk: settings.sessionKey,
+    ...toLastfmScrobbleParams(toLastfmScrobbles(listens)),
+  };
+  params.api_sig = signLastfmParams(params, settings.apiSecret);
+  params.format = 'json';
+
+  const { status, body } = await post(
+    endpoint,
+    { 'Content-Type': 'application/x-www-form-urlencoded' },
+    new URLSearchParams(params).toString()
+  );
+
+  // Last.fm reports most errors in the body of a 200 response
+  if (status < 200 || status >= 300 || body?.error) {
+    throw createRejectionError('Last.fm', body?.error || status, body);
+  }
+}
+
+/**
+ * Submits every pending listen
+ * Concurrent calls share the submission already running
+ * @param {Object} listeningLog - ListeningLogService instance
+ * @returns {Promise<Object>} { submitted } number of listens sent
+ * @throws {ValidationError} If the service is not set up
+ * @throws {ApiError} If the service could not be reached or rejected a batch
+ */
+export function submitPendingListens(listeningLog) {
+  if (submissionPromise) return submissionPromise;
+
+  submissionPromise = (async () => {
+    if (!listeningLog.isSubmissionConfigured()) {
+      throw new ValidationError(
+        'Add your credentials for the selected service before submitting.'
+      );
+    }
+
+    const settings = listeningLog.getSubmissionSettings();
+    const service = SUBMISSION_SERVICES[settings.service];
+    const endpoint = settings.endpoint || service.defaultEndpoint;
+    const submitBatch =
+      settings.service === 'lastfm'
+        ? submitLastfmBatch
+        : submitListenBrainzBatch;
+
+    const pending = listeningLog.getPending();
+    let submitted = 0;
+
+    try {
+      for (let i = 0; i < pending.length; i += service.batchSize) {
+        const batch = pending.slice(i, i + service.batchSize);
+        await submitBatch(settings, endpoint, batch);
+
+        submitted += batch.length;
+        listeningLog.recordSubmission({
+          through: batch[batch.length - 1].id,
+        });
+      }
+    } catch (error) {
+      listeningLog.recordSubmission({ error: error.message });
+      console.error(
+        `[ListeningLog] Submission stopped after ${submitted} of ${pending.length} listens:`,
+        error.message
+      );
+      throw error;
+    }
+
+    if (submitted > 0) {
+      console.log(
+        `[ListeningLog] Submitted ${submitted} listens to ${service.label}`
+      );
+    }
+    return { submitted };
+  })();
+
+  return submissionPromise.finally(() => {
+    submissionPromise = null;
+  });
+}
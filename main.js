@@ -6,12 +6,19 @@
  * the main and renderer processes.
  */
 
-import { app, BrowserWindow, dialog } from 'electron';
+import { app, BrowserWindow, dialog, safeStorage } from 'electron';
 import path from 'path';
 import Store from 'electron-store';
 import { fileURLToPath } from 'url';
-import { initialize as initializeRoonService } from './roonService.js';
+import * as RoonService from './roonService.js';
 import { registerIpcHandlers } from './ipcHandlers.js';
+import {
+  initialize as initializeControlApi,
+  stopControlApi,
+} from './controlApi.js';
+import { createControlCommands } from './controlCommands.js';
+import { startControlSocket, stopControlSocket } from './controlSocket.js';
+import { registerImageScheme, handleImageProtocol } from './imageProtocol.js';
 
 // ==================== CONSTANTS ====================
 
@@ -35,6 +42,32 @@ const STORE_DEFAULTS = {
   filters: {
     genres: [], // Genre filter settings
     excludedArtists: [], // Artists to exclude from random selection
+    artistMatchMode: 'primary', // How exclusions match collaborations
+    excludedGenres: [], // Genres (and their subgenres) to exclude
+    excludedAlbums: [], // Albums to exclude ({ title, artist })
+    includedTags: [], // Only pick albums carrying one of these tags
+    excludedTags: [], // Never pick albums carrying these tags
+    genreWeighting: 'proportional', // How multi-genre picks choose a genre
+    genreWeights: {}, // Custom weight per genre key ("Jazz", "Jazz::Bebop")
+    decades: [], // Decades to pick from (1970 = the 1970s)
+    yearFrom: null, // Earliest release year
+    yearTo: null, // Latest release year
+  },
+  albumYearData: {
+    // Release years read from album pages (null = not shown by the Core)
+    years: {},
+    version: 1,
+  },
+  playHistoryData: {
+    // Cross-session play history for the "don't repeat for N days" cooldown
+    plays: {},
+    cooldownDays: 7,
+    version: 1,
+  },
+  filterPresetData: {
+    // Named filter presets ("Sunday morning", "Dinner party")
+    presets: [],
+    version: 1,
   },
   activityData: {
     // Activity persistence data structure
@@ -50,6 +83,12 @@ const STORE_DEFAULTS = {
     host: null, // IP address or hostname for manual connection
     port: 9330, // Default Roon Core port
   },
+  // Local HTTP control API (off until enabled in Settings)
+  controlApi: {
+    enabled: false,
+    port: 37913, // Loopback port
+    token: null, // Bearer token, generated on first use (encrypted when the OS allows)
+  },
 };
 
 // Security configuration for renderer process
@@ -71,6 +110,9 @@ const store = new Store({
 // Main application window reference
 let mainWindow;
 
+// Album art is served over roonimg:// (the scheme must be known before ready)
+registerImageScheme();
+
 // ==================== WINDOW MANAGEMENT ====================
 
 /**
@@ -105,6 +147,9 @@ function createMainWindow() {
  * Handles window creation with proper initialization sequence
  */
 function handleAppReady() {
+  // Serve album art before the window starts requesting it
+  handleImageProtocol(RoonService.getImage);
+
   // Create the main window
   createMainWindow();
 
@@ -118,10 +163,25 @@ function handleAppReady() {
 function initializeBackendServices() {
   try {
     // Initialize Roon service with window and store references
-    initializeRoonService(mainWindow, store);
+    RoonService.initialize(mainWindow, store);
 
     // Register all IPC handlers for UI communication
-    registerIpcHandlers(store, mainWindow);
+    const { activityService } = registerIpcHandlers(store, mainWindow);
+
+    // Remote front ends share one command runner
+    const runControlCommand = createControlCommands({
+      roon: RoonService,
+      store,
+      activityService,
+    });
+
+    // Start the local control API if the user has enabled it
+    initializeControlApi(store, runControlCommand, safeStorage);
+
+    // Accept commands from the roon-random CLI (the app works without it)
+    startControlSocket(runControlCommand).catch(error => {
+      console.error('[ControlSocket] Failed to start:', error.message);
+    });
 
     console.log('Backend services initialized successfully');
   } catch (error) {
@@ -182,7 +242,12 @@ app.on('before-quit', () => {
     mainWindow = null;
   }
 
-  // The Roon service will automatically disconnect when the process exits
+  // Stop accepting control API and CLI requests
+  stopControlApi();
+  stopControlSocket();
+
+  // Stop reconnecting; the Roon connection closes when the process exits
+  RoonService.shutdown();
   console.log('Cleanup complete');
 });
 
@@ -0,0 +1,72 @@
+/**
+ * MOO protocol helpers
+ *
+ * Roon Cores speak MOO over a WebSocket at ws://host:port/api: each frame
+ * is a first line ("MOO/1 REQUEST com.roonlabs.registry:1/info" or
+ * "MOO/1 COMPLETE Success"), "Name: value" headers, a blank line and an
+ * optional body. node-roon-api handles this for the real connection; these
+ * helpers let the connection test talk to a Core without pairing through it.
+ */
+
+// Registry service method (exported for use in tests)
+export const MOO_REGISTRY_INFO = 'com.roonlabs.registry:1/info';
+
+/**
+ * Encodes a MOO request frame
+ * @param {string} name - Service method ("com.roonlabs.registry:1/info")
+ * @param {number} requestId - Request id echoed back in the response
+ * @param {Object} [body] - JSON body
+ * @returns {Buffer} Frame to send as a binary WebSocket message
+ */
+export function encodeMooRequest(name, requestId, body) {
+  let header = `MOO/1 REQUEST ${name}\nRequest-Id: ${requestId}\n`;
+  let content = Buffer.alloc(0);
+
+  if (body !== undefined) {
+    content = Buffer.from(JSON.stringify(body), 'utf8');
+    header += `Content-Length: ${content.length}\nContent-Type: application/json\n`;
+  }
+
+  return Buffer.concat([Buffer.from(`${header}\n`, 'utf8'), content]);
+}
+
+/**
+ * Parses a MOO frame
+ * @param {Buffer|string} data - Received WebSocket message
+ * @returns {Object|null} { verb, name, requestId, headers, body } or null if the data isn't MOO
+ */
+export function parseMooMessage(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+  const separator = buffer.indexOf('\n\n');
+  if (separator === -1) return null;
+
+  const [firstLine, ...headerLines] = buffer
+    .subarray(0, separator)
+    .toString('utf8')
+    .split('\n');
+
+  const match = /^MOO\/(\d+) ([A-Z]+) (.+)$/.exec(firstLine);
+  if (!match) return null;
+
+  const headers = {};
+  for (const line of headerLines) {
+    const header = /^([^:]+):\s*(.*)$/.exec(line);
+    if (!header) return null;
+    headers[header[1]] = header[2];
+  }
+
+  const requestId = Number(headers['Request-Id']);
+  if (!Number.isInteger(requestId)) return null;
+
+  let body = null;
+  const content = buffer.subarray(separator + 2);
+  if (content.length > 0 && headers['Content-Type'] === 'application/json') {
+    try {
+      body = JSON.parse(content.toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  return { verb: match[2], name: match[3], requestId, headers, body };
+}
@@ -0,0 +1,78 @@
+/**
+ * Play history helper functions
+ * Separated from PlayHistoryService to enable testing without Electron dependencies
+ */
+
+// Play history constants (exported for use in tests and validation)
+export const PLAY_HISTORY_STORAGE_VERSION = 1;
+export const DEFAULT_COOLDOWN_DAYS = 7;
+export const MAX_COOLDOWN_DAYS = 365;
+export const MAX_PLAY_HISTORY_ITEMS = 5000;
+export const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// How a random pick chooses within the candidate list
+export const PICK_MODES = [
+  'random', // Every candidate equally likely
+  'rediscover', // Favour albums the app has not played for the longest
+];
+// In rediscover mode, albums not played for this long get full weight
+export const REDISCOVER_FULL_WEIGHT_DAYS = 365;
+// Keeps albums played just after their cooldown in the running
+export const REDISCOVER_MIN_WEIGHT = 0.02;
+
+/**
+ * Checks whether an album played at the given time is still in its cooldown window
+ * @param {number|undefined} lastPlayed - Timestamp of the last play
+ * @param {number} cooldownDays - Cooldown window in days (0 disables the cooldown)
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {boolean} True if the album should not be picked yet
+ */
+export function isInCooldown(lastPlayed, cooldownDays, now = Date.now()) {
+  if (typeof lastPlayed !== 'number' || !(cooldownDays > 0)) {
+    return false;
+  }
+
+  return now - lastPlayed < cooldownDays * MILLISECONDS_PER_DAY;
+}
+
+/**
+ * Gets an album's selection weight in rediscover mode
+ * The weight grows with the time since the album was last played, up to
+ * full weight after REDISCOVER_FULL_WEIGHT_DAYS. Albums the app never
+ * played have full weight, so they are picked uniformly among themselves.
+ * @param {number|undefined} lastPlayed - Timestamp of the last play
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {number} Weight between REDISCOVER_MIN_WEIGHT and 1
+ */
+export function getRediscoverWeight(lastPlayed, now = Date.now()) {
+  if (typeof lastPlayed !== 'number') return 1;
+
+  const daysSincePlayed = Math.max(0, now - lastPlayed) / MILLISECONDS_PER_DAY;
+  return Math.min(
+    1,
+    Math.max(
+      REDISCOVER_MIN_WEIGHT,
+      daysSincePlayed / REDISCOVER_FULL_WEIGHT_DAYS
+    )
+  );
+}
+
+/**
+ * Trims the play history to the most recently played albums
+ * @param {Object} plays - Map of album key to last played timestamp
+ * @param {number} maxItems - Maximum number of albums to keep
+ * @returns {Object} Trimmed map
+ */
+export function trimPlayHistory(plays, maxItems = MAX_PLAY_HISTORY_ITEMS) {
+  const entries = Object.entries(plays || {}).filter(
+    ([, timestamp]) => typeof timestamp === 'number' && timestamp > 0
+  );
+
+  if (entries.length <= maxItems) {
+    return Object.fromEntries(entries);
+  }
+
+  return Object.fromEntries(
+    entries.sort((a, b) => b[1] - a[1]).slice(0, maxItems)
+  );
+}
@@ -19,16 +19,31 @@ contextBridge.exposeInMainWorld('roon', {
   listGenres: () => ipcRenderer.invoke('roon:listGenres'),
   getSubgenres: genreTitle =>
     ipcRenderer.invoke('roon:getSubgenres', genreTitle),
-  playRandomAlbum: genres => ipcRenderer.invoke('roon:playRandomAlbum', genres),
-  playAlbumByName: (album, artist) =>
-    ipcRenderer.invoke('roon:playAlbumByName', album, artist),
-  playRandomAlbumByArtist: (artist, currentAlbum) =>
-    ipcRenderer.invoke('roon:playRandomAlbumByArtist', artist, currentAlbum),
-  getImage: (imageKey, opts) =>
-    ipcRenderer.invoke('roon:getImage', imageKey, opts),
+  listTags: () => ipcRenderer.invoke('roon:listTags'),
+  playRandomAlbum: (genres, targetZoneId, options) =>
+    ipcRenderer.invoke('roon:playRandomAlbum', genres, targetZoneId, options),
+  queueRandomAlbums: (genres, count, action) =>
+    ipcRenderer.invoke('roon:queueRandomAlbums', genres, count, action),
+  playAlbumByName: (album, artist, targetZoneId) =>
+    ipcRenderer.invoke('roon:playAlbumByName', album, artist, targetZoneId),
+  playRandomAlbumByArtist: (artist, currentAlbum, targetZoneId) =>
+    ipcRenderer.invoke(
+      'roon:playRandomAlbumByArtist',
+      artist,
+      currentAlbum,
+      targetZoneId
+    ),
+  groupZones: zoneIds => ipcRenderer.invoke('roon:groupZones', zoneIds),
+  ungroupZone: zoneId => ipcRenderer.invoke('roon:ungroupZone', zoneId),
+  getAutoContinueZones: () => ipcRenderer.invoke('roon:getAutoContinueZones'),
+  setAutoContinue: (zoneId, enabled, genres) =>
+    ipcRenderer.invoke('roon:setAutoContinue', zoneId, enabled, genres),
+  getImageCacheStats: () => ipcRenderer.invoke('roon:getImageCacheStats'),
+  prefetchImages: urls => ipcRenderer.invoke('roon:prefetchImages', urls),
   getZoneNowPlaying: zoneId =>
     ipcRenderer.invoke('roon:getZoneNowPlaying', zoneId),
   refreshNowPlaying: () => ipcRenderer.invoke('roon:refreshNowPlaying'), // NEW
+  getTrackHistory: zoneId => ipcRenderer.invoke('roon:getTrackHistory', zoneId),
   transportControl: action =>
     ipcRenderer.invoke('roon:transport:control', action),
   seek: seconds => ipcRenderer.invoke('roon:seek', seconds),
@@ -48,6 +63,47 @@ contextBridge.exposeInMainWorld('roon', {
   clearActivity: () => ipcRenderer.invoke('roon:clearActivity'),
   removeActivity: itemId => ipcRenderer.invoke('roon:removeActivity', itemId),
 
+  // Long-term listening log
+  getListeningLog: () => ipcRenderer.invoke('roon:getListeningLog'),
+  exportListeningLog: format =>
+    ipcRenderer.invoke('roon:exportListeningLog', format),
+  clearListeningLog: () => ipcRenderer.invoke('roon:clearListeningLog'),
+  setListeningLogSubmission: settings =>
+    ipcRenderer.invoke('roon:setListeningLogSubmission', settings),
+  submitListeningLog: () => ipcRenderer.invoke('roon:submitListeningLog'),
+
+  // Cross-session play history
+  getPlayHistorySettings: () =>
+    ipcRenderer.invoke('roon:getPlayHistorySettings'),
+  setPlayHistoryCooldown: days =>
+    ipcRenderer.invoke('roon:setPlayHistoryCooldown', days),
+  resetPlayHistory: () => ipcRenderer.invoke('roon:resetPlayHistory'),
+
+  // Skip/like feedback
+  getNowPlayingRating: zoneId =>
+    ipcRenderer.invoke('roon:getNowPlayingRating', zoneId),
+  rateNowPlaying: (zoneId, rating) =>
+    ipcRenderer.invoke('roon:rateNowPlaying', zoneId, rating),
+  getAlbumFeedbackSummary: () =>
+    ipcRenderer.invoke('roon:getAlbumFeedbackSummary'),
+  resetAlbumFeedback: () => ipcRenderer.invoke('roon:resetAlbumFeedback'),
+
+  // Saved filter presets
+  listFilterPresets: () => ipcRenderer.invoke('roon:listFilterPresets'),
+  saveFilterPreset: (name, filters) =>
+    ipcRenderer.invoke('roon:saveFilterPreset', name, filters),
+  applyFilterPreset: presetId =>
+    ipcRenderer.invoke('roon:applyFilterPreset', presetId),
+  deleteFilterPreset: presetId =>
+    ipcRenderer.invoke('roon:deleteFilterPreset', presetId),
+
+  // Local HTTP control API
+  getControlApiSettings: () => ipcRenderer.invoke('roon:getControlApiSettings'),
+  setControlApiSettings: settings =>
+    ipcRenderer.invoke('roon:setControlApiSettings', settings),
+  regenerateControlApiToken: () =>
+    ipcRenderer.invoke('roon:regenerateControlApiToken'),
+
   onEvent: callback => {
     if (typeof callback !== 'function') return () => {};
 
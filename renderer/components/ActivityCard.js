@@ -73,6 +73,7 @@ export function ActivityCard(props) {
                     className: 'thumb',
                     src: item.art,
                     alt: item.title,
+                    loading: 'lazy',
                   })
                 : e('div', { className: 'thumb' }),
               e(
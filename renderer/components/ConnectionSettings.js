@@ -5,9 +5,18 @@
  * including IP address and port for direct WebSocket connections.
  */
 
+import { CONNECTION_TEST_ERRORS } from '../constants/connection.js';
+
 // Get React from window (loaded via CDN)
 const { createElement: e, useState, useEffect } = window.React;
 
+// What each connection test error code means, shown before the details
+const TEST_ERROR_TITLES = {
+  [CONNECTION_TEST_ERRORS.UNREACHABLE]: 'Roon Core unreachable',
+  [CONNECTION_TEST_ERRORS.NOT_ROON_CORE]: 'Not a Roon Core',
+  [CONNECTION_TEST_ERRORS.AUTH_PENDING]: 'Authorization pending',
+};
+
 /**
  * Connection Settings Modal
  * @param {Object} props - Component props
@@ -27,7 +36,7 @@ export function ConnectionSettings({
   const [mode, setMode] = useState(currentSettings?.mode || 'auto');
   const [host, setHost] = useState(currentSettings?.host || '');
   const [port, setPort] = useState(currentSettings?.port || 9330);
-  const [testStatus, setTestStatus] = useState(null); // null, 'testing', 'success', 'error'
+  const [testStatus, setTestStatus] = useState(null); // null, 'testing', 'success', 'pending', 'error'
   const [testMessage, setTestMessage] = useState('');
   const [isSaving, setIsSaving] = useState(false);
 
@@ -63,8 +72,23 @@ export function ConnectionSettings({
         host.trim(),
         parseInt(port, 10)
       );
-      setTestStatus('success');
-      setTestMessage(`Connected to ${result.coreName}`);
+
+      if (result.success) {
+        setTestStatus('success');
+        setTestMessage(
+          `Connected to ${result.coreName}${result.version ? ` (Roon ${result.version})` : ''}`
+        );
+      } else {
+        // A Core waiting for authorization is reachable, just not enabled yet
+        setTestStatus(
+          result.code === CONNECTION_TEST_ERRORS.AUTH_PENDING
+            ? 'pending'
+            : 'error'
+        );
+        setTestMessage(
+          `${TEST_ERROR_TITLES[result.code] || 'Connection failed'}: ${result.message}`
+        );
+      }
     } catch (error) {
       setTestStatus('error');
       setTestMessage(error.message || 'Connection failed');
@@ -111,6 +135,7 @@ export function ConnectionSettings({
       case 'error':
         return '#ef4444';
       case 'testing':
+      case 'pending':
         return '#f59e0b';
       default:
         return 'var(--muted)';
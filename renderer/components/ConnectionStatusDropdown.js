@@ -47,26 +47,98 @@ function CheckIcon() {
   );
 }
 
+/**
+ * Describes the connection for the trigger button and the status row
+ * @param {Object|null} connection - Connection supervisor status
+ * @param {boolean} paired - Whether connected to Roon Core
+ * @param {string} coreName - Name of the connected core
+ * @param {number} now - Current time (for the retry countdown)
+ * @returns {Object} { text, color, detail }
+ */
+function describeConnection(connection, paired, coreName, now) {
+  switch (connection?.state) {
+    case 'paired':
+      return {
+        text: connection.coreName || coreName || 'Connected',
+        color: '#22c55e', // green
+        detail: null,
+      };
+    case 'degraded':
+      return {
+        text: connection.coreName || coreName || 'Connected',
+        color: '#f59e0b', // amber
+        detail: 'Roon Core is slow to respond',
+      };
+    case 'discovering':
+      return {
+        text: 'Searching...',
+        color: '#3b82f6', // blue
+        detail:
+          connection.attempt > 0
+            ? `Looking for a Roon Core (attempt ${connection.attempt + 1})`
+            : 'Looking for a Roon Core on the network',
+      };
+    case 'pairing':
+      return {
+        text: 'Connecting...',
+        color: '#3b82f6',
+        detail: `Connecting to ${connection.host}:${connection.port}. If this takes a while, enable the extension in Roon Settings > Extensions.`,
+      };
+    case 'lost': {
+      const seconds = Math.max(
+        0,
+        Math.ceil(((connection.retryAt || now) - now) / 1000)
+      );
+      return {
+        text: 'Reconnecting...',
+        color: '#ef4444', // red
+        detail: `${connection.error || 'Connection lost'}. Retrying ${
+          seconds > 0 ? `in ${seconds}s` : 'now'
+        } (attempt ${connection.attempt + 1}).`,
+      };
+    }
+    default:
+      return paired
+        ? { text: coreName || 'Connected', color: '#22c55e', detail: null }
+        : { text: 'Disconnected', color: '#ef4444', detail: null };
+  }
+}
+
 /**
  * Connection Status Dropdown
  * @param {Object} props - Component props
  * @param {boolean} props.paired - Whether connected to Roon Core
  * @param {string} props.coreName - Name of the connected core
+ * @param {Object|null} props.connection - Connection supervisor status { state, mode, host, port, coreName, attempt, retryAt, error }
  * @param {Object} props.connectionSettings - Current connection settings { mode, host, port }
  * @param {Function} props.onModeChange - Callback when mode is changed (mode) => void
  * @param {Function} props.onOpenSettings - Callback to open full settings modal
+ * @param {Function} props.onRetry - Callback to reconnect right away
  * @returns {React.Element} Dropdown element
  */
 export function ConnectionStatusDropdown({
   paired,
   coreName,
+  connection,
   connectionSettings,
   onModeChange,
   onOpenSettings,
+  onRetry,
 }) {
   const [isOpen, setIsOpen] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
   const dropdownRef = useRef(null);
 
+  // Tick the retry countdown while a reconnection is scheduled
+  const retryAt = connection?.state === 'lost' ? connection.retryAt : null;
+  useEffect(() => {
+    setNow(Date.now());
+    if (!retryAt) return;
+
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [retryAt]);
+
   // Close dropdown when clicking outside
   useEffect(() => {
     function handleClickOutside(event) {
@@ -100,13 +172,9 @@ export function ConnectionStatusDropdown({
   const hasManualConfig = connectionSettings?.host;
 
   // Determine status text and color
-  let statusText = 'Disconnected';
-  let statusColor = '#ef4444'; // red
-
-  if (paired) {
-    statusText = coreName || 'Connected';
-    statusColor = '#22c55e'; // green
-  }
+  const status = describeConnection(connection, paired, coreName, now);
+  const statusText = status.text;
+  const statusColor = status.color;
 
   function handleModeSelect(mode) {
     if (mode === 'manual' && !hasManualConfig) {
@@ -193,6 +261,36 @@ export function ConnectionStatusDropdown({
             overflow: 'hidden',
           },
         },
+        // Connection state (and a way to skip the wait when reconnecting)
+        status.detail &&
+          e(
+            'div',
+            {
+              style: {
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: '12px',
+                padding: '12px 16px',
+                fontSize: '12px',
+                color: 'var(--muted)',
+                borderBottom: '1px solid var(--border)',
+              },
+            },
+            e('span', { style: { flex: 1 } }, status.detail),
+            connection?.state === 'lost' &&
+              e(
+                'button',
+                {
+                  className: 'btn-link',
+                  onClick: () => {
+                    setIsOpen(false);
+                    onRetry();
+                  },
+                  style: { flexShrink: 0, fontSize: '12px' },
+                },
+                'Retry now'
+              )
+          ),
         // Auto-discover option
         e(
           'div',
@@ -0,0 +1,154 @@
+/**
+ * DecadeFilter Component
+ * Limits random picks to albums from selected decades and/or a release year range
+ */
+
+// Get React from window (loaded via CDN)
+const { createElement: e, useState, useEffect } = window.React;
+
+// First decade offered as a chip; older albums can be reached with the year range
+const EARLIEST_DECADE = 1920;
+
+const YEAR_INPUT_STYLE = {
+  width: 72,
+  height: 28,
+  borderRadius: 7,
+  border: '1px solid var(--border)',
+  background: 'var(--card)',
+  color: 'var(--fg)',
+  padding: '0 8px',
+  outline: 'none',
+};
+
+/**
+ * Parses a year input value
+ * @param {string} value - Input text
+ * @returns {number|null} Year or null if empty or not a 4-digit year
+ */
+function parseYearInput(value) {
+  const trimmed = String(value || '').trim();
+  return /^\d{4}$/.test(trimmed) ? Number(trimmed) : null;
+}
+
+/**
+ * DecadeFilter component for release year filtering
+ *
+ * @param {Object} props
+ * @param {Array<number>} props.decades - Selected decades (1970 = the 1970s)
+ * @param {number|null} props.yearFrom - Earliest release year
+ * @param {number|null} props.yearTo - Latest release year
+ * @param {Function} props.onUpdate - Called with the changed filters ({ decades } or { yearFrom, yearTo })
+ * @returns {React.Element} Decade filter UI
+ */
+export function DecadeFilter({
+  decades = [],
+  yearFrom = null,
+  yearTo = null,
+  onUpdate,
+}) {
+  // Year inputs are edited locally and committed on blur or Enter
+  const [fromDraft, setFromDraft] = useState(yearFrom ?? '');
+  const [toDraft, setToDraft] = useState(yearTo ?? '');
+
+  useEffect(() => setFromDraft(yearFrom ?? ''), [yearFrom]);
+  useEffect(() => setToDraft(yearTo ?? ''), [yearTo]);
+
+  const currentDecade = Math.floor(new Date().getFullYear() / 10) * 10;
+  const decadeOptions = [];
+  for (let decade = EARLIEST_DECADE; decade <= currentDecade; decade += 10) {
+    decadeOptions.push(decade);
+  }
+
+  function toggleDecade(decade) {
+    const nextDecades = decades.includes(decade)
+      ? decades.filter(d => d !== decade)
+      : [...decades, decade];
+    onUpdate?.({ decades: nextDecades });
+  }
+
+  function commitYears() {
+    const nextFrom = parseYearInput(fromDraft);
+    const nextTo = parseYearInput(toDraft);
+    if (nextFrom === yearFrom && nextTo === yearTo) {
+      // Reset anything that didn't parse
+      setFromDraft(yearFrom ?? '');
+      setToDraft(yearTo ?? '');
+      return;
+    }
+    onUpdate?.({ yearFrom: nextFrom, yearTo: nextTo });
+  }
+
+  const hasYearFilter =
+    decades.length > 0 || yearFrom !== null || yearTo !== null;
+
+  return e(
+    'div',
+    { style: { marginBottom: 10, flexShrink: 0 } },
+    // Decade chips
+    e(
+      'div',
+      {
+        className: 'row',
+        style: { alignItems: 'center', gap: 8, marginBottom: 6 },
+      },
+      e('span', { className: 'muted', style: { fontSize: 13 } }, 'Decades'),
+      e(
+        'div',
+        { style: { display: 'flex', flexWrap: 'wrap', gap: 4, flex: 1 } },
+        decadeOptions.map(decade =>
+          e(
+            'button',
+            {
+              key: decade,
+              className: decades.includes(decade) ? 'btn btn-primary' : 'btn',
+              onClick: () => toggleDecade(decade),
+              style: { height: 24, padding: '0 6px', fontSize: 12 },
+            },
+            `${String(decade).slice(2)}s`
+          )
+        )
+      )
+    ),
+
+    // Release year range
+    e(
+      'div',
+      { className: 'row', style: { alignItems: 'center', gap: 8 } },
+      e('span', { className: 'muted', style: { fontSize: 13 } }, 'Years'),
+      e('input', {
+        type: 'text',
+        inputMode: 'numeric',
+        placeholder: 'From',
+        maxLength: 4,
+        value: fromDraft,
+        onChange: event => setFromDraft(event.target.value),
+        onBlur: commitYears,
+        onKeyDown: event => event.key === 'Enter' && commitYears(),
+        style: YEAR_INPUT_STYLE,
+      }),
+      e('span', { className: 'muted' }, '–'),
+      e('input', {
+        type: 'text',
+        inputMode: 'numeric',
+        placeholder: 'To',
+        maxLength: 4,
+        value: toDraft,
+        onChange: event => setToDraft(event.target.value),
+        onBlur: commitYears,
+        onKeyDown: event => event.key === 'Enter' && commitYears(),
+        style: YEAR_INPUT_STYLE,
+      }),
+      hasYearFilter &&
+        e(
+          'button',
+          {
+            className: 'btn-link',
+            onClick: () =>
+              onUpdate?.({ decades: [], yearFrom: null, yearTo: null }),
+            style: { marginLeft: 'auto', fontSize: 12 },
+          },
+          'Any year'
+        )
+    )
+  );
+}
@@ -8,11 +8,22 @@ const { createElement: e, useState } = window.React;
 
 // Import TriangleIcon for expandable genres
 import { TriangleIcon } from './Icons.js';
+import { DecadeFilter } from './DecadeFilter.js';
+import { TagFilter } from './TagFilter.js';
+import { DEFAULT_GENRE_WEIGHT, MAX_GENRE_WEIGHT } from '../constants/ui.js';
 
 // UI constants for spacing
 const GENRE_ITEM_LEFT_MARGIN = 22;
 const SUBGENRE_ITEM_LEFT_MARGIN = 40;
 
+// Strategies for choosing between several selected genres
+const GENRE_WEIGHTING_OPTIONS = [
+  { value: 'proportional', label: 'By album count' },
+  { value: 'uniform', label: 'Equal per genre' },
+  { value: 'sqrt', label: 'Dampened (√ album count)' },
+  { value: 'custom', label: 'Custom weights' },
+];
+
 /**
  * GenreFilter component for hierarchical genre selection
  *
@@ -25,6 +36,18 @@ const SUBGENRE_ITEM_LEFT_MARGIN = 40;
  * @param {Function} props.setExpandedGenres - Function to update expanded genres
  * @param {Map} props.subgenresCache - Cache of loaded subgenres (genre title -> subgenre array)
  * @param {Function} props.setSubgenresCache - Function to update subgenres cache
+ * @param {string} props.genreWeighting - Current genre weighting strategy
+ * @param {Object} props.genreWeights - Custom weights by genre key
+ * @param {Function} props.onUpdateWeighting - Called with the new weighting strategy
+ * @param {Function} props.onUpdateGenreWeight - Called with (genreKey, weight) when a slider is released
+ * @param {Array<number>} props.decades - Selected decades (1970 = the 1970s)
+ * @param {number|null} props.yearFrom - Earliest release year
+ * @param {number|null} props.yearTo - Latest release year
+ * @param {Function} props.onUpdateYears - Called with changed decade/year filters
+ * @param {Array} props.tags - Library tags with album counts
+ * @param {Array<string>} props.includedTags - Tags a picked album must carry one of
+ * @param {Array<string>} props.excludedTags - Tags a picked album must not carry
+ * @param {Function} props.onUpdateTags - Called with changed tag filters
  * @returns {React.Element} Genre filter UI
  */
 export function GenreFilter(props) {
@@ -37,9 +60,24 @@ export function GenreFilter(props) {
     setExpandedGenres,
     subgenresCache,
     setSubgenresCache,
+    genreWeighting = 'proportional',
+    genreWeights = {},
+    onUpdateWeighting,
+    onUpdateGenreWeight,
+    decades,
+    yearFrom,
+    yearTo,
+    onUpdateYears,
+    tags,
+    includedTags,
+    excludedTags,
+    onUpdateTags,
   } = props;
   const [isReloading, setIsReloading] = useState(false);
 
+  // Slider values while dragging, committed on release
+  const [weightDrafts, setWeightDrafts] = useState({});
+
   /**
    * Toggles selection state of a genre
    * @param {string} genreTitle - Genre title to toggle
@@ -107,6 +145,33 @@ export function GenreFilter(props) {
     }
   }
 
+  /**
+   * Gets the weight shown for a selected genre
+   * @param {string} genreKey - Genre key ("Jazz" or "Jazz::Bebop")
+   * @returns {number} Weight
+   */
+  function getDisplayedWeight(genreKey) {
+    if (weightDrafts[genreKey] !== undefined) return weightDrafts[genreKey];
+    const weight = genreWeights?.[genreKey];
+    return typeof weight === 'number' ? weight : DEFAULT_GENRE_WEIGHT;
+  }
+
+  /**
+   * Commits a dragged weight slider value
+   * @param {string} genreKey - Genre key
+   */
+  function commitWeight(genreKey) {
+    const weight = weightDrafts[genreKey];
+    if (weight === undefined) return;
+
+    setWeightDrafts(prev => {
+      const next = { ...prev };
+      delete next[genreKey];
+      return next;
+    });
+    onUpdateGenreWeight?.(genreKey, weight);
+  }
+
   /**
    * Reloads the genre list from Roon
    */
@@ -153,6 +218,38 @@ export function GenreFilter(props) {
       )
     ),
 
+    // Weighting strategy for multi-genre picks
+    e(
+      'div',
+      {
+        className: 'row',
+        style: {
+          alignItems: 'center',
+          gap: 8,
+          marginBottom: 10,
+          flexShrink: 0,
+        },
+      },
+      e('span', { className: 'muted', style: { fontSize: 13 } }, 'Weighting'),
+      e(
+        'select',
+        {
+          value: genreWeighting,
+          onChange: event => onUpdateWeighting?.(event.target.value),
+          style: { flex: 1 },
+        },
+        GENRE_WEIGHTING_OPTIONS.map(option =>
+          e('option', { key: option.value, value: option.value }, option.label)
+        )
+      )
+    ),
+
+    // Decade and release year filters (combined with the genre selection)
+    e(DecadeFilter, { decades, yearFrom, yearTo, onUpdate: onUpdateYears }),
+
+    // Tag filters (only shown when the library has tags)
+    e(TagFilter, { tags, includedTags, excludedTags, onUpdate: onUpdateTags }),
+
     // Scrollable genre list
     e(
       'div',
@@ -256,6 +353,75 @@ export function GenreFilter(props) {
       )
     ),
 
+    // Custom weight sliders for the selected genres
+    genreWeighting === 'custom' && selectedGenres.length > 0
+      ? e(
+          'div',
+          {
+            style: {
+              flexShrink: 0,
+              maxHeight: 160,
+              overflowY: 'auto',
+              paddingTop: 12,
+              borderTop: '1px solid var(--border)',
+              marginTop: 8,
+            },
+          },
+          selectedGenres.map(genreKey =>
+            e(
+              'div',
+              {
+                key: genreKey,
+                style: {
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 10,
+                  marginBottom: 6,
+                  fontSize: 13,
+                },
+              },
+              e(
+                'span',
+                {
+                  style: {
+                    flex: 1,
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap',
+                  },
+                  title: genreKey.replace('::', ' › '),
+                },
+                genreKey.replace('::', ' › ')
+              ),
+              e('input', {
+                type: 'range',
+                min: 0,
+                max: MAX_GENRE_WEIGHT,
+                step: 1,
+                value: getDisplayedWeight(genreKey),
+                'aria-label': `Weight for ${genreKey.replace('::', ' › ')}`,
+                onChange: event => {
+                  const weight = Number(event.target.value);
+                  setWeightDrafts(prev => ({ ...prev, [genreKey]: weight }));
+                },
+                onPointerUp: () => commitWeight(genreKey),
+                onKeyUp: () => commitWeight(genreKey),
+                onBlur: () => commitWeight(genreKey),
+                style: { width: 110 },
+              }),
+              e(
+                'span',
+                {
+                  className: 'muted',
+                  style: { width: 18, textAlign: 'right' },
+                },
+                getDisplayedWeight(genreKey)
+              )
+            )
+          )
+        )
+      : null,
+
     // Clear button
     e(
       'div',
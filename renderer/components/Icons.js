@@ -94,3 +94,31 @@ export function TriangleIcon({ expanded, ...props }) {
     })
   );
 }
+
+/**
+ * Thumb icon for the album rating buttons
+ * @param {Object} props - SVG props including direction and filled state
+ * @returns {React.Element} Thumbs up (or down) icon SVG
+ */
+export function ThumbIcon({ down, filled, ...props }) {
+  return e(
+    'svg',
+    Object.assign(
+      {
+        width: 16,
+        height: 16,
+        viewBox: '0 0 24 24',
+        fill: filled ? 'currentColor' : 'none',
+        stroke: 'currentColor',
+        strokeWidth: 2,
+        strokeLinecap: 'round',
+        strokeLinejoin: 'round',
+        style: { transform: down ? 'rotate(180deg)' : 'none' },
+      },
+      props
+    ),
+    e('path', {
+      d: 'M14 9V5a3 3 0 0 0-3-3l-4 9v11h11.28a2 2 0 0 0 2-1.7l1.38-9a2 2 0 0 0-2-2.3zM7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3',
+    })
+  );
+}
@@ -10,6 +10,10 @@ const { createElement: e, useRef } = window.React;
 // Import utilities
 import { smartQuotes, formatTime } from '../utils/formatting.js';
 
+// Import components
+import { TrackHistoryPanel } from './TrackHistoryPanel.js';
+import { ThumbIcon } from './Icons.js';
+
 // Import constants
 import {
   SONG_TITLE_FONT_SIZE,
@@ -31,6 +35,9 @@ import {
  * @param {Object} props.roon - Roon hook instance with transport/volume methods
  * @param {Function} props.onMoreFromArtist - Handler for "More from Artist" button
  * @param {Function} props.onProgressBarClick - Handler for progress bar seek
+ * @param {Object} props.autoContinue - Endless mode for the zone ({ enabled, error, onToggle })
+ * @param {Array} props.trackHistory - Tracks the zone played this session, newest first
+ * @param {Object} props.rating - Thumbs up/down for the album ({ value, onRate })
  * @returns {React.Element} Now Playing card UI
  */
 export function NowPlayingCard(props) {
@@ -45,6 +52,9 @@ export function NowPlayingCard(props) {
     roon,
     onMoreFromArtist,
     onProgressBarClick,
+    autoContinue,
+    trackHistory,
+    rating,
   } = props;
   const volumeCommitTimeoutRef = useRef(null);
   const latestVolumeRef = useRef(null);
@@ -80,7 +90,51 @@ export function NowPlayingCard(props) {
       'data-has-art': nowPlaying.art ? 'true' : 'false',
       style: nowPlaying.art ? { '--bg-image': `url(${nowPlaying.art})` } : {},
     },
-    e('h2', null, 'Now Playing'),
+    e(
+      'div',
+      {
+        style: {
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '8px',
+        },
+      },
+      e('h2', null, 'Now Playing'),
+      // Endless mode indicator - also toggles it for this zone
+      e(
+        'button',
+        {
+          className: 'btn-link',
+          onClick: autoContinue.onToggle,
+          title: autoContinue.error
+            ? `Endless mode could not pick an album: ${autoContinue.error}`
+            : autoContinue.enabled
+              ? 'Endless mode is on: a random album is added when the queue runs out'
+              : 'Turn on endless mode for this zone',
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+            fontSize: '12px',
+            color: autoContinue.enabled ? 'var(--fg)' : 'var(--muted)',
+          },
+        },
+        e('span', {
+          style: {
+            width: '8px',
+            height: '8px',
+            borderRadius: '50%',
+            backgroundColor: autoContinue.error
+              ? '#f59e0b'
+              : autoContinue.enabled
+                ? '#22c55e'
+                : 'var(--border)',
+          },
+        }),
+        autoContinue.enabled ? 'Endless: On' : 'Endless: Off'
+      )
+    ),
     e(
       'div',
       { className: 'np' },
@@ -171,7 +225,47 @@ export function NowPlayingCard(props) {
                 smartQuotes(nowPlaying.album)
               )
             : null
-        )
+        ),
+
+        // Thumbs up/down for the album - feeds feedback weighting
+        nowPlaying.album
+          ? e(
+              'div',
+              { style: { display: 'flex', gap: '4px' } },
+              [
+                { value: 1, label: 'I like this album' },
+                { value: -1, label: "I don't like this album" },
+              ].map(thumb =>
+                e(
+                  'button',
+                  {
+                    key: thumb.value,
+                    type: 'button',
+                    className: 'btn-icon',
+                    'aria-pressed': rating.value === thumb.value,
+                    title:
+                      rating.value === thumb.value
+                        ? 'Clear rating'
+                        : thumb.label,
+                    onClick: () => rating.onRate(thumb.value),
+                    style: {
+                      background: 'none',
+                      border: 'none',
+                      padding: '4px',
+                      color:
+                        rating.value === thumb.value
+                          ? 'var(--fg)'
+                          : 'var(--muted)',
+                    },
+                  },
+                  e(ThumbIcon, {
+                    down: thumb.value < 0,
+                    filled: rating.value === thumb.value,
+                  })
+                )
+              )
+            )
+          : null
       ),
 
       // Progress bar - only show if we have length data
@@ -304,6 +398,7 @@ export function NowPlayingCard(props) {
             })
           )
         : null
-    )
+    ),
+    e(TrackHistoryPanel, { tracks: trackHistory })
   );
 }
@@ -0,0 +1,297 @@
+/**
+ * Preset Picker Component
+ *
+ * Toolbar dropdown for saved filter presets ("Sunday morning", "Dinner party").
+ * Applies, saves and deletes presets; applying goes through setFilters in the
+ * main process, which broadcasts the new filters back to the UI.
+ */
+
+const { createElement: e, useState, useEffect, useRef } = window.React;
+
+/**
+ * Chevron down icon for dropdown indicator
+ */
+function ChevronDownIcon() {
+  return e(
+    'svg',
+    {
+      width: 12,
+      height: 12,
+      viewBox: '0 0 24 24',
+      fill: 'none',
+      stroke: 'currentColor',
+      strokeWidth: 2,
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+    },
+    e('polyline', { points: '6 9 12 15 18 9' })
+  );
+}
+
+/**
+ * Preset Picker
+ * @param {Object} props - Component props
+ * @param {Array} props.presets - Saved presets ({ id, name })
+ * @param {string|null} props.activePresetId - ID of the last applied preset
+ * @param {boolean} props.disabled - Disables the trigger button
+ * @param {Function} props.onApply - Callback when a preset is chosen (presetId) => void
+ * @param {Function} props.onSave - Callback to save current filters (name) => Promise
+ * @param {Function} props.onDelete - Callback to delete a preset (presetId) => void
+ * @returns {React.Element} Dropdown element
+ */
+export function PresetPicker({
+  presets,
+  activePresetId,
+  disabled,
+  onApply,
+  onSave,
+  onDelete,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newPresetName, setNewPresetName] = useState('');
+  const dropdownRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () =>
+        document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  // Close dropdown on escape key
+  useEffect(() => {
+    function handleEscape(event) {
+      if (event.key === 'Escape') {
+        setIsOpen(false);
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+      return () => document.removeEventListener('keydown', handleEscape);
+    }
+  }, [isOpen]);
+
+  const activePreset = presets.find(preset => preset.id === activePresetId);
+
+  function handleApply(presetId) {
+    onApply(presetId);
+    setIsOpen(false);
+  }
+
+  function handleDelete(event, preset) {
+    event.stopPropagation(); // Prevent applying the preset
+    if (window.confirm(`Delete preset "${preset.name}"?`)) {
+      onDelete(preset.id);
+    }
+  }
+
+  async function handleSave(event) {
+    event.preventDefault();
+    const name = newPresetName.trim();
+    if (!name) return;
+
+    const existing = presets.find(
+      preset => preset.name.toLowerCase() === name.toLowerCase()
+    );
+    if (existing && !window.confirm(`Overwrite preset "${existing.name}"?`)) {
+      return;
+    }
+
+    await onSave(name);
+    setNewPresetName('');
+    setIsOpen(false);
+  }
+
+  return e(
+    'div',
+    {
+      ref: dropdownRef,
+      style: { position: 'relative' },
+    },
+    // Trigger button - styled to match native select elements
+    e(
+      'button',
+      {
+        onClick: () => setIsOpen(!isOpen),
+        disabled,
+        className: 'connection-status-trigger',
+        style: {
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          height: '34px',
+          padding: '0 10px',
+          background: 'var(--card)',
+          border: '1px solid var(--border)',
+          borderRadius: '9px',
+          cursor: disabled ? 'not-allowed' : 'pointer',
+          color: 'var(--fg)',
+          fontSize: '13px',
+          fontFamily: 'inherit',
+          fontWeight: 'normal',
+          outline: 'none',
+          opacity: disabled ? 0.6 : 1,
+        },
+      },
+      e(
+        'span',
+        {
+          style: {
+            maxWidth: '150px',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+          },
+        },
+        activePreset ? activePreset.name : 'None'
+      ),
+      e(ChevronDownIcon)
+    ),
+
+    // Dropdown menu
+    isOpen &&
+      e(
+        'div',
+        {
+          className: 'connection-dropdown-menu',
+          style: {
+            position: 'absolute',
+            top: 'calc(100% + 4px)',
+            left: 0,
+            minWidth: '240px',
+            backgroundColor: 'var(--card)',
+            border: '1px solid var(--border)',
+            borderRadius: '8px',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+            zIndex: 1000,
+            overflow: 'hidden',
+          },
+        },
+        // Saved presets
+        presets.length > 0
+          ? e(
+              'div',
+              { style: { maxHeight: '260px', overflowY: 'auto' } },
+              presets.map(preset =>
+                e(
+                  'div',
+                  {
+                    key: preset.id,
+                    onClick: () => handleApply(preset.id),
+                    style: {
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '12px',
+                      padding: '10px 16px',
+                      cursor: 'pointer',
+                      backgroundColor:
+                        preset.id === activePresetId
+                          ? 'rgba(34, 197, 94, 0.1)'
+                          : 'transparent',
+                      transition: 'background-color 0.15s',
+                    },
+                    onMouseEnter: e => {
+                      if (preset.id !== activePresetId)
+                        e.currentTarget.style.backgroundColor = 'var(--bg)';
+                    },
+                    onMouseLeave: e => {
+                      e.currentTarget.style.backgroundColor =
+                        preset.id === activePresetId
+                          ? 'rgba(34, 197, 94, 0.1)'
+                          : 'transparent';
+                    },
+                  },
+                  e(
+                    'span',
+                    {
+                      style: {
+                        flex: 1,
+                        overflow: 'hidden',
+                        textOverflow: 'ellipsis',
+                        whiteSpace: 'nowrap',
+                      },
+                    },
+                    preset.name
+                  ),
+                  e(
+                    'button',
+                    {
+                      className: 'btn-link',
+                      title: `Delete "${preset.name}"`,
+                      onClick: event => handleDelete(event, preset),
+                      style: { color: '#ef4444', fontSize: '12px' },
+                    },
+                    'Delete'
+                  )
+                )
+              )
+            )
+          : e(
+              'div',
+              {
+                style: {
+                  padding: '12px 16px',
+                  fontSize: '12px',
+                  color: 'var(--muted)',
+                },
+              },
+              'No presets yet. Save the current genres and exclusions below.'
+            ),
+
+        // Divider
+        e('div', {
+          style: {
+            height: '1px',
+            backgroundColor: 'var(--border)',
+            margin: '4px 0',
+          },
+        }),
+
+        // Save current filters as a preset
+        e(
+          'form',
+          {
+            onSubmit: handleSave,
+            style: { display: 'flex', gap: '8px', padding: '8px 12px 12px' },
+          },
+          e('input', {
+            type: 'text',
+            placeholder: 'Save current as…',
+            maxLength: 60,
+            value: newPresetName,
+            onChange: evt => setNewPresetName(evt.target.value),
+            style: {
+              flex: 1,
+              minWidth: 0,
+              height: '30px',
+              borderRadius: '7px',
+              border: '1px solid var(--border)',
+              background: 'var(--card)',
+              color: 'var(--fg)',
+              padding: '0 8px',
+              outline: 'none',
+            },
+          }),
+          e(
+            'button',
+            {
+              type: 'submit',
+              className: 'btn',
+              disabled: !newPresetName.trim(),
+              style: { height: '30px' },
+            },
+            'Save'
+          )
+        )
+      )
+  );
+}
@@ -0,0 +1,187 @@
+/**
+ * Queue Menu Component
+ *
+ * Toolbar dropdown for queueing several random albums at once instead of
+ * playing one immediately. Albums are added to the current zone's queue with
+ * either "Add Next" or "Add to Queue".
+ */
+
+import { MAX_QUEUE_ALBUMS } from '../constants/ui.js';
+
+const { createElement: e, useState, useEffect, useRef } = window.React;
+
+/**
+ * Chevron down icon for dropdown indicator
+ */
+function ChevronDownIcon() {
+  return e(
+    'svg',
+    {
+      width: 12,
+      height: 12,
+      viewBox: '0 0 24 24',
+      fill: 'none',
+      stroke: 'currentColor',
+      strokeWidth: 2,
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+    },
+    e('polyline', { points: '6 9 12 15 18 9' })
+  );
+}
+
+/**
+ * Queue Menu
+ * @param {Object} props - Component props
+ * @param {boolean} props.disabled - Disables the trigger button
+ * @param {boolean} props.busy - True while albums are being queued
+ * @param {Function} props.onQueue - Callback to queue albums (count, action) => Promise
+ * @returns {React.Element} Dropdown element
+ */
+export function QueueMenu({ disabled, busy, onQueue }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [count, setCount] = useState(3);
+  const dropdownRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () =>
+        document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  // Close dropdown on escape key
+  useEffect(() => {
+    function handleEscape(event) {
+      if (event.key === 'Escape') {
+        setIsOpen(false);
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+      return () => document.removeEventListener('keydown', handleEscape);
+    }
+  }, [isOpen]);
+
+  function handleCountChange(event) {
+    const value = parseInt(event.target.value, 10);
+    if (Number.isNaN(value)) return;
+    setCount(Math.min(MAX_QUEUE_ALBUMS, Math.max(1, value)));
+  }
+
+  async function handleQueue(action) {
+    setIsOpen(false);
+    await onQueue(count, action);
+  }
+
+  return e(
+    'div',
+    {
+      ref: dropdownRef,
+      style: { position: 'relative' },
+    },
+    // Trigger button
+    e(
+      'button',
+      {
+        className: 'btn',
+        onClick: () => setIsOpen(!isOpen),
+        disabled,
+        title: 'Queue several random albums',
+        style: { display: 'flex', alignItems: 'center', gap: '6px' },
+      },
+      busy ? 'Queueing…' : 'Queue',
+      e(ChevronDownIcon)
+    ),
+
+    // Dropdown menu
+    isOpen &&
+      e(
+        'div',
+        {
+          className: 'connection-dropdown-menu',
+          style: {
+            position: 'absolute',
+            top: 'calc(100% + 4px)',
+            right: 0,
+            minWidth: '220px',
+            backgroundColor: 'var(--card)',
+            border: '1px solid var(--border)',
+            borderRadius: '8px',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+            zIndex: 1000,
+            padding: '12px',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '10px',
+          },
+        },
+        e(
+          'label',
+          {
+            style: {
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              gap: '8px',
+              fontSize: '13px',
+            },
+          },
+          'Random albums',
+          e('input', {
+            type: 'number',
+            min: 1,
+            max: MAX_QUEUE_ALBUMS,
+            value: count,
+            onChange: handleCountChange,
+            style: {
+              width: '64px',
+              height: '30px',
+              borderRadius: '7px',
+              border: '1px solid var(--border)',
+              background: 'var(--card)',
+              color: 'var(--fg)',
+              padding: '0 8px',
+              outline: 'none',
+            },
+          })
+        ),
+        e(
+          'div',
+          { style: { display: 'flex', gap: '8px' } },
+          e(
+            'button',
+            {
+              className: 'btn',
+              style: { flex: 1 },
+              onClick: () => handleQueue('addNext'),
+            },
+            'Add Next'
+          ),
+          e(
+            'button',
+            {
+              className: 'btn',
+              style: { flex: 1 },
+              onClick: () => handleQueue('queue'),
+            },
+            'Add to Queue'
+          )
+        ),
+        e(
+          'div',
+          { style: { fontSize: '11px', color: 'var(--muted)' } },
+          'Uses the selected genres and exclusions.'
+        )
+      )
+  );
+}
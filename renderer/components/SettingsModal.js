@@ -1,17 +1,199 @@
 /**
  * SettingsModal Component
- * Displays application settings including artist exclusions
+ * Displays application settings: artist, album and genre exclusions, play
+ * history, the listening log and the local control API
  */
 
 // Get React from window (loaded via CDN)
-const { createElement: e, useState } = window.React;
+const { createElement: e, useState, useEffect } = window.React;
+
+// Settings tabs in display order
+const SETTINGS_TABS = [
+  { id: 'artists', label: 'Artists' },
+  { id: 'albums', label: 'Albums' },
+  { id: 'genres', label: 'Genres' },
+  { id: 'history', label: 'Play History' },
+  { id: 'log', label: 'Listening Log' },
+  { id: 'remote', label: 'Remote Control' },
+];
+
+// How artist exclusions match albums credited to several artists
+const ARTIST_MATCH_OPTIONS = [
+  { value: 'primary', label: 'Primary artist only' },
+  { value: 'any', label: 'Any credited artist' },
+  { value: 'exact', label: 'Exact artist credit' },
+];
+
+// Listening log export formats (see LISTENING_LOG_EXPORT_FORMATS)
+// countKey: the log status count that has to be non-zero to export
+const LOG_EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', countKey: 'count' },
+  { value: 'json', label: 'JSON', countKey: 'count' },
+  { value: 'listenbrainz', label: 'ListenBrainz', countKey: 'listens' },
+  { value: 'lastfm', label: 'Last.fm', countKey: 'listens' },
+];
+
+// Scrobbling services, their default endpoints and credential fields
+const SUBMISSION_SERVICE_OPTIONS = {
+  listenbrainz: {
+    label: 'ListenBrainz',
+    defaultEndpoint: 'https://api.listenbrainz.org/1/submit-listens',
+    fields: [{ name: 'token', label: 'User token' }],
+  },
+  lastfm: {
+    label: 'Last.fm',
+    defaultEndpoint: 'https://ws.audioscrobbler.com/2.0/',
+    fields: [
+      { name: 'apiKey', label: 'API key' },
+      { name: 'apiSecret', label: 'Shared secret' },
+      { name: 'sessionKey', label: 'Session key' },
+    ],
+  },
+};
+
+// Shared text input styling
+const INPUT_STYLE = {
+  flex: 1,
+  minWidth: 0,
+  height: '34px',
+  borderRadius: '9px',
+  border: '1px solid var(--border)',
+  background: 'var(--card)',
+  color: 'var(--fg)',
+  padding: '0 10px',
+  outline: 'none',
+};
+
+/**
+ * Formats a genre key ("Jazz::Bebop") for display
+ * @param {string} genreKey - Genre key
+ * @returns {string} Display label
+ */
+function formatGenreKey(genreKey) {
+  return genreKey.replace('::', ' › ');
+}
 
 export function SettingsModal(props) {
-  const { isOpen, onClose, excludedArtists, onUpdateExclusions } = props;
+  const {
+    isOpen,
+    onClose,
+    excludedArtists,
+    onUpdateExclusions,
+    artistMatchMode = 'primary',
+    onUpdateArtistMatchMode,
+    excludedAlbums = [],
+    onUpdateExcludedAlbums,
+    excludedGenres = [],
+    onUpdateExcludedGenres,
+    genreOptions = [],
+    playHistorySettings,
+    onUpdateCooldown,
+    onResetPlayHistory,
+    feedbackWeighting = false,
+    onUpdateFeedbackWeighting,
+    albumFeedbackSummary,
+    onResetAlbumFeedback,
+    listeningLog,
+    onExportListeningLog,
+    onClearListeningLog,
+    onUpdateListeningLogSubmission,
+    onSubmitListeningLog,
+    controlApiSettings,
+    onUpdateControlApi,
+    onRegenerateControlApiToken,
+  } = props;
+  const [activeTab, setActiveTab] = useState('artists');
   const [newArtist, setNewArtist] = useState('');
+  const [newAlbumTitle, setNewAlbumTitle] = useState('');
+  const [newAlbumArtist, setNewAlbumArtist] = useState('');
+  const [newGenre, setNewGenre] = useState('');
+  const [cooldownDraft, setCooldownDraft] = useState('');
+  const [portDraft, setPortDraft] = useState('');
+  const [tokenCopied, setTokenCopied] = useState(false);
+  const [submissionDraft, setSubmissionDraft] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  // Keep the cooldown input in sync with the saved setting
+  useEffect(() => {
+    if (playHistorySettings) {
+      setCooldownDraft(String(playHistorySettings.cooldownDays));
+    }
+  }, [playHistorySettings?.cooldownDays]);
+
+  // Keep the submission inputs in sync with the saved settings
+  // Saved credentials never reach the renderer, so their inputs start empty
+  useEffect(() => {
+    if (listeningLog?.submission) {
+      setSubmissionDraft({ endpoint: listeningLog.submission.endpoint });
+    }
+  }, [listeningLog?.submission]);
+
+  // Keep the port input in sync with the saved setting
+  useEffect(() => {
+    if (controlApiSettings) {
+      setPortDraft(String(controlApiSettings.port));
+    }
+  }, [controlApiSettings?.port]);
 
   if (!isOpen) return null;
 
+  function handleCooldownCommit(event) {
+    event.preventDefault();
+    const days = parseInt(cooldownDraft, 10);
+    if (Number.isInteger(days) && days !== playHistorySettings?.cooldownDays) {
+      onUpdateCooldown(days);
+    } else if (playHistorySettings) {
+      setCooldownDraft(String(playHistorySettings.cooldownDays));
+    }
+  }
+
+  function handlePortCommit(event) {
+    event.preventDefault();
+    const port = parseInt(portDraft, 10);
+    if (Number.isInteger(port) && port !== controlApiSettings?.port) {
+      onUpdateControlApi({ port });
+    } else if (controlApiSettings) {
+      setPortDraft(String(controlApiSettings.port));
+    }
+  }
+
+  /**
+   * Saves a submission text field if it changed
+   * An empty credential input keeps the saved credential
+   * @param {string} field - Setting name
+   */
+  function handleSubmissionFieldCommit(field) {
+    const value = (submissionDraft[field] || '').trim();
+    if (!listeningLog?.submission) return;
+
+    if (field === 'endpoint') {
+      if (value !== listeningLog.submission.endpoint) {
+        onUpdateListeningLogSubmission({ endpoint: value });
+      }
+    } else if (value) {
+      onUpdateListeningLogSubmission({ [field]: value });
+    }
+  }
+
+  async function handleSubmitNow() {
+    setSubmitting(true);
+    try {
+      await onSubmitListeningLog();
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function handleCopyToken() {
+    try {
+      await navigator.clipboard.writeText(controlApiSettings.token);
+      setTokenCopied(true);
+      setTimeout(() => setTokenCopied(false), 1500);
+    } catch (error) {
+      console.error('Failed to copy token:', error);
+    }
+  }
+
   function handleAddArtist(event) {
     event.preventDefault();
     const artist = newArtist.trim();
@@ -27,144 +209,834 @@ export function SettingsModal(props) {
     );
   }
 
-  return e(
+  function handleAddAlbum(event) {
+    event.preventDefault();
+    const title = newAlbumTitle.trim();
+    const artist = newAlbumArtist.trim();
+    const alreadyExcluded = excludedAlbums.some(
+      album =>
+        album.title.toLowerCase() === title.toLowerCase() &&
+        (album.artist || '').toLowerCase() === artist.toLowerCase()
+    );
+    if (title && !alreadyExcluded) {
+      onUpdateExcludedAlbums([...excludedAlbums, { title, artist }]);
+      setNewAlbumTitle('');
+      setNewAlbumArtist('');
+    }
+  }
+
+  function handleRemoveAlbum(albumToRemove) {
+    onUpdateExcludedAlbums(
+      excludedAlbums.filter(album => album !== albumToRemove)
+    );
+  }
+
+  function handleAddGenre(event) {
+    event.preventDefault();
+    // Accept the "Parent › Child" label offered by the suggestions
+    const genre = newGenre.trim().replace(/\s*›\s*/, '::');
+    if (genre && !excludedGenres.includes(genre)) {
+      onUpdateExcludedGenres([...excludedGenres, genre]);
+      setNewGenre('');
+    }
+  }
+
+  function handleRemoveGenre(genreToRemove) {
+    onUpdateExcludedGenres(
+      excludedGenres.filter(genre => genre !== genreToRemove)
+    );
+  }
+
+  /**
+   * Renders an exclusion list with per-item Remove and a Clear All action
+   * @param {Object} options
+   * @param {string} options.heading - List heading
+   * @param {Array} options.items - Items to render
+   * @param {Function} options.getLabel - Returns the display label of an item
+   * @param {Function} options.onRemove - Called with the item to remove
+   * @param {Function} options.onClearAll - Called to remove every item
+   * @param {string} options.clearConfirm - Confirmation text for Clear All
+   * @param {string} options.emptyText - Text shown when the list is empty
+   * @returns {React.Element} Exclusion list
+   */
+  function renderExclusionList({
+    heading,
+    items,
+    getLabel,
+    onRemove,
+    onClearAll,
+    clearConfirm,
+    emptyText,
+  }) {
+    return [
+      e(
+        'h3',
+        { key: 'heading', style: { fontSize: '16px', marginBottom: '12px' } },
+        heading
+      ),
+
+      // Clear All button
+      items.length > 0
+        ? e(
+            'div',
+            {
+              key: 'clear',
+              style: { marginBottom: '16px', textAlign: 'right' },
+            },
+            e(
+              'button',
+              {
+                type: 'button',
+                className: 'btn-link',
+                onClick: () => {
+                  if (window.confirm(clearConfirm)) {
+                    onClearAll();
+                  }
+                },
+                style: { color: '#ef4444', fontSize: '13px' },
+              },
+              'Clear All'
+            )
+          )
+        : null,
+
+      // Excluded items list
+      items.length > 0
+        ? e(
+            'div',
+            {
+              key: 'list',
+              style: {
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '6px',
+                maxHeight: '300px',
+                overflowY: 'auto',
+              },
+            },
+            items.map((item, index) =>
+              e(
+                'div',
+                {
+                  key: index,
+                  style: {
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    padding: '8px 12px',
+                    border: '1px solid var(--border)',
+                    borderRadius: '6px',
+                    background: 'var(--card)',
+                  },
+                },
+                e('span', null, getLabel(item)),
+                e(
+                  'button',
+                  {
+                    className: 'btn-link',
+                    onClick: () => onRemove(item),
+                    style: { color: '#ef4444' },
+                  },
+                  'Remove'
+                )
+              )
+            )
+          )
+        : e(
+            'div',
+            {
+              key: 'empty',
+              className: 'muted',
+              style: { fontSize: '13px' },
+            },
+            emptyText
+          ),
+    ];
+  }
+
+  /**
+   * Renders the explanation paragraph at the top of a tab
+   * @param {string} text - Explanation text
+   * @returns {React.Element} Paragraph
+   */
+  function renderDescription(text) {
+    return e(
+      'p',
+      {
+        className: 'muted',
+        style: { fontSize: '13px', marginBottom: '16px' },
+      },
+      text
+    );
+  }
+
+  const artistsTab = e(
     'div',
-    {
-      className: 'modal-overlay',
-      onClick: onClose,
-    },
+    null,
+    renderDescription(
+      'Albums from these artists will not be selected during random playback.'
+    ),
+
+    // Collaboration matching mode
     e(
       'div',
       {
-        className: 'modal-content',
-        onClick: evt => evt.stopPropagation(), // Prevent closing when clicking inside
+        style: {
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          marginBottom: '16px',
+        },
       },
-      e('h2', null, 'Filter by Artist'),
+      e('span', { className: 'muted', style: { fontSize: '13px' } }, 'Match'),
+      e(
+        'select',
+        {
+          value: artistMatchMode,
+          onChange: evt => onUpdateArtistMatchMode(evt.target.value),
+          style: { flex: 1 },
+        },
+        ARTIST_MATCH_OPTIONS.map(option =>
+          e('option', { key: option.value, value: option.value }, option.label)
+        )
+      )
+    ),
 
-      // Artist Exclusions Section
+    // Add artist form
+    e(
+      'form',
+      { onSubmit: handleAddArtist, style: { marginBottom: '16px' } },
       e(
         'div',
-        { style: { marginTop: '24px' } },
+        { style: { display: 'flex', gap: '8px' } },
+        e('input', {
+          type: 'text',
+          placeholder: 'Artist name',
+          value: newArtist,
+          onChange: evt => setNewArtist(evt.target.value),
+          style: INPUT_STYLE,
+        }),
         e(
-          'p',
+          'button',
           {
-            className: 'muted',
-            style: { fontSize: '13px', marginBottom: '16px' },
+            type: 'submit',
+            className: 'btn',
+            disabled: !newArtist.trim(),
           },
-          'Albums from these artists will not be selected during random playback.'
-        ),
+          'Add'
+        )
+      )
+    ),
+
+    ...renderExclusionList({
+      heading: 'Excluded Artists',
+      items: excludedArtists,
+      getLabel: artist => artist,
+      onRemove: handleRemoveArtist,
+      onClearAll: () => onUpdateExclusions([]),
+      clearConfirm: 'Remove all excluded artists?',
+      emptyText:
+        'No excluded artists. Add artists to prevent their albums from being selected.',
+    })
+  );
+
+  const albumsTab = e(
+    'div',
+    null,
+    renderDescription(
+      'These albums will never be selected during random playback. Leave the artist empty to exclude every album with that title.'
+    ),
 
-        // Add artist form
+    // Add album form
+    e(
+      'form',
+      { onSubmit: handleAddAlbum, style: { marginBottom: '16px' } },
+      e(
+        'div',
+        { style: { display: 'flex', gap: '8px' } },
+        e('input', {
+          type: 'text',
+          placeholder: 'Album title',
+          value: newAlbumTitle,
+          onChange: evt => setNewAlbumTitle(evt.target.value),
+          style: INPUT_STYLE,
+        }),
+        e('input', {
+          type: 'text',
+          placeholder: 'Artist (optional)',
+          value: newAlbumArtist,
+          onChange: evt => setNewAlbumArtist(evt.target.value),
+          style: INPUT_STYLE,
+        }),
         e(
-          'form',
-          { onSubmit: handleAddArtist, style: { marginBottom: '16px' } },
-          e(
-            'div',
-            { style: { display: 'flex', gap: '8px' } },
-            e('input', {
-              type: 'text',
-              placeholder: 'Artist name',
-              value: newArtist,
-              onChange: evt => setNewArtist(evt.target.value),
-              style: {
-                flex: 1,
-                height: '34px',
-                borderRadius: '9px',
-                border: '1px solid var(--border)',
-                background: 'var(--card)',
-                color: 'var(--fg)',
-                padding: '0 10px',
-                outline: 'none',
-              },
-            }),
-            e(
-              'button',
-              {
-                type: 'submit',
-                className: 'btn',
-                disabled: !newArtist.trim(),
-              },
-              'Add'
-            )
-          )
-        ),
+          'button',
+          {
+            type: 'submit',
+            className: 'btn',
+            disabled: !newAlbumTitle.trim(),
+          },
+          'Add'
+        )
+      )
+    ),
 
+    ...renderExclusionList({
+      heading: 'Excluded Albums',
+      items: excludedAlbums,
+      getLabel: album =>
+        album.artist ? `${album.title} — ${album.artist}` : album.title,
+      onRemove: handleRemoveAlbum,
+      onClearAll: () => onUpdateExcludedAlbums([]),
+      clearConfirm: 'Remove all excluded albums?',
+      emptyText:
+        'No excluded albums. Add albums such as audiobooks or sound effects to keep them out of random picks.',
+    })
+  );
+
+  const genresTab = e(
+    'div',
+    null,
+    renderDescription(
+      'Albums in these genres will not be selected, even when picking from the whole library. Excluding a genre also excludes its subgenres.'
+    ),
+
+    // Add genre form
+    e(
+      'form',
+      { onSubmit: handleAddGenre, style: { marginBottom: '16px' } },
+      e(
+        'div',
+        { style: { display: 'flex', gap: '8px' } },
+        e('input', {
+          type: 'text',
+          placeholder: 'Genre name',
+          list: 'excluded-genre-options',
+          value: newGenre,
+          onChange: evt => setNewGenre(evt.target.value),
+          style: INPUT_STYLE,
+        }),
         e(
-          'h3',
-          { style: { fontSize: '16px', marginBottom: '12px' } },
-          'Excluded Artists'
+          'datalist',
+          { id: 'excluded-genre-options' },
+          genreOptions
+            .filter(genreKey => !excludedGenres.includes(genreKey))
+            .map(genreKey =>
+              e('option', { key: genreKey, value: formatGenreKey(genreKey) })
+            )
         ),
+        e(
+          'button',
+          {
+            type: 'submit',
+            className: 'btn',
+            disabled: !newGenre.trim(),
+          },
+          'Add'
+        )
+      )
+    ),
 
-        // Clear All button
-        excludedArtists.length > 0
-          ? e(
-              'div',
-              { style: { marginBottom: '16px', textAlign: 'right' } },
-              e(
-                'button',
-                {
-                  type: 'button',
-                  className: 'btn-link',
-                  onClick: () => {
-                    if (window.confirm('Remove all excluded artists?')) {
-                      onUpdateExclusions([]);
-                    }
-                  },
-                  style: { color: '#ef4444', fontSize: '13px' },
-                },
-                'Clear All'
+    ...renderExclusionList({
+      heading: 'Excluded Genres',
+      items: excludedGenres,
+      getLabel: formatGenreKey,
+      onRemove: handleRemoveGenre,
+      onClearAll: () => onUpdateExcludedGenres([]),
+      clearConfirm: 'Remove all excluded genres?',
+      emptyText:
+        'No excluded genres. Add genres such as Holiday to keep their albums out of random picks.',
+    })
+  );
+
+  const historyTab = e(
+    'div',
+    null,
+    renderDescription(
+      'Albums played through the app are not picked again for this many days, even after a restart. Set to 0 to turn this off.'
+    ),
+    e(
+      'form',
+      {
+        onSubmit: handleCooldownCommit,
+        style: { display: 'flex', alignItems: 'center', gap: '8px' },
+      },
+      e('input', {
+        type: 'number',
+        min: 0,
+        max: 365,
+        value: cooldownDraft,
+        disabled: !playHistorySettings,
+        onChange: evt => setCooldownDraft(evt.target.value),
+        onBlur: handleCooldownCommit,
+        style: { ...INPUT_STYLE, flex: 'none', width: '80px' },
+      }),
+      e('span', { className: 'muted', style: { flex: 1 } }, 'days'),
+      e(
+        'button',
+        {
+          type: 'button',
+          className: 'btn-link',
+          disabled: !playHistorySettings?.albumCount,
+          onClick: () => {
+            if (
+              window.confirm(
+                'Forget every album played so far? They can be picked again right away.'
               )
-            )
-          : null,
+            ) {
+              onResetPlayHistory();
+            }
+          },
+          style: { color: '#ef4444', fontSize: '13px' },
+        },
+        'Reset History'
+      )
+    ),
+    playHistorySettings
+      ? e(
+          'div',
+          {
+            className: 'muted',
+            style: { fontSize: '12px', marginTop: '8px' },
+          },
+          `${playHistorySettings.albumCount} albums remembered.`
+        )
+      : null,
+
+    // Skip/like feedback
+    e(
+      'h3',
+      { style: { fontSize: '16px', margin: '24px 0 12px' } },
+      'Likes & Skips'
+    ),
+    renderDescription(
+      'Albums you give a thumbs up or play to the end, and their artists, can come up more often. Albums you give a thumbs down or skip within a minute come up less.'
+    ),
+    e(
+      'div',
+      { style: { display: 'flex', alignItems: 'center', gap: '8px' } },
+      e(
+        'label',
+        {
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            fontSize: '13px',
+            flex: 1,
+          },
+        },
+        e('input', {
+          type: 'checkbox',
+          checked: feedbackWeighting,
+          onChange: evt => onUpdateFeedbackWeighting(evt.target.checked),
+        }),
+        'Use likes and skips when picking'
+      ),
+      e(
+        'button',
+        {
+          type: 'button',
+          className: 'btn-link',
+          disabled: !albumFeedbackSummary?.albumCount,
+          onClick: () => {
+            if (
+              window.confirm('Forget every thumbs up, thumbs down and skip?')
+            ) {
+              onResetAlbumFeedback();
+            }
+          },
+          style: { color: '#ef4444', fontSize: '13px' },
+        },
+        'Reset Feedback'
+      )
+    ),
+    albumFeedbackSummary
+      ? e(
+          'div',
+          {
+            className: 'muted',
+            style: { fontSize: '12px', marginTop: '8px' },
+          },
+          `${albumFeedbackSummary.liked} liked, ${albumFeedbackSummary.disliked} disliked, ${albumFeedbackSummary.skipped} skipped.`
+        )
+      : null
+  );
+
+  const submissionService =
+    SUBMISSION_SERVICE_OPTIONS[listeningLog?.submission?.service] ||
+    SUBMISSION_SERVICE_OPTIONS.listenbrainz;
+
+  const logTab = e(
+    'div',
+    null,
+    renderDescription(
+      'Every album started through the app is kept here with its zone, profile and genres, along with the tracks you played from it. Export the log, or submit the played tracks to ListenBrainz or Last.fm.'
+    ),
+    e(
+      'div',
+      {
+        className: 'muted',
+        style: { fontSize: '13px', marginBottom: '12px' },
+      },
+      listeningLog
+        ? `${listeningLog.count} albums logged` +
+            (listeningLog.firstTimestamp
+              ? ` since ${new Date(listeningLog.firstTimestamp).toLocaleDateString()}`
+              : '') +
+            `. ${listeningLog.listens} tracks played, ${listeningLog.pending} not submitted yet.`
+        : 'Loading…'
+    ),
+
+    // Export buttons
+    e(
+      'div',
+      {
+        style: {
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          flexWrap: 'wrap',
+          marginBottom: '20px',
+        },
+      },
+      e('span', { className: 'muted', style: { width: '72px' } }, 'Export'),
+      LOG_EXPORT_FORMATS.map(format =>
+        e(
+          'button',
+          {
+            key: format.value,
+            type: 'button',
+            className: 'btn',
+            disabled: !listeningLog?.[format.countKey],
+            onClick: () => onExportListeningLog(format.value),
+          },
+          format.label
+        )
+      ),
+      e(
+        'button',
+        {
+          type: 'button',
+          className: 'btn-link',
+          disabled: !listeningLog?.count && !listeningLog?.listens,
+          onClick: () => {
+            if (
+              window.confirm(
+                'Delete the whole listening log? Export it first if you want to keep it.'
+              )
+            ) {
+              onClearListeningLog();
+            }
+          },
+          style: { color: '#ef4444', fontSize: '13px', marginLeft: 'auto' },
+        },
+        'Clear Log'
+      )
+    ),
 
-        // Excluded artists list
-        excludedArtists.length > 0
+    // Submission settings
+    e('h3', { style: { fontSize: '16px', marginBottom: '12px' } }, 'Submit'),
+    e(
+      'div',
+      {
+        style: {
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          marginBottom: '8px',
+        },
+      },
+      e('span', { className: 'muted', style: { width: '96px' } }, 'Service'),
+      e(
+        'select',
+        {
+          value: listeningLog?.submission?.service || 'listenbrainz',
+          disabled: !listeningLog,
+          onChange: evt =>
+            onUpdateListeningLogSubmission({ service: evt.target.value }),
+          style: INPUT_STYLE,
+        },
+        Object.entries(SUBMISSION_SERVICE_OPTIONS).map(([value, service]) =>
+          e('option', { key: value, value }, service.label)
+        )
+      )
+    ),
+    [
+      { name: 'endpoint', label: 'Endpoint', type: 'url' },
+      ...submissionService.fields.map(field => ({
+        ...field,
+        type: 'password',
+        saved: !!listeningLog?.submission?.credentials?.[field.name],
+      })),
+    ].map(field =>
+      e(
+        'div',
+        {
+          key: field.name,
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            marginBottom: '8px',
+          },
+        },
+        e(
+          'span',
+          { className: 'muted', style: { width: '96px' } },
+          field.label
+        ),
+        e('input', {
+          type: field.type,
+          value: submissionDraft[field.name] || '',
+          placeholder:
+            field.name === 'endpoint'
+              ? submissionService.defaultEndpoint
+              : field.saved
+                ? 'Saved — type to replace'
+                : '',
+          disabled: !listeningLog,
+          onChange: evt =>
+            setSubmissionDraft({
+              ...submissionDraft,
+              [field.name]: evt.target.value,
+            }),
+          onBlur: () => handleSubmissionFieldCommit(field.name),
+          onKeyDown: evt => {
+            if (evt.key === 'Enter') handleSubmissionFieldCommit(field.name);
+          },
+          style: INPUT_STYLE,
+        }),
+        field.saved
           ? e(
-              'div',
+              'button',
               {
-                style: {
-                  display: 'flex',
-                  flexDirection: 'column',
-                  gap: '6px',
-                  maxHeight: '300px',
-                  overflowY: 'auto',
-                },
+                type: 'button',
+                className: 'btn-link',
+                onClick: () =>
+                  onUpdateListeningLogSubmission({ [field.name]: '' }),
               },
-              excludedArtists.map((artist, index) =>
-                e(
-                  'div',
-                  {
-                    key: index,
-                    style: {
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'space-between',
-                      padding: '8px 12px',
-                      border: '1px solid var(--border)',
-                      borderRadius: '6px',
-                      background: 'var(--card)',
-                    },
-                  },
-                  e('span', null, artist),
-                  e(
-                    'button',
-                    {
-                      className: 'btn-link',
-                      onClick: () => handleRemoveArtist(artist),
-                      style: { color: '#ef4444' },
-                    },
-                    'Remove'
-                  )
-                )
-              )
-            )
-          : e(
-              'div',
-              { className: 'muted', style: { fontSize: '13px' } },
-              'No excluded artists. Add artists to prevent their albums from being selected.'
+              'Clear'
             )
+          : null
+      )
+    ),
+    e(
+      'div',
+      {
+        style: {
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          marginTop: '12px',
+        },
+      },
+      e(
+        'label',
+        {
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            fontSize: '13px',
+            flex: 1,
+          },
+        },
+        e('input', {
+          type: 'checkbox',
+          checked: !!listeningLog?.submission?.autoSubmit,
+          disabled: !listeningLog,
+          onChange: evt =>
+            onUpdateListeningLogSubmission({ autoSubmit: evt.target.checked }),
+        }),
+        'Submit played tracks automatically'
+      ),
+      e(
+        'button',
+        {
+          type: 'button',
+          className: 'btn',
+          disabled:
+            submitting || !listeningLog?.configured || !listeningLog?.pending,
+          onClick: handleSubmitNow,
+        },
+        submitting ? 'Submitting…' : 'Submit Now'
+      )
+    ),
+    listeningLog &&
+      (listeningLog.lastSubmissionError || listeningLog.lastSubmittedAt)
+      ? e(
+          'div',
+          {
+            className: 'muted',
+            style: {
+              fontSize: '12px',
+              marginTop: '8px',
+              color: listeningLog.lastSubmissionError ? '#ef4444' : undefined,
+            },
+          },
+          listeningLog.lastSubmissionError ||
+            `Last submitted ${new Date(listeningLog.lastSubmittedAt).toLocaleString()}.`
+        )
+      : null
+  );
+
+  const remoteTab = e(
+    'div',
+    null,
+    renderDescription(
+      'Lets scripts and launchers on this computer pick and play albums over a local HTTP API. Requests must send the token below as a Bearer token. The API only accepts connections from this computer.'
+    ),
+    e(
+      'label',
+      {
+        style: {
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          fontSize: '13px',
+          marginBottom: '12px',
+        },
+      },
+      e('input', {
+        type: 'checkbox',
+        checked: !!controlApiSettings?.enabled,
+        disabled: !controlApiSettings,
+        onChange: evt => onUpdateControlApi({ enabled: evt.target.checked }),
+      }),
+      'Enable control API'
+    ),
+    e(
+      'form',
+      {
+        onSubmit: handlePortCommit,
+        style: {
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          marginBottom: '12px',
+        },
+      },
+      e('span', { className: 'muted', style: { width: '48px' } }, 'Port'),
+      e('input', {
+        type: 'number',
+        min: 1024,
+        max: 65535,
+        value: portDraft,
+        disabled: !controlApiSettings,
+        onChange: evt => setPortDraft(evt.target.value),
+        onBlur: handlePortCommit,
+        style: { ...INPUT_STYLE, flex: 'none', width: '100px' },
+      })
+    ),
+    e(
+      'div',
+      { style: { display: 'flex', alignItems: 'center', gap: '8px' } },
+      e('span', { className: 'muted', style: { width: '48px' } }, 'Token'),
+      e('input', {
+        type: 'text',
+        readOnly: true,
+        value: controlApiSettings?.token || '',
+        onFocus: evt => evt.target.select(),
+        style: { ...INPUT_STYLE, fontFamily: 'monospace', fontSize: '12px' },
+      }),
+      e(
+        'button',
+        {
+          type: 'button',
+          className: 'btn',
+          disabled: !controlApiSettings?.token,
+          onClick: handleCopyToken,
+        },
+        tokenCopied ? 'Copied' : 'Copy'
+      ),
+      e(
+        'button',
+        {
+          type: 'button',
+          className: 'btn-link',
+          disabled: !controlApiSettings,
+          onClick: () => {
+            if (
+              window.confirm(
+                'Create a new token? Scripts using the current token will stop working.'
+              )
+            ) {
+              onRegenerateControlApiToken();
+            }
+          },
+          style: { fontSize: '13px' },
+        },
+        'Regenerate'
+      )
+    ),
+    controlApiSettings
+      ? e(
+          'div',
+          {
+            className: 'muted',
+            style: {
+              fontSize: '12px',
+              marginTop: '8px',
+              color: controlApiSettings.error ? '#ef4444' : undefined,
+            },
+          },
+          controlApiSettings.error ||
+            (controlApiSettings.running
+              ? `Listening on http://127.0.0.1:${controlApiSettings.port}`
+              : 'Not running.')
+        )
+      : null
+  );
+
+  const tabContent = {
+    artists: artistsTab,
+    albums: albumsTab,
+    genres: genresTab,
+    history: historyTab,
+    log: logTab,
+    remote: remoteTab,
+  };
+
+  return e(
+    'div',
+    {
+      className: 'modal-overlay',
+      onClick: onClose,
+    },
+    e(
+      'div',
+      {
+        className: 'modal-content',
+        onClick: evt => evt.stopPropagation(), // Prevent closing when clicking inside
+      },
+      e('h2', null, 'Settings'),
+
+      // Tab bar
+      e(
+        'div',
+        {
+          role: 'tablist',
+          style: { display: 'flex', gap: '6px', flexWrap: 'wrap' },
+        },
+        SETTINGS_TABS.map(tab =>
+          e(
+            'button',
+            {
+              key: tab.id,
+              type: 'button',
+              role: 'tab',
+              'aria-selected': activeTab === tab.id,
+              className: activeTab === tab.id ? 'btn btn-primary' : 'btn',
+              onClick: () => setActiveTab(tab.id),
+            },
+            tab.label
+          )
+        )
       ),
 
+      // Active tab
+      e('div', { style: { marginTop: '24px' } }, tabContent[activeTab]),
+
       // Close button
       e(
         'div',
@@ -0,0 +1,105 @@
+/**
+ * TagFilter Component
+ * Limits random picks to albums carrying selected Roon tags, or keeps
+ * tagged albums out of them
+ */
+
+// Get React from window (loaded via CDN)
+const { createElement: e } = window.React;
+
+/**
+ * Gets the next state of a tag chip (any → include → exclude → any)
+ * @param {string} tag - Tag title
+ * @param {Array<string>} includedTags - Included tag titles
+ * @param {Array<string>} excludedTags - Excluded tag titles
+ * @returns {Object} Updated { includedTags, excludedTags }
+ */
+function cycleTag(tag, includedTags, excludedTags) {
+  if (includedTags.includes(tag)) {
+    return {
+      includedTags: includedTags.filter(t => t !== tag),
+      excludedTags: [...excludedTags, tag],
+    };
+  }
+
+  if (excludedTags.includes(tag)) {
+    return {
+      includedTags,
+      excludedTags: excludedTags.filter(t => t !== tag),
+    };
+  }
+
+  return { includedTags: [...includedTags, tag], excludedTags };
+}
+
+/**
+ * TagFilter component for tag filtering
+ * Click a tag once to only pick albums carrying it, twice to never pick them
+ *
+ * @param {Object} props
+ * @param {Array} props.tags - Library tags with album counts
+ * @param {Array<string>} props.includedTags - Tags a picked album must carry one of
+ * @param {Array<string>} props.excludedTags - Tags a picked album must not carry
+ * @param {Function} props.onUpdate - Called with the changed filters ({ includedTags, excludedTags })
+ * @returns {React.Element|null} Tag filter UI, or null if the library has no tags
+ */
+export function TagFilter({
+  tags = [],
+  includedTags = [],
+  excludedTags = [],
+  onUpdate,
+}) {
+  if (tags.length === 0) return null;
+
+  const hasTagFilter = includedTags.length > 0 || excludedTags.length > 0;
+
+  return e(
+    'div',
+    {
+      className: 'row',
+      style: { alignItems: 'center', gap: 8, marginBottom: 10, flexShrink: 0 },
+    },
+    e('span', { className: 'muted', style: { fontSize: 13 } }, 'Tags'),
+    e(
+      'div',
+      { style: { display: 'flex', flexWrap: 'wrap', gap: 4, flex: 1 } },
+      tags.map(tag => {
+        const included = includedTags.includes(tag.title);
+        const excluded = excludedTags.includes(tag.title);
+
+        return e(
+          'button',
+          {
+            key: tag.title,
+            className: included ? 'btn btn-primary' : 'btn',
+            onClick: () =>
+              onUpdate?.(cycleTag(tag.title, includedTags, excludedTags)),
+            title: included
+              ? 'Only albums with this tag (click to exclude them)'
+              : excluded
+                ? 'Albums with this tag are skipped (click to clear)'
+                : `${tag.albumCount} albums (click to pick only from them)`,
+            style: {
+              height: 24,
+              padding: '0 6px',
+              fontSize: 12,
+              textDecoration: excluded ? 'line-through' : 'none',
+              color: excluded ? 'var(--muted)' : undefined,
+            },
+          },
+          tag.title
+        );
+      })
+    ),
+    hasTagFilter &&
+      e(
+        'button',
+        {
+          className: 'btn-link',
+          onClick: () => onUpdate?.({ includedTags: [], excludedTags: [] }),
+          style: { fontSize: 12 },
+        },
+        'Any tag'
+      )
+  );
+}
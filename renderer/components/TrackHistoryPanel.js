@@ -0,0 +1,133 @@
+/**
+ * TrackHistoryPanel Component
+ * Expandable list of the tracks the selected zone played this session, with
+ * when each started and how long it actually played
+ */
+
+// Get React from window (loaded via CDN)
+const { createElement: e, useState } = window.React;
+
+// Import utilities
+import { smartQuotes, formatTime } from '../utils/formatting.js';
+
+/**
+ * Formats a timestamp as a clock time (e.g. "9:41 PM")
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {string} Clock time in the user's locale
+ */
+function formatClockTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], {
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * TrackHistoryPanel component for finding a track that played earlier
+ *
+ * @param {Object} props
+ * @param {Array} props.tracks - Tracks, newest first ({ title, artist, album, length, startedAt, playedMs, isCurrent })
+ * @returns {React.Element} Track history panel UI
+ */
+export function TrackHistoryPanel(props) {
+  const { tracks } = props;
+  const [expanded, setExpanded] = useState(false);
+
+  return e(
+    'div',
+    { style: { marginTop: '12px' } },
+    e(
+      'button',
+      {
+        type: 'button',
+        className: 'btn-link',
+        'aria-expanded': expanded,
+        onClick: () => setExpanded(!expanded),
+        disabled: tracks.length === 0,
+        style: { fontSize: '13px', display: 'flex', gap: '6px' },
+      },
+      e('span', null, expanded ? '▾' : '▸'),
+      `Recently Played Tracks (${tracks.length})`
+    ),
+    expanded
+      ? e(
+          'div',
+          {
+            style: {
+              display: 'flex',
+              flexDirection: 'column',
+              gap: '4px',
+              marginTop: '8px',
+              maxHeight: '240px',
+              overflowY: 'auto',
+            },
+          },
+          tracks.map((track, index) =>
+            e(
+              'div',
+              {
+                key: `${track.startedAt}-${index}`,
+                style: {
+                  display: 'flex',
+                  alignItems: 'baseline',
+                  gap: '10px',
+                  padding: '6px 8px',
+                  borderRadius: '6px',
+                  border: '1px solid var(--border)',
+                },
+              },
+              e(
+                'div',
+                { style: { flex: 1, minWidth: 0 } },
+                e(
+                  'div',
+                  {
+                    style: {
+                      fontSize: '13px',
+                      fontWeight: track.isCurrent ? 600 : 400,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap',
+                    },
+                  },
+                  smartQuotes(track.title || '—')
+                ),
+                e(
+                  'div',
+                  {
+                    className: 'muted',
+                    style: {
+                      fontSize: '12px',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap',
+                    },
+                  },
+                  [track.artist, track.album]
+                    .filter(Boolean)
+                    .map(smartQuotes)
+                    .join(' · ')
+                )
+              ),
+              e(
+                'div',
+                {
+                  className: 'time',
+                  style: { textAlign: 'right', flexShrink: 0 },
+                  title: track.length
+                    ? `Played ${formatTime(track.playedMs / 1000)} of ${formatTime(track.length)}`
+                    : `Played ${formatTime(track.playedMs / 1000)}`,
+                },
+                track.isCurrent ? 'Now' : formatClockTime(track.startedAt),
+                e(
+                  'div',
+                  { style: { fontSize: '11px' } },
+                  formatTime(track.playedMs / 1000)
+                )
+              )
+            )
+          )
+        )
+      : null
+  );
+}
@@ -0,0 +1,228 @@
+/**
+ * Zone Target Menu Component
+ *
+ * Toolbar dropdown for sending a random pick to another zone without switching
+ * the Now Playing view, and for grouping zones with the current one so they
+ * play in sync.
+ */
+
+const { createElement: e, useState, useEffect, useRef } = window.React;
+
+/**
+ * Chevron down icon for dropdown indicator
+ */
+function ChevronDownIcon() {
+  return e(
+    'svg',
+    {
+      width: 12,
+      height: 12,
+      viewBox: '0 0 24 24',
+      fill: 'none',
+      stroke: 'currentColor',
+      strokeWidth: 2,
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+    },
+    e('polyline', { points: '6 9 12 15 18 9' })
+  );
+}
+
+/**
+ * Zone Target Menu
+ * @param {Object} props - Component props
+ * @param {Array} props.zones - Zones ({ id, name, state, outputCount })
+ * @param {string|null} props.currentZoneId - Zone shown in Now Playing
+ * @param {boolean} props.disabled - Disables the trigger button
+ * @param {Function} props.onPlayOnZone - Callback to play a random album on a zone (zoneId) => Promise
+ * @param {Function} props.onGroup - Callback to group zones (zoneIds) => Promise
+ * @param {Function} props.onUngroup - Callback to ungroup a zone (zoneId) => Promise
+ * @returns {React.Element} Dropdown element
+ */
+export function ZoneTargetMenu({
+  zones,
+  currentZoneId,
+  disabled,
+  onPlayOnZone,
+  onGroup,
+  onUngroup,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const dropdownRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () =>
+        document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  // Close dropdown on escape key
+  useEffect(() => {
+    function handleEscape(event) {
+      if (event.key === 'Escape') {
+        setIsOpen(false);
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+      return () => document.removeEventListener('keydown', handleEscape);
+    }
+  }, [isOpen]);
+
+  const currentZone = zones.find(zone => zone.id === currentZoneId);
+  const otherZones = zones.filter(zone => zone.id !== currentZoneId);
+
+  async function handleAction(action) {
+    setIsOpen(false);
+    await action();
+  }
+
+  const rowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '8px 16px',
+  };
+
+  return e(
+    'div',
+    {
+      ref: dropdownRef,
+      style: { position: 'relative' },
+    },
+    // Trigger button
+    e(
+      'button',
+      {
+        className: 'btn',
+        onClick: () => setIsOpen(!isOpen),
+        disabled: disabled || zones.length === 0,
+        title: 'Play on another zone or group zones',
+        style: { display: 'flex', alignItems: 'center', gap: '6px' },
+      },
+      'Zones',
+      e(ChevronDownIcon)
+    ),
+
+    // Dropdown menu
+    isOpen &&
+      e(
+        'div',
+        {
+          className: 'connection-dropdown-menu',
+          style: {
+            position: 'absolute',
+            top: 'calc(100% + 4px)',
+            right: 0,
+            minWidth: '280px',
+            backgroundColor: 'var(--card)',
+            border: '1px solid var(--border)',
+            borderRadius: '8px',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+            zIndex: 1000,
+            padding: '4px 0',
+          },
+        },
+        // Current zone, with ungroup when it is a group
+        currentZone &&
+          e(
+            'div',
+            { style: { ...rowStyle, fontSize: '13px' } },
+            e(
+              'span',
+              { style: { flex: 1, fontWeight: 600 } },
+              currentZone.name
+            ),
+            currentZone.outputCount > 1
+              ? e(
+                  'button',
+                  {
+                    className: 'btn-link',
+                    onClick: () =>
+                      handleAction(() => onUngroup(currentZone.id)),
+                    style: { fontSize: '12px' },
+                  },
+                  'Ungroup'
+                )
+              : e(
+                  'span',
+                  { style: { fontSize: '12px', color: 'var(--muted)' } },
+                  'Now Playing'
+                )
+          ),
+
+        // Divider
+        e('div', {
+          style: {
+            height: '1px',
+            backgroundColor: 'var(--border)',
+            margin: '4px 0',
+          },
+        }),
+
+        // Other zones: send a pick there or group it with the current zone
+        otherZones.length > 0
+          ? otherZones.map(zone =>
+              e(
+                'div',
+                { key: zone.id, style: { ...rowStyle, fontSize: '13px' } },
+                e(
+                  'span',
+                  {
+                    style: {
+                      flex: 1,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap',
+                    },
+                  },
+                  zone.name
+                ),
+                e(
+                  'button',
+                  {
+                    className: 'btn-link',
+                    title: `Play a random album on ${zone.name}`,
+                    onClick: () => handleAction(() => onPlayOnZone(zone.id)),
+                    style: { fontSize: '12px' },
+                  },
+                  'Play here'
+                ),
+                currentZone &&
+                  e(
+                    'button',
+                    {
+                      className: 'btn-link',
+                      title: `Group ${zone.name} with ${currentZone.name}`,
+                      onClick: () =>
+                        handleAction(() => onGroup([currentZone.id, zone.id])),
+                      style: { fontSize: '12px' },
+                    },
+                    'Group'
+                  )
+              )
+            )
+          : e(
+              'div',
+              {
+                style: {
+                  ...rowStyle,
+                  fontSize: '12px',
+                  color: 'var(--muted)',
+                },
+              },
+              'No other zones available.'
+            )
+      )
+  );
+}
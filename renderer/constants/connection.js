@@ -0,0 +1,18 @@
+/**
+ * Connection Constants
+ * Shared by the connection test in roonService.js and the connection
+ * settings dialog that explains its result
+ */
+
+// Connection test error codes
+export const CONNECTION_TEST_ERRORS = {
+  // Nothing answered at the address (refused, timed out, host not found)
+  UNREACHABLE: 'CORE_UNREACHABLE',
+
+  // Something answered, but not with the Roon Core handshake
+  NOT_ROON_CORE: 'NOT_ROON_CORE',
+
+  // A Roon Core answered, but has not authorized the extension yet
+  // (not paired with it and no token from it is stored)
+  AUTH_PENDING: 'AUTH_PENDING',
+};
@@ -48,3 +48,20 @@ export const MILLISECONDS_PER_MINUTE = 60000;
 // Hours in one day (24 hours)
 // Used for relative time calculations to determine day boundaries
 export const HOURS_PER_DAY = 24;
+
+// Genre Weighting
+// Default and maximum custom weight for a selected genre
+// Must match DEFAULT_GENRE_WEIGHT and MAX_GENRE_WEIGHT in roonHelpers.js (main process)
+export const DEFAULT_GENRE_WEIGHT = 5;
+export const MAX_GENRE_WEIGHT = 10;
+
+// Queueing
+// Maximum number of random albums queued in one request
+// Must match MAX_QUEUE_ALBUMS in roonHelpers.js (main process)
+export const MAX_QUEUE_ALBUMS = 20;
+
+// Length-bounded Picks
+// Length limit of the "Under N Min" pick, and the longest limit or time budget
+// Must match DEFAULT_MAX_ALBUM_MINUTES and MAX_ALBUM_MINUTES_LIMIT in roonHelpers.js (main process)
+export const DEFAULT_MAX_ALBUM_MINUTES = 40;
+export const MAX_ALBUM_MINUTES_LIMIT = 600;
@@ -6,6 +6,7 @@
  */
 
 import { extractPrimaryArtist, createActivityKey } from './utils/formatting.js';
+import { createImageUrl } from './utils/images.js';
 import { DiceIcon, FilterIcon } from './components/Icons.js';
 import { ErrorBoundary } from './components/ErrorBoundary.js';
 import { GenreFilter } from './components/GenreFilter.js';
@@ -14,6 +15,13 @@ import { ActivityCard } from './components/ActivityCard.js';
 import { ConnectionSettings } from './components/ConnectionSettings.js';
 import { ConnectionStatusDropdown } from './components/ConnectionStatusDropdown.js';
 import { SettingsModal } from './components/SettingsModal.js';
+import { PresetPicker } from './components/PresetPicker.js';
+import { QueueMenu } from './components/QueueMenu.js';
+import { ZoneTargetMenu } from './components/ZoneTargetMenu.js';
+import {
+  DEFAULT_MAX_ALBUM_MINUTES,
+  MAX_ALBUM_MINUTES_LIMIT,
+} from './constants/ui.js';
 
 // Ensure React and ReactDOM are available
 if (!window?.React || !window?.ReactDOM) {
@@ -27,10 +35,40 @@ const root = document.getElementById('root');
 
 // Activity Feed
 const ACTIVITY_HISTORY_LIMIT = 50;
+// Activity thumbnails are 72px; twice that stays sharp on HiDPI screens
+const THUMBNAIL_IMAGE_OPTIONS = { width: 144, height: 144 };
 
 // Timing and Delays (milliseconds)
 const CORE_PAIRING_DELAY = 500;
 const ZONE_LOAD_DELAY = 200;
+const SUBGENRE_LOAD_INTERVAL = 500; // Matches the getSubgenres IPC rate limit
+
+// Pick selector entries and the options each sends with a random pick;
+// entries with a budget take the minutes from the toolbar's time input
+const PICK_OPTIONS = {
+  random: { label: 'Random', getOptions: () => ({ mode: 'random' }) },
+  rediscover: {
+    label: 'Rediscover',
+    getOptions: () => ({ mode: 'rediscover' }),
+  },
+  track: { label: 'Single Track', getOptions: () => ({ type: 'track' }) },
+  mix: { label: '5-Track Mix', getOptions: () => ({ type: 'mix' }) },
+  short: {
+    label: `Under ${DEFAULT_MAX_ALBUM_MINUTES} Min`,
+    getOptions: () => ({ maxMinutes: DEFAULT_MAX_ALBUM_MINUTES }),
+  },
+  fits: {
+    label: 'Album That Fits…',
+    usesBudget: true,
+    getOptions: minutes => ({ maxMinutes: minutes }),
+  },
+  fill: {
+    label: 'Fill the Time…',
+    usesBudget: true,
+    getOptions: minutes => ({ type: 'fill', budgetMinutes: minutes }),
+  },
+};
+const DEFAULT_BUDGET_MINUTES = 45;
 
 // ==================== CUSTOM HOOKS ====================
 
@@ -46,16 +84,20 @@ function useRoon() {
     coreName: null,
     lastZoneId: null,
     filters: { genres: [] },
+    connection: null, // Connection supervisor status (see connectionSupervisor.js)
   });
 
   const [zones, setZones] = useState([]);
   const [profiles, setProfiles] = useState([]);
   const [currentProfile, setCurrentProfile] = useState(null);
   const [genres, setGenres] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [autoContinueZones, setAutoContinueZones] = useState([]);
 
   // Operation-specific busy states for better UX
   const [operations, setOperations] = useState({
     playingAlbum: false, // "Play Random Album" button
+    queueingAlbums: false, // "Queue" menu
     playingSpecificAlbum: false, // Replay from activity feed
     fetchingArtist: false, // "More from Artist" button
     loadingGenres: false, // Genre refresh
@@ -107,6 +149,21 @@ function useRoon() {
     } finally {
       setOperation('loadingGenres', false);
     }
+
+    // Tags live alongside genres and change with the profile too
+    await refreshTags();
+  }
+
+  /**
+   * Refreshes the list of library tags
+   */
+  async function refreshTags() {
+    try {
+      const tagList = await window.roon.listTags();
+      setTags(Array.isArray(tagList) ? tagList : []);
+    } catch (error) {
+      console.error('Failed to list tags:', error);
+    }
   }
 
   /**
@@ -222,12 +279,22 @@ function useRoon() {
   /**
    * Plays a random album based on current genre filters
    * @param {Array} selectedGenres - Array of selected genre names
+   * @param {string|null} [targetZoneId] - Zone to play on instead of the selected zone
+   * @param {Object} [options] - Pick options ({ mode: 'random' | 'rediscover' })
    * @returns {Promise<Object|null>} Album info or null on error
    */
-  async function playRandomAlbum(selectedGenres) {
+  async function playRandomAlbum(
+    selectedGenres,
+    targetZoneId = null,
+    options = {}
+  ) {
     setOperation('playingAlbum', true);
     try {
-      const result = await window.roon.playRandomAlbum(selectedGenres);
+      const result = await window.roon.playRandomAlbum(
+        selectedGenres,
+        targetZoneId,
+        options
+      );
       return result;
     } catch (error) {
       console.error('Failed to play random album:', error);
@@ -238,15 +305,36 @@ function useRoon() {
     }
   }
 
+  /**
+   * Queues several random albums on the current zone
+   * @param {Array} selectedGenres - Selected genre objects
+   * @param {number} count - Number of albums to queue
+   * @param {string} action - 'addNext' or 'queue'
+   * @returns {Promise<Object|null>} Queued albums or null on error
+   */
+  async function queueRandomAlbums(selectedGenres, count, action) {
+    setOperation('queueingAlbums', true);
+    try {
+      return await window.roon.queueRandomAlbums(selectedGenres, count, action);
+    } catch (error) {
+      console.error('Failed to queue random albums:', error);
+      alert(`Error: ${error.message}`);
+      return null;
+    } finally {
+      setOperation('queueingAlbums', false);
+    }
+  }
+
   /**
    * Plays a specific album by name and artist
    * @param {string} albumTitle - Album title
    * @param {string} artistName - Artist name
+   * @param {string|null} [targetZoneId] - Zone to play on instead of the selected zone
    */
-  async function playAlbumByName(albumTitle, artistName) {
+  async function playAlbumByName(albumTitle, artistName, targetZoneId = null) {
     setOperation('playingSpecificAlbum', true);
     try {
-      await window.roon.playAlbumByName(albumTitle, artistName);
+      await window.roon.playAlbumByName(albumTitle, artistName, targetZoneId);
     } catch (error) {
       console.error('Failed to play album by name:', error);
       alert(`Error: ${error.message}`);
@@ -259,14 +347,20 @@ function useRoon() {
    * Plays a random album by the specified artist (excluding current album)
    * @param {string} artistName - Artist name
    * @param {string} currentAlbum - Current album to exclude
+   * @param {string|null} [targetZoneId] - Zone to play on instead of the selected zone
    * @returns {Promise<Object|null>} Album info or null on error
    */
-  async function playRandomAlbumByArtist(artistName, currentAlbum) {
+  async function playRandomAlbumByArtist(
+    artistName,
+    currentAlbum,
+    targetZoneId = null
+  ) {
     setOperation('fetchingArtist', true);
     try {
       return await window.roon.playRandomAlbumByArtist(
         artistName,
-        currentAlbum
+        currentAlbum,
+        targetZoneId
       );
     } catch (error) {
       console.error('Failed to play album by artist:', error);
@@ -277,6 +371,32 @@ function useRoon() {
     }
   }
 
+  /**
+   * Groups zones so they play in sync (the first zone leads)
+   * @param {Array<string>} zoneIds - Zone IDs
+   */
+  async function groupZones(zoneIds) {
+    try {
+      await window.roon.groupZones(zoneIds);
+    } catch (error) {
+      console.error('Failed to group zones:', error);
+      alert(`Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Splits a grouped zone back into its outputs
+   * @param {string} zoneId - Grouped zone ID
+   */
+  async function ungroupZone(zoneId) {
+    try {
+      await window.roon.ungroupZone(zoneId);
+    } catch (error) {
+      console.error('Failed to ungroup zone:', error);
+      alert(`Error: ${error.message}`);
+    }
+  }
+
   // ==================== TRANSPORT FUNCTIONS ====================
 
   /**
@@ -333,6 +453,9 @@ function useRoon() {
       await refreshZones();
       console.timeEnd('[TIMING] refreshZones');
 
+      const endlessZones = await window.roon.getAutoContinueZones();
+      setAutoContinueZones(Array.isArray(endlessZones) ? endlessZones : []);
+
       // Only load profiles/genres if core is already paired
       // Otherwise, handleCorePaired will load them when connection happens
       const currentState = await window.roon.getState();
@@ -414,6 +537,23 @@ function useRoon() {
       } else if (payload.type === 'profiles') {
         setProfiles(payload.profiles || []);
         setCurrentProfile(payload.currentProfile || null);
+      } else if (payload.type === 'filters') {
+        setState(prevState => ({ ...prevState, filters: payload.filters }));
+      } else if (payload.type === 'autoContinue') {
+        // Keep the same list when nothing changed, so effects that depend on
+        // it (and update auto-continue themselves) don't run again
+        const zones = payload.zones || [];
+        setAutoContinueZones(previous =>
+          previous.length === zones.length &&
+          previous.every((zoneId, index) => zoneId === zones[index])
+            ? previous
+            : zones
+        );
+      } else if (payload.type === 'connection') {
+        setState(prevState => ({
+          ...prevState,
+          connection: payload.connection,
+        }));
       }
     });
 
@@ -466,6 +606,294 @@ function useRoon() {
     return await window.roon.getSubgenres(genreTitle);
   }
 
+  // ==================== PLAY HISTORY FUNCTIONS ====================
+
+  /**
+   * Gets the cross-session play history settings
+   * @returns {Promise<Object|null>} Settings { cooldownDays, albumCount } or null on error
+   */
+  async function getPlayHistorySettings() {
+    try {
+      return await window.roon.getPlayHistorySettings();
+    } catch (error) {
+      console.error('Failed to get play history settings:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Sets how many days a played album is skipped by the random picker
+   * @param {number} days - Cooldown window in days (0 disables)
+   * @returns {Promise<Object|null>} Updated settings or null on error
+   */
+  async function setPlayHistoryCooldown(days) {
+    try {
+      return await window.roon.setPlayHistoryCooldown(days);
+    } catch (error) {
+      console.error('Failed to set play history cooldown:', error);
+      alert(`Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Forgets all albums in the cross-session play history
+   * @returns {Promise<Object|null>} Updated settings or null on error
+   */
+  async function resetPlayHistory() {
+    try {
+      return await window.roon.resetPlayHistory();
+    } catch (error) {
+      console.error('Failed to reset play history:', error);
+      return null;
+    }
+  }
+
+  // ==================== ALBUM FEEDBACK FUNCTIONS ====================
+
+  /**
+   * Gets the thumbs up/down rating of the album playing on a zone
+   * @param {string} zoneId - Zone identifier
+   * @returns {Promise<Object|null>} { album, artist, rating } or null
+   */
+  async function getNowPlayingRating(zoneId) {
+    try {
+      return await window.roon.getNowPlayingRating(zoneId);
+    } catch (error) {
+      console.error('Failed to get album rating:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Gives the album playing on a zone a thumbs up or down
+   * @param {string} zoneId - Zone identifier
+   * @param {number} rating - 1 (thumbs up), -1 (thumbs down) or 0 (clear)
+   * @returns {Promise<Object|null>} { album, artist, rating } or null on error
+   */
+  async function rateNowPlaying(zoneId, rating) {
+    try {
+      return await window.roon.rateNowPlaying(zoneId, rating);
+    } catch (error) {
+      console.error('Failed to rate album:', error);
+      alert(`Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Gets totals of the recorded skips, play-throughs and ratings
+   * @returns {Promise<Object|null>} { albumCount, liked, disliked, skipped } or null on error
+   */
+  async function getAlbumFeedbackSummary() {
+    try {
+      return await window.roon.getAlbumFeedbackSummary();
+    } catch (error) {
+      console.error('Failed to get album feedback:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Forgets every skip, play-through and rating
+   * @returns {Promise<Object|null>} Updated totals or null on error
+   */
+  async function resetAlbumFeedback() {
+    try {
+      return await window.roon.resetAlbumFeedback();
+    } catch (error) {
+      console.error('Failed to reset album feedback:', error);
+      return null;
+    }
+  }
+
+  // ==================== CONTROL API FUNCTIONS ====================
+
+  /**
+   * Gets the local control API settings and server status
+   * @returns {Promise<Object|null>} Settings { enabled, port, token, running, error } or null on error
+   */
+  async function getControlApiSettings() {
+    try {
+      return await window.roon.getControlApiSettings();
+    } catch (error) {
+      console.error('Failed to get control API settings:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Enables or disables the control API or changes its port
+   * @param {Object} settings - Partial settings ({ enabled, port })
+   * @returns {Promise<Object|null>} Updated settings or null on error
+   */
+  async function setControlApiSettings(settings) {
+    try {
+      return await window.roon.setControlApiSettings(settings);
+    } catch (error) {
+      console.error('Failed to set control API settings:', error);
+      alert(`Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Replaces the control API token
+   * @returns {Promise<Object|null>} Updated settings or null on error
+   */
+  async function regenerateControlApiToken() {
+    try {
+      return await window.roon.regenerateControlApiToken();
+    } catch (error) {
+      console.error('Failed to regenerate control API token:', error);
+      return null;
+    }
+  }
+
+  // ==================== LISTENING LOG FUNCTIONS ====================
+
+  /**
+   * Gets the listening log status and submission settings
+   * @returns {Promise<Object|null>} Listening log state or null on error
+   */
+  async function getListeningLog() {
+    try {
+      return await window.roon.getListeningLog();
+    } catch (error) {
+      console.error('Failed to get listening log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves the listening log to a file chosen by the user
+   * @param {string} format - 'csv', 'json', 'listenbrainz' or 'lastfm'
+   * @returns {Promise<Object|null>} Export result or null on error
+   */
+  async function exportListeningLog(format) {
+    try {
+      return await window.roon.exportListeningLog(format);
+    } catch (error) {
+      console.error('Failed to export listening log:', error);
+      alert(`Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Clears the listening log
+   * @returns {Promise<Object|null>} Listening log state or null on error
+   */
+  async function clearListeningLog() {
+    try {
+      return await window.roon.clearListeningLog();
+    } catch (error) {
+      console.error('Failed to clear listening log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Updates the submission service, endpoint, credentials or auto-submit
+   * @param {Object} settings - Partial submission settings
+   * @returns {Promise<Object|null>} Listening log state or null on error
+   */
+  async function setListeningLogSubmission(settings) {
+    try {
+      return await window.roon.setListeningLogSubmission(settings);
+    } catch (error) {
+      console.error('Failed to set listening log submission:', error);
+      alert(`Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Submits the entries not sent yet
+   * @returns {Promise<Object|null>} Listening log state or null on error
+   */
+  async function submitListeningLog() {
+    try {
+      return await window.roon.submitListeningLog();
+    } catch (error) {
+      console.error('Failed to submit listening log:', error);
+      alert(`Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // ==================== FILTER PRESET FUNCTIONS ====================
+
+  /**
+   * Turns auto-continue ("endless random") on or off for a zone
+   * @param {string} zoneId - Zone ID
+   * @param {boolean} enabled - Whether to keep the zone going
+   * @param {Array} selectedGenres - Selected genre objects used for the picks
+   */
+  async function setAutoContinue(zoneId, enabled, selectedGenres) {
+    try {
+      await window.roon.setAutoContinue(zoneId, enabled, selectedGenres);
+    } catch (error) {
+      console.error('Failed to set auto-continue:', error);
+      alert(`Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists saved filter presets
+   * @returns {Promise<Array>} Presets sorted by name
+   */
+  async function listFilterPresets() {
+    try {
+      const presets = await window.roon.listFilterPresets();
+      return Array.isArray(presets) ? presets : [];
+    } catch (error) {
+      console.error('Failed to list filter presets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Saves filters as a named preset
+   * @param {string} name - Preset name
+   * @param {Object} filters - Filters to save, including selected genres
+   * @returns {Promise<Object|null>} Saved preset or null on error
+   */
+  async function saveFilterPreset(name, filters) {
+    try {
+      return await window.roon.saveFilterPreset(name, filters);
+    } catch (error) {
+      console.error('Failed to save filter preset:', error);
+      alert(`Error saving preset: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Applies a preset (the filters event updates state)
+   * @param {string} presetId - Preset ID
+   */
+  async function applyFilterPreset(presetId) {
+    try {
+      await window.roon.applyFilterPreset(presetId);
+    } catch (error) {
+      console.error('Failed to apply filter preset:', error);
+      alert(`Error applying preset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a preset
+   * @param {string} presetId - Preset ID
+   */
+  async function deleteFilterPreset(presetId) {
+    try {
+      await window.roon.deleteFilterPreset(presetId);
+    } catch (error) {
+      console.error('Failed to delete filter preset:', error);
+    }
+  }
+
   // Return public API
   return {
     // State
@@ -474,6 +902,8 @@ function useRoon() {
     profiles,
     currentProfile,
     genres,
+    tags,
+    autoContinueZones,
     operations,
 
     // Functions
@@ -483,10 +913,14 @@ function useRoon() {
     refreshNowPlaying, // NEW
     setFilters,
     selectZone,
+    groupZones,
+    ungroupZone,
     switchProfile,
     playRandomAlbum,
+    queueRandomAlbums,
     playAlbumByName,
     playRandomAlbumByArtist,
+    setAutoContinue,
     transportControl,
     seek,
     changeVolume,
@@ -497,6 +931,33 @@ function useRoon() {
     // Connection settings
     getConnectionSettings,
     setConnectionSettings,
+
+    // Play history
+    getPlayHistorySettings,
+    setPlayHistoryCooldown,
+    resetPlayHistory,
+    getNowPlayingRating,
+    rateNowPlaying,
+    getAlbumFeedbackSummary,
+    resetAlbumFeedback,
+
+    // Local control API
+    getControlApiSettings,
+    setControlApiSettings,
+    regenerateControlApiToken,
+
+    // Listening log
+    getListeningLog,
+    exportListeningLog,
+    clearListeningLog,
+    setListeningLogSubmission,
+    submitListeningLog,
+
+    // Filter presets
+    listFilterPresets,
+    saveFilterPreset,
+    applyFilterPreset,
+    deleteFilterPreset,
   };
 }
 
@@ -544,6 +1005,27 @@ function App() {
   // Settings modal state (for artist exclusions)
   const [settingsModalOpen, setSettingsModalOpen] = useState(false);
 
+  // Play history settings (loaded when the settings modal opens)
+  const [playHistorySettings, setPlayHistorySettings] = useState(null);
+  const [albumFeedbackSummary, setAlbumFeedbackSummary] = useState(null);
+  const [nowPlayingRating, setNowPlayingRating] = useState(0);
+
+  // Local control API settings (loaded when the settings modal opens)
+  const [controlApiSettings, setControlApiSettings] = useState(null);
+
+  // Listening log status and submission settings (loaded with the settings modal)
+  const [listeningLog, setListeningLog] = useState(null);
+
+  // Saved filter presets and the one last applied
+  const [filterPresets, setFilterPresets] = useState([]);
+  const [activePresetId, setActivePresetId] = useState(null);
+  const [autoContinueError, setAutoContinueError] = useState(null);
+  const [trackHistory, setTrackHistory] = useState([]);
+
+  // How the Play Random Album button picks (a PICK_OPTIONS key)
+  const [pickMode, setPickMode] = useState('random');
+  const [budgetMinutes, setBudgetMinutes] = useState(DEFAULT_BUDGET_MINUTES);
+
   // Tick state to force relative timestamp re-renders every 60 seconds
   const [, setTimestampTick] = useState(0);
   useEffect(() => {
@@ -560,6 +1042,80 @@ function App() {
     loadConnectionSettings();
   }, []);
 
+  // Load play history settings whenever the settings modal opens
+  useEffect(() => {
+    if (!settingsModalOpen) return;
+
+    roon.getPlayHistorySettings().then(settings => {
+      if (settings) setPlayHistorySettings(settings);
+    });
+    roon.getAlbumFeedbackSummary().then(summary => {
+      if (summary) setAlbumFeedbackSummary(summary);
+    });
+    roon.getControlApiSettings().then(settings => {
+      if (settings) setControlApiSettings(settings);
+    });
+    roon.getListeningLog().then(state => {
+      if (state) setListeningLog(state);
+    });
+  }, [settingsModalOpen]);
+
+  // Load filter presets once connected
+  useEffect(() => {
+    if (!roon.state.paired) return;
+    roon.listFilterPresets().then(setFilterPresets);
+  }, [roon.state.paired]);
+
+  // Adopt the genre selection of an applied preset
+  useEffect(() => {
+    function handlePresetApplied(payload) {
+      if (payload?.type !== 'filters' || !payload.preset) return;
+
+      const genres = payload.filters?.genres || [];
+      setSelectedGenres(genres);
+      setActivePresetId(payload.preset.id);
+
+      // Subgenre selections need their parent expanded and its subgenres loaded
+      const parentGenres = [
+        ...new Set(
+          genres
+            .filter(genreKey => genreKey.includes('::'))
+            .map(genreKey => genreKey.split('::')[0])
+        ),
+      ];
+      if (parentGenres.length === 0) return;
+
+      setExpandedGenres(prev => new Set([...prev, ...parentGenres]));
+      loadPresetSubgenres(parentGenres);
+    }
+
+    /**
+     * Loads subgenres one parent at a time (the IPC channel is rate limited)
+     * @param {Array<string>} parentGenres - Parent genre titles
+     */
+    async function loadPresetSubgenres(parentGenres) {
+      for (const [index, parentGenre] of parentGenres.entries()) {
+        if (index > 0) {
+          await new Promise(resolve =>
+            setTimeout(resolve, SUBGENRE_LOAD_INTERVAL)
+          );
+        }
+
+        try {
+          const subgenres = await roon.getSubgenres(parentGenre);
+          setSubgenresCache(prev => new Map(prev.set(parentGenre, subgenres)));
+        } catch (error) {
+          console.error(`Failed to load subgenres for ${parentGenre}:`, error);
+        }
+      }
+    }
+
+    const unsubscribe = window.roon.onEvent(handlePresetApplied);
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, []);
+
   // Get current zone info
   const currentZone = roon.zones.find(
     zone => zone.id === roon.state.lastZoneId
@@ -574,35 +1130,18 @@ function App() {
 
       const metadata = payload.meta || {};
 
-      if (metadata.image_key) {
-        // Fetch album art
-        window.roon.getImage(metadata.image_key).then(dataUrl => {
-          if (dataUrl) {
-            setNowPlaying({
-              song: metadata.song,
-              artist: metadata.artist, // Keep full artist for display
-              album: metadata.album,
-              art: dataUrl,
-              seek_position: metadata.seek_position,
-              length: metadata.length,
-              lastUpdate: Date.now(),
-            });
-          }
-        });
-      } else {
-        // Update without changing existing art
-        setNowPlaying(previous => {
-          return {
-            song: metadata.song,
-            artist: metadata.artist, // Keep full artist for display
-            album: metadata.album,
-            art: previous.art,
-            seek_position: metadata.seek_position,
-            length: metadata.length,
-            lastUpdate: Date.now(),
-          };
-        });
-      }
+      // Art loads straight from roonimg://; keep the old art without a new key
+      setNowPlaying(previous => ({
+        song: metadata.song,
+        artist: metadata.artist, // Keep full artist for display
+        album: metadata.album,
+        art: metadata.image_key
+          ? createImageUrl(metadata.image_key, { priority: 'nowPlaying' })
+          : previous.art,
+        seek_position: metadata.seek_position,
+        length: metadata.length,
+        lastUpdate: Date.now(),
+      }));
     }
 
     const unsubscribe = window.roon.onEvent(handleNowPlayingEvent);
@@ -635,6 +1174,51 @@ function App() {
     };
   }, [roon.state.lastZoneId]);
 
+  // ==================== ALBUM RATING ====================
+
+  // Show the rating of the album now playing
+  useEffect(() => {
+    const zoneId = roon.state.lastZoneId;
+    setNowPlayingRating(0);
+    if (!zoneId || !nowPlaying.album) return;
+
+    let cancelled = false;
+    roon.getNowPlayingRating(zoneId).then(result => {
+      if (!cancelled) setNowPlayingRating(result?.rating || 0);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [roon.state.lastZoneId, nowPlaying.album]);
+
+  // ==================== TRACK HISTORY EVENT HANDLER ====================
+
+  useEffect(() => {
+    const zoneId = roon.state.lastZoneId;
+    setTrackHistory([]);
+    if (!zoneId) return;
+
+    // Load what the zone played before it was selected
+    window.roon
+      .getTrackHistory(zoneId)
+      .then(tracks => setTrackHistory(Array.isArray(tracks) ? tracks : []))
+      .catch(error => console.error('Failed to load track history:', error));
+
+    function handleTrackHistoryEvent(payload) {
+      if (payload?.type !== 'trackHistory' || payload.zoneId !== zoneId) {
+        return;
+      }
+      setTrackHistory(payload.tracks || []);
+    }
+
+    const unsubscribe = window.roon.onEvent(handleTrackHistoryEvent);
+
+    // Cleanup: remove event listener when zone changes or component unmounts
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, [roon.state.lastZoneId]);
+
   // ==================== ACTIVITY PERSISTENCE ====================
 
   useEffect(() => {
@@ -647,35 +1231,22 @@ function App() {
           'items'
         );
 
-        // Convert persisted activity to UI format (with album art)
-        // Fetch images sequentially to avoid hitting the rate limiter
-        const activityWithArt = [];
-        for (const item of (persistedActivity || []).slice(
-          0,
-          ACTIVITY_HISTORY_LIMIT
-        )) {
-          let artUrl = null;
-
-          if (item.imageKey) {
-            try {
-              artUrl = await window.roon.getImage(item.imageKey);
-            } catch (error) {
-              console.warn(
-                `Failed to load album art for ${item.title}:`,
-                error
-              );
-            }
-          }
-
-          activityWithArt.push({
+        // Convert persisted activity to UI format (art loads via roonimg://)
+        const activityWithArt = (persistedActivity || [])
+          .slice(0, ACTIVITY_HISTORY_LIMIT)
+          .map(item => ({
             id: item.id,
             title: item.title,
             subtitle: item.subtitle,
-            art: artUrl,
+            art: createImageUrl(item.imageKey, THUMBNAIL_IMAGE_OPTIONS),
             t: item.timestamp,
             key: item.key || createActivityKey(item.title, item.subtitle),
-          });
-        }
+          }));
+
+        // Thumbnails below the fold load lazily; fetch them all in feed order
+        window.roon
+          .prefetchImages(activityWithArt.map(item => item.art).filter(Boolean))
+          .catch(error => console.warn('Failed to prefetch album art:', error));
 
         setActivity(activityWithArt);
       } catch (error) {
@@ -705,23 +1276,33 @@ function App() {
    * @param {string} albumTitle - Album title
    * @param {string} artistName - Artist name (primary artist)
    * @param {string} imageKey - Roon image key
-   * @param {string} artUrl - Album art data URL for immediate UI display
-   * @param {string} playedVia - How the album was selected ('random' or 'artist')
+   * @param {string} playedVia - How the album was selected ('random', 'artist', 'queued', 'auto' or 'remote')
+   * @param {Object} [context] - Zone and genre selection for the listening log ({ zoneId, genres })
    */
   const saveActivityItem = useCallback(
-    async (albumTitle, artistName, imageKey, artUrl, playedVia = 'random') => {
+    async (
+      albumTitle,
+      artistName,
+      imageKey,
+      playedVia = 'random',
+      context = {}
+    ) => {
       const activityKey = createActivityKey(albumTitle, artistName);
 
-      // Create the activity item for UI (with art data URL)
+      // Create the activity item for UI (with a thumbnail URL)
       const uiActivityItem = {
         title: albumTitle || '—',
         subtitle: artistName || '',
-        art: artUrl,
+        // Queued albums play later, so their art is fetched last
+        art: createImageUrl(imageKey, {
+          ...THUMBNAIL_IMAGE_OPTIONS,
+          priority: playedVia === 'queued' ? 'queued' : 'activity',
+        }),
         t: Date.now(),
         key: activityKey,
       };
 
-      // Create the activity item for persistence (with image key, not data URL)
+      // Create the activity item for persistence (with image key, not URL)
       const persistedActivityItem = {
         id: null, // Will be generated by the main process
         title: albumTitle || '—',
@@ -730,6 +1311,8 @@ function App() {
         imageKey,
         key: activityKey,
         playedVia,
+        zoneId: context.zoneId || null,
+        genres: context.genres || [],
       };
 
       try {
@@ -762,64 +1345,211 @@ function App() {
   // ==================== EVENT HANDLERS ====================
 
   /**
-   * Handles Play Random Album button click
-   * Memoized with useCallback to prevent unnecessary re-renders
+   * Converts selected genre names to full genre objects with album counts
+   * @returns {Array} Genre objects for the random picker
    */
-  const handlePlayRandomAlbum = useCallback(async () => {
-    // Convert selected genre names to full genre objects with album counts
-    const selectedGenreObjects = selectedGenres
-      .map(genreName => {
-        // Check if this is a subgenre (contains ::)
-        if (genreName.includes('::')) {
-          const [parentGenre, subgenreTitle] = genreName.split('::');
-          const subgenres = subgenresCache.get(parentGenre) || [];
-          const subgenreObj = subgenres.find(sg => sg.title === subgenreTitle);
-          if (!subgenreObj) {
-            console.warn(
-              `Subgenre "${subgenreTitle}" not found in ${parentGenre}`
+  const getSelectedGenreObjects = useCallback(
+    () =>
+      selectedGenres
+        .map(genreName => {
+          // Check if this is a subgenre (contains ::)
+          if (genreName.includes('::')) {
+            const [parentGenre, subgenreTitle] = genreName.split('::');
+            const subgenres = subgenresCache.get(parentGenre) || [];
+            const subgenreObj = subgenres.find(
+              sg => sg.title === subgenreTitle
             );
-            return null;
-          }
-          return { ...subgenreObj, isSubgenre: true };
-        } else {
-          // Regular top-level genre
-          const genreObj = roon.genres.find(g => g.title === genreName);
-          if (!genreObj) {
-            console.warn(`Genre "${genreName}" not found in genre list`);
-            return null;
+            if (!subgenreObj) {
+              console.warn(
+                `Subgenre "${subgenreTitle}" not found in ${parentGenre}`
+              );
+              return null;
+            }
+            return { ...subgenreObj, isSubgenre: true };
+          } else {
+            // Regular top-level genre
+            const genreObj = roon.genres.find(g => g.title === genreName);
+            if (!genreObj) {
+              console.warn(`Genre "${genreName}" not found in genre list`);
+              return null;
+            }
+            return { ...genreObj, isSubgenre: false };
           }
-          return { ...genreObj, isSubgenre: false };
+        })
+        .filter(Boolean), // Remove any null entries
+    [selectedGenres, subgenresCache, roon.genres]
+  );
+
+  /**
+   * Handles Play Random Album button click
+   * Memoized with useCallback to prevent unnecessary re-renders
+   * @param {string|null} [targetZoneId] - Zone to play on instead of the selected zone
+   * @param {string} [pick] - PICK_OPTIONS key (the toolbar's Pick selection by default)
+   */
+  const handlePlayRandomAlbum = useCallback(
+    async (targetZoneId = null, pick = pickMode) => {
+      const selectedGenreObjects = getSelectedGenreObjects();
+
+      console.log('[UI] Sending genre objects:', selectedGenreObjects);
+
+      const result = await roon.playRandomAlbum(
+        selectedGenreObjects,
+        targetZoneId,
+        PICK_OPTIONS[pick].getOptions(budgetMinutes)
+      );
+
+      if (result && !result.ignored) {
+        // Mixes and time fills add each album they played
+        for (const played of result.tracks || result.albums || [result]) {
+          // Use primary artist for activity tracking
+          const primaryArtist = extractPrimaryArtist(played.artist);
+
+          // Save to persistent storage and update UI
+          await saveActivityItem(
+            played.album,
+            primaryArtist,
+            played.image_key,
+            'random',
+            {
+              zoneId: targetZoneId || roon.state.lastZoneId,
+              genres: selectedGenres,
+            }
+          );
         }
-      })
-      .filter(Boolean); // Remove any null entries
+      }
+    },
+    [
+      budgetMinutes,
+      getSelectedGenreObjects,
+      pickMode,
+      roon.playRandomAlbum,
+      roon.state.lastZoneId,
+      selectedGenres,
+      saveActivityItem,
+    ]
+  );
+
+  /**
+   * Handles the Queue menu: queues several random albums on the current zone
+   * Each queued album is added to the activity feed
+   * @param {number} count - Number of albums to queue
+   * @param {string} action - 'addNext' or 'queue'
+   */
+  const handleQueueRandomAlbums = useCallback(
+    async (count, action) => {
+      const result = await roon.queueRandomAlbums(
+        getSelectedGenreObjects(),
+        count,
+        action
+      );
+      if (!result) return;
 
-    console.log('[UI] Sending genre objects:', selectedGenreObjects);
+      for (const queued of result.albums || []) {
+        const primaryArtist = extractPrimaryArtist(queued.artist);
 
-    const result = await roon.playRandomAlbum(selectedGenreObjects);
+        await saveActivityItem(
+          queued.album,
+          primaryArtist,
+          queued.image_key,
+          'queued',
+          { zoneId: roon.state.lastZoneId, genres: selectedGenres }
+        );
+      }
 
-    if (result && !result.ignored) {
-      // Use primary artist for activity tracking
-      const primaryArtist = extractPrimaryArtist(result.artist);
-      const artUrl = result.image_key
-        ? await window.roon.getImage(result.image_key)
-        : null;
+      if (result.error) {
+        alert(
+          `Queued ${result.albums.length} of ${result.requested} albums: ${result.error}`
+        );
+      }
+    },
+    [
+      getSelectedGenreObjects,
+      roon.queueRandomAlbums,
+      roon.state.lastZoneId,
+      selectedGenres,
+      saveActivityItem,
+    ]
+  );
+
+  /**
+   * Toggles auto-continue ("endless random") for the current zone
+   * Picks use the genres selected at the time the queue runs out
+   */
+  const handleToggleAutoContinue = useCallback(async () => {
+    const zoneId = roon.state.lastZoneId;
+    if (!zoneId) return;
+
+    const enabled = !roon.autoContinueZones.includes(zoneId);
+    await roon.setAutoContinue(zoneId, enabled, getSelectedGenreObjects());
+  }, [
+    roon.state.lastZoneId,
+    roon.autoContinueZones,
+    roon.setAutoContinue,
+    getSelectedGenreObjects,
+  ]);
+
+  // Keep endless zones picking from the current genre selection
+  useEffect(() => {
+    const genreObjects = getSelectedGenreObjects();
+    roon.autoContinueZones.forEach(zoneId =>
+      roon.setAutoContinue(zoneId, true, genreObjects)
+    );
+  }, [roon.autoContinueZones, getSelectedGenreObjects]);
+
+  // Record albums picked by auto-continue in the activity feed
+  useEffect(() => {
+    async function handleAutoContinueEvent(payload) {
+      if (payload?.type !== 'autoContinue' || !payload.zoneId) return;
+
+      if (payload.error) {
+        setAutoContinueError({
+          zoneId: payload.zoneId,
+          message: payload.error,
+        });
+        return;
+      }
+
+      setAutoContinueError(null);
+      const { album, artist, image_key } = payload.album || {};
+      if (!album) return;
 
-      // Save to persistent storage and update UI
       await saveActivityItem(
-        result.album,
-        primaryArtist,
-        result.image_key,
-        artUrl,
-        'random'
+        album,
+        extractPrimaryArtist(artist),
+        image_key,
+        'auto',
+        { zoneId: payload.zoneId, genres: payload.genres }
       );
     }
-  }, [
-    selectedGenres,
-    subgenresCache,
-    roon.genres,
-    roon.playRandomAlbum,
-    saveActivityItem,
-  ]);
+
+    const unsubscribe = window.roon.onEvent(handleAutoContinueEvent);
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, [saveActivityItem]);
+
+  // Record albums started through the control API in the activity feed
+  useEffect(() => {
+    async function handleRemotePlayEvent(payload) {
+      if (payload?.type !== 'remotePlay') return;
+
+      const { album, artist, image_key } = payload.album || {};
+      if (!album) return;
+
+      await saveActivityItem(
+        album,
+        extractPrimaryArtist(artist),
+        image_key,
+        'remote',
+        { zoneId: payload.zoneId, genres: payload.genres }
+      );
+    }
+
+    const unsubscribe = window.roon.onEvent(handleRemotePlayEvent);
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, [saveActivityItem]);
 
   /**
    * Handles More from Artist button click
@@ -842,23 +1572,21 @@ function App() {
     if (result && !result.ignored) {
       // Use primary artist for activity tracking too
       const resultPrimaryArtist = extractPrimaryArtist(result.artist);
-      const artUrl = result.image_key
-        ? await window.roon.getImage(result.image_key)
-        : null;
 
       // Save to persistent storage and update UI
       await saveActivityItem(
         result.album,
         resultPrimaryArtist,
         result.image_key,
-        artUrl,
-        'artist'
+        'artist',
+        { zoneId: roon.state.lastZoneId }
       );
     }
   }, [
     nowPlaying.artist,
     nowPlaying.album,
     roon.playRandomAlbumByArtist,
+    roon.state.lastZoneId,
     saveActivityItem,
   ]);
 
@@ -911,6 +1639,22 @@ function App() {
           }
           break;
 
+        case 'KeyT':
+        case 'KeyM':
+        case 'KeyS':
+          event.preventDefault();
+          if (
+            !roon.operations.playingAlbum &&
+            roon.state.paired &&
+            roon.state.lastZoneId
+          ) {
+            handlePlayRandomAlbum(
+              null,
+              { KeyT: 'track', KeyM: 'mix', KeyS: 'short' }[event.code]
+            );
+          }
+          break;
+
         case 'KeyA':
           event.preventDefault();
           // Only disable if this specific operation is in progress
@@ -986,6 +1730,204 @@ function App() {
     }
   }
 
+  /**
+   * Handles saving the current genre selection and filters as a preset
+   * @param {string} name - Preset name
+   */
+  async function handleSavePreset(name) {
+    const preset = await roon.saveFilterPreset(name, {
+      ...roon.state.filters,
+      genres: selectedGenres,
+    });
+    if (preset) {
+      setActivePresetId(preset.id);
+      setFilterPresets(await roon.listFilterPresets());
+    }
+  }
+
+  /**
+   * Handles deleting a preset
+   * @param {string} presetId - Preset ID
+   */
+  async function handleDeletePreset(presetId) {
+    await roon.deleteFilterPreset(presetId);
+    if (presetId === activePresetId) setActivePresetId(null);
+    setFilterPresets(await roon.listFilterPresets());
+  }
+
+  /**
+   * Handles changing how artist exclusions match collaborations
+   * @param {string} mode - Artist match mode ('primary', 'any' or 'exact')
+   */
+  async function handleUpdateArtistMatchMode(mode) {
+    await roon.setFilters({ artistMatchMode: mode });
+  }
+
+  /**
+   * Handles updating excluded albums list
+   * @param {Array<Object>} newExcludedAlbums - Updated array of { title, artist }
+   */
+  async function handleUpdateExcludedAlbums(newExcludedAlbums) {
+    await roon.setFilters({ excludedAlbums: newExcludedAlbums });
+  }
+
+  /**
+   * Handles updating excluded genres list
+   * @param {Array<string>} newExcludedGenres - Updated array of genre keys
+   */
+  async function handleUpdateExcludedGenres(newExcludedGenres) {
+    await roon.setFilters({ excludedGenres: newExcludedGenres });
+  }
+
+  /**
+   * Handles changing how multi-genre picks choose a genre
+   * @param {string} strategy - Weighting strategy
+   */
+  async function handleUpdateGenreWeighting(strategy) {
+    await roon.setFilters({ genreWeighting: strategy });
+  }
+
+  /**
+   * Handles changing the decade or release year filters
+   * @param {Object} yearFilters - Changed filters ({ decades } or { yearFrom, yearTo })
+   */
+  async function handleUpdateYearFilter(yearFilters) {
+    await roon.setFilters(yearFilters);
+  }
+
+  /**
+   * Handles changing the included or excluded tags
+   * @param {Object} tagFilters - { includedTags, excludedTags }
+   */
+  async function handleUpdateTagFilter(tagFilters) {
+    await roon.setFilters(tagFilters);
+  }
+
+  /**
+   * Handles changing the custom weight of a selected genre
+   * @param {string} genreKey - Genre key ("Jazz" or "Jazz::Bebop")
+   * @param {number} weight - New weight
+   */
+  async function handleUpdateGenreWeight(genreKey, weight) {
+    const currentWeights = roon.state.filters?.genreWeights || {};
+    await roon.setFilters({
+      genreWeights: { ...currentWeights, [genreKey]: weight },
+    });
+  }
+
+  /**
+   * Handles changing the play history cooldown window
+   * @param {number} days - Cooldown window in days (0 disables)
+   */
+  async function handleUpdateCooldown(days) {
+    const settings = await roon.setPlayHistoryCooldown(days);
+    if (settings) setPlayHistorySettings(settings);
+  }
+
+  /**
+   * Handles resetting the cross-session play history
+   */
+  async function handleResetPlayHistory() {
+    const settings = await roon.resetPlayHistory();
+    if (settings) setPlayHistorySettings(settings);
+  }
+
+  /**
+   * Handles turning feedback weighting on or off
+   * @param {boolean} enabled - Whether liked albums are favoured and skipped ones played less
+   */
+  async function handleUpdateFeedbackWeighting(enabled) {
+    await roon.setFilters({ feedbackWeighting: enabled });
+  }
+
+  /**
+   * Handles forgetting all skips, play-throughs and ratings
+   */
+  async function handleResetAlbumFeedback() {
+    const summary = await roon.resetAlbumFeedback();
+    if (summary) {
+      setAlbumFeedbackSummary(summary);
+      setNowPlayingRating(0);
+    }
+  }
+
+  /**
+   * Handles the thumbs up/down buttons for the album now playing
+   * Pressing the active thumb again clears the rating
+   * @param {number} rating - 1 (thumbs up) or -1 (thumbs down)
+   */
+  async function handleRateNowPlaying(rating) {
+    const zoneId = roon.state.lastZoneId;
+    if (!zoneId) return;
+
+    const result = await roon.rateNowPlaying(
+      zoneId,
+      nowPlayingRating === rating ? 0 : rating
+    );
+    if (result) setNowPlayingRating(result.rating);
+  }
+
+  /**
+   * Handles enabling the control API or changing its port
+   * @param {Object} settings - Partial settings ({ enabled, port })
+   */
+  async function handleUpdateControlApi(settings) {
+    const updated = await roon.setControlApiSettings(settings);
+    if (updated) setControlApiSettings(updated);
+  }
+
+  /**
+   * Handles replacing the control API token
+   */
+  async function handleRegenerateControlApiToken() {
+    const updated = await roon.regenerateControlApiToken();
+    if (updated) setControlApiSettings(updated);
+  }
+
+  /**
+   * Handles exporting the listening log
+   * @param {string} format - Export format
+   */
+  async function handleExportListeningLog(format) {
+    const result = await roon.exportListeningLog(format);
+    if (result?.success) {
+      alert(
+        `Exported ${result.count} ${result.contents} to ${result.filePath}`
+      );
+    }
+  }
+
+  /**
+   * Handles clearing the listening log
+   */
+  async function handleClearListeningLog() {
+    const state = await roon.clearListeningLog();
+    if (state) setListeningLog(state);
+  }
+
+  /**
+   * Handles changes to the submission settings
+   * @param {Object} settings - Partial submission settings
+   */
+  async function handleUpdateListeningLogSubmission(settings) {
+    const state = await roon.setListeningLogSubmission(settings);
+    if (state) setListeningLog(state);
+  }
+
+  /**
+   * Handles submitting the listening log now
+   */
+  async function handleSubmitListeningLog() {
+    const state = await roon.submitListeningLog();
+    if (state) {
+      setListeningLog(state);
+    } else {
+      // Keep the error shown in the settings screen up to date
+      const latest = await roon.getListeningLog();
+      if (latest) setListeningLog(latest);
+    }
+  }
+
   /**
    * Handles activity item click (replay album)
    * @param {Object} activityItem - Activity item that was clicked
@@ -1063,9 +2005,11 @@ function App() {
       e(ConnectionStatusDropdown, {
         paired: roon.state.paired,
         coreName: roon.state.coreName,
+        connection: roon.state.connection,
         connectionSettings,
         onModeChange: handleConnectionModeChange,
         onOpenSettings: () => setShowConnectionSettings(true),
+        onRetry: () => window.roon.reconnect(),
       })
     ),
 
@@ -1103,6 +2047,69 @@ function App() {
         )
       : null,
 
+    roon.profiles && roon.profiles.length > 0
+      ? e('div', { className: 'divider' })
+      : null,
+
+    // Filter preset picker
+    e(
+      'div',
+      { className: 'seg' },
+      e('span', { className: 'muted' }, 'Preset'),
+      e(PresetPicker, {
+        presets: filterPresets,
+        activePresetId,
+        disabled: !roon.state.paired,
+        onApply: roon.applyFilterPreset,
+        onSave: handleSavePreset,
+        onDelete: handleDeletePreset,
+      })
+    ),
+
+    e('div', { className: 'divider' }),
+
+    // Pick mode selector
+    e(
+      'div',
+      { className: 'seg' },
+      e('span', { className: 'muted' }, 'Pick'),
+      e(
+        'select',
+        {
+          value: pickMode,
+          title:
+            pickMode === 'rediscover'
+              ? 'Favours albums the app has not played for the longest'
+              : 'What Play Random Album picks',
+          onChange(event) {
+            setPickMode(event.target.value);
+          },
+        },
+        Object.entries(PICK_OPTIONS).map(([value, { label }]) =>
+          e('option', { key: value, value }, label)
+        )
+      ),
+      PICK_OPTIONS[pickMode].usesBudget
+        ? e('input', {
+            type: 'number',
+            min: 1,
+            max: MAX_ALBUM_MINUTES_LIMIT,
+            value: budgetMinutes,
+            title: 'Minutes available',
+            style: { width: 56 },
+            onChange(event) {
+              const minutes = parseInt(event.target.value, 10);
+              if (minutes >= 1 && minutes <= MAX_ALBUM_MINUTES_LIMIT) {
+                setBudgetMinutes(minutes);
+              }
+            },
+          })
+        : null,
+      PICK_OPTIONS[pickMode].usesBudget
+        ? e('span', { className: 'muted' }, 'min')
+        : null
+    ),
+
     e('div', { className: 'spacer' }),
 
     // Play Random Album button
@@ -1114,7 +2121,7 @@ function App() {
           roon.operations.playingAlbum ||
           !roon.state.paired ||
           !roon.state.lastZoneId,
-        onClick: handlePlayRandomAlbum,
+        onClick: () => handlePlayRandomAlbum(),
       },
       roon.operations.playingAlbum
         ? e('span', { className: 'spinner' })
@@ -1122,6 +2129,26 @@ function App() {
       roon.operations.playingAlbum ? ' Working…' : ' Play Random Album'
     ),
 
+    // Send a pick to another zone, or group zones
+    e(ZoneTargetMenu, {
+      zones: roon.zones,
+      currentZoneId: roon.state.lastZoneId,
+      disabled: roon.operations.playingAlbum || !roon.state.paired,
+      onPlayOnZone: handlePlayRandomAlbum,
+      onGroup: roon.groupZones,
+      onUngroup: roon.ungroupZone,
+    }),
+
+    // Queue random albums menu
+    e(QueueMenu, {
+      disabled:
+        roon.operations.queueingAlbums ||
+        !roon.state.paired ||
+        !roon.state.lastZoneId,
+      busy: roon.operations.queueingAlbums,
+      onQueue: handleQueueRandomAlbums,
+    }),
+
     // Settings button
     e(
       'button',
@@ -1148,6 +2175,19 @@ function App() {
     roon,
     onMoreFromArtist: handleMoreFromArtist,
     onProgressBarClick: handleProgressBarClick,
+    autoContinue: {
+      enabled: roon.autoContinueZones.includes(roon.state.lastZoneId),
+      error:
+        autoContinueError?.zoneId === roon.state.lastZoneId
+          ? autoContinueError.message
+          : null,
+      onToggle: handleToggleAutoContinue,
+    },
+    trackHistory,
+    rating: {
+      value: nowPlayingRating,
+      onRate: handleRateNowPlaying,
+    },
   });
 
   // ==================== RENDER GENRE FILTER CARD ====================
@@ -1161,6 +2201,18 @@ function App() {
     setExpandedGenres,
     subgenresCache,
     setSubgenresCache,
+    genreWeighting: roon.state.filters?.genreWeighting,
+    genreWeights: roon.state.filters?.genreWeights,
+    onUpdateWeighting: handleUpdateGenreWeighting,
+    onUpdateGenreWeight: handleUpdateGenreWeight,
+    decades: roon.state.filters?.decades,
+    yearFrom: roon.state.filters?.yearFrom ?? null,
+    yearTo: roon.state.filters?.yearTo ?? null,
+    onUpdateYears: handleUpdateYearFilter,
+    tags: roon.tags,
+    includedTags: roon.state.filters?.includedTags,
+    excludedTags: roon.state.filters?.excludedTags,
+    onUpdateTags: handleUpdateTagFilter,
   });
 
   // ==================== ACTIVITY HELPER FUNCTIONS ====================
@@ -1215,6 +2267,34 @@ function App() {
     onClose: () => setSettingsModalOpen(false),
     excludedArtists: roon.state.filters?.excludedArtists || [],
     onUpdateExclusions: handleUpdateExclusions,
+    artistMatchMode: roon.state.filters?.artistMatchMode,
+    onUpdateArtistMatchMode: handleUpdateArtistMatchMode,
+    excludedAlbums: roon.state.filters?.excludedAlbums || [],
+    onUpdateExcludedAlbums: handleUpdateExcludedAlbums,
+    excludedGenres: roon.state.filters?.excludedGenres || [],
+    onUpdateExcludedGenres: handleUpdateExcludedGenres,
+    genreOptions: [
+      ...roon.genres.map(genre => genre.title),
+      ...Array.from(subgenresCache.entries()).flatMap(
+        ([parentGenre, subgenres]) =>
+          subgenres.map(subgenre => `${parentGenre}::${subgenre.title}`)
+      ),
+    ],
+    playHistorySettings,
+    onUpdateCooldown: handleUpdateCooldown,
+    onResetPlayHistory: handleResetPlayHistory,
+    feedbackWeighting: roon.state.filters?.feedbackWeighting === true,
+    onUpdateFeedbackWeighting: handleUpdateFeedbackWeighting,
+    albumFeedbackSummary,
+    onResetAlbumFeedback: handleResetAlbumFeedback,
+    controlApiSettings,
+    onUpdateControlApi: handleUpdateControlApi,
+    onRegenerateControlApiToken: handleRegenerateControlApiToken,
+    listeningLog,
+    onExportListeningLog: handleExportListeningLog,
+    onClearListeningLog: handleClearListeningLog,
+    onUpdateListeningLogSubmission: handleUpdateListeningLogSubmission,
+    onSubmitListeningLog: handleSubmitListeningLog,
   });
 
   // ==================== RENDER CONNECTION SETTINGS MODAL ====================
@@ -0,0 +1,33 @@
+/**
+ * Image Utilities
+ * Builds roonimg:// URLs for album art (served by imageProtocol.js in the
+ * main process)
+ */
+
+// Must match IMAGE_PROTOCOL and IMAGE_HOST in imageProtocol.js
+const IMAGE_URL_PREFIX = 'roonimg://art/';
+
+/**
+ * Creates the URL of an album art image
+ * @param {string} imageKey - Roon image key
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.width] - Width in pixels (default 512)
+ * @param {number} [options.height] - Height in pixels (default 512)
+ * @param {string} [options.format] - 'jpeg' or 'png' (default 'jpeg')
+ * @param {string} [options.scale] - 'fit', 'fill' or 'stretch' (default 'fit')
+ * @param {string} [options.priority] - 'nowPlaying', 'activity' or 'queued' (default 'activity'), used if the art has to be fetched from the Core
+ * @returns {string|null} Image URL, or null without an image key
+ */
+export function createImageUrl(imageKey, options = {}) {
+  if (!imageKey) return null;
+
+  const params = new URLSearchParams();
+  if (options.width) params.set('w', options.width);
+  if (options.height) params.set('h', options.height);
+  if (options.format) params.set('format', options.format);
+  if (options.scale) params.set('scale', options.scale);
+  if (options.priority) params.set('priority', options.priority);
+
+  const query = params.toString();
+  return `${IMAGE_URL_PREFIX}${encodeURIComponent(imageKey)}${query ? `?${query}` : ''}`;
+}
@@ -40,3 +40,582 @@ export function findItemCaseInsensitive(items, searchText) {
 export function createAlbumKey(album, artist) {
   return `${album || ''}||${artist || ''}`;
 }
+
+// Genre weighting constants (exported for use in tests and validation)
+export const GENRE_WEIGHTING_STRATEGIES = [
+  'proportional', // Weighted by album count
+  'uniform', // Every selected genre equally likely
+  'sqrt', // Square root of album count, dampens large genres
+  'custom', // User-assigned weight per genre
+];
+export const DEFAULT_GENRE_WEIGHTING = 'proportional';
+export const DEFAULT_GENRE_WEIGHT = 5;
+export const MAX_GENRE_WEIGHT = 10;
+
+/**
+ * Creates the key used to store settings for a genre or subgenre
+ * Matches the renderer's selection keys ("Jazz" or "Jazz::Bebop")
+ * @param {Object} genre - Genre object ({ title, isSubgenre, parentGenre })
+ * @returns {string} Genre key
+ */
+export function createGenreKey(genre) {
+  if (genre?.isSubgenre && genre.parentGenre) {
+    return `${genre.parentGenre}::${genre.title}`;
+  }
+  return genre?.title || '';
+}
+
+/**
+ * Gets the selection weight of a genre under a weighting strategy
+ * @param {Object} genre - Genre object with albumCount
+ * @param {string} strategy - One of GENRE_WEIGHTING_STRATEGIES
+ * @param {Object} customWeights - Map of genre key to weight (custom strategy only)
+ * @returns {number} Non-negative weight
+ */
+export function getGenreWeight(genre, strategy, customWeights = {}) {
+  const albumCount = Math.max(Number(genre?.albumCount) || 0, 0);
+
+  switch (strategy) {
+    case 'uniform':
+      return 1;
+    case 'sqrt':
+      return Math.sqrt(albumCount);
+    case 'custom': {
+      const weight = customWeights?.[createGenreKey(genre)];
+      return typeof weight === 'number' && weight >= 0
+        ? weight
+        : DEFAULT_GENRE_WEIGHT;
+    }
+    default:
+      return albumCount;
+  }
+}
+
+/**
+ * Picks one genre at random according to a weighting strategy
+ * Falls back to a uniform pick when every weight is zero
+ * @param {Array} genres - Genre objects to pick from
+ * @param {string} strategy - One of GENRE_WEIGHTING_STRATEGIES
+ * @param {Object} customWeights - Map of genre key to weight (custom strategy only)
+ * @param {Function} random - Random number source (for testing)
+ * @returns {Object|null} Selected genre or null if the list is empty
+ */
+export function pickWeightedGenre(
+  genres,
+  strategy = DEFAULT_GENRE_WEIGHTING,
+  customWeights = {},
+  random = Math.random
+) {
+  if (!Array.isArray(genres) || genres.length === 0) {
+    return null;
+  }
+
+  const weights = genres.map(genre =>
+    getGenreWeight(genre, strategy, customWeights)
+  );
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  if (!(totalWeight > 0)) {
+    return genres[Math.floor(random() * genres.length)];
+  }
+
+  let remaining = random() * totalWeight;
+  let lastWeighted = null;
+
+  for (let i = 0; i < genres.length; i++) {
+    if (weights[i] <= 0) continue;
+    if (remaining < weights[i]) {
+      return genres[i];
+    }
+    remaining -= weights[i];
+    lastWeighted = genres[i];
+  }
+
+  // Floating point rounding can leave a sliver past the last weight
+  return lastWeighted;
+}
+
+/**
+ * Parses a genre key ("Jazz" or "Jazz::Bebop") back into a genre object
+ * @param {string} genreKey - Genre key
+ * @returns {Object} Genre object ({ title, isSubgenre, parentGenre })
+ */
+export function parseGenreKey(genreKey) {
+  const [parentGenre, subgenreTitle] = String(genreKey || '').split('::');
+
+  if (subgenreTitle) {
+    return { title: subgenreTitle, isSubgenre: true, parentGenre };
+  }
+
+  return { title: parentGenre, isSubgenre: false, parentGenre: null };
+}
+
+/**
+ * Checks whether a genre is on the exclusion list
+ * Excluding a genre also excludes all of its subgenres
+ * @param {Object} genre - Genre object ({ title, isSubgenre, parentGenre })
+ * @param {Array<string>} excludedGenres - Excluded genre keys
+ * @returns {boolean} True if the genre is excluded
+ */
+export function isGenreExcluded(genre, excludedGenres) {
+  if (!genre?.title || !excludedGenres?.length) return false;
+
+  const genreKey = createGenreKey(genre).toLowerCase();
+  const parentKey = genre.isSubgenre
+    ? String(genre.parentGenre || '').toLowerCase()
+    : null;
+
+  return excludedGenres.some(excluded => {
+    const excludedLower = String(excluded).toLowerCase().trim();
+    return excludedLower === genreKey || excludedLower === parentKey;
+  });
+}
+
+/**
+ * Checks whether an album is on the exclusion list
+ * Entries without an artist exclude every album with that title; artists are
+ * compared like the artist filters ("The Beatles" matches "Beatles", accents
+ * are ignored) against the whole credit or the primary artist
+ * @param {string} title - Album title
+ * @param {string} artist - Album artist (may list collaborators as "A / B")
+ * @param {Array<Object>} excludedAlbums - Excluded albums ({ title, artist })
+ * @returns {boolean} True if the album is excluded
+ */
+export function isAlbumExcluded(title, artist, excludedAlbums) {
+  if (!title || !excludedAlbums?.length) return false;
+
+  const titleLower = String(title).toLowerCase().trim();
+  const normalizedCredit = normalizeArtistName(artist);
+
+  return excludedAlbums.some(excluded => {
+    if ((excluded?.title || '').toLowerCase().trim() !== titleLower) {
+      return false;
+    }
+
+    const excludedArtist = normalizeArtistName(excluded.artist);
+    return (
+      !excludedArtist ||
+      excludedArtist === normalizedCredit ||
+      artistMatches(artist, excluded.artist, 'primary')
+    );
+  });
+}
+
+// Artist matching constants (exported for use in tests and validation)
+export const ARTIST_MATCH_MODES = [
+  'primary', // First credited artist only
+  'any', // Any credited artist
+  'exact', // The whole credit string
+];
+export const DEFAULT_ARTIST_MATCH_MODE = 'primary';
+
+// Roon joins the artists credited on an album with " / "
+const ARTIST_CREDIT_SEPARATOR = ' / ';
+
+/**
+ * Normalizes an artist name for comparison
+ * Folds case and diacritics, collapses whitespace and drops a leading "The "
+ * so "The Beatles", "beatles" and "Beyoncé"/"Beyonce" compare equal
+ * @param {string} name - Artist name
+ * @returns {string} Normalized name
+ */
+export function normalizeArtistName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+/**
+ * Splits an album's artist credit into the individual artists
+ * @param {string} credit - Artist credit ("Miles Davis / John Coltrane")
+ * @returns {Array<string>} Credited artists, primary artist first
+ */
+export function splitCreditedArtists(credit) {
+  return String(credit || '')
+    .split(ARTIST_CREDIT_SEPARATOR)
+    .map(artist => artist.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Checks whether an album's artist credit matches an artist name
+ * @param {string} credit - Album artist credit (may list collaborators as "A / B")
+ * @param {string} artistName - Artist name to look for
+ * @param {string} mode - One of ARTIST_MATCH_MODES
+ * @returns {boolean} True if the credit matches
+ */
+export function artistMatches(
+  credit,
+  artistName,
+  mode = DEFAULT_ARTIST_MATCH_MODE
+) {
+  if (!credit || !artistName) return false;
+
+  // Exact mode compares the whole credit without any folding beyond case
+  if (mode === 'exact') {
+    return (
+      String(credit).trim().toLowerCase() ===
+      String(artistName).trim().toLowerCase()
+    );
+  }
+
+  const target = normalizeArtistName(artistName);
+  if (!target) return false;
+
+  const credited = splitCreditedArtists(credit);
+  const candidates = mode === 'any' ? credited : credited.slice(0, 1);
+
+  return candidates.some(artist => normalizeArtistName(artist) === target);
+}
+
+/**
+ * Checks whether an album's artist credit matches any excluded artist
+ * @param {string} credit - Album artist credit
+ * @param {Array<string>} excludedArtists - Excluded artist names
+ * @param {string} mode - One of ARTIST_MATCH_MODES
+ * @returns {boolean} True if the album should be excluded
+ */
+export function isArtistExcluded(
+  credit,
+  excludedArtists,
+  mode = DEFAULT_ARTIST_MATCH_MODE
+) {
+  if (!credit || !excludedArtists?.length) return false;
+
+  return excludedArtists.some(excluded =>
+    artistMatches(credit, excluded, mode)
+  );
+}
+
+// Album actions offered in Roon's "Play Album" action list
+export const ALBUM_ACTION_PATTERNS = {
+  play: /play\s*now/i,
+  addNext: /add\s*next/i,
+  queue: /^(add\s+to\s+)?queue$/i,
+};
+export const QUEUE_ACTIONS = ['addNext', 'queue'];
+export const MAX_QUEUE_ALBUMS = 20;
+
+/**
+ * Finds the browse item for an album action in a "Play Album" action list
+ * "Play Now" falls back to the first action, as before queueing existed;
+ * queue actions must be offered explicitly so nothing plays by accident
+ * @param {Array} items - Action list items
+ * @param {string} action - One of the ALBUM_ACTION_PATTERNS keys
+ * @returns {Object|null} Action item or null if not offered
+ */
+export function findAlbumAction(items, action = 'play') {
+  const pattern = ALBUM_ACTION_PATTERNS[action];
+  if (!pattern) return null;
+
+  const match = (items || []).find(item => pattern.test(item?.title || ''));
+  if (match) return match;
+
+  return action === 'play' ? (items || [])[0] || null : null;
+}
+
+// What a random pick plays (exported for use in tests and validation)
+export const PICK_TYPES = [
+  'album', // A whole album
+  'track', // One track from a random album
+  'mix', // MINI_MIX_TRACK_COUNT tracks, each from a different album
+  'fill', // Albums that together fill a time budget
+];
+export const MINI_MIX_TRACK_COUNT = 5;
+// Length-bounded album picks ("albums under 40 minutes")
+export const DEFAULT_MAX_ALBUM_MINUTES = 40;
+export const MAX_ALBUM_MINUTES_LIMIT = 600;
+// Filling a time budget: random plans tried, and the most albums in one
+export const FILL_PLAN_ATTEMPTS = 25;
+export const MAX_FILL_ALBUMS = 10;
+
+// Album page rows: "Play Album" is the album's action list, tracks follow
+// as "1. Title" with the performer (and sometimes the length) underneath
+const PLAY_ALBUM_TITLE = 'Play Album';
+const TRACK_NUMBER_PATTERN = /^\d+\.\s+/;
+const TRACK_LENGTH_PATTERN = /(?:^|\s)(?:(\d+):)?(\d{1,2}):(\d{2})$/;
+
+/**
+ * Reads a track length from the end of an album page row's subtitle
+ * Rows usually show only the performer; those give null, and the album's
+ * length stays unknown rather than counting as zero
+ * @param {string} text - Row subtitle ("Artist · 4:05" or "1:02:03")
+ * @returns {number|null} Length in seconds or null if the row shows none
+ */
+export function parseTrackLength(text) {
+  const match =
+    typeof text === 'string' && text.trim().match(TRACK_LENGTH_PATTERN);
+  if (!match) return null;
+
+  const [, hours, minutes, seconds] = match;
+  return (
+    (parseInt(hours || '0', 10) * 60 + parseInt(minutes, 10)) * 60 +
+    parseInt(seconds, 10)
+  );
+}
+
+/**
+ * Lists the tracks on an album page
+ * @param {Array} items - Album page items
+ * @returns {Array} Tracks ({ item, title, artist, length })
+ */
+export function getAlbumTracks(items) {
+  return (items || [])
+    .filter(
+      item =>
+        item?.hint === 'action_list' &&
+        item.item_key &&
+        item.title !== PLAY_ALBUM_TITLE
+    )
+    .map(item => {
+      const subtitle = item.subtitle || '';
+      const length = parseTrackLength(subtitle);
+      return {
+        item,
+        title: item.title.replace(TRACK_NUMBER_PATTERN, ''),
+        artist:
+          length === null
+            ? subtitle || null
+            : subtitle
+                .replace(TRACK_LENGTH_PATTERN, '')
+                .replace(/\s*·\s*$/, '') || null,
+        length,
+      };
+    });
+}
+
+/**
+ * Adds up the length of an album from its tracks
+ * @param {Array} tracks - Tracks from getAlbumTracks
+ * @returns {number|null} Length in seconds, or null if any track length is unknown
+ */
+export function getAlbumDuration(tracks) {
+  if (!tracks?.length || tracks.some(track => track.length === null)) {
+    return null;
+  }
+  return tracks.reduce((total, track) => total + track.length, 0);
+}
+
+/**
+ * Applies the changes from a queue subscription to a zone's queue items
+ * @param {Array} items - Queue items before the change
+ * @param {Array} changes - Changes ({ operation: 'insert', index, items } or { operation: 'remove', index, count })
+ * @returns {Array} Queue items after the change
+ */
+export function applyQueueChanges(items, changes) {
+  const next = [...(items || [])];
+  (changes || []).forEach(change => {
+    if (change?.operation === 'insert') {
+      next.splice(change.index, 0, ...(change.items || []));
+    } else if (change?.operation === 'remove') {
+      next.splice(change.index, change.count);
+    }
+  });
+  return next;
+}
+
+/**
+ * Adds up an album's length from its tracks in a zone's queue
+ * Album pages rarely show track lengths, but queue items always carry them,
+ * so an album the app queued can be timed once all its tracks are listed
+ * @param {Array} items - Queue items ({ length, three_line: { line3: album } })
+ * @param {string} albumTitle - Album title
+ * @param {number} trackCount - Number of tracks on the album page
+ * @returns {number|null} Length in seconds, or null if the whole album isn't queued
+ */
+export function getQueuedAlbumDuration(items, albumTitle, trackCount) {
+  const queue = items || [];
+  for (let start = 0; start + trackCount <= queue.length; start++) {
+    const run = queue.slice(start, start + trackCount);
+    if (
+      trackCount > 0 &&
+      queue[start - 1]?.three_line?.line3 !== albumTitle &&
+      run.every(
+        item =>
+          item?.three_line?.line3 === albumTitle &&
+          Number.isInteger(item.length) &&
+          item.length > 0
+      ) &&
+      queue[start + trackCount]?.three_line?.line3 !== albumTitle
+    ) {
+      return run.reduce((total, item) => total + item.length, 0);
+    }
+  }
+  return null;
+}
+
+/**
+ * Plans a sequence of albums that fills a time budget as closely as possible
+ * Each plan adds random albums that still fit until none does; the plan
+ * that leaves the least time over wins, stopping early on an exact fit
+ * @param {Array} albums - Albums with a `duration` in seconds (others are ignored)
+ * @param {number} budgetSeconds - Time to fill
+ * @param {Function} pick - Picks one album from the albums that still fit
+ * @param {number} attempts - Number of random plans to try
+ * @returns {Array} Albums in play order (empty if none fits)
+ */
+export function planAlbumSequence(
+  albums,
+  budgetSeconds,
+  pick = list => list[Math.floor(Math.random() * list.length)],
+  attempts = FILL_PLAN_ATTEMPTS
+) {
+  const known = (albums || []).filter(
+    album => typeof album.duration === 'number' && album.duration > 0
+  );
+
+  let best = [];
+  let bestLeft = budgetSeconds;
+
+  for (let attempt = 0; attempt < attempts && bestLeft > 0; attempt++) {
+    const plan = [];
+    let left = budgetSeconds;
+    let pool = known;
+
+    while (plan.length < MAX_FILL_ALBUMS) {
+      const fitting = pool.filter(album => album.duration <= left);
+      if (fitting.length === 0) break;
+
+      const next = pick(fitting);
+      plan.push(next);
+      left -= next.duration;
+      pool = pool.filter(album => album !== next);
+    }
+
+    if (left < bestLeft) {
+      best = plan;
+      bestLeft = left;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number source (for testing)
+ * @returns {Array} Shuffled copy
+ */
+export function shuffleArray(items, random = Math.random) {
+  const shuffled = [...(items || [])];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Release year filtering
+export const MIN_RELEASE_YEAR = 1900;
+export const MAX_RELEASE_YEAR = 2100;
+
+/**
+ * Checks a value is a whole year in the supported release year range
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+export function isReleaseYear(value) {
+  return (
+    Number.isInteger(value) &&
+    value >= MIN_RELEASE_YEAR &&
+    value <= MAX_RELEASE_YEAR
+  );
+}
+
+/**
+ * Gets the decade a year falls in
+ * @param {number} year - Release year
+ * @returns {number} First year of the decade (1973 -> 1970)
+ */
+export function getDecade(year) {
+  return Math.floor(year / 10) * 10;
+}
+
+/**
+ * Reads a release year from album metadata text
+ * The artist credit is removed first, so "1910 Fruitgum Company" is not read
+ * as a year
+ * @param {string} text - Metadata text (e.g. an album page subtitle)
+ * @param {string} artist - Artist credit to ignore
+ * @returns {number|null} Release year or null if none is found
+ */
+export function extractReleaseYear(text, artist = '') {
+  let remaining = String(text || '');
+  if (artist) {
+    remaining = remaining.split(artist).join(' ');
+  }
+
+  const match = remaining.match(/\b(1[89]\d{2}|20\d{2})\b/);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  return isReleaseYear(year) ? year : null;
+}
+
+/**
+ * Checks whether any year or decade filter is set
+ * @param {Object} filters - Filters ({ decades, yearFrom, yearTo })
+ * @returns {boolean} True if picks must be limited by release year
+ */
+export function hasYearFilter(filters) {
+  return (
+    (Array.isArray(filters?.decades) && filters.decades.length > 0) ||
+    Number.isInteger(filters?.yearFrom) ||
+    Number.isInteger(filters?.yearTo)
+  );
+}
+
+/**
+ * Checks a release year against the decade and year range filters
+ * Decades and the year range must both match when both are set
+ * @param {number|null} year - Release year (null if unknown)
+ * @param {Object} filters - Filters ({ decades, yearFrom, yearTo })
+ * @returns {boolean} True if the album may be picked
+ */
+export function matchesYearFilter(year, filters) {
+  if (!hasYearFilter(filters)) return true;
+  if (!Number.isInteger(year)) return false;
+
+  const { decades, yearFrom, yearTo } = filters;
+  if (decades?.length && !decades.includes(getDecade(year))) return false;
+  if (Number.isInteger(yearFrom) && year < yearFrom) return false;
+  if (Number.isInteger(yearTo) && year > yearTo) return false;
+
+  return true;
+}
+
+/**
+ * Collects the outputs of several zones for grouping
+ * Every output must be listed as groupable by the first zone's first output
+ * @param {Array} zones - Raw Roon zones; the first one leads the group
+ * @returns {Object} { outputIds, ungroupable } where ungroupable lists zone names
+ */
+export function collectGroupableOutputs(zones) {
+  const leader = zones?.[0]?.outputs?.[0];
+  const groupableIds = new Set([
+    leader?.output_id,
+    ...(leader?.can_group_with_output_ids || []),
+  ]);
+
+  const outputIds = [];
+  const ungroupable = [];
+  (zones || []).forEach(zone => {
+    const outputs = zone?.outputs || [];
+    if (outputs.some(output => !groupableIds.has(output.output_id))) {
+      ungroupable.push(zone.display_name);
+      return;
+    }
+    outputs.forEach(output => {
+      if (!outputIds.includes(output.output_id)) {
+        outputIds.push(output.output_id);
+      }
+    });
+  });
+
+  return { outputIds, ungroupable };
+}
@@ -20,8 +20,71 @@ import RoonApiTransport from 'node-roon-api-transport';
 import RoonApiImage from 'node-roon-api-image';
 import WebSocket from 'ws';
 
-import { findItemCaseInsensitive, createAlbumKey } from './roonHelpers.js';
-import { LRUImageCache } from './imageCache.js';
+import {
+  findItemCaseInsensitive,
+  createAlbumKey,
+  pickWeightedGenre,
+  createGenreKey,
+  parseGenreKey,
+  isGenreExcluded,
+  isAlbumExcluded,
+  isArtistExcluded,
+  artistMatches,
+  normalizeArtistName,
+  GENRE_WEIGHTING_STRATEGIES,
+  DEFAULT_GENRE_WEIGHTING,
+  MAX_GENRE_WEIGHT,
+  ARTIST_MATCH_MODES,
+  DEFAULT_ARTIST_MATCH_MODE,
+  findAlbumAction,
+  getAlbumTracks,
+  getAlbumDuration,
+  applyQueueChanges,
+  getQueuedAlbumDuration,
+  planAlbumSequence,
+  MINI_MIX_TRACK_COUNT,
+  shuffleArray,
+  extractReleaseYear,
+  getDecade,
+  hasYearFilter,
+  matchesYearFilter,
+  isReleaseYear,
+  collectGroupableOutputs,
+} from './roonHelpers.js';
+import {
+  createAutoContinueState,
+  applyAutoContinueUpdate,
+} from './autoContinueHelpers.js';
+import {
+  createListenTracker,
+  applyListenUpdate,
+  classifyListen,
+  pickWeightedItem,
+} from './albumFeedbackHelpers.js';
+import {
+  createTrackHistoryState,
+  applyTrackHistoryUpdate,
+  getZoneTrack,
+  listTrackHistory,
+} from './trackHistoryHelpers.js';
+import {
+  AppError,
+  ConnectionError,
+  NoAlbumsError,
+  NotFoundError,
+} from './errors/AppError.js';
+import { ImageCache, createImageCacheKey } from './imageCache.js';
+import { ImageFetchScheduler } from './imageFetchScheduler.js';
+import { ConnectionSupervisor } from './connectionSupervisor.js';
+import {
+  LibraryIndex,
+  createIndexScopeKey,
+  createTagScopeKey,
+} from './services/LibraryIndex.js';
+import { PlayHistoryService } from './services/PlayHistoryService.js';
+import { AlbumYearService } from './services/AlbumYearService.js';
+import { AlbumDurationService } from './services/AlbumDurationService.js';
+import { AlbumFeedbackService } from './services/AlbumFeedbackService.js';
 import {
   BROWSE_COUNT_SMALL,
   BROWSE_COUNT_MEDIUM,
@@ -29,15 +92,34 @@ import {
   SUBGENRE_MIN_ALBUMS,
   EXPANDABLE_GENRE_MIN_ALBUMS,
 } from './renderer/constants/browse.js';
+import { CONNECTION_TEST_ERRORS } from './renderer/constants/connection.js';
+import {
+  MOO_REGISTRY_INFO,
+  encodeMooRequest,
+  parseMooMessage,
+} from './mooHelpers.js';
 
 // ==================== CONSTANTS ====================
 
 const GENRE_CACHE_DURATION = 3600 * 1000; // 1 hour in milliseconds
-const MAX_RANDOM_ATTEMPTS = 50; // Maximum attempts to find unplayed album
 const BROWSE_PAGE_SIZE = 200; // Number of items to fetch per browse request
 const DEFAULT_IMAGE_SIZE = 512; // Default image dimensions
 const MAX_SESSION_HISTORY = 1000; // Maximum albums to remember in session history
 const MAX_PAGINATION_ITERATIONS = 100; // Safety limit for pagination loops
+const MAX_INDEX_PAGES = 500; // Safety limit when indexing an album list (100k albums)
+const INCREMENTAL_INDEX_MIN_PAGES = 4; // Shorter lists are simply re-read in full
+const INDEX_REFRESH_SAMPLES = 3; // Kept albums re-checked after an incremental refresh
+const YEAR_LOOKUPS_PER_PICK = 5; // Release years looked up per pick while a year filter is set
+const DURATION_LOOKUPS_PER_PICK = 5; // Album durations looked up per length-bounded pick
+const MAX_DURATION_LOOKUPS_PER_PICK = 30; // Lookups allowed when nothing known fits yet
+const FILL_DURATION_LOOKUPS = 30; // Album durations looked up before planning a time fill
+const QUEUE_DURATION_TIMEOUT = 15000; // Watching a zone's queue for an album the app queued
+const QUEUE_DURATION_MAX_ITEMS = 200; // Queue items read while watching
+
+// Connection test (registry handshake on its own WebSocket)
+const CONNECTION_TEST_TIMEOUT = 10000; // Opening the WebSocket
+const CONNECTION_TEST_HANDSHAKE_TIMEOUT = 5000; // Registry info reply
+const INFO_REQUEST_ID = 0;
 
 // Persisted state (token) storage — lives in a writable, stable location
 const ROON_DATA_DIR = app.getPath('userData'); // e.g. ~/Library/Application Support/Roon Random App
@@ -262,23 +344,37 @@ let transportService = null;
 
 // Manual connection state
 let _manualConnection = null; // Holds the moo object for manual connections (prefixed to indicate internal use)
-let manualConnectionRetryTimer = null;
-const MANUAL_CONNECTION_RETRY_DELAY = 5000; // 5 seconds between retries
-const MAX_MANUAL_CONNECTION_RETRIES = 3;
-let manualConnectionRetryCount = 0;
+
+// Connection health: reconnection with backoff and heartbeats (created on initialize)
+let connectionSupervisor = null;
 
 // Zone and playback state
 let zonesCache = [];
 let zonesRaw = [];
 const lastNowPlayingByZone = Object.create(null);
 
+// Recently played tracks: zoneId -> { current, tracks } (session only)
+const trackHistoryByZone = new Map();
+
 // Genre caching
 let genresCache = null;
 let genresCacheTime = null;
 let genreFetchPromise = null; // Prevents concurrent API calls
 
-// Image caching (LRU cache for album art)
-const imageCache = new LRUImageCache(50); // Cache up to 50 images (~5MB)
+// Tag caching
+let tagsCache = null;
+let tagsCacheTime = null;
+
+// Image caching (memory and userData/image-cache, keyed by image options)
+const imageCache = new ImageCache({
+  directory: path.join(ROON_DATA_DIR, 'image-cache'),
+});
+
+// Image fetches from the Core (limited, prioritised and deduplicated)
+const imageFetches = new ImageFetchScheduler();
+
+// Album list index (random picks are drawn from memory)
+const libraryIndex = new LibraryIndex();
 
 // Profile caching
 let profilesCache = null;
@@ -288,6 +384,35 @@ let currentProfile = null;
 const playedThisSession = new Set();
 const artistSessionHistory = new Map();
 
+// Cross-session play history (created on initialize, needs the store)
+let playHistory = null;
+
+// Album release years read from album pages (created on initialize)
+let albumYears = null;
+
+// Album durations added up from album track lists and zone queues (created on initialize)
+let albumDurations = null;
+
+// Queue subscriptions waiting for an album the app queued to be listed: stop functions
+const queueDurationWatches = new Set();
+
+// Skips, play-throughs and ratings (created on initialize)
+let albumFeedback = null;
+
+// Albums the app started, watched to learn whether they were skipped: zoneId -> tracker
+const listenTrackers = new Map();
+
+// Album the app last started on each zone, whose tracks count as listens: zoneId -> title
+const startedAlbumByZone = new Map();
+
+// Called with each track from an app-started album once it stops playing
+const trackPlayedListeners = new Set();
+
+// Auto-continue ("endless random") zones: zoneId -> { genres, tracking }
+// Kept for the session only, so a restart never starts playback on its own
+const autoContinueZones = new Map();
+const autoContinueInFlight = new Set();
+
 // Artist operation queue (replaces isDeepDiveInProgress)
 const artistOperationQueue = [];
 let isProcessingArtistQueue = false;
@@ -381,6 +506,84 @@ function maybeEmitNowPlaying(zoneId, meta) {
   emitEvent({ type: 'nowPlaying', meta, zoneId });
 }
 
+/**
+ * Records a zone update in the zone's track history
+ * Emits the updated history when a track starts or ends
+ * @param {Object} zone - Raw Roon zone
+ */
+function updateTrackHistory(zone) {
+  if (!zone?.zone_id) return;
+
+  const previous =
+    trackHistoryByZone.get(zone.zone_id) || createTrackHistoryState();
+  const { state, changed } = applyTrackHistoryUpdate(previous, {
+    track: getZoneTrack(zone),
+    zoneState: zone.state,
+  });
+  trackHistoryByZone.set(zone.zone_id, state);
+
+  if (changed) {
+    emitEvent({
+      type: 'trackHistory',
+      zoneId: zone.zone_id,
+      tracks: listTrackHistory(state),
+    });
+
+    // A track that ended moves to the top of the history
+    if (previous.current && state.tracks[0] !== previous.tracks[0]) {
+      notifyTrackPlayed(zone.zone_id, state.tracks[0]);
+    }
+  }
+}
+
+/**
+ * Passes a track that stopped playing to the track played listeners
+ * Only tracks from the album the app last started on the zone are passed,
+ * so albums played from Roon itself are left to Roon's own scrobbling
+ * @param {string} zoneId - Zone ID
+ * @param {Object} track - Track history entry
+ */
+function notifyTrackPlayed(zoneId, track) {
+  const album = startedAlbumByZone.get(zoneId);
+  if (!album || track.album?.toLowerCase() !== album.toLowerCase()) return;
+
+  const zone = zonesCache.find(z => z.id === zoneId);
+  const context = {
+    zoneId,
+    zoneName: zone?.name || null,
+    profile: currentProfile,
+  };
+
+  for (const listener of trackPlayedListeners) {
+    try {
+      listener(track, context);
+    } catch (error) {
+      console.error('Track played listener failed:', error);
+    }
+  }
+}
+
+/**
+ * Subscribes to tracks from app-started albums that stopped playing
+ * @param {Function} listener - Called with (track, { zoneId, zoneName, profile })
+ * @returns {Function} Unsubscribes the listener
+ */
+export function onTrackPlayed(listener) {
+  trackPlayedListeners.add(listener);
+  return () => trackPlayedListeners.delete(listener);
+}
+
+/**
+ * Gets the tracks a zone played this session, newest first
+ * The track playing now comes first, marked isCurrent
+ * @param {string} zoneId - Zone identifier
+ * @returns {Array} Tracks ({ title, artist, album, imageKey, length, startedAt, playedMs, isCurrent })
+ */
+export function getTrackHistory(zoneId) {
+  const state = trackHistoryByZone.get(zoneId);
+  return state ? listTrackHistory(state) : [];
+}
+
 /**
  * Extracts now playing information from a zone
  * @param {string} zoneId - Zone identifier
@@ -445,7 +648,8 @@ function createRoonApi() {
 }
 
 /**
- * Handles manual connection closure - attempts reconnection
+ * Handles manual connection closure
+ * The connection supervisor schedules the reconnection
  */
 function handleManualConnectionClosed() {
   console.log('[Manual Connection] Connection closed');
@@ -455,47 +659,18 @@ function handleManualConnectionClosed() {
   if (core) {
     console.log('[Manual Connection] Core was paired, connection lost');
     handleCoreUnpaired();
-  }
-
-  // Attempt reconnection if we haven't exceeded retry limit
-  const connectionSettings = store.get('connectionSettings');
-  if (
-    connectionSettings?.mode === 'manual' &&
-    connectionSettings?.host &&
-    manualConnectionRetryCount < MAX_MANUAL_CONNECTION_RETRIES
-  ) {
-    manualConnectionRetryCount++;
-    console.log(
-      `[Manual Connection] Scheduling reconnection attempt ${manualConnectionRetryCount}/${MAX_MANUAL_CONNECTION_RETRIES}`
-    );
-
-    manualConnectionRetryTimer = setTimeout(() => {
-      console.log('[Manual Connection] Attempting reconnection...');
-      connectManually(connectionSettings.host, connectionSettings.port || 9330);
-    }, MANUAL_CONNECTION_RETRY_DELAY);
-  } else if (manualConnectionRetryCount >= MAX_MANUAL_CONNECTION_RETRIES) {
-    console.log(
-      '[Manual Connection] Max retries exceeded, emitting connection failure'
-    );
-    emitEvent({
-      type: 'connectionError',
-      error: 'Connection lost and max retries exceeded',
-      canRetry: true,
-    });
+  } else {
+    connectionSupervisor?.handleLost('Unable to reach the Roon Core');
   }
 }
 
 /**
  * Handles manual connection error
+ * The socket closes afterwards, which triggers the reconnection
  * @param {Object} _moo - The moo connection object (unused)
  */
 function handleManualConnectionError(_moo) {
   console.error('[Manual Connection] Connection error occurred');
-  emitEvent({
-    type: 'connectionError',
-    error: 'Connection error',
-    canRetry: true,
-  });
 }
 
 /**
@@ -512,31 +687,17 @@ function connectManually(host, port = 9330) {
   }
 
   console.log(`[Manual Connection] Connecting to ${host}:${port}`);
-  emitEvent({
-    type: 'connectionStatus',
-    status: 'connecting',
+
+  // Ignore a late close from a connection that has since been replaced
+  const api = roon;
+  _manualConnection = roon.ws_connect({
     host,
     port,
+    onclose: () => {
+      if (api === roon) handleManualConnectionClosed();
+    },
+    onerror: handleManualConnectionError,
   });
-
-  try {
-    _manualConnection = roon.ws_connect({
-      host,
-      port,
-      onclose: handleManualConnectionClosed,
-      onerror: handleManualConnectionError,
-    });
-
-    // Reset retry count on successful connection initiation
-    // (actual success is determined by core_paired callback)
-  } catch (error) {
-    console.error('[Manual Connection] Failed to connect:', error);
-    emitEvent({
-      type: 'connectionError',
-      error: error.message || 'Failed to connect',
-      canRetry: true,
-    });
-  }
 }
 
 /**
@@ -558,18 +719,15 @@ function stopDiscovery() {
  * Cleans up manual connection state
  */
 function cleanupManualConnection() {
-  if (manualConnectionRetryTimer) {
-    clearTimeout(manualConnectionRetryTimer);
-    manualConnectionRetryTimer = null;
-  }
-  manualConnectionRetryCount = 0;
   _manualConnection = null;
 }
 
 /**
- * Initializes and starts Roon API connection based on settings
+ * Opens a new Roon API connection based on settings
+ * Called by the connection supervisor for every attempt; errors are
+ * reported back to it as a lost connection
  */
-function connectToRoon() {
+function openConnection() {
   // Clean up any existing state
   cleanupManualConnection();
   stopDiscovery();
@@ -590,14 +748,76 @@ function connectToRoon() {
     connectManually(connectionSettings.host, connectionSettings.port || 9330);
   } else {
     console.log('[Connection] Using auto-discovery');
-    emitEvent({
-      type: 'connectionStatus',
-      status: 'discovering',
-    });
     roon.start_discovery();
   }
 }
 
+/**
+ * Checks that the paired Core still answers (connection heartbeat)
+ * @returns {Promise<void>} Resolves when the Core replies
+ */
+function probeCore() {
+  return new Promise((resolve, reject) => {
+    if (!transportService) {
+      return reject(new Error('Not connected'));
+    }
+    transportService.get_zones(error => {
+      if (error) {
+        reject(new Error(String(error)));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Drops a connection that stopped answering heartbeats
+ * A half-open socket may never close by itself, so it is closed here
+ */
+function dropStaleConnection() {
+  const transport = core?.moo?.transport;
+
+  cleanupManualConnection();
+  stopDiscovery();
+  if (core) {
+    handleCoreUnpaired();
+  }
+
+  try {
+    transport?.close();
+  } catch {
+    // The socket is already gone
+  }
+}
+
+/**
+ * Starts connecting to Roon based on settings
+ * The connection supervisor keeps retrying until a Core pairs
+ */
+function connectToRoon() {
+  const connectionSettings = store.get('connectionSettings');
+
+  if (!connectionSupervisor) {
+    connectionSupervisor = new ConnectionSupervisor({
+      connect: openConnection,
+      probe: probeCore,
+      dropConnection: dropStaleConnection,
+      onChange: connection => emitEvent({ type: 'connection', connection }),
+    });
+  }
+
+  connectionSupervisor.start(
+    connectionSettings?.mode === 'manual' && connectionSettings?.host
+      ? {
+          mode: 'manual',
+          host: connectionSettings.host,
+          port: connectionSettings.port || 9330,
+        }
+      : { mode: 'auto' }
+  );
+}
+
 /**
  * Handles successful core pairing
  * @param {Object} coreInstance - Roon core instance
@@ -606,9 +826,6 @@ function handleCorePaired(coreInstance) {
   console.log('[TIMING] 🔌 Core paired:', coreInstance.display_name);
   console.time('[TIMING] handleCorePaired');
 
-  // Reset manual connection retry count on successful pairing
-  manualConnectionRetryCount = 0;
-
   core = coreInstance;
   browseService = core.services.RoonApiBrowse;
   transportService = core.services.RoonApiTransport;
@@ -638,6 +855,7 @@ function handleCorePaired(coreInstance) {
     coreDisplayName: core.display_name,
     connectionMode: isManualConnection ? 'manual' : 'auto',
   });
+  connectionSupervisor?.handlePaired(core.display_name);
 
   console.timeEnd('[TIMING] handleCorePaired');
 }
@@ -647,6 +865,7 @@ function handleCorePaired(coreInstance) {
  */
 function handleCoreUnpaired() {
   emitEvent({ type: 'core', status: 'unpaired' });
+  connectionSupervisor?.handleLost('Connection to the Roon Core was lost');
 
   // Reset state
   core = null;
@@ -657,13 +876,33 @@ function handleCoreUnpaired() {
   profilesCache = null;
   currentProfile = null;
 
-  // Clear image cache to free memory
-  imageCache.clear();
+  // Clear the in-memory image cache to free memory (disk copies are kept)
+  imageCache.clearMemory();
+  imageFetches.clear();
+
+  // Item keys from this core are no longer valid
+  libraryIndex.clear();
+  queueDurationWatches.forEach(stop => stop());
 
   emitZones();
   emitProfiles();
 }
 
+/**
+ * Drops the session state kept for a zone the Core removed
+ * @param {string} zoneId - Removed zone ID
+ */
+function forgetZone(zoneId) {
+  trackHistoryByZone.delete(zoneId);
+  listenTrackers.delete(zoneId);
+  startedAlbumByZone.delete(zoneId);
+  delete lastNowPlayingByZone[zoneId];
+
+  if (autoContinueZones.delete(zoneId)) {
+    emitEvent({ type: 'autoContinue', zones: getAutoContinueZones() });
+  }
+}
+
 /**
  * Handles zone subscription updates
  * @param {string} response - Response type ('Subscribed' or 'Changed')
@@ -672,6 +911,7 @@ function handleCoreUnpaired() {
 function handleZoneUpdates(response, data) {
   if (response === 'Subscribed') {
     zonesRaw = Array.isArray(data?.zones) ? data.zones : [];
+    zonesRaw.forEach(updateTrackHistory);
 
     // Add initial now playing fetch after subscription with small delay for UI readiness
     setTimeout(() => {
@@ -684,20 +924,67 @@ function handleZoneUpdates(response, data) {
       }
     }, 100);
   } else if (response === 'Changed') {
+    const addedZones = Array.isArray(data?.zones_added) ? data.zones_added : [];
+
     if (Array.isArray(data?.zones)) {
       zonesRaw = data.zones;
-    } else if (Array.isArray(data?.zones_changed)) {
-      // Merge changed zones with existing data
+    } else {
+      // Merge changed zones with existing data. Grouping and ungrouping
+      // replace zones: the old ones are removed and new ones added
       const zonesById = new Map(zonesRaw.map(z => [z.zone_id, z]));
-      data.zones_changed.forEach(zone => zonesById.set(zone.zone_id, zone));
+      (data?.zones_removed || []).forEach(zoneId => {
+        zonesById.delete(zoneId);
+        forgetZone(zoneId);
+      });
+      [...addedZones, ...(data?.zones_changed || [])].forEach(zone =>
+        zonesById.set(zone.zone_id, zone)
+      );
       zonesRaw = Array.from(zonesById.values());
     }
 
+    // The selected zone may have been grouped or ungrouped away
+    const selectedZoneId = store.get('lastZoneId');
+    if (
+      selectedZoneId &&
+      !zonesRaw.some(zone => zone.zone_id === selectedZoneId)
+    ) {
+      store.set(
+        'lastZoneId',
+        addedZones[0]?.zone_id || zonesRaw[0]?.zone_id || null
+      );
+    }
+
+    // Zone state transitions (playing -> stopped) drive auto-continue,
+    // track changes feed the track history and album changes show skips
+    const changedZones = data?.zones || [
+      ...addedZones,
+      ...(data?.zones_changed || []),
+    ];
+    changedZones.forEach(zone => {
+      updateAutoContinue(zone.zone_id, {
+        zoneState: zone.state,
+        queueTimeRemaining: zone.queue_time_remaining,
+      });
+      updateTrackHistory(zone);
+      updateListenTracking(zone.zone_id, {
+        album: zone.now_playing?.three_line?.line3 || null,
+        zoneState: zone.state,
+        queueTimeRemaining: zone.queue_time_remaining,
+      });
+    });
+
     // Handle seek position changes
     if (Array.isArray(data?.zones_seek_changed)) {
       const selectedZoneId = store.get('lastZoneId');
 
       data.zones_seek_changed.forEach(seekUpdate => {
+        updateAutoContinue(seekUpdate.zone_id, {
+          queueTimeRemaining: seekUpdate.queue_time_remaining,
+        });
+        updateListenTracking(seekUpdate.zone_id, {
+          queueTimeRemaining: seekUpdate.queue_time_remaining,
+        });
+
         if (seekUpdate.zone_id === selectedZoneId) {
           // Emit seek position update for the selected zone
           emitEvent({
@@ -717,6 +1004,7 @@ function handleZoneUpdates(response, data) {
     name: zone.display_name,
     state: zone.state,
     volume: zone.outputs?.[0]?.volume || null,
+    outputCount: zone.outputs?.length || 0, // More than one when zones are grouped
   }));
 
   // Set default zone if none selected
@@ -904,6 +1192,9 @@ export async function switchProfile(profileName) {
     // (different profiles may have different libraries)
     genresCache = null;
     genresCacheTime = null;
+    tagsCache = null;
+    tagsCacheTime = null;
+    libraryIndex.clear();
 
     // Update current profile
     currentProfile = profileName;
@@ -1071,6 +1362,84 @@ export async function listGenres() {
   }
 }
 
+// ==================== TAG MANAGEMENT ====================
+
+/**
+ * Retrieves and caches the list of library tags that hold albums
+ * @returns {Promise<Array>} Array of tag objects with title and album count, sorted by title (empty if the core has no tags)
+ */
+export async function listTags() {
+  // Return cached data if still fresh
+  if (tagsCache && Date.now() - tagsCacheTime < GENRE_CACHE_DURATION) {
+    return tagsCache;
+  }
+
+  if (!browseService) {
+    throw new Error('Not connected to a Roon Core');
+  }
+
+  await browseAsync({ hierarchy: 'browse', pop_all: true });
+  const root = await loadAsync({
+    hierarchy: 'browse',
+    offset: 0,
+    count: BROWSE_COUNT_LARGE,
+  });
+
+  const tagsKey = await navigateToTags(root);
+  const tags = [];
+
+  if (tagsKey) {
+    const seenTitles = new Set();
+    const albumCountRegex = /(\d+)\s+Albums?/;
+    let offset = 0;
+    let iterations = 0;
+
+    while (iterations < MAX_PAGINATION_ITERATIONS) {
+      const page = await loadAsync({
+        hierarchy: 'browse',
+        item_key: tagsKey,
+        offset,
+        count: BROWSE_PAGE_SIZE,
+      });
+
+      const items = page.items || [];
+      if (!items.length) break;
+
+      for (const item of items) {
+        const title = item?.title?.trim();
+        const match = item?.subtitle?.match(albumCountRegex);
+        const albumCount = match ? parseInt(match[1], 10) : 0;
+
+        // Only include tags with albums
+        if (title && albumCount > 0 && !seenTitles.has(title)) {
+          tags.push({ title, albumCount });
+          seenTitles.add(title);
+        }
+      }
+
+      offset += items.length;
+      iterations++;
+    }
+
+    if (iterations >= MAX_PAGINATION_ITERATIONS) {
+      console.warn(
+        '[listTags] Pagination limit reached, results may be incomplete'
+      );
+    }
+  }
+
+  tags.sort((a, b) => a.title.localeCompare(b.title));
+
+  // Albums were tagged or untagged since the pick restrictions were built
+  if (tagsCache && JSON.stringify(tagsCache) !== JSON.stringify(tags)) {
+    libraryIndex.invalidateRestrictions();
+  }
+
+  tagsCache = tags;
+  tagsCacheTime = Date.now();
+  return tags;
+}
+
 /**
  * Fetches subgenres for a specific genre
  * @param {string} genreTitle - The title of the parent genre
@@ -1178,98 +1547,611 @@ export async function getSubgenres(genreTitle) {
 /**
  * Picks and plays a random album based on genre filters
  * @param {Array} genreFilters - Array of genre names to filter by
- * @returns {Promise<Object>} Result object with album info
+ * @param {string|null} [targetZoneId] - Zone to play on instead of the selected zone
+ * @param {Object} [options] - Pick options
+ * @param {string} [options.mode] - One of PICK_MODES ('random' by default)
+ * @param {string} [options.type] - One of PICK_TYPES ('album' by default)
+ * @param {number} [options.maxMinutes] - Only pick albums at most this long
+ * @param {number} [options.budgetMinutes] - Time to fill (required for 'fill')
+ * @returns {Promise<Object>} Result object with album info, plus `track` for
+ *   track picks, `tracks` for mixes and `albums` for time fills
  */
-export async function pickRandomAlbumAndPlay(genreFilters = []) {
+export async function pickRandomAlbumAndPlay(
+  genreFilters = [],
+  targetZoneId = null,
+  options = {}
+) {
   if (!browseService || !transportService) {
-    throw new Error('Not connected to a Roon Core.');
+    throw new ConnectionError('Not connected to a Roon Core.');
   }
 
   // Ensure we have a valid output zone
-  const zoneId = await ensureValidZone();
+  const zoneId = await ensureValidZone(targetZoneId);
+
+  return pickRandomAlbumForZone(genreFilters, zoneId, 'play', options);
+}
+
+/**
+ * Picks a random album and plays or queues it on a zone
+ * @param {Array} genreFilters - Genre filters (same as pickRandomAlbumAndPlay)
+ * @param {string} zoneId - Target zone ID
+ * @param {string} [action] - 'play', 'addNext' or 'queue'
+ * @param {Object} [options] - Pick options (same as pickRandomAlbumAndPlay)
+ * @returns {Promise<Object>} Result object with album info
+ */
+async function pickRandomAlbumForZone(
+  genreFilters,
+  zoneId,
+  action = 'play',
+  options = {}
+) {
+  // Index excluded genres and tags first, as it moves the browse hierarchy
+  const restrictions = await collectAlbumRestrictions();
+
+  if (options?.type === 'fill') {
+    return playAlbumsForBudget(
+      genreFilters,
+      zoneId,
+      action,
+      restrictions,
+      options
+    );
+  }
+
+  if (options?.type === 'mix') {
+    return playRandomMix(genreFilters, zoneId, action, restrictions, {
+      ...options,
+      maxMinutes: undefined,
+    });
+  }
 
   // Navigate to the appropriate album list
-  const targetKey = await navigateToAlbumList(genreFilters);
+  const { scopeKey, targetKey } = await navigateToAlbumList(genreFilters);
 
   // Pick a random album
-  const selectedAlbum = await selectRandomAlbum(targetKey);
+  const selectedAlbum = await selectRandomAlbum(
+    scopeKey,
+    targetKey,
+    restrictions,
+    options?.type === 'track' ? { ...options, maxMinutes: undefined } : options
+  );
 
-  // Play the selected album
-  await playAlbum(selectedAlbum, zoneId);
+  // Play a track from it, or the whole album
+  const track =
+    options?.type === 'track'
+      ? await playRandomTrackFromAlbum(selectedAlbum, zoneId, action)
+      : null;
+  if (!track) {
+    await playAlbum(selectedAlbum, zoneId, action);
+  }
 
   return {
     album: selectedAlbum.title,
     artist: selectedAlbum.subtitle,
     image_key: selectedAlbum.image_key,
+    ...(track && { track }),
   };
 }
 
 /**
- * Ensures we have a valid zone selected
- * @returns {Promise<string>} Zone ID
+ * Plays random albums that together fill a time budget as closely as possible
+ * The sequence is planned from album durations (looking up more first), all
+ * from one album list, so with several genres selected they share a genre.
+ * The first album starts (or is queued, like a single pick) and the rest are
+ * queued after it; a failure after the first album ends the sequence early.
+ * Release year filters only use years already looked up.
+ * @param {Array} genreFilters - Genre filters (same as pickRandomAlbumAndPlay)
+ * @param {string} zoneId - Target zone ID
+ * @param {string} action - Action for the first album ('play', 'addNext' or 'queue')
+ * @param {Object} restrictions - Album keys excluded or allowed (see collectAlbumRestrictions)
+ * @param {Object} options - Pick options ({ mode, budgetMinutes })
+ * @returns {Promise<Object>} First album's info plus all `albums` and their `totalSeconds`
  */
-async function ensureValidZone() {
-  let zoneId = store.get('lastZoneId');
-
-  if (!zoneId || !zonesCache.some(z => z.id === zoneId)) {
-    zoneId = zonesCache[0]?.id || null;
-    if (zoneId) {
-      store.set('lastZoneId', zoneId);
-    }
+async function playAlbumsForBudget(
+  genreFilters,
+  zoneId,
+  action,
+  restrictions,
+  options
+) {
+  if (!(options.budgetMinutes > 0)) {
+    throw new Error('A time budget in minutes is required.');
   }
 
-  if (!zoneId) {
-    throw new Error('No output zones available.');
-  }
-
-  return zoneId;
-}
-
-/**
- * Navigates to the appropriate album list based on genre filters
- * @param {Array} genreFilters - Genre filter array
- * @returns {Promise<string>} Item key for the album list
- */
-async function navigateToAlbumList(genreFilters) {
-  await browseAsync({ hierarchy: 'browse', pop_all: true });
-  const root = await loadAsync({
-    hierarchy: 'browse',
-    offset: 0,
-    count: BROWSE_COUNT_LARGE,
-  });
+  const budgetSeconds = options.budgetMinutes * 60;
+  const firstList = await navigateToAlbumList(genreFilters);
+  const { candidates, filters, pickCandidate } = await collectCandidates(
+    firstList.scopeKey,
+    firstList.targetKey,
+    restrictions,
+    options
+  );
 
-  if (Array.isArray(genreFilters) && genreFilters.length > 0) {
-    return await navigateToGenreAlbums(root, genreFilters);
-  } else {
-    return await navigateToLibraryAlbums(root);
+  let pool = candidates;
+  if (hasYearFilter(filters)) {
+    applyStoredYears(pool);
+    pool = pool.filter(
+      album =>
+        album.year !== undefined && matchesYearFilter(album.year, filters)
+    );
   }
-}
 
-/**
- * Navigates to albums for a specific genre or subgenre
- * @param {Object} root - Root browse result
- * @param {Array} genreFilters - Genre filters
- * @returns {Promise<string>} Genre albums item key
- */
-async function navigateToGenreAlbums(root, genreFilters) {
-  // Weighted random selection based on album counts
-  const totalAlbums = genreFilters.reduce(
-    (sum, genre) => sum + genre.albumCount,
-    0
+  await lookUpAlbumDurations(
+    pool,
+    attempts => attempts >= FILL_DURATION_LOOKUPS
   );
-  const randomValue = Math.random() * totalAlbums;
+  const plan = planAlbumSequence(pool, budgetSeconds, pickCandidate);
+
+  if (plan.length === 0) {
+    // Albums of unknown length can't be planned with
+    throw new NoAlbumsError(
+      describeUnknownDurations(
+        pool,
+        `No album found that fits in ${options.budgetMinutes} minutes. Album durations are looked up as you pick, so try again or allow more time.`
+      )
+    );
+  }
+
+  const albums = [];
+  for (const indexedAlbum of plan) {
+    try {
+      // Playing browses into the album, so navigate back to the same list
+      const { scopeKey, targetKey } =
+        albums.length === 0
+          ? firstList
+          : await navigateToAlbumList(firstList.genre ? [firstList.genre] : []);
+      const selectedAlbum = await resolveIndexedAlbum(
+        scopeKey,
+        targetKey,
+        indexedAlbum
+      );
+
+      await playAlbum(
+        selectedAlbum,
+        zoneId,
+        albums.length === 0 ? action : 'queue'
+      );
+      markPlayedThisSession(selectedAlbum);
 
-  let cumulativeWeight = 0;
-  let targetGenre = genreFilters[0]; // fallback
+      albums.push({
+        album: selectedAlbum.title,
+        artist: selectedAlbum.subtitle,
+        image_key: selectedAlbum.image_key,
+        duration: indexedAlbum.duration,
+      });
+    } catch (error) {
+      // Nothing played yet: report the failure like a single pick would
+      if (albums.length === 0) throw error;
 
-  for (const genre of genreFilters) {
-    cumulativeWeight += genre.albumCount;
-    if (randomValue <= cumulativeWeight) {
-      targetGenre = genre;
+      console.warn(
+        `[playAlbumsForBudget] Stopped after ${albums.length} of ${plan.length} albums:`,
+        error.message
+      );
       break;
     }
   }
 
+  const totalSeconds = albums.reduce(
+    (total, album) => total + album.duration,
+    0
+  );
+  console.log(
+    `[Durations] Filled ${Math.round(totalSeconds / 60)} of ${options.budgetMinutes} minutes with ${albums.length} albums`
+  );
+
+  return {
+    album: albums[0].album,
+    artist: albums[0].artist,
+    image_key: albums[0].image_key,
+    albums,
+    totalSeconds,
+  };
+}
+
+/**
+ * Plays a mini-mix: one random track from each of several random albums
+ * The first track starts (or is queued, like a single pick) and the rest
+ * are queued after it. A failure after the first track ends the mix early.
+ * @param {Array} genreFilters - Genre filters (same as pickRandomAlbumAndPlay)
+ * @param {string} zoneId - Target zone ID
+ * @param {string} action - Action for the first track ('play', 'addNext' or 'queue')
+ * @param {Object} restrictions - Album keys excluded or allowed (see collectAlbumRestrictions)
+ * @param {Object} options - Pick options ({ mode })
+ * @returns {Promise<Object>} First track's album info plus all `tracks`
+ */
+async function playRandomMix(
+  genreFilters,
+  zoneId,
+  action,
+  restrictions,
+  options
+) {
+  const tracks = [];
+
+  for (let i = 0; i < MINI_MIX_TRACK_COUNT; i++) {
+    try {
+      // Each track browses into its album, so navigate back to a list each time
+      const { scopeKey, targetKey } = await navigateToAlbumList(genreFilters);
+      const selectedAlbum = await selectRandomAlbum(
+        scopeKey,
+        targetKey,
+        restrictions,
+        options
+      );
+
+      const track = await playRandomTrackFromAlbum(
+        selectedAlbum,
+        zoneId,
+        tracks.length === 0 ? action : 'queue'
+      );
+      tracks.push({
+        ...track,
+        album: selectedAlbum.title,
+        image_key: selectedAlbum.image_key,
+      });
+    } catch (error) {
+      // Nothing played yet: report the failure like a single pick would
+      if (tracks.length === 0) throw error;
+
+      console.warn(
+        `[playRandomMix] Stopped after ${tracks.length} of ${MINI_MIX_TRACK_COUNT} tracks:`,
+        error.message
+      );
+      break;
+    }
+  }
+
+  return {
+    album: tracks[0].album,
+    artist: tracks[0].artist,
+    image_key: tracks[0].image_key,
+    tracks,
+  };
+}
+
+/**
+ * Picks several random albums and adds them to the queue of the current zone
+ * Each album is drawn like a single random pick, so filters, exclusions and
+ * play history apply and an album is not picked twice in one batch
+ * @param {Array} genreFilters - Genre filters (same as pickRandomAlbumAndPlay)
+ * @param {number} count - Number of albums to queue
+ * @param {string} action - 'addNext' (after the current track) or 'queue' (end of queue)
+ * @returns {Promise<Object>} Queued albums, the requested count and any error that stopped the batch
+ */
+export async function queueRandomAlbums(genreFilters = [], count, action) {
+  if (!browseService || !transportService) {
+    throw new ConnectionError('Not connected to a Roon Core.');
+  }
+
+  const zoneId = await ensureValidZone();
+  const restrictions = await collectAlbumRestrictions();
+  const queued = [];
+
+  for (let i = 0; i < count; i++) {
+    try {
+      // Queueing browses into the album, so navigate back to a list each time
+      const { scopeKey, targetKey } = await navigateToAlbumList(genreFilters);
+      const selectedAlbum = await selectRandomAlbum(
+        scopeKey,
+        targetKey,
+        restrictions
+      );
+
+      await playAlbum(selectedAlbum, zoneId, action);
+
+      queued.push({
+        album: selectedAlbum.title,
+        artist: selectedAlbum.subtitle,
+        image_key: selectedAlbum.image_key,
+      });
+    } catch (error) {
+      // Nothing queued yet: report the failure like a single pick would
+      if (queued.length === 0) throw error;
+
+      console.warn(
+        `[queueRandomAlbums] Stopped after ${queued.length} of ${count} albums:`,
+        error.message
+      );
+      return { albums: queued, requested: count, error: error.message };
+    }
+  }
+
+  return { albums: queued, requested: count };
+}
+
+// ==================== AUTO-CONTINUE ====================
+
+/**
+ * Gets the zones with auto-continue ("endless random") enabled
+ * @returns {Array<string>} Zone IDs
+ */
+export function getAutoContinueZones() {
+  return Array.from(autoContinueZones.keys());
+}
+
+/**
+ * Turns auto-continue on or off for a zone
+ * While on, a random album is queued when the zone's queue is about to run
+ * out, or started when the zone stops at the end of its queue
+ * @param {string} zoneId - Zone ID
+ * @param {boolean} enabled - Whether to keep the zone going
+ * @param {Array} [genreFilters] - Genre filters for the picks (same as pickRandomAlbumAndPlay)
+ * @returns {Array<string>} Zone IDs with auto-continue enabled
+ */
+export function setAutoContinue(zoneId, enabled, genreFilters = []) {
+  const existing = autoContinueZones.get(zoneId);
+
+  if (enabled && existing) {
+    // Only the genres change; tracking is kept so one ending never picks twice
+    existing.genres = genreFilters;
+  } else if (enabled) {
+    const zone = zonesRaw.find(z => z.zone_id === zoneId);
+    if (!zone) {
+      throw new Error('Unknown zone.');
+    }
+
+    autoContinueZones.set(zoneId, {
+      genres: genreFilters,
+      tracking: createAutoContinueState(zone),
+    });
+    console.log(`[AutoContinue] Enabled for zone ${zone.display_name}`);
+
+    // The queue may already be about to run out
+    updateAutoContinue(zoneId, {});
+  } else if (autoContinueZones.delete(zoneId)) {
+    console.log(`[AutoContinue] Disabled for zone ${zoneId}`);
+  }
+
+  emitEvent({ type: 'autoContinue', zones: getAutoContinueZones() });
+  return getAutoContinueZones();
+}
+
+/**
+ * Feeds a zone update into auto-continue tracking and continues the zone if due
+ * @param {string} zoneId - Zone ID
+ * @param {Object} update - Zone update ({ zoneState?, queueTimeRemaining? })
+ */
+function updateAutoContinue(zoneId, update) {
+  const entry = autoContinueZones.get(zoneId);
+  if (!entry) return;
+
+  const { state, trigger } = applyAutoContinueUpdate(entry.tracking, update);
+  entry.tracking = state;
+
+  if (trigger) {
+    continueZone(zoneId, trigger).catch(error =>
+      console.error('[AutoContinue] Unexpected error:', error)
+    );
+  }
+}
+
+/**
+ * Picks a random album for a zone whose queue is running out
+ * @param {string} zoneId - Zone ID
+ * @param {string} trigger - 'nearEnd' (append to queue) or 'stopped' (start playing)
+ */
+async function continueZone(zoneId, trigger) {
+  // A pick for this zone is already on its way
+  if (autoContinueInFlight.has(zoneId)) return;
+  if (!browseService || !transportService) return;
+
+  autoContinueInFlight.add(zoneId);
+  try {
+    const genres = autoContinueZones.get(zoneId)?.genres || [];
+    const action = trigger === 'nearEnd' ? 'queue' : 'play';
+    console.log(`[AutoContinue] Zone ${zoneId} ${trigger}, picking an album`);
+
+    const result = await pickRandomAlbumForZone(genres, zoneId, action);
+    emitEvent({
+      type: 'autoContinue',
+      zones: getAutoContinueZones(),
+      zoneId,
+      album: result,
+      genres: genres.map(createGenreKey),
+    });
+  } catch (error) {
+    console.error(`[AutoContinue] Failed for zone ${zoneId}:`, error);
+    emitEvent({
+      type: 'autoContinue',
+      zones: getAutoContinueZones(),
+      zoneId,
+      error: error.message,
+    });
+  } finally {
+    autoContinueInFlight.delete(zoneId);
+  }
+}
+
+/**
+ * Ensures we have a valid zone selected
+ * A target zone is used as given and does not change the selected zone, so
+ * a pick can be sent elsewhere without switching the Now Playing view
+ * @param {string|null} [targetZoneId] - Zone to play on instead of the selected zone
+ * @returns {Promise<string>} Zone ID
+ */
+async function ensureValidZone(targetZoneId = null) {
+  if (targetZoneId) {
+    if (!zonesCache.some(z => z.id === targetZoneId)) {
+      throw new Error('The chosen zone is no longer available.');
+    }
+    return targetZoneId;
+  }
+
+  let zoneId = store.get('lastZoneId');
+
+  if (!zoneId || !zonesCache.some(z => z.id === zoneId)) {
+    zoneId = zonesCache[0]?.id || null;
+    if (zoneId) {
+      store.set('lastZoneId', zoneId);
+    }
+  }
+
+  if (!zoneId) {
+    throw new Error('No output zones available.');
+  }
+
+  return zoneId;
+}
+
+/**
+ * Navigates to the appropriate album list based on genre filters
+ * @param {Array} genreFilters - Genre filter array
+ * @returns {Promise<Object>} Index scope key and item key for the album list, and the genre picked (null for the library)
+ */
+async function navigateToAlbumList(genreFilters) {
+  await browseAsync({ hierarchy: 'browse', pop_all: true });
+  const root = await loadAsync({
+    hierarchy: 'browse',
+    offset: 0,
+    count: BROWSE_COUNT_LARGE,
+  });
+
+  if (Array.isArray(genreFilters) && genreFilters.length > 0) {
+    const { genreWeighting, genreWeights, excludedGenres } = getFilters() || {};
+
+    const selectableGenres = genreFilters.filter(
+      genre => !isGenreExcluded(genre, excludedGenres)
+    );
+    if (selectableGenres.length === 0) {
+      throw new NoAlbumsError(
+        'All selected genres are excluded. Try removing some genre exclusions in settings.'
+      );
+    }
+
+    const targetGenre = pickWeightedGenre(
+      selectableGenres,
+      genreWeighting,
+      genreWeights
+    );
+    console.log(
+      `[Random] Picked genre "${targetGenre.title}" (${genreWeighting || DEFAULT_GENRE_WEIGHTING} weighting)`
+    );
+    return {
+      scopeKey: createIndexScopeKey(targetGenre),
+      targetKey: await navigateToGenreAlbums(root, targetGenre),
+      genre: targetGenre,
+    };
+  } else {
+    return {
+      scopeKey: createIndexScopeKey(null),
+      targetKey: await navigateToLibraryAlbums(root),
+      genre: null,
+    };
+  }
+}
+
+// No album is excluded and every album is allowed
+const NO_RESTRICTIONS = { excluded: new Set(), included: null };
+
+/**
+ * Indexes an album list reached from the browse root and returns its albums
+ * @param {string} scopeKey - Index scope key for the album list
+ * @param {Function} navigate - Navigates from the root result to the list, resolving to its item key
+ * @returns {Promise<Array>} Indexed albums of the list
+ */
+async function indexAlbumListFromRoot(scopeKey, navigate) {
+  await browseAsync({ hierarchy: 'browse', pop_all: true });
+  const root = await loadAsync({
+    hierarchy: 'browse',
+    offset: 0,
+    count: BROWSE_COUNT_LARGE,
+  });
+
+  const targetKey = await navigate(root);
+  const header = await browseAsync({ hierarchy: 'browse' });
+  return ensureAlbumListIndexed(scopeKey, targetKey, header?.list?.count ?? 0);
+}
+
+/**
+ * Collects the album keys random picks must skip or stay within
+ * Excluded genres and tags, and included tags, are indexed like any other
+ * scope; the sets built from them are cached in the library index until the
+ * filters or tags change, one of those lists is re-indexed or the index
+ * expires, so most picks do not navigate to them at all
+ * @returns {Promise<Object>} { excluded, included } where excluded is a Set of album keys in excluded genres or tags, and included is a Set of album keys carrying an included tag (null when no tag is included)
+ */
+async function collectAlbumRestrictions() {
+  const filters = getFilters() || {};
+  const excludedGenres = filters.excludedGenres || [];
+  const excludedTags = filters.excludedTags || [];
+  const includedTags = filters.includedTags || [];
+
+  if (
+    excludedGenres.length === 0 &&
+    excludedTags.length === 0 &&
+    includedTags.length === 0
+  ) {
+    return NO_RESTRICTIONS;
+  }
+
+  const restrictionKey = JSON.stringify([
+    excludedGenres,
+    excludedTags,
+    includedTags,
+  ]);
+  const cached = libraryIndex.getRestrictions(restrictionKey);
+  if (cached) {
+    return cached;
+  }
+
+  const excluded = new Set();
+  const included = includedTags.length > 0 ? new Set() : null;
+  const scopeKeys = [];
+
+  for (const genreKey of excludedGenres) {
+    const genre = parseGenreKey(genreKey);
+    const scopeKey = createIndexScopeKey(genre);
+    scopeKeys.push(scopeKey);
+
+    try {
+      const albums = await indexAlbumListFromRoot(scopeKey, root =>
+        navigateToGenreAlbums(root, genre)
+      );
+      albums.forEach(album => excluded.add(album.albumKey));
+    } catch (error) {
+      // A genre that no longer exists has nothing to exclude
+      console.warn(
+        `[collectAlbumRestrictions] Skipping excluded genre '${genreKey}':`,
+        error.message
+      );
+    }
+  }
+
+  for (const [tags, albumKeys] of [
+    [excludedTags, excluded],
+    [includedTags, included],
+  ]) {
+    for (const tag of tags) {
+      const scopeKey = createTagScopeKey(tag);
+      scopeKeys.push(scopeKey);
+
+      try {
+        const albums = await indexAlbumListFromRoot(scopeKey, root =>
+          navigateToTagAlbums(root, tag)
+        );
+        albums.forEach(album => albumKeys.add(album.albumKey));
+      } catch (error) {
+        // A tag that no longer exists carries no albums
+        console.warn(
+          `[collectAlbumRestrictions] Skipping tag '${tag}':`,
+          error.message
+        );
+      }
+    }
+  }
+
+  const restrictions = { excluded, included };
+  libraryIndex.setRestrictions(restrictionKey, restrictions, scopeKeys);
+  return restrictions;
+}
+
+/**
+ * Navigates to albums for a specific genre or subgenre
+ * @param {Object} root - Root browse result
+ * @param {Object} targetGenre - Genre or subgenre to navigate to
+ * @returns {Promise<string>} Genre albums item key
+ */
+async function navigateToGenreAlbums(root, targetGenre) {
   // If this is a subgenre, navigate to it dynamically
   if (targetGenre.isSubgenre && targetGenre.parentGenre) {
     // Navigate to the parent genre first
@@ -1431,6 +2313,94 @@ async function navigateToGenreAlbums(root, genreFilters) {
   }
 }
 
+/**
+ * Navigates to the Tags list, which Roon shows under Library
+ * @param {Object} root - Root browse result
+ * @returns {Promise<string|null>} Tags item key, or null if this core has no tags
+ */
+async function navigateToTags(root) {
+  let tagsNode = findItemCaseInsensitive(root.items, 'Tags');
+
+  if (!tagsNode) {
+    const library = findItemCaseInsensitive(root.items, 'Library');
+    if (!library?.item_key) {
+      throw new Error("No 'Library' found at root");
+    }
+
+    await browseAsync({ hierarchy: 'browse', item_key: library.item_key });
+    const libraryPage = await loadAsync({
+      hierarchy: 'browse',
+      offset: 0,
+      count: BROWSE_COUNT_LARGE,
+    });
+    tagsNode = findItemCaseInsensitive(libraryPage.items, 'Tags');
+  }
+
+  if (!tagsNode?.item_key) {
+    return null;
+  }
+
+  await browseAsync({ hierarchy: 'browse', item_key: tagsNode.item_key });
+  return tagsNode.item_key;
+}
+
+/**
+ * Navigates to the albums carrying a tag
+ * @param {Object} root - Root browse result
+ * @param {string} tagTitle - Tag to navigate to
+ * @returns {Promise<string>} Tag albums item key
+ */
+async function navigateToTagAlbums(root, tagTitle) {
+  const tagsKey = await navigateToTags(root);
+  if (!tagsKey) {
+    throw new Error('Could not locate Tags in this core.');
+  }
+
+  const tagTitleLower = tagTitle.toLowerCase();
+  let tagItem = null;
+  let offset = 0;
+  let iterations = 0;
+
+  while (!tagItem && iterations < MAX_PAGINATION_ITERATIONS) {
+    const page = await loadAsync({
+      hierarchy: 'browse',
+      item_key: tagsKey,
+      offset,
+      count: BROWSE_PAGE_SIZE,
+    });
+
+    const items = page.items || [];
+    if (!items.length) break;
+
+    tagItem = items.find(
+      item => (item.title || '').trim().toLowerCase() === tagTitleLower
+    );
+
+    offset += items.length;
+    iterations++;
+  }
+
+  if (!tagItem?.item_key) {
+    throw new Error(`Tag '${tagTitle}' not found.`);
+  }
+
+  await browseAsync({ hierarchy: 'browse', item_key: tagItem.item_key });
+  const tagPage = await loadAsync({
+    hierarchy: 'browse',
+    offset: 0,
+    count: BROWSE_COUNT_LARGE,
+  });
+
+  // Tags can hold tracks and artists too; only the albums are of interest
+  const albumsNode = findItemCaseInsensitive(tagPage.items, 'Albums');
+  if (albumsNode?.item_key) {
+    await browseAsync({ hierarchy: 'browse', item_key: albumsNode.item_key });
+    return albumsNode.item_key;
+  }
+
+  return tagItem.item_key;
+}
+
 /**
  * Navigates to the main library albums list
  * @param {Object} root - Root browse result
@@ -1459,124 +2429,832 @@ async function navigateToLibraryAlbums(root) {
 }
 
 /**
- * Selects a random album from the current list, avoiding recently played
+ * Collects the albums of the current list a random pick may choose from
+ * Candidates are drawn from the local album index, without exclusions,
+ * albums in their cooldown window and albums already played this session
+ * @param {string} scopeKey - Index scope key for the album list
  * @param {string} targetKey - Item key for the album list
- * @returns {Promise<Object>} Selected album object
+ * @param {Object} restrictions - Album keys excluded or allowed (see collectAlbumRestrictions)
+ * @param {Object} options - Pick options ({ mode })
+ * @returns {Promise<Object>} { candidates, filters, pickCandidate } where pickCandidate picks one album from a list
  */
-async function selectRandomAlbum(targetKey) {
+async function collectCandidates(scopeKey, targetKey, restrictions, options) {
   const header = await browseAsync({ hierarchy: 'browse' });
   const totalAlbums = header?.list?.count ?? 0;
 
   if (totalAlbums === 0) {
-    throw new Error('Album list is empty.');
+    throw new NoAlbumsError('Album list is empty.');
   }
 
-  // Get excluded artists from filters
+  const albums = await ensureAlbumListIndexed(scopeKey, targetKey, totalAlbums);
+
+  // Get exclusions from filters
   const filters = getFilters();
   const excludedArtists = filters?.excludedArtists || [];
+  const excludedAlbums = filters?.excludedAlbums || [];
+  const artistMatchMode = filters?.artistMatchMode;
+
+  const eligibleAlbums = albums.filter(
+    album =>
+      !isArtistExcluded(album.subtitle, excludedArtists, artistMatchMode) &&
+      !isAlbumExcluded(album.title, album.subtitle, excludedAlbums) &&
+      !restrictions.excluded.has(album.albumKey) &&
+      (!restrictions.included || restrictions.included.has(album.albumKey))
+  );
 
-  // Helper function to check if artist is excluded
-  const isArtistExcluded = artistName => {
-    if (!artistName || excludedArtists.length === 0) return false;
-
-    // Extract primary artist from collaborations ("Artist1 / Artist2")
-    const primaryArtist = artistName.includes(' / ')
-      ? artistName.split(' / ')[0].trim()
-      : artistName;
+  // If ALL albums are excluded, throw helpful error
+  if (eligibleAlbums.length === 0) {
+    if (
+      excludedArtists.length > 0 ||
+      excludedAlbums.length > 0 ||
+      restrictions.excluded.size > 0
+    ) {
+      throw new NoAlbumsError(
+        'No albums available. All albums in this selection are excluded by your artist, album, genre or tag exclusions. Try removing some exclusions in settings.'
+      );
+    }
+    if (restrictions.included) {
+      throw new NoAlbumsError(
+        'No albums in this selection carry the selected tags. Try other tags or genres.'
+      );
+    }
+    throw new NoAlbumsError('Album list is empty.');
+  }
 
-    const artistLower = primaryArtist.toLowerCase().trim();
-    return excludedArtists.some(
-      excluded => excluded.toLowerCase().trim() === artistLower
+  // Skip albums played within the cooldown window (across restarts)
+  const isCoolingDown = playHistory
+    ? playHistory.createCooldownCheck()
+    : () => false;
+  let rested = eligibleAlbums.filter(album => !isCoolingDown(album.albumKey));
+  if (rested.length === 0) {
+    console.log(
+      '[selectRandomAlbum] Every album is within the cooldown window, ignoring it'
     );
-  };
+    rested = eligibleAlbums;
+  }
 
-  let selectedAlbum = null;
-  const maxAttempts =
-    Math.min(totalAlbums, MAX_RANDOM_ATTEMPTS) + playedThisSession.size;
+  // Prefer albums not played this session; start over once all have been played
+  let candidates = rested.filter(
+    album => !playedThisSession.has(album.albumKey)
+  );
+  if (candidates.length === 0) {
+    playedThisSession.clear();
+    candidates = rested;
+  }
 
-  // Try to find an unplayed album (NOT from excluded artists)
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const randomIndex = Math.floor(Math.random() * totalAlbums);
-    const albumPage = await loadAsync({
-      hierarchy: 'browse',
-      item_key: targetKey,
-      offset: randomIndex,
-      count: 1,
-    });
+  // Optionally favour liked albums and artists over skipped and disliked ones,
+  // and in rediscover mode albums the app has not played for a long time
+  const weighers = [];
+  if (filters?.feedbackWeighting && albumFeedback) {
+    weighers.push(albumFeedback.createWeigher());
+  }
+  if (options?.mode === 'rediscover' && playHistory) {
+    weighers.push(playHistory.createRediscoverWeigher());
+  }
+  const pickCandidate = list =>
+    weighers.length > 0
+      ? pickWeightedItem(list, album =>
+          weighers.reduce(
+            (weight, weigh) => weight * weigh(album.albumKey, album.subtitle),
+            1
+          )
+        )
+      : list[Math.floor(Math.random() * list.length)];
 
-    const candidate = albumPage.items?.[0];
-    if (candidate) {
-      const albumKey = createAlbumKey(candidate.title, candidate.subtitle);
-      const artistExcluded = isArtistExcluded(candidate.subtitle);
+  return { candidates, filters, pickCandidate };
+}
 
-      // Accept candidate if: not played this session AND not excluded artist
-      if (!playedThisSession.has(albumKey) && !artistExcluded) {
-        selectedAlbum = candidate;
-        break;
-      }
+/**
+ * Remembers an album as played this session, so picks avoid it for a while
+ * @param {Object} album - Album browse item (title, subtitle)
+ */
+function markPlayedThisSession(album) {
+  playedThisSession.add(createAlbumKey(album.title, album.subtitle));
+
+  // Enforce session history size limit to prevent unbounded memory growth
+  if (playedThisSession.size > MAX_SESSION_HISTORY) {
+    const toRemove = playedThisSession.size - MAX_SESSION_HISTORY;
+    const iterator = playedThisSession.values();
+    for (let i = 0; i < toRemove; i++) {
+      playedThisSession.delete(iterator.next().value);
     }
   }
+}
 
-  // If no unplayed album found, clear history and try harder
-  if (!selectedAlbum) {
-    playedThisSession.clear();
+/**
+ * Selects a random album from the current list, avoiding recently played
+ * The Core is only asked to confirm the chosen album once exclusion and
+ * session checks have passed
+ * @param {string} scopeKey - Index scope key for the album list
+ * @param {string} targetKey - Item key for the album list
+ * @param {Object} restrictions - Album keys excluded or allowed (see collectAlbumRestrictions)
+ * @param {Object} [options] - Pick options ({ mode, maxMinutes })
+ * @returns {Promise<Object>} Selected album object
+ */
+async function selectRandomAlbum(
+  scopeKey,
+  targetKey,
+  restrictions = NO_RESTRICTIONS,
+  options = {}
+) {
+  const { candidates, filters, pickCandidate } = await collectCandidates(
+    scopeKey,
+    targetKey,
+    restrictions,
+    options
+  );
 
-    // Try harder to find non-excluded album
-    let fallbackAttempts = 0;
-    while (!selectedAlbum && fallbackAttempts < MAX_RANDOM_ATTEMPTS) {
-      const randomIndex = Math.floor(Math.random() * totalAlbums);
-      const albumPage = await loadAsync({
-        hierarchy: 'browse',
-        item_key: targetKey,
-        offset: randomIndex,
-        count: 1,
-      });
+  // Length-bounded picks only choose among albums known to be short enough
+  const maxSeconds = options?.maxMinutes > 0 ? options.maxMinutes * 60 : null;
+  const pickFromList = maxSeconds
+    ? list => pickAlbumWithinDuration(list, maxSeconds, pickCandidate)
+    : pickCandidate;
+
+  const indexedAlbum = hasYearFilter(filters)
+    ? await pickAlbumInYears(candidates, filters, pickFromList)
+    : await pickFromList(candidates);
+  const selectedAlbum = await resolveIndexedAlbum(
+    scopeKey,
+    targetKey,
+    indexedAlbum
+  );
 
-      const candidate = albumPage.items?.[0];
-      if (candidate) {
-        const artistExcluded = isArtistExcluded(candidate.subtitle);
-        if (!artistExcluded) {
-          selectedAlbum = candidate;
-          break;
-        }
-      }
-      fallbackAttempts++;
+  markPlayedThisSession(selectedAlbum);
+  return selectedAlbum;
+}
+
+/**
+ * Fills in release years already looked up, from the store
+ * @param {Array} albums - Indexed albums (entries gain a `year`)
+ */
+function applyStoredYears(albums) {
+  const storedYears = albumYears ? albumYears.getAll() : {};
+  albums.forEach(album => {
+    if (album.year === undefined && album.albumKey in storedYears) {
+      album.year = storedYears[album.albumKey];
     }
+  });
+}
 
-    // Final fallback: if ALL artists are excluded, throw helpful error
-    if (!selectedAlbum) {
-      if (excludedArtists.length > 0) {
-        throw new Error(
-          'No albums available. All albums in this selection are from excluded artists. Try removing some artist exclusions in settings.'
-        );
+/**
+ * Picks a random album released in the filtered decades and years
+ * Album lists carry no release year, so a few unknown years are looked up
+ * from the album pages on each pick and kept in the index and the store.
+ * Albums whose pages show no year never match: the filter is not skipped
+ * @param {Array} candidates - Indexed albums to pick from
+ * @param {Object} filters - Filters ({ decades, yearFrom, yearTo })
+ * @param {Function} pickCandidate - Picks one album from a list (may be async)
+ * @returns {Promise<Object>} Indexed album entry
+ * @throws {NoAlbumsError} If no album is known to match yet
+ */
+async function pickAlbumInYears(candidates, filters, pickCandidate) {
+  applyStoredYears(candidates);
+
+  const matches = candidates.filter(
+    album => album.year !== undefined && matchesYearFilter(album.year, filters)
+  );
+  const unknown = shuffleArray(
+    candidates.filter(album => album.year === undefined)
+  );
+
+  const lookups = [];
+  let attempts = 0;
+  for (const album of unknown) {
+    if (attempts >= YEAR_LOOKUPS_PER_PICK) break;
+    attempts++;
+
+    const year = await lookUpAlbumYear(album);
+    if (year === undefined) continue; // Try again on a later pick
+
+    album.year = year;
+    lookups.push([album.albumKey, year]);
+    if (matchesYearFilter(year, filters)) {
+      matches.push(album);
+    }
+  }
+
+  if (lookups.length > 0) {
+    console.log(
+      `[Years] Looked up ${lookups.length} release years, ${matches.length} albums match`
+    );
+    libraryIndex.setAlbumYears(lookups);
+    albumYears?.setMany(lookups);
+  }
+
+  if (matches.length === 0) {
+    if (candidates.some(album => album.year === undefined)) {
+      throw new NoAlbumsError(
+        'No album from the selected years found yet. Release years are looked up a few at a time as you pick, so try again or widen the year filter.'
+      );
+    }
+    if (
+      candidates.length > 0 &&
+      candidates.every(album => album.year === null)
+    ) {
+      throw new NoAlbumsError(
+        'Your Roon Core shows no release years for these albums, so none can match the year filter. Clear the year filter to pick from them.'
+      );
+    }
+    throw new NoAlbumsError(
+      candidates.some(album => album.year === null)
+        ? 'No albums from the selected years. Albums whose release year Roon does not show are left out; try other decades or widen the year range.'
+        : 'No albums from the selected years. Try other decades or widen the year range.'
+    );
+  }
+
+  const selected = await pickCandidate(matches);
+  console.log(
+    `[Years] Picked '${selected.title}' (${selected.year}, ${getDecade(selected.year)}s)`
+  );
+  return selected;
+}
+
+/**
+ * Opens an indexed album's page without leaving the album list
+ * Expects the browse hierarchy to be at the album list, and leaves it there
+ * @param {Object} indexedAlbum - Indexed album entry
+ * @param {boolean} withItems - Also load the page's rows (actions and tracks)
+ * @returns {Promise<Object|undefined>} { item, list, items }, undefined if the album is no longer at its offset
+ */
+async function peekIndexedAlbumPage(indexedAlbum, withItems) {
+  // Item keys from an older browse session are not valid, so reload the item
+  const listPage = await loadAsync({
+    hierarchy: 'browse',
+    offset: indexedAlbum.offset,
+    count: 1,
+  });
+  const item = listPage.items?.[0];
+  if (
+    !item?.item_key ||
+    createAlbumKey(item.title, item.subtitle) !== indexedAlbum.albumKey
+  ) {
+    return undefined;
+  }
+
+  const albumPage = await browseAsync({
+    hierarchy: 'browse',
+    item_key: item.item_key,
+  });
+  const page = withItems
+    ? await loadAsync({
+        hierarchy: 'browse',
+        offset: 0,
+        count: BROWSE_COUNT_MEDIUM,
+      })
+    : null;
+  await browseAsync({ hierarchy: 'browse', pop_levels: 1 });
+
+  return { item, list: albumPage?.list, items: page?.items || [] };
+}
+
+/**
+ * Reads an album's release year from its album page
+ * Expects the browse hierarchy to be at the album list, and leaves it there
+ * @param {Object} indexedAlbum - Indexed album entry
+ * @returns {Promise<number|null|undefined>} Year, null if the page shows none, undefined if the lookup failed
+ */
+async function lookUpAlbumYear(indexedAlbum) {
+  try {
+    const page = await peekIndexedAlbumPage(indexedAlbum, false);
+    if (!page) return undefined;
+
+    return extractReleaseYear(page.list?.subtitle, page.item.subtitle);
+  } catch (error) {
+    console.warn(
+      `[Years] Could not look up '${indexedAlbum.title}':`,
+      error.message
+    );
+    return undefined;
+  }
+}
+
+/**
+ * Reads an album's length from the track list on its album page
+ * Expects the browse hierarchy to be at the album list, and leaves it there
+ * @param {Object} indexedAlbum - Indexed album entry
+ * @returns {Promise<number|null|undefined>} Seconds, null if the tracks show no lengths, undefined if the lookup failed
+ */
+async function lookUpAlbumDuration(indexedAlbum) {
+  try {
+    const page = await peekIndexedAlbumPage(indexedAlbum, true);
+    if (!page) return undefined;
+
+    return readAlbumPageDuration(page);
+  } catch (error) {
+    console.warn(
+      `[Durations] Could not look up '${indexedAlbum.title}':`,
+      error.message
+    );
+    return undefined;
+  }
+}
+
+/**
+ * Adds up an album's duration from its album page
+ * @param {Object} albumPage - Album page ({ list, items })
+ * @returns {number|null|undefined} Seconds, null if the tracks show no lengths, undefined if only part of the page was loaded
+ */
+function readAlbumPageDuration(albumPage) {
+  const items = albumPage?.items || [];
+  if (albumPage?.list?.count > items.length) return undefined;
+
+  return getAlbumDuration(getAlbumTracks(items));
+}
+
+/**
+ * Remembers the duration shown on an album page the app opened anyway
+ * @param {Object} album - Album browse item (title, subtitle)
+ * @param {Object} albumPage - Album page ({ list, items })
+ */
+function rememberAlbumDuration(album, albumPage) {
+  const duration = readAlbumPageDuration(albumPage);
+  if (!albumDurations || duration === undefined || !album?.title) return;
+
+  // A page without lengths doesn't replace a length learnt from a queue
+  const albumKey = createAlbumKey(album.title, album.subtitle);
+  if (duration === null && albumDurations.get(albumKey) !== undefined) return;
+
+  try {
+    albumDurations.setMany([[albumKey, duration]]);
+  } catch (error) {
+    console.error('Failed to store album duration:', error);
+  }
+}
+
+/**
+ * Learns the length of an album the app queued from the zone's play queue
+ * Album pages rarely show track lengths, but queue items carry them, so the
+ * queue is watched until the whole album is listed (or for a few seconds)
+ * @param {string} zoneId - Zone the album was queued on
+ * @param {Object} album - Album browse item (title, subtitle)
+ * @param {number} trackCount - Number of tracks on the album page
+ */
+function learnAlbumDurationFromQueue(zoneId, album, trackCount) {
+  const zone = zonesRaw.find(z => z.zone_id === zoneId);
+  if (
+    !albumDurations ||
+    !zone ||
+    !album?.title ||
+    trackCount === 0 ||
+    typeof transportService?.subscribe_queue !== 'function'
+  ) {
+    return;
+  }
+
+  const albumKey = createAlbumKey(album.title, album.subtitle);
+  if (typeof albumDurations.get(albumKey) === 'number') return;
+
+  let items = [];
+  let subscription = null;
+  let stopped = false;
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(timeoutId);
+    queueDurationWatches.delete(stop);
+    try {
+      subscription?.unsubscribe?.(() => {});
+    } catch {
+      // The connection may already be gone
+    }
+  };
+  const timeoutId = setTimeout(stop, QUEUE_DURATION_TIMEOUT);
+  queueDurationWatches.add(stop);
+
+  subscription = transportService.subscribe_queue(
+    zone,
+    QUEUE_DURATION_MAX_ITEMS,
+    (response, data) => {
+      if (stopped) return;
+
+      if (response === 'Subscribed') {
+        items = data?.items || [];
+      } else if (response === 'Changed') {
+        items = applyQueueChanges(items, data?.changes);
       } else {
-        throw new Error('Could not find an album after resetting session.');
+        return stop();
       }
+
+      const duration = getQueuedAlbumDuration(items, album.title, trackCount);
+      if (duration === null) return;
+
+      stop();
+      console.log(
+        `[Durations] Learnt '${album.title}' from the queue (${Math.round(duration / 60)} min)`
+      );
+      try {
+        albumDurations.setMany([[albumKey, duration]]);
+      } catch (error) {
+        console.error('Failed to store album duration:', error);
+      }
+    }
+  );
+}
+
+/**
+ * Fills in album durations from the duration index and looks up the rest
+ * Album lists carry no length, so missing durations are read from the
+ * album track lists (in random order) until `shouldStop` says enough, and
+ * kept in the index entries and the store. A length learnt from a queue
+ * replaces an unknown (null) one
+ * @param {Array} albums - Indexed albums (entries gain a `duration`)
+ * @param {Function} shouldStop - (lookupsSoFar) => boolean, checked before each lookup
+ * @returns {Promise<number>} Number of albums whose duration is still unknown
+ */
+async function lookUpAlbumDurations(albums, shouldStop) {
+  const storedDurations = albumDurations ? albumDurations.getAll() : {};
+  albums.forEach(album => {
+    const stored = storedDurations[album.albumKey];
+    if (
+      (album.duration === undefined && stored !== undefined) ||
+      (album.duration === null && typeof stored === 'number')
+    ) {
+      album.duration = stored;
     }
+  });
+
+  const unknown = shuffleArray(
+    albums.filter(album => album.duration === undefined)
+  );
+
+  const lookups = [];
+  let attempts = 0;
+  for (const album of unknown) {
+    if (shouldStop(attempts)) break;
+    attempts++;
+
+    const duration = await lookUpAlbumDuration(album);
+    if (duration === undefined) continue; // Try again on a later pick
+
+    album.duration = duration;
+    lookups.push([album.albumKey, duration]);
   }
 
-  // Mark as played
-  const albumKey = createAlbumKey(selectedAlbum.title, selectedAlbum.subtitle);
-  playedThisSession.add(albumKey);
+  if (lookups.length > 0) {
+    console.log(`[Durations] Looked up ${lookups.length} album durations`);
+    albumDurations?.setMany(lookups);
+  }
 
-  // Enforce session history size limit to prevent unbounded memory growth
-  if (playedThisSession.size > MAX_SESSION_HISTORY) {
-    const toRemove = playedThisSession.size - MAX_SESSION_HISTORY;
-    const iterator = playedThisSession.values();
-    for (let i = 0; i < toRemove; i++) {
-      playedThisSession.delete(iterator.next().value);
+  return unknown.length - lookups.length;
+}
+
+/**
+ * Explains why no album of a known length fits a time limit
+ * @param {Array} albums - Albums considered
+ * @param {string} fallback - Message when every length is known
+ * @returns {string} Message for a NoAlbumsError
+ */
+function describeUnknownDurations(albums, fallback) {
+  if (albums.length > 0 && albums.every(album => album.duration === null)) {
+    return 'Your Roon Core shows no track lengths for these albums. Lengths are learnt as the app plays albums, so try again once a few have been played.';
+  }
+  if (albums.some(album => album.duration === null)) {
+    return `${fallback} Albums without track lengths are left out until the app has played them.`;
+  }
+  return fallback;
+}
+
+/**
+ * Picks a random album no longer than a time limit
+ * Durations are looked up a few at a time (more while nothing known fits).
+ * Albums of unknown length are left out: they may be any length
+ * @param {Array} candidates - Indexed albums to pick from
+ * @param {number} maxSeconds - Longest album allowed
+ * @param {Function} pickCandidate - Picks one album from a list
+ * @returns {Promise<Object>} Indexed album entry
+ */
+async function pickAlbumWithinDuration(candidates, maxSeconds, pickCandidate) {
+  const eligible = album =>
+    typeof album.duration === 'number' && album.duration <= maxSeconds;
+
+  const stillUnknown = await lookUpAlbumDurations(
+    candidates,
+    attempts =>
+      attempts >= MAX_DURATION_LOOKUPS_PER_PICK ||
+      (attempts >= DURATION_LOOKUPS_PER_PICK && candidates.some(eligible))
+  );
+
+  const matches = candidates.filter(eligible);
+  if (matches.length === 0) {
+    throw new NoAlbumsError(
+      stillUnknown > 0
+        ? 'No album short enough found yet. Album durations are looked up as you pick, so try again or allow longer albums.'
+        : describeUnknownDurations(
+            candidates,
+            'No albums short enough. Try allowing longer albums.'
+          )
+    );
+  }
+
+  const selected = pickCandidate(matches);
+  console.log(
+    `[Durations] Picked '${selected.title}' (${Math.round(selected.duration / 60)} min)`
+  );
+  return selected;
+}
+
+/**
+ * Returns the indexed albums for the current list, reading it first if it has
+ * not been indexed yet, or refreshing it if it has changed size or gone stale
+ * @param {string} scopeKey - Index scope key for the album list
+ * @param {string} targetKey - Item key for the album list
+ * @param {number} listCount - Album count reported by the Core
+ * @returns {Promise<Array>} Indexed album entries
+ */
+async function ensureAlbumListIndexed(scopeKey, targetKey, listCount) {
+  if (libraryIndex.isFresh(scopeKey, listCount)) {
+    return libraryIndex.getAlbums(scopeKey);
+  }
+
+  console.time(`[TIMING] index ${scopeKey}`);
+
+  // A list a pick found out of date is re-read in full
+  let items = null;
+  const previousCount = libraryIndex.getListCount(scopeKey);
+  if (
+    !libraryIndex.isStale(scopeKey) &&
+    previousCount > INCREMENTAL_INDEX_MIN_PAGES * BROWSE_PAGE_SIZE
+  ) {
+    items = await refreshAlbumListItems(
+      scopeKey,
+      targetKey,
+      previousCount,
+      listCount
+    );
+  }
+
+  if (!items) {
+    items = await loadAlbumListRange(scopeKey, targetKey, 0, listCount);
+  }
+
+  const albums = libraryIndex.setScope(scopeKey, items, listCount);
+
+  console.log(`[Index] Indexed ${albums.length} albums for ${scopeKey}`);
+  console.timeEnd(`[TIMING] index ${scopeKey}`);
+
+  return albums;
+}
+
+/**
+ * Pages through part of an album list
+ * @param {string} scopeKey - Index scope key for the album list (for logging)
+ * @param {string} targetKey - Item key for the album list
+ * @param {number} start - First offset to read
+ * @param {number} end - Offset to stop at
+ * @returns {Promise<Array>} Browse items in list order
+ */
+async function loadAlbumListRange(scopeKey, targetKey, start, end) {
+  const items = [];
+  let offset = start;
+  let iterations = 0;
+
+  while (offset < end && iterations < MAX_INDEX_PAGES) {
+    const page = await loadAsync({
+      hierarchy: 'browse',
+      item_key: targetKey,
+      offset,
+      count: Math.min(BROWSE_PAGE_SIZE, end - offset),
+    });
+
+    const pageItems = page.items || [];
+    if (!pageItems.length) break;
+
+    items.push(...pageItems);
+    offset += pageItems.length;
+    iterations++;
+  }
+
+  if (iterations >= MAX_INDEX_PAGES) {
+    console.warn(
+      `[ensureAlbumListIndexed] Page limit reached for ${scopeKey}, index may be incomplete`
+    );
+  }
+
+  return items;
+}
+
+/**
+ * Finds how many items at one end of a list are unchanged, one page at a time
+ * Binary searches for the first page that differs, so a list with a single
+ * changed stretch costs a handful of page loads rather than all of them
+ * @param {number} limit - Number of items that may be unchanged
+ * @param {Function} countUnchanged - Async (start, end) => unchanged items from start
+ * @returns {Promise<number>} Number of unchanged items
+ */
+async function findUnchangedLength(limit, countUnchanged) {
+  const pageCount = Math.ceil(limit / BROWSE_PAGE_SIZE);
+  const pageRange = page => [
+    page * BROWSE_PAGE_SIZE,
+    Math.min((page + 1) * BROWSE_PAGE_SIZE, limit),
+  ];
+  const unchangedByPage = new Map();
+  const checkPage = async page => {
+    if (!unchangedByPage.has(page)) {
+      const [start, end] = pageRange(page);
+      unchangedByPage.set(page, await countUnchanged(start, end));
+    }
+    return unchangedByPage.get(page);
+  };
+
+  let low = 0;
+  let high = pageCount;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const [start, end] = pageRange(middle);
+    if ((await checkPage(middle)) === end - start) {
+      low = middle + 1;
+    } else {
+      high = middle;
     }
   }
 
-  return selectedAlbum;
+  if (low === pageCount) return limit;
+  return pageRange(low)[0] + (await checkPage(low));
 }
 
 /**
- * Plays the selected album
- * @param {Object} album - Album object to play
- * @param {string} zoneId - Target zone ID
+ * Refreshes an indexed album list by reading only the part that has changed
+ * The unchanged stretches at the start and end are found by comparing pages
+ * with the index, the stretch between them is re-read, and a few kept albums
+ * are re-checked; if any of them has moved the caller re-reads the whole list
+ * @param {string} scopeKey - Index scope key for the album list
+ * @param {string} targetKey - Item key for the album list
+ * @param {number} previousCount - Album count when the list was indexed
+ * @param {number} listCount - Album count reported by the Core
+ * @returns {Promise<Array|null>} Browse items in list order, or null if the list has to be re-read
+ */
+async function refreshAlbumListItems(
+  scopeKey,
+  targetKey,
+  previousCount,
+  listCount
+) {
+  // Indexed entries by offset (untitled items aren't indexed, so leave gaps)
+  const previousItems = new Array(previousCount).fill(null);
+  libraryIndex.getAlbums(scopeKey).forEach(album => {
+    previousItems[album.offset] = album;
+  });
+
+  const keyOf = item =>
+    item?.title ? createAlbumKey(item.title, item.subtitle) : null;
+  const loadItems = (start, end) =>
+    loadAlbumListRange(scopeKey, targetKey, start, end);
+
+  const shared = Math.min(previousCount, listCount);
+
+  const head = await findUnchangedLength(shared, async (start, end) => {
+    const items = await loadItems(start, end);
+    const changed = items.findIndex(
+      (item, index) => keyOf(item) !== keyOf(previousItems[start + index])
+    );
+    return changed === -1 ? items.length : changed;
+  });
+
+  // Counted from the end of the list, which shifts by the change in size
+  const tail = await findUnchangedLength(shared - head, async (start, end) => {
+    const items = await loadItems(listCount - end, listCount - start);
+    const previousEnd = previousCount - start;
+    let unchanged = 0;
+    while (
+      unchanged < items.length &&
+      keyOf(items[items.length - 1 - unchanged]) ===
+        keyOf(previousItems[previousEnd - 1 - unchanged])
+    ) {
+      unchanged++;
+    }
+    return unchanged;
+  });
+
+  const changedItems = await loadItems(head, listCount - tail);
+  const items = [
+    ...previousItems.slice(0, head),
+    ...changedItems,
+    ...previousItems.slice(previousCount - tail),
+  ].map(item => item || {});
+
+  if (items.length !== listCount) {
+    console.log(`[Index] ${scopeKey} could not be refreshed, re-reading it`);
+    return null;
+  }
+
+  // More than one stretch may have changed, which the search can miss
+  const kept = items.filter(
+    (item, offset) =>
+      item.title && (offset < head || offset >= listCount - tail)
+  );
+  for (
+    let sample = 0;
+    sample < INDEX_REFRESH_SAMPLES && kept.length;
+    sample++
+  ) {
+    const offset = items.indexOf(kept[Math.floor(Math.random() * kept.length)]);
+    const [item] = await loadItems(offset, offset + 1);
+    if (keyOf(item) !== keyOf(items[offset])) {
+      console.log(`[Index] ${scopeKey} has moved around, re-reading it`);
+      return null;
+    }
+  }
+
+  console.log(
+    `[Index] Refreshed ${scopeKey}: re-read ${changedItems.length} of ${listCount} items`
+  );
+  return items;
+}
+
+/**
+ * Confirms an indexed album against the Core and returns its current browse item
+ * Falls back to a search by name (and marks the scope stale) if the list has
+ * changed since it was indexed
+ * @param {string} scopeKey - Index scope key for the album list
+ * @param {string} targetKey - Item key for the album list
+ * @param {Object} indexedAlbum - Indexed album entry
+ * @returns {Promise<Object>} Browse item for the album
+ */
+async function resolveIndexedAlbum(scopeKey, targetKey, indexedAlbum) {
+  const albumPage = await loadAsync({
+    hierarchy: 'browse',
+    item_key: targetKey,
+    offset: indexedAlbum.offset,
+    count: 1,
+  });
+
+  const item = albumPage.items?.[0];
+  if (
+    item &&
+    createAlbumKey(item.title, item.subtitle) === indexedAlbum.albumKey
+  ) {
+    return item;
+  }
+
+  console.log(`[Index] ${scopeKey} has changed, searching for album by name`);
+  libraryIndex.invalidate(scopeKey);
+
+  const albumItem = await findAlbumInList(
+    targetKey,
+    indexedAlbum.title,
+    indexedAlbum.subtitle
+  );
+
+  if (!albumItem?.item_key) {
+    throw new Error(
+      `Album '${indexedAlbum.title}' is no longer in this list. Please try again.`
+    );
+  }
+
+  return albumItem;
+}
+
+/**
+ * Pages through an album list looking for an album by title and artist
+ * @param {string} listKey - Item key of the album list (must be the current browse level)
+ * @param {string} albumName - Album title
+ * @param {string} artistName - Artist name
+ * @returns {Promise<Object|null>} Album browse item or null
+ */
+async function findAlbumInList(listKey, albumName, artistName) {
+  const albumNameLower = (albumName || '').toLowerCase();
+  const artistNameLower = (artistName || '').toLowerCase();
+  let albumItem = null;
+  let offset = 0;
+  let iterations = 0;
+
+  while (!albumItem && iterations < MAX_PAGINATION_ITERATIONS) {
+    const page = await loadAsync({
+      hierarchy: 'browse',
+      item_key: listKey,
+      offset,
+      count: BROWSE_PAGE_SIZE,
+    });
+
+    const items = page.items || [];
+    if (!items.length) break;
+
+    albumItem = items.find(
+      item =>
+        (item.title || '').toLowerCase() === albumNameLower &&
+        (item.subtitle || '').toLowerCase() === artistNameLower
+    );
+
+    offset += items.length;
+    iterations++;
+  }
+
+  if (iterations >= MAX_PAGINATION_ITERATIONS && !albumItem) {
+    console.warn(
+      '[findAlbumInList] Pagination limit reached while searching for album'
+    );
+  }
+
+  return albumItem;
+}
+
+/**
+ * Opens an album's page (its "Play Album" action list and track list)
+ * Fills in the album's art from the page if the list item had none
+ * @param {Object} album - Album browse item
+ * @returns {Promise<Object>} Album page ({ list, items })
  */
-async function playAlbum(album, zoneId) {
+async function openAlbumPage(album) {
   await browseAsync({ hierarchy: 'browse', item_key: album.item_key });
   const albumPage = await loadAsync({
     hierarchy: 'browse',
@@ -1592,37 +3270,94 @@ async function playAlbum(album, zoneId) {
   }
   if (artKey && !album.image_key) album.image_key = artKey;
 
+  return albumPage;
+}
+
+/**
+ * Runs a play or queue action from an album page row
+ * Both "Play Album" and each track open the same Play Now / Add Next /
+ * Queue action list
+ * @param {Object} item - Album page row ("Play Album" or a track)
+ * @param {string} zoneId - Target zone ID
+ * @param {string} action - 'play', 'addNext' or 'queue'
+ * @param {string} name - Album or track title for error messages
+ */
+async function runAlbumPageAction(item, zoneId, action, name) {
+  await browseAsync({
+    hierarchy: 'browse',
+    item_key: item.item_key,
+    zone_or_output_id: zoneId,
+  });
+
+  const actions = await loadAsync({
+    hierarchy: 'browse',
+    offset: 0,
+    count: 20,
+  });
+  const albumAction = findAlbumAction(actions.items, action);
+
+  if (!albumAction?.item_key) {
+    throw new Error(
+      action === 'play'
+        ? 'No playable action found'
+        : `Roon did not offer a '${action === 'addNext' ? 'Add Next' : 'Queue'}' action for '${name}'`
+    );
+  }
+
+  await browseAsync({
+    hierarchy: 'browse',
+    item_key: albumAction.item_key,
+    zone_or_output_id: zoneId,
+  });
+}
+
+/**
+ * Plays one random track from an album, or adds it to the zone's queue
+ * Single tracks are not recorded in the play history, so the album can
+ * still come up as a whole
+ * @param {Object} album - Album browse item
+ * @param {string} zoneId - Target zone ID
+ * @param {string} [action] - 'play', 'addNext' or 'queue'
+ * @returns {Promise<Object>} Track ({ title, artist, length })
+ */
+async function playRandomTrackFromAlbum(album, zoneId, action = 'play') {
+  const albumPage = await openAlbumPage(album);
+  rememberAlbumDuration(album, albumPage);
+  const tracks = getAlbumTracks(albumPage.items);
+
+  if (tracks.length === 0) {
+    throw new Error(`No tracks found on '${album.title}'`);
+  }
+
+  const track = tracks[Math.floor(Math.random() * tracks.length)];
+  await runAlbumPageAction(track.item, zoneId, action, track.title);
+
+  return {
+    title: track.title,
+    artist: track.artist || album.subtitle,
+    length: track.length,
+  };
+}
+
+/**
+ * Plays the selected album, or adds it to the zone's queue
+ * @param {Object} album - Album object to play
+ * @param {string} zoneId - Target zone ID
+ * @param {string} [action] - 'play' (replace what is playing), 'addNext' or 'queue'
+ */
+async function playAlbum(album, zoneId, action = 'play') {
+  const albumPage = await openAlbumPage(album);
+  rememberAlbumDuration(album, albumPage);
+
   // Look for "Play Album" action
   const playAlbumAction = (albumPage.items || []).find(
     item => item.title === 'Play Album' && item.hint === 'action_list'
   );
 
   if (playAlbumAction?.item_key) {
-    await browseAsync({
-      hierarchy: 'browse',
-      item_key: playAlbumAction.item_key,
-      zone_or_output_id: zoneId,
-    });
-
-    const actions = await loadAsync({
-      hierarchy: 'browse',
-      offset: 0,
-      count: 20,
-    });
-    const playNowAction =
-      (actions.items || []).find(item =>
-        /play\s*now/i.test(item.title || '')
-      ) || (actions.items || [])[0];
-
-    if (!playNowAction?.item_key) {
-      throw new Error('No playable action found');
-    }
-
-    await browseAsync({
-      hierarchy: 'browse',
-      item_key: playNowAction.item_key,
-      zone_or_output_id: zoneId,
-    });
+    await runAlbumPageAction(playAlbumAction, zoneId, action, album.title);
+  } else if (action !== 'play') {
+    throw new Error(`'${album.title}' cannot be queued from this list`);
   } else {
     // Fallback to play_from_here
     await new Promise((resolve, reject) => {
@@ -1632,84 +3367,261 @@ async function playAlbum(album, zoneId) {
       });
     });
   }
+
+  recordPlayed(album);
+  learnAlbumDurationFromQueue(
+    zoneId,
+    album,
+    getAlbumTracks(albumPage.items).length
+  );
+  if (action === 'play') {
+    startListenTracking(zoneId, album);
+  }
 }
 
-// ==================== SPECIFIC ALBUM PLAYBACK ====================
+/**
+ * Records an album in the persistent play history
+ * Failures are logged but never interrupt playback
+ * @param {Object} album - Album browse item (title, subtitle)
+ */
+function recordPlayed(album) {
+  if (!playHistory || !album?.title) return;
+
+  try {
+    playHistory.record(createAlbumKey(album.title, album.subtitle));
+  } catch (error) {
+    console.error('Failed to record play history:', error);
+  }
+}
+
+// ==================== ALBUM FEEDBACK ====================
 
 /**
- * Plays a specific album by name and artist
- * @param {string} albumName - Album title
- * @param {string} artistName - Artist name
- * @returns {Promise<Object>} Success result
+ * Records how a listen ended in the album feedback
+ * Failures are logged but never interrupt playback
+ * @param {Object} tracker - Listen tracker
+ * @param {string|null} outcome - 'skip', 'playedThrough' or null
  */
-export async function playAlbumByName(albumName, artistName) {
-  if (!browseService || !transportService) {
-    throw new Error('Not connected to a Roon Core.');
+function recordListenOutcome(tracker, outcome) {
+  if (!albumFeedback || !outcome) return;
+
+  try {
+    albumFeedback.recordOutcome(tracker, outcome);
+    console.log(`[Feedback] '${tracker.title}': ${outcome}`);
+  } catch (error) {
+    console.error('Failed to record album feedback:', error);
   }
+}
 
-  const zoneId = await ensureValidZone();
+/**
+ * Starts watching an album the app started on a zone
+ * An album still being watched on the zone is judged as it stands
+ * @param {string} zoneId - Zone ID
+ * @param {Object} album - Album browse item (title, subtitle)
+ */
+function startListenTracking(zoneId, album) {
+  if (!zoneId || !album?.title) return;
 
-  // Navigate to main albums list
-  await browseAsync({ hierarchy: 'browse', pop_all: true });
-  const root = await loadAsync({
-    hierarchy: 'browse',
-    offset: 0,
-    count: BROWSE_COUNT_LARGE,
-  });
+  startedAlbumByZone.set(zoneId, album.title);
 
-  const library = findItemCaseInsensitive(root.items, 'Library');
-  if (!library?.item_key) {
-    throw new Error("Could not find 'Library' in Roon's root.");
+  const previous = listenTrackers.get(zoneId);
+  if (previous) {
+    recordListenOutcome(previous, classifyListen(previous));
   }
 
-  await browseAsync({ hierarchy: 'browse', item_key: library.item_key });
-  const libraryPage = await loadAsync({
-    hierarchy: 'browse',
-    offset: 0,
-    count: BROWSE_COUNT_LARGE,
-  });
+  listenTrackers.set(
+    zoneId,
+    createListenTracker({
+      albumKey: createAlbumKey(album.title, album.subtitle),
+      title: album.title,
+      artist: album.subtitle,
+    })
+  );
 
-  const albums = findItemCaseInsensitive(libraryPage.items, 'Albums');
-  if (!albums?.item_key) {
-    throw new Error("Could not find 'Albums' in the Library.");
+  // Roon may report the new album before the play request returns
+  const zone = (zonesRaw || []).find(z => z.zone_id === zoneId);
+  if (zone?.now_playing) {
+    updateListenTracking(zoneId, {
+      album: zone.now_playing.three_line?.line3 || null,
+      zoneState: zone.state,
+      queueTimeRemaining: zone.queue_time_remaining,
+    });
   }
+}
 
-  await browseAsync({ hierarchy: 'browse', item_key: albums.item_key });
+/**
+ * Applies a zone update to the zone's listen tracker, if it has one
+ * @param {string} zoneId - Zone ID
+ * @param {Object} update - Zone update ({ album?, zoneState?, queueTimeRemaining? })
+ */
+function updateListenTracking(zoneId, update) {
+  const current = listenTrackers.get(zoneId);
+  if (!current) return;
+
+  const { tracker, outcome, ended } = applyListenUpdate(current, update);
+  if (ended) {
+    listenTrackers.delete(zoneId);
+    recordListenOutcome(tracker, outcome);
+  } else {
+    listenTrackers.set(zoneId, tracker);
+  }
+}
 
-  // Search for the specific album
-  const albumNameLower = albumName.toLowerCase();
-  const artistNameLower = artistName.toLowerCase();
-  let albumItem = null;
-  let offset = 0;
-  let iterations = 0;
+/**
+ * Finds the album a zone is playing, as feedback knows it
+ * Albums the app started keep the key they were picked under; others are
+ * keyed by the album and artist the zone shows
+ * @param {string} zoneId - Zone ID
+ * @returns {Object|null} { albumKey, title, artist } or null if nothing is playing
+ */
+function getNowPlayingAlbum(zoneId) {
+  const nowPlaying = getZoneNowPlaying(zoneId);
+  if (!nowPlaying?.album) return null;
 
-  while (!albumItem && iterations < MAX_PAGINATION_ITERATIONS) {
-    const page = await loadAsync({
-      hierarchy: 'browse',
-      item_key: albums.item_key,
-      offset,
-      count: BROWSE_PAGE_SIZE,
-    });
+  const tracker = listenTrackers.get(zoneId);
+  if (
+    tracker &&
+    tracker.title.toLowerCase() === nowPlaying.album.toLowerCase()
+  ) {
+    return {
+      albumKey: tracker.albumKey,
+      title: tracker.title,
+      artist: tracker.artist,
+    };
+  }
 
-    const items = page.items || [];
-    if (!items.length) break;
+  return {
+    albumKey: createAlbumKey(nowPlaying.album, nowPlaying.artist),
+    title: nowPlaying.album,
+    artist: nowPlaying.artist,
+  };
+}
 
-    albumItem = items.find(
-      item =>
-        (item.title || '').toLowerCase() === albumNameLower &&
-        (item.subtitle || '').toLowerCase() === artistNameLower
-    );
+/**
+ * Gets the thumbs up/down rating of the album a zone is playing
+ * @param {string} zoneId - Zone ID
+ * @returns {Object|null} { album, artist, rating } or null if nothing is playing
+ */
+export function getNowPlayingRating(zoneId) {
+  const album = getNowPlayingAlbum(zoneId);
+  if (!album) return null;
+
+  return {
+    album: album.title,
+    artist: album.artist,
+    rating: albumFeedback?.get(album.albumKey)?.rating || 0,
+  };
+}
+
+/**
+ * Gives the album a zone is playing a thumbs up or down
+ * @param {string} zoneId - Zone ID
+ * @param {number} rating - 1 (thumbs up), -1 (thumbs down) or 0 (clear)
+ * @returns {Object} { album, artist, rating }
+ * @throws {NotFoundError} If nothing is playing on the zone
+ */
+export function rateNowPlaying(zoneId, rating) {
+  const album = getNowPlayingAlbum(zoneId);
+  if (!album) {
+    throw new NotFoundError('Nothing is playing on this zone.');
+  }
+
+  const feedback = albumFeedback.setRating(album, rating);
+  return { album: album.title, artist: album.artist, rating: feedback.rating };
+}
+
+/**
+ * Gets totals of the recorded album feedback
+ * @returns {Object} { albumCount, liked, disliked, skipped }
+ */
+export function getAlbumFeedbackSummary() {
+  return albumFeedback.getSummary();
+}
+
+/**
+ * Forgets every skip, play-through and rating
+ * @returns {Object} Updated totals
+ */
+export function resetAlbumFeedback() {
+  albumFeedback.reset();
+  return albumFeedback.getSummary();
+}
+
+/**
+ * Tells the UI about an album started from outside the app window
+ * (control API), so it can be added to the activity feed
+ * @param {Object} result - Play result ({ album, artist, image_key })
+ * @param {string} source - Front end that started it ('http', 'cli')
+ * @param {Object} [context] - Where and how it was picked ({ zoneId, genres })
+ */
+export function announceRemotePlay(result, source, context = {}) {
+  emitEvent({
+    type: 'remotePlay',
+    source,
+    zoneId: context.zoneId || null,
+    genres: context.genres || [],
+    album: {
+      album: result.album,
+      artist: result.artist,
+      image_key: result.image_key || null,
+    },
+  });
+}
+
+// ==================== SPECIFIC ALBUM PLAYBACK ====================
+
+/**
+ * Plays a specific album by name and artist
+ * @param {string} albumName - Album title
+ * @param {string} artistName - Artist name
+ * @param {string|null} [targetZoneId] - Zone to play on instead of the selected zone
+ * @returns {Promise<Object>} Success result with the album found
+ */
+export async function playAlbumByName(
+  albumName,
+  artistName,
+  targetZoneId = null
+) {
+  if (!browseService || !transportService) {
+    throw new ConnectionError('Not connected to a Roon Core.');
+  }
+
+  const zoneId = await ensureValidZone(targetZoneId);
+
+  // Navigate to main albums list
+  await browseAsync({ hierarchy: 'browse', pop_all: true });
+  const root = await loadAsync({
+    hierarchy: 'browse',
+    offset: 0,
+    count: BROWSE_COUNT_LARGE,
+  });
 
-    offset += items.length;
-    iterations++;
+  const library = findItemCaseInsensitive(root.items, 'Library');
+  if (!library?.item_key) {
+    throw new Error("Could not find 'Library' in Roon's root.");
   }
 
-  if (iterations >= MAX_PAGINATION_ITERATIONS && !albumItem) {
-    console.warn(
-      '[playAlbumByName] Pagination limit reached while searching for album'
-    );
+  await browseAsync({ hierarchy: 'browse', item_key: library.item_key });
+  const libraryPage = await loadAsync({
+    hierarchy: 'browse',
+    offset: 0,
+    count: BROWSE_COUNT_LARGE,
+  });
+
+  const albums = findItemCaseInsensitive(libraryPage.items, 'Albums');
+  if (!albums?.item_key) {
+    throw new Error("Could not find 'Albums' in the Library.");
   }
 
+  await browseAsync({ hierarchy: 'browse', item_key: albums.item_key });
+
+  // Search for the specific album
+  const albumItem = await findAlbumInList(
+    albums.item_key,
+    albumName,
+    artistName
+  );
+
   if (!albumItem?.item_key) {
     throw new Error(
       `Album '${albumName}' by '${artistName}' not found in the library.`
@@ -1719,7 +3631,12 @@ export async function playAlbumByName(albumName, artistName) {
   // Play the found album
   await playAlbum(albumItem, zoneId);
 
-  return { success: true };
+  return {
+    success: true,
+    album: albumItem.title,
+    artist: albumItem.subtitle,
+    image_key: albumItem.image_key,
+  };
 }
 
 /**
@@ -1727,14 +3644,19 @@ export async function playAlbumByName(albumName, artistName) {
  * Called by the queue processor
  * @param {string} artistName - Artist name
  * @param {string} currentAlbumName - Current album to exclude
+ * @param {string|null} targetZoneId - Zone to play on instead of the selected zone
  * @returns {Promise<Object>} Result with album info
  */
-async function performArtistAlbumSelection(artistName, currentAlbumName) {
+async function performArtistAlbumSelection(
+  artistName,
+  currentAlbumName,
+  targetZoneId
+) {
   if (!browseService || !transportService) {
-    throw new Error('Not connected to a Roon Core.');
+    throw new ConnectionError('Not connected to a Roon Core.');
   }
 
-  const zoneId = await ensureValidZone();
+  const zoneId = await ensureValidZone(targetZoneId);
 
   // Initialize session tracking for this artist if needed
   if (!artistSessionHistory.has(artistName)) {
@@ -1769,7 +3691,7 @@ async function performArtistAlbumSelection(artistName, currentAlbumName) {
   let artistItem = null;
   let offset = 0;
   let iterations = 0;
-  const artistNameLower = artistName.toLowerCase();
+  const artistNameNormalized = normalizeArtistName(artistName);
 
   while (!artistItem && iterations < MAX_PAGINATION_ITERATIONS) {
     const page = await loadAsync({
@@ -1782,7 +3704,7 @@ async function performArtistAlbumSelection(artistName, currentAlbumName) {
     if (!page.items || page.items.length === 0) break;
 
     artistItem = page.items.find(
-      item => (item.title || '').toLowerCase() === artistNameLower
+      item => normalizeArtistName(item.title) === artistNameNormalized
     );
 
     offset += page.items.length;
@@ -1807,8 +3729,12 @@ async function performArtistAlbumSelection(artistName, currentAlbumName) {
     count: BROWSE_COUNT_LARGE,
   });
 
+  const excludedAlbums = getFilters()?.excludedAlbums || [];
   const allAlbums = (artistPage.items || []).filter(
-    item => item.hint === 'list' && item.subtitle === artistName
+    item =>
+      item.hint === 'list' &&
+      artistMatches(item.subtitle, artistName, 'primary') &&
+      !isAlbumExcluded(item.title, item.subtitle, excludedAlbums)
   );
 
   // Filter out albums we've played this session (including the starting album)
@@ -1826,7 +3752,7 @@ async function performArtistAlbumSelection(artistName, currentAlbumName) {
     );
 
     if (availableAlbums.length === 0) {
-      throw new Error(
+      throw new NoAlbumsError(
         `Not enough albums to pick a new one for '${artistName}'.`
       );
     }
@@ -1861,7 +3787,7 @@ async function processArtistQueue() {
   isProcessingArtistQueue = true;
 
   while (artistOperationQueue.length > 0) {
-    const { artistName, currentAlbumName, resolve, reject } =
+    const { artistName, currentAlbumName, targetZoneId, resolve, reject } =
       artistOperationQueue.shift();
 
     console.log(
@@ -1871,7 +3797,8 @@ async function processArtistQueue() {
     try {
       const result = await performArtistAlbumSelection(
         artistName,
-        currentAlbumName
+        currentAlbumName,
+        targetZoneId
       );
       resolve(result);
     } catch (error) {
@@ -1892,9 +3819,14 @@ async function processArtistQueue() {
  * Queues concurrent requests instead of silently dropping them
  * @param {string} artistName - Artist name
  * @param {string} currentAlbumName - Current album to exclude
+ * @param {string|null} [targetZoneId] - Zone to play on instead of the selected zone
  * @returns {Promise<Object>} Result with album info
  */
-export async function playRandomAlbumByArtist(artistName, currentAlbumName) {
+export async function playRandomAlbumByArtist(
+  artistName,
+  currentAlbumName,
+  targetZoneId = null
+) {
   // Check queue size to prevent overflow from repeated clicks
   if (artistOperationQueue.length >= MAX_ARTIST_QUEUE_SIZE) {
     console.warn(
@@ -1912,6 +3844,7 @@ export async function playRandomAlbumByArtist(artistName, currentAlbumName) {
     artistOperationQueue.push({
       artistName,
       currentAlbumName,
+      targetZoneId,
       resolve,
       reject,
     });
@@ -1928,56 +3861,93 @@ export async function playRandomAlbumByArtist(artistName, currentAlbumName) {
 // ==================== IMAGE HANDLING ====================
 
 /**
- * Retrieves album art as a data URL
- * @param {string} imageKey - Roon image key
+ * Fills in the default image rendering options
  * @param {Object} options - Image options (scale, width, height, format)
- * @returns {Promise<string|null>} Data URL or null
+ * @returns {Object} Options as sent to the image service
  */
-export function getImageDataUrl(imageKey, options = {}) {
-  // Check cache first (fast path)
-  const cached = imageCache.get(imageKey);
-  if (cached) {
-    console.log(`🎯 Image cache HIT: ${imageKey.substring(0, 8)}...`);
-    return Promise.resolve(cached);
-  }
-
-  // Cache miss - fetch from Roon API
-  console.log(
-    `⚡ Image cache MISS: ${imageKey.substring(0, 8)}... (fetching from Roon)`
-  );
+function getImageOptions(options = {}) {
+  return {
+    scale: options.scale || 'fit',
+    width: options.width || DEFAULT_IMAGE_SIZE,
+    height: options.height || DEFAULT_IMAGE_SIZE,
+    format: options.format || 'image/jpeg',
+  };
+}
 
+/**
+ * Fetches an image from the Core's image service
+ * @param {string} imageKey - Roon image key
+ * @param {Object} imageOptions - Rendering options (see getImageOptions)
+ * @returns {Promise<Object|null>} Image ({ contentType, body }) or null
+ */
+function fetchImage(imageKey, imageOptions) {
   return new Promise(resolve => {
-    if (!core || !imageKey) return resolve(null);
-
-    const imageService = core.services.RoonApiImage;
+    const imageService = core?.services.RoonApiImage;
     if (!imageService) return resolve(null);
 
-    const imageOptions = {
-      scale: options.scale || 'fit',
-      width: options.width || DEFAULT_IMAGE_SIZE,
-      height: options.height || DEFAULT_IMAGE_SIZE,
-      format: options.format || 'image/jpeg',
-    };
-
     imageService.get_image(
       imageKey,
       imageOptions,
       (error, contentType, body) => {
         if (error || !body) return resolve(null);
+        resolve({ contentType, body: Buffer.from(body) });
+      }
+    );
+  });
+}
+
+/**
+ * Retrieves album art, from the image cache when possible
+ * @param {string} imageKey - Roon image key
+ * @param {Object} options - Image options (scale, width, height, format)
+ * @param {string} [priority] - Fetch priority on a cache miss ('nowPlaying', 'activity' or 'queued')
+ * @returns {Promise<Object|null>} Image ({ contentType, body }) or null
+ */
+export async function getImage(imageKey, options = {}, priority) {
+  if (!imageKey) return null;
 
-        const base64 = Buffer.from(body).toString('base64');
-        const dataUrl = `data:${contentType};base64,${base64}`;
+  const imageOptions = getImageOptions(options);
+  const cacheKey = createImageCacheKey(imageKey, imageOptions);
 
-        // Store in cache for future requests
-        imageCache.set(imageKey, dataUrl);
-        console.log(
-          `💾 Cached image: ${imageKey.substring(0, 8)}... (cache size: ${imageCache.cache.size}/${imageCache.maxSize})`
-        );
+  // Check cache first (fast path)
+  const cached = await imageCache.get(cacheKey);
+  if (cached) return cached;
 
-        resolve(dataUrl);
-      }
+  // Cache miss - fetch from Roon API
+  if (!core) return null;
+  return imageFetches.schedule(
+    cacheKey,
+    async () => {
+      const image = await fetchImage(imageKey, imageOptions);
+
+      // Store in cache for future requests (the disk write finishes on its own)
+      if (image) imageCache.set(cacheKey, image);
+      return image;
+    },
+    priority
+  );
+}
+
+/**
+ * Starts fetching album art into the image cache without waiting for it
+ * @param {Array<Object>} requests - { imageKey, options, priority } per image
+ * @returns {number} Number of images requested
+ */
+export function prefetchImages(requests) {
+  requests.forEach(({ imageKey, options, priority }) => {
+    getImage(imageKey, options, priority).catch(error =>
+      console.warn('[prefetchImages] Failed to prefetch image:', error.message)
     );
   });
+  return requests.length;
+}
+
+/**
+ * Gets album art cache and fetch statistics
+ * @returns {Object} { memory, disk, fetches } with entries, bytes, budgets, hit rates and fetch queue counts
+ */
+export function getImageCacheStats() {
+  return { ...imageCache.getStats(), fetches: imageFetches.getStats() };
 }
 
 // ==================== SESSION MANAGEMENT ====================
@@ -1991,6 +3961,34 @@ export function clearSessionHistory() {
   return true;
 }
 
+// ==================== PLAY HISTORY ====================
+
+/**
+ * Gets the cross-session play history settings
+ * @returns {Object} Settings with cooldownDays and albumCount
+ */
+export function getPlayHistorySettings() {
+  return playHistory.getSettings();
+}
+
+/**
+ * Sets how many days an album is skipped after it has been played
+ * @param {number} cooldownDays - Cooldown window in days (0 disables)
+ * @returns {Object} Updated settings
+ */
+export function setPlayHistoryCooldown(cooldownDays) {
+  return playHistory.setCooldownDays(cooldownDays);
+}
+
+/**
+ * Forgets every album recorded in the cross-session play history
+ * @returns {Object} Updated settings
+ */
+export function resetPlayHistory() {
+  playHistory.reset();
+  return playHistory.getSettings();
+}
+
 // ==================== TRANSPORT CONTROLS ====================
 
 /**
@@ -2027,6 +4025,112 @@ export function seekToPosition(zoneId, seconds) {
   });
 }
 
+/**
+ * Sends a transport command (play, pause, next...) to a zone
+ * @param {string} zoneId - Zone identifier
+ * @param {string} action - Transport action (see VALID_TRANSPORT_ACTIONS)
+ * @returns {Promise<void>}
+ */
+export function controlTransport(zoneId, action) {
+  return new Promise((resolve, reject) => {
+    if (!transportService) {
+      return reject(new Error('Transport service not available'));
+    }
+
+    const zone = zonesRaw.find(z => z.zone_id === zoneId);
+    if (!zone) {
+      return reject(new Error('Selected zone not found'));
+    }
+
+    transportService.control(zone, action, error => {
+      if (error) {
+        console.error(`Transport control '${action}' failed:`, error);
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// ==================== ZONE GROUPING ====================
+
+/**
+ * Groups zones so they play in sync
+ * Roon turns the grouped outputs into a single zone; the first zone leads
+ * @param {Array<string>} zoneIds - Zones to group (at least two)
+ * @returns {Promise<void>}
+ */
+export function groupZones(zoneIds) {
+  return new Promise((resolve, reject) => {
+    if (!transportService) {
+      return reject(new Error('Transport service not available'));
+    }
+
+    const zones = zoneIds.map(zoneId =>
+      zonesRaw.find(z => z.zone_id === zoneId)
+    );
+    if (zones.some(zone => !zone)) {
+      return reject(new Error('Zone not found'));
+    }
+
+    const { outputIds, ungroupable } = collectGroupableOutputs(zones);
+    if (ungroupable.length > 0) {
+      return reject(
+        new Error(
+          `${ungroupable.join(', ')} can't be grouped with ${zones[0].display_name}`
+        )
+      );
+    }
+    if (outputIds.length < 2) {
+      return reject(new Error('Choose at least two zones to group'));
+    }
+
+    transportService.group_outputs(outputIds, error => {
+      if (error) {
+        console.error('Grouping zones failed:', error);
+        reject(new Error(`Grouping zones failed: ${error}`));
+      } else {
+        console.log(`Grouped ${outputIds.length} outputs`);
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Splits a grouped zone back into its outputs
+ * @param {string} zoneId - Grouped zone ID
+ * @returns {Promise<void>}
+ */
+export function ungroupZone(zoneId) {
+  return new Promise((resolve, reject) => {
+    if (!transportService) {
+      return reject(new Error('Transport service not available'));
+    }
+
+    const zone = zonesRaw.find(z => z.zone_id === zoneId);
+    if (!zone) {
+      return reject(new Error('Zone not found'));
+    }
+
+    const outputIds = (zone.outputs || []).map(output => output.output_id);
+    if (outputIds.length < 2) {
+      return reject(new Error('Zone is not grouped'));
+    }
+
+    transportService.ungroup_outputs(outputIds, error => {
+      if (error) {
+        console.error('Ungrouping zone failed:', error);
+        reject(new Error(`Ungrouping zone failed: ${error}`));
+      } else {
+        console.log(`Ungrouped zone ${zone.display_name}`);
+        resolve();
+      }
+    });
+  });
+}
+
 // ==================== STORE INTEGRATION ====================
 
 /**
@@ -2037,50 +4141,111 @@ export function getFilters() {
   return store.get('filters');
 }
 
+/**
+ * Normalises a list of names (trimmed, blanks dropped)
+ * @param {*} value - Value to normalise
+ * @returns {Array<string>} Names ([] if the value isn't a list)
+ */
+function toNameList(value) {
+  return Array.isArray(value)
+    ? value.map(s => String(s).trim()).filter(Boolean)
+    : [];
+}
+
+/**
+ * Normalisers for each filter setting
+ * Each turns any value into a valid setting, falling back to its default
+ */
+const FILTER_NORMALIZERS = {
+  genres: toNameList,
+  excludedArtists: toNameList,
+  artistMatchMode: value =>
+    ARTIST_MATCH_MODES.includes(value) ? value : DEFAULT_ARTIST_MATCH_MODE,
+  excludedGenres: toNameList,
+  // { title, artist } with an optional artist
+  excludedAlbums: value =>
+    Array.isArray(value)
+      ? value
+          .map(album => ({
+            title: String(album?.title || '').trim(),
+            artist: String(album?.artist || '').trim(),
+          }))
+          .filter(album => album.title)
+      : [],
+  // Tag titles
+  includedTags: value => [...new Set(toNameList(value))],
+  excludedTags: value => [...new Set(toNameList(value))],
+  genreWeighting: value =>
+    GENRE_WEIGHTING_STRATEGIES.includes(value)
+      ? value
+      : DEFAULT_GENRE_WEIGHTING,
+  // Genre key -> weight
+  genreWeights: value =>
+    value && typeof value === 'object'
+      ? Object.fromEntries(
+          Object.entries(value)
+            .filter(
+              ([genreKey, weight]) =>
+                genreKey.trim() &&
+                typeof weight === 'number' &&
+                isFinite(weight)
+            )
+            .map(([genreKey, weight]) => [
+              genreKey,
+              Math.min(Math.max(weight, 0), MAX_GENRE_WEIGHT),
+            ])
+        )
+      : {},
+  // Favour liked albums, play skipped ones less
+  feedbackWeighting: value => (typeof value === 'boolean' ? value : false),
+  // First year of each decade, e.g. 1970
+  decades: value =>
+    Array.isArray(value)
+      ? [...new Set(value.filter(isReleaseYear).map(getDecade))].sort(
+          (a, b) => a - b
+        )
+      : [],
+  // Release year range (either end may be open)
+  yearFrom: value => (isReleaseYear(value) ? value : null),
+  yearTo: value => (isReleaseYear(value) ? value : null),
+};
+
 /**
  * Updates filter settings in store
+ * Settings missing from filters keep their current values; settings given
+ * with an invalid value are reset to their defaults
  * @param {Object} filters - New filter settings
+ * @param {Object} [options]
+ * @param {Object} [options.preset] - Preset being applied ({ id, name }), passed on in the filters event
  * @returns {Object} Updated filters
  */
-export function setFilters(filters) {
+export function setFilters(filters, { preset = null } = {}) {
   const current = getFilters();
-  let nextGenres;
-  let nextExcludedArtists;
-
-  // Handle genres
-  if (Array.isArray(filters?.genres)) {
-    nextGenres = filters.genres.map(s => String(s).trim()).filter(Boolean);
-  } else if (
-    filters &&
-    Object.prototype.hasOwnProperty.call(filters, 'genres')
-  ) {
-    nextGenres = [];
-  } else {
-    nextGenres = Array.isArray(current?.genres) ? current.genres : [];
-  }
 
-  // Handle excludedArtists
-  if (Array.isArray(filters?.excludedArtists)) {
-    nextExcludedArtists = filters.excludedArtists
-      .map(s => String(s).trim())
-      .filter(Boolean);
-  } else if (
-    filters &&
-    Object.prototype.hasOwnProperty.call(filters, 'excludedArtists')
-  ) {
-    nextExcludedArtists = [];
-  } else {
-    nextExcludedArtists = Array.isArray(current?.excludedArtists)
-      ? current.excludedArtists
-      : [];
+  const updatedFilters = Object.fromEntries(
+    Object.entries(FILTER_NORMALIZERS).map(([key, normalize]) => [
+      key,
+      normalize(
+        filters && Object.prototype.hasOwnProperty.call(filters, key)
+          ? filters[key]
+          : current?.[key]
+      ),
+    ])
+  );
+
+  // A reversed range is almost certainly meant the other way round
+  const { yearFrom, yearTo } = updatedFilters;
+  if (yearFrom !== null && yearTo !== null && yearFrom > yearTo) {
+    updatedFilters.yearFrom = yearTo;
+    updatedFilters.yearTo = yearFrom;
   }
 
-  const updatedFilters = {
-    genres: nextGenres,
-    excludedArtists: nextExcludedArtists,
-  };
   store.set('filters', updatedFilters);
-  emitEvent({ type: 'filters', filters: updatedFilters });
+  emitEvent({
+    type: 'filters',
+    filters: updatedFilters,
+    ...(preset && { preset }),
+  });
 
   return updatedFilters;
 }
@@ -2172,11 +4337,54 @@ export function setConnectionSettings(settings) {
 }
 
 /**
- * Tests a connection to a Roon Core by establishing a WebSocket connection
- * This tests basic network connectivity without requiring full Roon pairing
+ * Explains why a WebSocket to a Core could not be opened
+ * @param {Error} err - WebSocket error
+ * @param {string} host - Host tested
+ * @param {number} port - Port tested
+ * @returns {AppError} Error with a CONNECTION_TEST_ERRORS code
+ */
+function describeConnectionTestError(err, host, port) {
+  let message = `Connection failed to ${host}:${port}.`;
+
+  // A server that isn't a Core refuses the WebSocket upgrade
+  if (/^Unexpected server response/.test(err.message || '')) {
+    return new AppError(
+      `${message} Something answered, but it is not a Roon Core. Check the port (the Roon Core uses 9330 by default).`,
+      CONNECTION_TEST_ERRORS.NOT_ROON_CORE,
+      { host, port }
+    );
+  }
+
+  // Provide helpful error messages based on error type
+  if (err.code === 'ECONNREFUSED') {
+    message +=
+      ' Connection refused - make sure Roon Core is running and the port is correct.';
+  } else if (err.code === 'ETIMEDOUT' || err.code === 'EHOSTUNREACH') {
+    message +=
+      ' Host unreachable - check the IP address and network connectivity.';
+  } else if (err.code === 'ENOTFOUND') {
+    message += ' Host not found - check the IP address or hostname.';
+  } else {
+    message += ` Error: ${err.message}`;
+  }
+
+  return new AppError(message, CONNECTION_TEST_ERRORS.UNREACHABLE, {
+    host,
+    port,
+  });
+}
+
+/**
+ * Tests a connection to a Roon Core with the registry handshake
+ * Asks the Core who it is (registry info) and reports the extension as
+ * authorized if it is paired with that Core or holds a token from it. The test
+ * never registers, so it neither asks Roon for authorization nor changes the
+ * stored pairing, and it runs on its own WebSocket, so it never disturbs the
+ * main Roon connection.
  * @param {string} host - IP address or hostname to test
  * @param {number} port - Port number to test
- * @returns {Promise<Object>} Result with success status
+ * @returns {Promise<Object>} { success, host, port, coreName, coreId, version, authorized, message }
+ * @throws {AppError} With a CONNECTION_TEST_ERRORS code (and the Core's details once it answered)
  */
 export function testConnection(host, port = 9330) {
   return new Promise((resolve, reject) => {
@@ -2197,6 +4405,7 @@ export function testConnection(host, port = 9330) {
     let ws = null;
     let timeoutId = null;
     let resolved = false;
+    let coreInfo = null; // { coreName, coreId, version } once the Core answered
 
     const cleanup = () => {
       if (timeoutId) {
@@ -2213,76 +4422,159 @@ export function testConnection(host, port = 9330) {
       }
     };
 
-    // Set a timeout
-    timeoutId = setTimeout(() => {
+    const succeed = () => {
       if (resolved) return;
       resolved = true;
       cleanup();
-      reject(
-        new Error(
-          'Connection timeout - unable to reach Roon Core. Check the IP address and port.'
-        )
+
+      console.log(
+        `[Test Connection] ${coreInfo.coreName} at ${host}:${port} has authorized the extension`
+      );
+      resolve({
+        success: true,
+        host,
+        port,
+        ...coreInfo,
+        authorized: true,
+        message: `Connection successful! ${coreInfo.coreName} (Roon ${coreInfo.version}) is reachable and the extension is enabled.`,
+      });
+    };
+
+    const fail = error => {
+      if (resolved) return;
+      resolved = true;
+      cleanup();
+
+      console.error('[Test Connection] Failed:', error.message);
+      reject(error);
+    };
+
+    const failWith = (code, message) =>
+      fail(
+        new AppError(message, code, {
+          host,
+          port,
+          ...(coreInfo ? { ...coreInfo, authorized: false } : {}),
+        })
+      );
+
+    const startTimeout = (ms, onTimeout) => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(onTimeout, ms);
+    };
+
+    const send = (name, requestId, body) => {
+      ws.send(encodeMooRequest(name, requestId, body), { binary: true });
+    };
+
+    const handleInfo = message => {
+      const body = message.body;
+      if (
+        message.name !== 'Success' ||
+        !body?.core_id ||
+        typeof body.display_name !== 'string'
+      ) {
+        return failWith(
+          CONNECTION_TEST_ERRORS.NOT_ROON_CORE,
+          `${host}:${port} did not identify itself as a Roon Core.`
+        );
+      }
+
+      coreInfo = {
+        coreName: body.display_name,
+        coreId: body.core_id,
+        version: body.display_version || null,
+      };
+
+      // Paired through the main connection, or authorized on an earlier one
+      const token = loadConfigCacheSync().roonstate?.tokens?.[coreInfo.coreId];
+      if (core?.core_id === coreInfo.coreId || token) {
+        return succeed();
+      }
+
+      failWith(
+        CONNECTION_TEST_ERRORS.AUTH_PENDING,
+        `Reached ${coreInfo.coreName}, but the extension has not been authorized yet. Save these settings, then enable "${EXTENSION_CONFIG.display_name}" in Roon Settings > Extensions.`
       );
-    }, 10000);
+    };
+
+    // Set a timeout
+    startTimeout(CONNECTION_TEST_TIMEOUT, () =>
+      failWith(
+        CONNECTION_TEST_ERRORS.UNREACHABLE,
+        'Connection timeout - unable to reach Roon Core. Check the IP address and port.'
+      )
+    );
 
     try {
       ws = new WebSocket(wsUrl);
 
       ws.on('open', () => {
         if (resolved) return;
-        resolved = true;
 
         console.log(`[Test Connection] WebSocket connected to ${host}:${port}`);
-        cleanup();
-
-        resolve({
-          success: true,
-          coreName: 'Roon Core', // We don't get the name without full pairing
-          host,
-          port,
-          message: 'Connection successful! The Roon Core is reachable.',
-        });
+        startTimeout(CONNECTION_TEST_HANDSHAKE_TIMEOUT, () =>
+          failWith(
+            CONNECTION_TEST_ERRORS.NOT_ROON_CORE,
+            `${host}:${port} accepted the connection but did not answer as a Roon Core.`
+          )
+        );
+        send(MOO_REGISTRY_INFO, INFO_REQUEST_ID);
       });
 
-      ws.on('error', err => {
+      ws.on('message', data => {
         if (resolved) return;
-        resolved = true;
 
-        console.error('[Test Connection] WebSocket error:', err.message);
-        cleanup();
-
-        // Provide helpful error messages based on error type
-        let message = `Connection failed to ${host}:${port}.`;
-        if (err.code === 'ECONNREFUSED') {
-          message +=
-            ' Connection refused - make sure Roon Core is running and the port is correct.';
-        } else if (err.code === 'ETIMEDOUT' || err.code === 'EHOSTUNREACH') {
-          message +=
-            ' Host unreachable - check the IP address and network connectivity.';
-        } else if (err.code === 'ENOTFOUND') {
-          message += ' Host not found - check the IP address or hostname.';
-        } else {
-          message += ` Error: ${err.message}`;
+        const message = parseMooMessage(data);
+        if (!message) {
+          return failWith(
+            CONNECTION_TEST_ERRORS.NOT_ROON_CORE,
+            `${host}:${port} answered, but not in the Roon protocol.`
+          );
+        }
+
+        // Requests from the Core (e.g. pings) aren't answered during a test
+        if (message.verb === 'REQUEST') return;
+
+        if (message.requestId === INFO_REQUEST_ID) {
+          handleInfo(message);
         }
+      });
 
-        reject(new Error(message));
+      ws.on('error', err => {
+        console.error('[Test Connection] WebSocket error:', err.message);
+        fail(describeConnectionTestError(err, host, port));
       });
 
       ws.on('close', () => {
         // Connection closed - this is fine if we already resolved
         if (!resolved) {
           console.log('[Test Connection] Connection closed unexpectedly');
+          failWith(
+            coreInfo
+              ? CONNECTION_TEST_ERRORS.UNREACHABLE
+              : CONNECTION_TEST_ERRORS.NOT_ROON_CORE,
+            `${host}:${port} closed the connection during the handshake.`
+          );
         }
       });
     } catch (error) {
-      if (resolved) return;
-      resolved = true;
-      cleanup();
-      reject(new Error(`Failed to connect: ${error.message}`));
+      failWith(
+        CONNECTION_TEST_ERRORS.UNREACHABLE,
+        `Failed to connect: ${error.message}`
+      );
     }
   });
 }
 
+/**
+ * Gets the connection state tracked by the connection supervisor
+ * @returns {Object|null} { state, mode, host, port, coreName, attempt, retryAt, error, since }, or null before initialize
+ */
+export function getConnectionStatus() {
+  return connectionSupervisor ? connectionSupervisor.getStatus() : null;
+}
+
 /**
  * Reconnects to Roon using current settings
  * Useful for manually triggering reconnection after changing settings
@@ -2335,5 +4627,19 @@ export function switchConnectionMode(mode, host = null, port = 9330) {
 export function initialize(window, storeInstance) {
   mainWindow = window;
   store = storeInstance;
+  playHistory = new PlayHistoryService(store);
+  albumYears = new AlbumYearService(store);
+  albumDurations = new AlbumDurationService(store);
+  albumFeedback = new AlbumFeedbackService(store);
   connectToRoon();
 }
+
+/**
+ * Stops reconnections and connection heartbeats
+ * Called when the app quits so no timers keep the process alive
+ */
+export function shutdown() {
+  connectionSupervisor?.stop();
+  cleanupManualConnection();
+  stopDiscovery();
+}
@@ -0,0 +1,131 @@
+/**
+ * AlbumDurationService - Persistent album duration index
+ *
+ * Album lists from the Roon browse API carry no length, so album durations
+ * are added up from the track list on each album's page: whenever an album
+ * is played, and when a time-limited pick needs albums it has not seen yet.
+ * Album pages rarely show track lengths, so albums the app queues are also
+ * timed from the zone's play queue, whose items always carry them.
+ * Durations are remembered across restarts, including albums whose track
+ * list shows no lengths (null), so each album page is only looked up once.
+ */
+
+import { ValidationError } from '../errors/AppError.js';
+
+// Duration index constants (exported for use in tests)
+export const ALBUM_DURATION_STORAGE_VERSION = 1;
+export const MAX_ALBUM_DURATIONS = 20000;
+
+/**
+ * Checks a stored duration is usable
+ * @param {*} duration - Value to check
+ * @returns {boolean} True for whole positive seconds or null (no lengths shown)
+ */
+function isStoredDuration(duration) {
+  return (Number.isInteger(duration) && duration > 0) || duration === null;
+}
+
+/**
+ * Service class for managing album duration persistence
+ */
+export class AlbumDurationService {
+  /**
+   * Creates an AlbumDurationService instance
+   * @param {Object} store - Electron store instance for persistence
+   */
+  constructor(store) {
+    if (!store) {
+      throw new ValidationError(
+        'AlbumDurationService requires a valid store instance',
+        {
+          param: 'store',
+        }
+      );
+    }
+    this.store = store;
+  }
+
+  /**
+   * Gets the current duration data structure from store
+   * @returns {Object} Duration data with durations and metadata
+   * @private
+   */
+  _getDurationData() {
+    const stored = this.store.get('albumDurationData');
+    if (!stored || typeof stored !== 'object') {
+      return { durations: {}, version: ALBUM_DURATION_STORAGE_VERSION };
+    }
+
+    // Ensure data structure is valid
+    return {
+      durations:
+        stored.durations && typeof stored.durations === 'object'
+          ? stored.durations
+          : {},
+      version: stored.version || ALBUM_DURATION_STORAGE_VERSION,
+    };
+  }
+
+  /**
+   * Saves duration data to store
+   * @param {Object} durationData - Duration data to save
+   * @private
+   */
+  _saveDurationData(durationData) {
+    this.store.set('albumDurationData', durationData);
+  }
+
+  /**
+   * Gets the stored duration of an album
+   * @param {string} albumKey - Album key (see createAlbumKey)
+   * @returns {number|null|undefined} Seconds, null if the track list shows no lengths, undefined if never looked up
+   */
+  get(albumKey) {
+    const duration = this._getDurationData().durations[albumKey];
+    return isStoredDuration(duration) ? duration : undefined;
+  }
+
+  /**
+   * Gets all stored durations
+   * @returns {Object} Map of album key to seconds (or null)
+   */
+  getAll() {
+    return { ...this._getDurationData().durations };
+  }
+
+  /**
+   * Stores several durations at once (one store write)
+   * The oldest entries are dropped once MAX_ALBUM_DURATIONS is exceeded
+   * @param {Array<Array>} entries - [albumKey, seconds|null] pairs
+   * @returns {Object} Result with success flag and number of stored albums
+   * @throws {ValidationError} If entries is not an array
+   */
+  setMany(entries) {
+    if (!Array.isArray(entries)) {
+      throw new ValidationError('Invalid album duration entries', {
+        expectedType: 'array',
+      });
+    }
+
+    const data = this._getDurationData();
+    entries.forEach(([albumKey, duration]) => {
+      if (typeof albumKey !== 'string' || !albumKey) return;
+      if (!isStoredDuration(duration)) return;
+
+      // Re-insert so the most recent entries are kept when trimming
+      delete data.durations[albumKey];
+      data.durations[albumKey] = duration;
+    });
+
+    const keys = Object.keys(data.durations);
+    if (keys.length > MAX_ALBUM_DURATIONS) {
+      keys
+        .slice(0, keys.length - MAX_ALBUM_DURATIONS)
+        .forEach(albumKey => delete data.durations[albumKey]);
+    }
+
+    this._saveDurationData(data);
+
+    return { success: true, albumCount: Object.keys(data.durations).length };
+  }
+}
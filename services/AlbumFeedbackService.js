@@ -0,0 +1,189 @@
+/**
+ * AlbumFeedbackService - Persistent skip, play-through and rating history
+ *
+ * Remembers, per album, how often it was skipped early or played through
+ * and whether it got a thumbs up or down, so the random picker can favour
+ * albums and artists that went down well.
+ */
+
+import {
+  createFeedbackWeigher,
+  trimAlbumFeedback,
+  ALBUM_FEEDBACK_STORAGE_VERSION,
+} from '../albumFeedbackHelpers.js';
+import { ValidationError } from '../errors/AppError.js';
+
+// Listening outcomes that can be recorded, and the counter each one bumps
+const OUTCOME_COUNTERS = {
+  skip: 'skips',
+  playedThrough: 'playedThrough',
+};
+
+/**
+ * Service class for managing album feedback persistence and selection weights
+ */
+export class AlbumFeedbackService {
+  /**
+   * Creates an AlbumFeedbackService instance
+   * @param {Object} store - Electron store instance for persistence
+   */
+  constructor(store) {
+    if (!store) {
+      throw new ValidationError(
+        'AlbumFeedbackService requires a valid store instance',
+        {
+          param: 'store',
+        }
+      );
+    }
+    this.store = store;
+  }
+
+  /**
+   * Gets the current feedback data structure from store
+   * @returns {Object} Feedback data with albums and metadata
+   * @private
+   */
+  _getFeedbackData() {
+    const stored = this.store.get('albumFeedbackData');
+    if (!stored || typeof stored !== 'object') {
+      return { albums: {}, version: ALBUM_FEEDBACK_STORAGE_VERSION };
+    }
+
+    // Ensure data structure is valid
+    return {
+      albums:
+        stored.albums && typeof stored.albums === 'object' ? stored.albums : {},
+      version: stored.version || ALBUM_FEEDBACK_STORAGE_VERSION,
+    };
+  }
+
+  /**
+   * Saves feedback data to store
+   * @param {Object} feedbackData - Feedback data to save
+   * @private
+   */
+  _saveFeedbackData(feedbackData) {
+    this.store.set('albumFeedbackData', feedbackData);
+  }
+
+  /**
+   * Applies a change to one album's feedback and saves it
+   * @param {Object} album - Album ({ albumKey, title, artist })
+   * @param {Function} change - Receives the album's feedback and returns the new one
+   * @param {number} now - Current timestamp
+   * @returns {Object} Updated album feedback
+   * @throws {ValidationError} If the album is invalid
+   * @private
+   */
+  _updateAlbum(album, change, now) {
+    if (!album?.albumKey || typeof album.albumKey !== 'string') {
+      throw new ValidationError('Invalid album key', {
+        albumKey: album?.albumKey,
+        expectedType: 'string',
+      });
+    }
+
+    const data = this._getFeedbackData();
+    const existing = data.albums[album.albumKey] || {
+      title: album.title || '',
+      artist: album.artist || '',
+      rating: 0,
+      skips: 0,
+      playedThrough: 0,
+    };
+
+    const updated = { ...change(existing), updatedAt: now };
+    data.albums[album.albumKey] = updated;
+    data.albums = trimAlbumFeedback(data.albums);
+    this._saveFeedbackData(data);
+
+    return updated;
+  }
+
+  /**
+   * Records how a listen to an album ended
+   * @param {Object} album - Album ({ albumKey, title, artist })
+   * @param {string} outcome - 'skip' or 'playedThrough'
+   * @param {number} [now] - Current timestamp (for testing)
+   * @returns {Object} Updated album feedback
+   * @throws {ValidationError} If the album or outcome is invalid
+   */
+  recordOutcome(album, outcome, now = Date.now()) {
+    const counter = OUTCOME_COUNTERS[outcome];
+    if (!counter) {
+      throw new ValidationError(
+        `Invalid outcome: must be one of ${Object.keys(OUTCOME_COUNTERS).join(', ')}`,
+        { outcome }
+      );
+    }
+
+    return this._updateAlbum(
+      album,
+      feedback => ({ ...feedback, [counter]: (feedback[counter] || 0) + 1 }),
+      now
+    );
+  }
+
+  /**
+   * Sets an album's thumbs up/down rating
+   * @param {Object} album - Album ({ albumKey, title, artist })
+   * @param {number} rating - 1 (thumbs up), -1 (thumbs down) or 0 (no rating)
+   * @param {number} [now] - Current timestamp (for testing)
+   * @returns {Object} Updated album feedback
+   * @throws {ValidationError} If the album or rating is invalid
+   */
+  setRating(album, rating, now = Date.now()) {
+    if (![1, 0, -1].includes(rating)) {
+      throw new ValidationError('Invalid rating: must be 1, 0 or -1', {
+        rating,
+      });
+    }
+
+    return this._updateAlbum(album, feedback => ({ ...feedback, rating }), now);
+  }
+
+  /**
+   * Gets an album's feedback
+   * @param {string} albumKey - Album key (see createAlbumKey)
+   * @returns {Object|null} Feedback ({ title, artist, rating, skips, playedThrough, updatedAt }) or null
+   */
+  get(albumKey) {
+    return this._getFeedbackData().albums[albumKey] || null;
+  }
+
+  /**
+   * Returns a function that gives albums their selection weight
+   * Reads the store once so it can be used to weigh large album lists
+   * @returns {Function} (albumKey, artistCredit) => weight, 1 for albums without feedback
+   */
+  createWeigher() {
+    return createFeedbackWeigher(this._getFeedbackData().albums);
+  }
+
+  /**
+   * Gets feedback totals for the UI
+   * @returns {Object} { albumCount, liked, disliked, skipped }
+   */
+  getSummary() {
+    const albums = Object.values(this._getFeedbackData().albums);
+    return {
+      albumCount: albums.length,
+      liked: albums.filter(album => album.rating > 0).length,
+      disliked: albums.filter(album => album.rating < 0).length,
+      skipped: albums.filter(album => album.skips > 0).length,
+    };
+  }
+
+  /**
+   * Forgets all feedback
+   * @returns {Object} Result with success flag
+   */
+  reset() {
+    this._saveFeedbackData({
+      albums: {},
+      version: ALBUM_FEEDBACK_STORAGE_VERSION,
+    });
+    return { success: true };
+  }
+}
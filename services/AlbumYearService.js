@@ -0,0 +1,117 @@
+/**
+ * AlbumYearService - Persistent release year lookups
+ *
+ * Album lists from the Roon browse API carry no release year, so the picker
+ * reads it from each album's page the first time a year filter needs it.
+ * Lookups are remembered across restarts, including albums whose year could
+ * not be found, so each album is only looked up once.
+ */
+
+import { ValidationError } from '../errors/AppError.js';
+
+// Year lookup constants (exported for use in tests)
+export const ALBUM_YEAR_STORAGE_VERSION = 1;
+export const MAX_ALBUM_YEARS = 20000;
+
+/**
+ * Service class for managing album release year persistence
+ */
+export class AlbumYearService {
+  /**
+   * Creates an AlbumYearService instance
+   * @param {Object} store - Electron store instance for persistence
+   */
+  constructor(store) {
+    if (!store) {
+      throw new ValidationError(
+        'AlbumYearService requires a valid store instance',
+        {
+          param: 'store',
+        }
+      );
+    }
+    this.store = store;
+  }
+
+  /**
+   * Gets the current year data structure from store
+   * @returns {Object} Year data with years and metadata
+   * @private
+   */
+  _getYearData() {
+    const stored = this.store.get('albumYearData');
+    if (!stored || typeof stored !== 'object') {
+      return { years: {}, version: ALBUM_YEAR_STORAGE_VERSION };
+    }
+
+    // Ensure data structure is valid
+    return {
+      years:
+        stored.years && typeof stored.years === 'object' ? stored.years : {},
+      version: stored.version || ALBUM_YEAR_STORAGE_VERSION,
+    };
+  }
+
+  /**
+   * Saves year data to store
+   * @param {Object} yearData - Year data to save
+   * @private
+   */
+  _saveYearData(yearData) {
+    this.store.set('albumYearData', yearData);
+  }
+
+  /**
+   * Gets the stored release year of an album
+   * @param {string} albumKey - Album key (see createAlbumKey)
+   * @returns {number|null|undefined} Year, null if it could not be found, undefined if never looked up
+   */
+  get(albumKey) {
+    const year = this._getYearData().years[albumKey];
+    return Number.isInteger(year) || year === null ? year : undefined;
+  }
+
+  /**
+   * Gets all stored release years
+   * @returns {Object} Map of album key to year (or null)
+   */
+  getAll() {
+    return { ...this._getYearData().years };
+  }
+
+  /**
+   * Stores several lookups at once (one store write)
+   * The oldest lookups are dropped once MAX_ALBUM_YEARS is exceeded
+   * @param {Array<Array>} entries - [albumKey, year|null] pairs
+   * @returns {Object} Result with success flag and number of stored albums
+   * @throws {ValidationError} If entries is not an array
+   */
+  setMany(entries) {
+    if (!Array.isArray(entries)) {
+      throw new ValidationError('Invalid album year entries', {
+        expectedType: 'array',
+      });
+    }
+
+    const data = this._getYearData();
+    entries.forEach(([albumKey, year]) => {
+      if (typeof albumKey !== 'string' || !albumKey) return;
+      if (!Number.isInteger(year) && year !== null) return;
+
+      // Re-insert so the most recent lookups are kept when trimming
+      delete data.years[albumKey];
+      data.years[albumKey] = year;
+    });
+
+    const keys = Object.keys(data.years);
+    if (keys.length > MAX_ALBUM_YEARS) {
+      keys
+        .slice(0, keys.length - MAX_ALBUM_YEARS)
+        .forEach(albumKey => delete data.years[albumKey]);
+    }
+
+    this._saveYearData(data);
+
+    return { success: true, albumCount: Object.keys(data.years).length };
+  }
+}
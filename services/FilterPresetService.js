@@ -0,0 +1,173 @@
+/**
+ * FilterPresetService - Named filter presets
+ *
+ * Stores complete filter configurations ("Sunday morning", "Dinner party")
+ * so a mood can be restored in one step. A preset holds everything the
+ * `filters` object does: selected genres and subgenres, genre weighting,
+ * and artist, album and genre exclusions.
+ */
+
+import { randomUUID } from 'crypto';
+import { ValidationError } from '../errors/AppError.js';
+
+// Preset constants (exported for use in tests and validation)
+export const FILTER_PRESET_STORAGE_VERSION = 1;
+export const MAX_FILTER_PRESETS = 50;
+export const MAX_PRESET_NAME_LENGTH = 60;
+
+/**
+ * Service class for managing filter preset persistence
+ */
+export class FilterPresetService {
+  /**
+   * Creates a FilterPresetService instance
+   * @param {Object} store - Electron store instance for persistence
+   */
+  constructor(store) {
+    if (!store) {
+      throw new ValidationError(
+        'FilterPresetService requires a valid store instance',
+        {
+          param: 'store',
+        }
+      );
+    }
+    this.store = store;
+  }
+
+  /**
+   * Gets the current preset data structure from store
+   * @returns {Object} Preset data with presets and metadata
+   * @private
+   */
+  _getPresetData() {
+    const stored = this.store.get('filterPresetData');
+    if (!stored || typeof stored !== 'object') {
+      return { presets: [], version: FILTER_PRESET_STORAGE_VERSION };
+    }
+
+    // Ensure data structure is valid
+    return {
+      presets: Array.isArray(stored.presets)
+        ? stored.presets.filter(preset => preset?.id && preset?.name)
+        : [],
+      version: stored.version || FILTER_PRESET_STORAGE_VERSION,
+    };
+  }
+
+  /**
+   * Saves preset data to store
+   * @param {Object} presetData - Preset data to save
+   * @private
+   */
+  _savePresetData(presetData) {
+    this.store.set('filterPresetData', presetData);
+  }
+
+  /**
+   * Gets all presets sorted by name
+   * @returns {Array} Presets ({ id, name, filters, createdAt, updatedAt })
+   */
+  list() {
+    return [...this._getPresetData().presets].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * Gets a preset by ID
+   * @param {string} presetId - Preset ID
+   * @returns {Object|null} Preset or null if not found
+   */
+  get(presetId) {
+    return (
+      this._getPresetData().presets.find(preset => preset.id === presetId) ||
+      null
+    );
+  }
+
+  /**
+   * Saves the given filters under a name
+   * Saving under an existing name (case-insensitive) overwrites that preset
+   * @param {string} name - Preset name
+   * @param {Object} filters - Filter configuration to store
+   * @returns {Object} Saved preset
+   * @throws {ValidationError} If the name or filters are invalid, or the preset limit is reached
+   */
+  save(name, filters) {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName || trimmedName.length > MAX_PRESET_NAME_LENGTH) {
+      throw new ValidationError(
+        `Preset name must be between 1 and ${MAX_PRESET_NAME_LENGTH} characters`,
+        { name }
+      );
+    }
+
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      throw new ValidationError('Invalid preset filters', {
+        expectedType: 'object',
+      });
+    }
+
+    const data = this._getPresetData();
+    const now = Date.now();
+    const existing = data.presets.find(
+      preset => preset.name.toLowerCase() === trimmedName.toLowerCase()
+    );
+
+    if (existing) {
+      existing.name = trimmedName;
+      existing.filters = filters;
+      existing.updatedAt = now;
+      this._savePresetData(data);
+      return existing;
+    }
+
+    if (data.presets.length >= MAX_FILTER_PRESETS) {
+      throw new ValidationError(
+        `Preset limit reached. Delete a preset before saving more than ${MAX_FILTER_PRESETS}.`,
+        { limit: MAX_FILTER_PRESETS }
+      );
+    }
+
+    const preset = {
+      id: randomUUID(),
+      name: trimmedName,
+      filters,
+      createdAt: now,
+      updatedAt: now,
+    };
+    data.presets.push(preset);
+    this._savePresetData(data);
+
+    return preset;
+  }
+
+  /**
+   * Deletes a preset by ID
+   * @param {string} presetId - Preset ID
+   * @returns {Object} Result with success flag
+   * @throws {ValidationError} If presetId is invalid
+   */
+  delete(presetId) {
+    if (!presetId || typeof presetId !== 'string') {
+      throw new ValidationError('Invalid preset ID', {
+        presetId,
+        expectedType: 'string',
+      });
+    }
+
+    const data = this._getPresetData();
+    const originalLength = data.presets.length;
+    data.presets = data.presets.filter(preset => preset.id !== presetId);
+
+    if (data.presets.length === originalLength) {
+      console.warn(`Filter preset with ID ${presetId} not found`);
+      return { success: false, message: 'Preset not found' };
+    }
+
+    this._savePresetData(data);
+
+    return { success: true };
+  }
+}
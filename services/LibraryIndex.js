@@ -0,0 +1,270 @@
+/**
+ * LibraryIndex - In-memory album index for random selection
+ *
+ * Keeps a local copy of the album lists the picker draws from (Library > Albums
+ * and each genre/subgenre album list) so a random pick can be made in memory
+ * instead of issuing one browse load per attempt against the Roon Core.
+ *
+ * Each list is stored under a scope key and revalidated against the list count
+ * the Core reports when the picker navigates to it; a list that has changed is
+ * refreshed from the index, re-reading only the part that differs.
+ *
+ * The album keys random picks must skip or stay within (built from the
+ * excluded genres and tags, and included tags) are cached alongside, so a
+ * pick does not have to navigate to every one of those lists.
+ */
+
+import { createAlbumKey } from '../roonHelpers.js';
+import { ValidationError } from '../errors/AppError.js';
+
+// Index constants (exported for use in tests)
+export const LIBRARY_INDEX_TTL = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
+export const LIBRARY_SCOPE_KEY = 'library';
+
+/**
+ * Creates the scope key used to index an album list
+ * @param {Object|null} genre - Genre object ({ title, isSubgenre, parentGenre }) or null for the whole library
+ * @returns {string} Scope key ('library', 'genre:Jazz' or 'genre:Jazz::Bebop')
+ */
+export function createIndexScopeKey(genre) {
+  if (!genre?.title) {
+    return LIBRARY_SCOPE_KEY;
+  }
+
+  if (genre.isSubgenre && genre.parentGenre) {
+    return `genre:${genre.parentGenre}::${genre.title}`;
+  }
+
+  return `genre:${genre.title}`;
+}
+
+/**
+ * Creates the scope key used to index a tag's album list
+ * @param {string} tagTitle - Tag title
+ * @returns {string} Scope key ('tag:Favourites')
+ */
+export function createTagScopeKey(tagTitle) {
+  return `tag:${tagTitle}`;
+}
+
+/**
+ * Service class holding indexed album lists keyed by scope
+ */
+export class LibraryIndex {
+  /**
+   * Creates a LibraryIndex instance
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Maximum age of an indexed list before it is re-read
+   */
+  constructor({ ttl = LIBRARY_INDEX_TTL } = {}) {
+    this.scopes = new Map();
+    this.restrictions = null;
+    this.ttl = ttl;
+  }
+
+  /**
+   * Checks whether a scope can be used without re-reading it from the Core
+   * @param {string} scopeKey - Scope key
+   * @param {number} listCount - Album count currently reported by the Core
+   * @param {number} now - Current timestamp (for testing)
+   * @returns {boolean} True if the indexed list is still valid
+   */
+  isFresh(scopeKey, listCount, now = Date.now()) {
+    const scope = this.scopes.get(scopeKey);
+    if (!scope || scope.stale) {
+      return false;
+    }
+
+    return scope.listCount === listCount && now - scope.indexedAt < this.ttl;
+  }
+
+  /**
+   * Stores the albums of a list, replacing any previous copy of the scope
+   * Entries for albums already in the previous copy are updated in place,
+   * so anything learned about an album survives a refresh of its list
+   * @param {string} scopeKey - Scope key
+   * @param {Array} items - Browse items in list order
+   * @param {number} listCount - Album count reported by the Core
+   * @param {number} now - Current timestamp (for testing)
+   * @returns {Array} Indexed album entries
+   */
+  setScope(scopeKey, items, listCount, now = Date.now()) {
+    if (typeof scopeKey !== 'string' || !scopeKey) {
+      throw new ValidationError('Invalid index scope key', { scopeKey });
+    }
+
+    const previousByKey = new Map(
+      this.getAlbums(scopeKey).map(album => [album.albumKey, album])
+    );
+
+    const albums = [];
+    (items || []).forEach((item, offset) => {
+      if (!item?.title) return;
+
+      const albumKey = createAlbumKey(item.title, item.subtitle);
+
+      // Duplicate titles (e.g. two editions) get their own entries
+      const previous = previousByKey.get(albumKey);
+      previousByKey.delete(albumKey);
+
+      const entry = previous || {
+        title: item.title,
+        subtitle: item.subtitle || '',
+        albumKey,
+      };
+
+      // Item keys and positions change between browse sessions
+      entry.item_key = item.item_key || null;
+      entry.image_key = item.image_key || entry.image_key || null;
+      entry.offset = offset;
+
+      albums.push(entry);
+    });
+
+    this._dropRestrictionsFrom(scopeKey);
+    this.scopes.set(scopeKey, {
+      albums,
+      listCount,
+      indexedAt: now,
+      stale: false,
+    });
+
+    return albums;
+  }
+
+  /**
+   * Records release years on every indexed entry of the albums, in all scopes
+   * so a year looked up while picking from one list is known in the others
+   * @param {Array} years - [albumKey, year] pairs (year null if none is shown)
+   */
+  setAlbumYears(years) {
+    const yearsByKey = new Map(years);
+    for (const scope of this.scopes.values()) {
+      scope.albums.forEach(album => {
+        if (yearsByKey.has(album.albumKey)) {
+          album.year = yearsByKey.get(album.albumKey);
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets the indexed albums of a scope
+   * @param {string} scopeKey - Scope key
+   * @returns {Array} Indexed album entries (empty if the scope is not indexed)
+   */
+  getAlbums(scopeKey) {
+    return this.scopes.get(scopeKey)?.albums || [];
+  }
+
+  /**
+   * Gets the list count a scope was indexed with
+   * @param {string} scopeKey - Scope key
+   * @returns {number} Album count reported when the scope was indexed (0 if it is not indexed)
+   */
+  getListCount(scopeKey) {
+    return this.scopes.get(scopeKey)?.listCount ?? 0;
+  }
+
+  /**
+   * Checks whether a scope has been marked stale
+   * @param {string} scopeKey - Scope key
+   * @returns {boolean} True if a pick found the indexed list out of date
+   */
+  isStale(scopeKey) {
+    return this.scopes.get(scopeKey)?.stale === true;
+  }
+
+  /**
+   * Marks a scope as stale so it is re-read on next use
+   * @param {string} scopeKey - Scope key
+   */
+  invalidate(scopeKey) {
+    const scope = this.scopes.get(scopeKey);
+    if (scope) {
+      scope.stale = true;
+    }
+    this._dropRestrictionsFrom(scopeKey);
+  }
+
+  /**
+   * Gets the cached pick restrictions
+   * @param {string} restrictionKey - Key of the filters the restrictions were built from
+   * @param {number} now - Current timestamp (for testing)
+   * @returns {Object|null} { excluded, included } (null if none are cached for these filters or they have expired)
+   */
+  getRestrictions(restrictionKey, now = Date.now()) {
+    const cached = this.restrictions;
+    if (
+      !cached ||
+      cached.restrictionKey !== restrictionKey ||
+      now - cached.builtAt >= this.ttl
+    ) {
+      return null;
+    }
+
+    return { excluded: cached.excluded, included: cached.included };
+  }
+
+  /**
+   * Caches the pick restrictions built from some indexed lists
+   * Re-indexing or invalidating any of those lists drops them again
+   * @param {string} restrictionKey - Key of the filters the restrictions were built from
+   * @param {Object} restrictions - { excluded, included } album key sets
+   * @param {Array<string>} scopeKeys - Scope keys of the lists they were built from
+   * @param {number} now - Current timestamp (for testing)
+   */
+  setRestrictions(restrictionKey, restrictions, scopeKeys, now = Date.now()) {
+    this.restrictions = {
+      restrictionKey,
+      excluded: restrictions.excluded,
+      included: restrictions.included,
+      scopeKeys: new Set(scopeKeys),
+      builtAt: now,
+    };
+  }
+
+  /**
+   * Drops the cached pick restrictions so they are rebuilt on next use
+   * Used when the filters or the library's tags change
+   */
+  invalidateRestrictions() {
+    this.restrictions = null;
+  }
+
+  /**
+   * Drops the cached pick restrictions if they were built from a scope
+   * @param {string} scopeKey - Scope key
+   * @private
+   */
+  _dropRestrictionsFrom(scopeKey) {
+    if (this.restrictions?.scopeKeys.has(scopeKey)) {
+      this.restrictions = null;
+    }
+  }
+
+  /**
+   * Removes all indexed lists
+   * Used when the library changes underneath us (profile switch, disconnect)
+   */
+  clear() {
+    this.scopes.clear();
+    this.restrictions = null;
+  }
+
+  /**
+   * Returns current index statistics
+   * @returns {Object} Index statistics
+   */
+  getStats() {
+    let albums = 0;
+    for (const scope of this.scopes.values()) {
+      albums += scope.albums.length;
+    }
+
+    return {
+      scopes: this.scopes.size,
+      albums,
+    };
+  }
+}
@@ -0,0 +1,432 @@
+/**
+ * ListeningLogService - Long-term listening log
+ *
+ * Keeps every album started through the app (with zone, profile, genres and
+ * how it was picked) long after the activity feed has dropped it, the tracks
+ * of those albums that were played long enough to count as listens, and how
+ * far the listens have been submitted to a scrobbling service. Only listens
+ * are submitted; album entries are for export.
+ */
+
+import { randomUUID } from 'crypto';
+import {
+  createLogEntry,
+  createTrackListen,
+  hasPassedPlayThreshold,
+  trimListeningLog,
+  LISTENING_LOG_STORAGE_VERSION,
+  SUBMISSION_SERVICES,
+} from '../listeningLogHelpers.js';
+import { isValidActivityItem } from '../activityHelpers.js';
+import { ValidationError } from '../errors/AppError.js';
+import { Validators } from '../validators.js';
+
+// Submission settings used until the user changes them
+const DEFAULT_SUBMISSION_SETTINGS = {
+  service: 'listenbrainz',
+  endpoint: '', // Empty uses the service's default endpoint
+  token: '', // ListenBrainz user token
+  apiKey: '', // Last.fm API key
+  apiSecret: '', // Last.fm shared secret
+  sessionKey: '', // Last.fm session key
+  autoSubmit: false,
+};
+
+// Credential fields each service needs before it can submit
+const REQUIRED_CREDENTIALS = {
+  listenbrainz: ['token'],
+  lastfm: ['apiKey', 'apiSecret', 'sessionKey'],
+};
+
+// Credential fields, stored encrypted and never sent to the renderer
+const CREDENTIAL_FIELDS = ['token', 'apiKey', 'apiSecret', 'sessionKey'];
+
+/**
+ * Service class for managing the listening log and its submission state
+ */
+export class ListeningLogService {
+  /**
+   * Creates a ListeningLogService instance
+   * @param {Object} store - Electron store instance for persistence
+   * @param {Object} [secretStorage] - Electron safeStorage, used to encrypt credentials
+   */
+  constructor(store, secretStorage = null) {
+    if (!store) {
+      throw new ValidationError(
+        'ListeningLogService requires a valid store instance',
+        {
+          param: 'store',
+        }
+      );
+    }
+    this.store = store;
+    this.secretStorage = secretStorage;
+  }
+
+  /**
+   * Checks whether credentials can be encrypted
+   * @returns {boolean} True if OS-level encryption is available
+   * @private
+   */
+  _canEncrypt() {
+    return !!this.secretStorage?.isEncryptionAvailable();
+  }
+
+  /**
+   * Encrypts credentials for storage
+   * Falls back to plain text (with a warning) where the OS offers no encryption
+   * @param {Object} credentials - Credential fields
+   * @returns {Object} Encrypted credentials
+   * @private
+   */
+  _encryptCredentials(credentials) {
+    if (!this._canEncrypt()) {
+      console.warn(
+        'Encryption not available, storing submission credentials in plain text'
+      );
+      return credentials;
+    }
+
+    const encrypted = this.secretStorage.encryptString(
+      JSON.stringify(credentials)
+    );
+    return {
+      _encrypted: true,
+      _version: 1,
+      data: encrypted.toString('base64'),
+    };
+  }
+
+  /**
+   * Decrypts stored credentials
+   * @param {Object} stored - Stored credentials (encrypted or plain)
+   * @returns {Object} Credential fields (empty if they can't be decrypted)
+   * @private
+   */
+  _decryptCredentials(stored) {
+    if (!Validators.isObject(stored)) return {};
+    if (!stored._encrypted) return stored;
+
+    if (!this._canEncrypt()) {
+      console.error('Encryption not available, cannot decrypt credentials');
+      return {};
+    }
+
+    try {
+      return JSON.parse(
+        this.secretStorage.decryptString(Buffer.from(stored.data, 'base64'))
+      );
+    } catch (error) {
+      console.error('Failed to decrypt submission credentials:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Gets the current log data structure from store
+   * @returns {Object} Log data with entries, submission progress and metadata
+   * @private
+   */
+  _getLogData() {
+    const stored = this.store.get('listeningLogData');
+    if (!stored || typeof stored !== 'object') {
+      return {
+        entries: [],
+        listens: [],
+        submittedThrough: null,
+        lastSubmittedAt: null,
+        lastSubmissionError: null,
+        version: LISTENING_LOG_STORAGE_VERSION,
+      };
+    }
+
+    // Ensure data structure is valid
+    const listens = Array.isArray(stored.listens) ? stored.listens : [];
+    let submittedThrough = Validators.isNonEmptyString(stored.submittedThrough)
+      ? stored.submittedThrough
+      : null;
+
+    // Earlier versions kept the recordedAt of the last listen submitted
+    if (!submittedThrough && stored.submittedUntil > 0) {
+      submittedThrough =
+        listens.findLast(listen => listen.recordedAt <= stored.submittedUntil)
+          ?.id || null;
+    }
+
+    return {
+      entries: Array.isArray(stored.entries) ? stored.entries : [],
+      listens,
+      submittedThrough,
+      lastSubmittedAt: stored.lastSubmittedAt || null,
+      lastSubmissionError: stored.lastSubmissionError || null,
+      version: stored.version || LISTENING_LOG_STORAGE_VERSION,
+    };
+  }
+
+  /**
+   * Saves log data to store
+   * @param {Object} logData - Log data to save
+   * @private
+   */
+  _saveLogData(logData) {
+    this.store.set('listeningLogData', logData);
+  }
+
+  /**
+   * Records an album started through the app
+   * @param {Object} activityItem - Activity item (see ActivityService.add)
+   * @param {Object} [context] - Details known to the main process ({ zoneId, zoneName, profile })
+   * @returns {Object} The new log entry
+   * @throws {ValidationError} If the activity item is invalid
+   */
+  record(activityItem, context = {}) {
+    if (!isValidActivityItem(activityItem)) {
+      throw new ValidationError('Invalid activity item structure', {
+        item: activityItem,
+      });
+    }
+
+    const entry = createLogEntry(
+      { ...activityItem, id: activityItem.id || randomUUID() },
+      context
+    );
+
+    const data = this._getLogData();
+    data.entries.push(entry);
+    data.entries = trimListeningLog(data.entries);
+    this._saveLogData(data);
+
+    return entry;
+  }
+
+  /**
+   * Records a track that stopped playing, if it played long enough to count
+   * @param {Object} track - Track history entry ({ title, artist, album, length, startedAt, playedMs })
+   * @param {Object} [context] - Details known to the main process ({ zoneId, zoneName, profile })
+   * @param {number} [now] - Current timestamp (for testing)
+   * @returns {Object|null} The new listen, or null if the track didn't count
+   */
+  recordTrackListen(track, context = {}, now = Date.now()) {
+    if (!hasPassedPlayThreshold(track)) return null;
+
+    // Listens are submitted in the order they were recorded, which isn't
+    // the order they started in when several zones play at once
+    const listen = {
+      ...createTrackListen({ ...track, id: randomUUID() }, context),
+      recordedAt: now,
+    };
+
+    const data = this._getLogData();
+    data.listens.push(listen);
+    data.listens = trimListeningLog(data.listens);
+    this._saveLogData(data);
+
+    return listen;
+  }
+
+  /**
+   * Gets all log entries, oldest first
+   * @returns {Array} Log entries
+   */
+  getAll() {
+    return this._getLogData().entries;
+  }
+
+  /**
+   * Gets all listens, oldest first
+   * @returns {Array} Listens
+   */
+  getListens() {
+    return this._getLogData().listens;
+  }
+
+  /**
+   * Counts the listens already submitted
+   * Listens are kept in the order they were recorded, so everything up to
+   * the last one submitted has been sent; when that one has been trimmed
+   * from the log, every listen left was recorded after it
+   * @param {Object} data - Log data
+   * @returns {number} Number of listens at the start of the log already submitted
+   * @private
+   */
+  _countSubmitted(data) {
+    if (!data.submittedThrough) return 0;
+    return (
+      data.listens.findIndex(listen => listen.id === data.submittedThrough) + 1
+    );
+  }
+
+  /**
+   * Gets the listens not yet submitted, oldest first
+   * @returns {Array} Listens
+   */
+  getPending() {
+    const data = this._getLogData();
+    return data.listens.slice(this._countSubmitted(data));
+  }
+
+  /**
+   * Gets log statistics and submission progress for the UI
+   * @returns {Object} { count, listens, pending, firstTimestamp, lastTimestamp, lastSubmittedAt, lastSubmissionError }
+   */
+  getStatus() {
+    const data = this._getLogData();
+    return {
+      count: data.entries.length,
+      listens: data.listens.length,
+      pending: data.listens.length - this._countSubmitted(data),
+      firstTimestamp: data.entries[0]?.timestamp || null,
+      lastTimestamp: data.entries[data.entries.length - 1]?.timestamp || null,
+      lastSubmittedAt: data.lastSubmittedAt,
+      lastSubmissionError: data.lastSubmissionError,
+    };
+  }
+
+  /**
+   * Records submission progress
+   * @param {Object} result - Submission result
+   * @param {string} [result.through] - ID of the last listen submitted
+   * @param {string|null} [result.error] - Error that stopped the submission
+   * @param {number} [now] - Current timestamp (for testing)
+   */
+  recordSubmission({ through, error = null }, now = Date.now()) {
+    const data = this._getLogData();
+    const index = data.listens.findIndex(listen => listen.id === through);
+    if (index >= this._countSubmitted(data)) {
+      data.submittedThrough = through;
+      data.lastSubmittedAt = now;
+    }
+    data.lastSubmissionError = error;
+    this._saveLogData(data);
+  }
+
+  /**
+   * Clears the log (keeps the submission settings)
+   * @returns {Object} Result with success flag
+   */
+  clear() {
+    const data = this._getLogData();
+    data.entries = [];
+    data.listens = [];
+    data.submittedThrough = null;
+    data.lastSubmissionError = null;
+    this._saveLogData(data);
+
+    return { success: true };
+  }
+
+  /**
+   * Gets the submission settings with decrypted credentials
+   * For the main process only; the renderer gets getPublicSubmissionSettings
+   * @returns {Object} Settings (see DEFAULT_SUBMISSION_SETTINGS)
+   */
+  getSubmissionSettings() {
+    const stored = this.store.get('listeningLogSubmission');
+    if (!Validators.isObject(stored)) return { ...DEFAULT_SUBMISSION_SETTINGS };
+
+    // Settings saved before credentials were encrypted keep them top level
+    const { credentials, ...settings } = stored;
+    return {
+      ...DEFAULT_SUBMISSION_SETTINGS,
+      ...settings,
+      ...this._decryptCredentials(credentials),
+    };
+  }
+
+  /**
+   * Gets the submission settings without credentials, for the renderer
+   * @returns {Object} { service, endpoint, autoSubmit, credentials } where credentials maps each field to whether it is set
+   */
+  getPublicSubmissionSettings() {
+    const settings = this.getSubmissionSettings();
+    return {
+      service: settings.service,
+      endpoint: settings.endpoint,
+      autoSubmit: settings.autoSubmit,
+      credentials: Object.fromEntries(
+        CREDENTIAL_FIELDS.map(field => [
+          field,
+          Validators.isNonEmptyString(settings[field]),
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Updates the submission settings
+   * @param {Object} settings - Partial settings (an empty credential clears it)
+   * @returns {Object} Updated settings without credentials (see getPublicSubmissionSettings)
+   * @throws {ValidationError} If a setting is invalid
+   */
+  setSubmissionSettings(settings) {
+    if (!Validators.isObject(settings)) {
+      throw new ValidationError('Submission settings must be an object');
+    }
+
+    const updated = { ...this.getSubmissionSettings() };
+
+    if (settings.service !== undefined) {
+      if (!Object.hasOwn(SUBMISSION_SERVICES, settings.service)) {
+        throw new ValidationError(
+          `Invalid service: must be one of ${Object.keys(SUBMISSION_SERVICES).join(', ')}`,
+          { field: 'service' }
+        );
+      }
+      updated.service = settings.service;
+    }
+
+    if (settings.endpoint !== undefined) {
+      if (
+        settings.endpoint !== '' &&
+        !Validators.isHttpUrl(settings.endpoint)
+      ) {
+        throw new ValidationError(
+          'Invalid endpoint: must be an http:// or https:// URL',
+          { field: 'endpoint' }
+        );
+      }
+      updated.endpoint = settings.endpoint;
+    }
+
+    for (const field of CREDENTIAL_FIELDS) {
+      if (settings[field] === undefined) continue;
+      if (typeof settings[field] !== 'string' || settings[field].length > 200) {
+        throw new ValidationError(
+          `Invalid ${field}: must be a string with max 200 characters`,
+          { field }
+        );
+      }
+      updated[field] = settings[field].trim();
+    }
+
+    if (settings.autoSubmit !== undefined) {
+      if (typeof settings.autoSubmit !== 'boolean') {
+        throw new ValidationError('Invalid autoSubmit: must be a boolean', {
+          field: 'autoSubmit',
+        });
+      }
+      updated.autoSubmit = settings.autoSubmit;
+    }
+
+    const credentials = {};
+    for (const field of CREDENTIAL_FIELDS) {
+      credentials[field] = updated[field];
+      delete updated[field];
+    }
+    updated.credentials = this._encryptCredentials(credentials);
+
+    this.store.set('listeningLogSubmission', updated);
+    return this.getPublicSubmissionSettings();
+  }
+
+  /**
+   * Checks whether the selected service has the credentials it needs
+   * @returns {boolean} True if the log can be submitted
+   */
+  isSubmissionConfigured() {
+    const settings = this.getSubmissionSettings();
+    return (REQUIRED_CREDENTIALS[settings.service] || []).every(field =>
+      Validators.isNonEmptyString(settings[field])
+    );
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * PlayHistoryService - Persistent cross-session play history
+ *
+ * Remembers when each album was last played through the app so the random
+ * picker can skip albums played within a configurable cooldown window,
+ * even after the app has been restarted.
+ */
+
+import {
+  isInCooldown,
+  getRediscoverWeight,
+  trimPlayHistory,
+  PLAY_HISTORY_STORAGE_VERSION,
+  DEFAULT_COOLDOWN_DAYS,
+  MAX_COOLDOWN_DAYS,
+} from '../playHistoryHelpers.js';
+import { ValidationError } from '../errors/AppError.js';
+
+/**
+ * Service class for managing play history persistence and cooldown checks
+ */
+export class PlayHistoryService {
+  /**
+   * Creates a PlayHistoryService instance
+   * @param {Object} store - Electron store instance for persistence
+   */
+  constructor(store) {
+    if (!store) {
+      throw new ValidationError(
+        'PlayHistoryService requires a valid store instance',
+        {
+          param: 'store',
+        }
+      );
+    }
+    this.store = store;
+  }
+
+  /**
+   * Gets the current play history data structure from store
+   * @returns {Object} Play history data with plays, cooldown and metadata
+   * @private
+   */
+  _getHistoryData() {
+    const stored = this.store.get('playHistoryData');
+    if (!stored || typeof stored !== 'object') {
+      return {
+        plays: {},
+        cooldownDays: DEFAULT_COOLDOWN_DAYS,
+        version: PLAY_HISTORY_STORAGE_VERSION,
+      };
+    }
+
+    // Ensure data structure is valid
+    return {
+      plays:
+        stored.plays && typeof stored.plays === 'object' ? stored.plays : {},
+      cooldownDays: Number.isInteger(stored.cooldownDays)
+        ? stored.cooldownDays
+        : DEFAULT_COOLDOWN_DAYS,
+      version: stored.version || PLAY_HISTORY_STORAGE_VERSION,
+    };
+  }
+
+  /**
+   * Saves play history data to store
+   * @param {Object} historyData - Play history data to save
+   * @private
+   */
+  _saveHistoryData(historyData) {
+    this.store.set('playHistoryData', historyData);
+  }
+
+  /**
+   * Records that an album was played
+   * @param {string} albumKey - Album key (see createAlbumKey)
+   * @param {number} [timestamp] - Play timestamp (defaults to now)
+   * @returns {Object} Result with success flag
+   * @throws {ValidationError} If albumKey is invalid
+   */
+  record(albumKey, timestamp = Date.now()) {
+    if (!albumKey || typeof albumKey !== 'string') {
+      throw new ValidationError('Invalid album key', {
+        albumKey,
+        expectedType: 'string',
+      });
+    }
+
+    const data = this._getHistoryData();
+    data.plays[albumKey] = timestamp;
+    data.plays = trimPlayHistory(data.plays);
+    this._saveHistoryData(data);
+
+    return { success: true };
+  }
+
+  /**
+   * Gets the last time an album was played
+   * @param {string} albumKey - Album key
+   * @returns {number|null} Timestamp or null if never played
+   */
+  getLastPlayed(albumKey) {
+    return this._getHistoryData().plays[albumKey] || null;
+  }
+
+  /**
+   * Returns a predicate that checks albums against the cooldown window
+   * Reads the store once so it can be used to filter large album lists
+   * @param {number} now - Current timestamp (for testing)
+   * @returns {Function} (albumKey) => boolean, true if the album is cooling down
+   */
+  createCooldownCheck(now = Date.now()) {
+    const { plays, cooldownDays } = this._getHistoryData();
+    return albumKey => isInCooldown(plays[albumKey], cooldownDays, now);
+  }
+
+  /**
+   * Returns a function that gives albums their rediscover mode weight
+   * Reads the store once so it can be used to weigh large album lists
+   * @param {number} now - Current timestamp (for testing)
+   * @returns {Function} (albumKey) => weight, highest for albums not played the longest
+   */
+  createRediscoverWeigher(now = Date.now()) {
+    const { plays } = this._getHistoryData();
+    return albumKey => getRediscoverWeight(plays[albumKey], now);
+  }
+
+  /**
+   * Gets play history settings for the UI
+   * @returns {Object} Settings with cooldownDays and number of albums remembered
+   */
+  getSettings() {
+    const data = this._getHistoryData();
+    return {
+      cooldownDays: data.cooldownDays,
+      albumCount: Object.keys(data.plays).length,
+    };
+  }
+
+  /**
+   * Updates the cooldown window
+   * @param {number} cooldownDays - Days before an album can be picked again (0 disables)
+   * @returns {Object} Updated settings
+   * @throws {ValidationError} If cooldownDays is out of range
+   */
+  setCooldownDays(cooldownDays) {
+    if (
+      !Number.isInteger(cooldownDays) ||
+      cooldownDays < 0 ||
+      cooldownDays > MAX_COOLDOWN_DAYS
+    ) {
+      throw new ValidationError(
+        `Cooldown must be a whole number of days between 0 and ${MAX_COOLDOWN_DAYS}`,
+        { cooldownDays }
+      );
+    }
+
+    const data = this._getHistoryData();
+    data.cooldownDays = cooldownDays;
+    this._saveHistoryData(data);
+
+    return this.getSettings();
+  }
+
+  /**
+   * Forgets all recorded plays (keeps the cooldown setting)
+   * @returns {Object} Result with success flag
+   */
+  reset() {
+    const data = this._getHistoryData();
+    data.plays = {};
+    this._saveHistoryData(data);
+
+    return { success: true };
+  }
+}
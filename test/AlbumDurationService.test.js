@@ -0,0 +1,93 @@
+/**
+ * Tests for AlbumDurationService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  AlbumDurationService,
+  MAX_ALBUM_DURATIONS,
+} from '../services/AlbumDurationService.js';
+
+describe('AlbumDurationService', () => {
+  let mockStore;
+  let albumDurations;
+
+  beforeEach(() => {
+    // Create a mock store with in-memory storage
+    const storage = {};
+    mockStore = {
+      get: vi.fn(key => storage[key]),
+      set: vi.fn((key, value) => {
+        storage[key] = value;
+      }),
+    };
+
+    albumDurations = new AlbumDurationService(mockStore);
+  });
+
+  describe('Constructor', () => {
+    it('should throw error if store is not provided', () => {
+      expect(() => new AlbumDurationService()).toThrow(
+        'AlbumDurationService requires a valid store instance'
+      );
+    });
+  });
+
+  describe('get', () => {
+    it('should return undefined for albums never looked up', () => {
+      expect(albumDurations.get('Album||Artist')).toBeUndefined();
+    });
+
+    it('should distinguish unknown durations from missing lookups', () => {
+      albumDurations.setMany([
+        ['Kind of Blue||Miles Davis', 2750],
+        ['Untitled||Unknown', null],
+      ]);
+
+      expect(albumDurations.get('Kind of Blue||Miles Davis')).toBe(2750);
+      expect(albumDurations.get('Untitled||Unknown')).toBeNull();
+    });
+  });
+
+  describe('setMany', () => {
+    it('should write all entries in one store update', () => {
+      albumDurations.setMany([
+        ['A||X', 1800],
+        ['B||Y', 2400],
+      ]);
+
+      expect(mockStore.set).toHaveBeenCalledTimes(1);
+      expect(albumDurations.getAll()).toEqual({ 'A||X': 1800, 'B||Y': 2400 });
+    });
+
+    it('should skip invalid entries', () => {
+      const result = albumDurations.setMany([
+        ['', 1800],
+        ['A||X', '1800'],
+        ['B||Y', 0],
+        ['C||Z', 2400],
+      ]);
+
+      expect(result.albumCount).toBe(1);
+    });
+
+    it('should drop the oldest entries beyond the limit', () => {
+      const entries = Array.from(
+        { length: MAX_ALBUM_DURATIONS + 2 },
+        (_, i) => [`Album ${i}||Artist`, 1800]
+      );
+      albumDurations.setMany(entries);
+
+      expect(albumDurations.get('Album 0||Artist')).toBeUndefined();
+      expect(
+        albumDurations.get(`Album ${MAX_ALBUM_DURATIONS + 1}||Artist`)
+      ).toBe(1800);
+    });
+
+    it('should throw error for non-array input', () => {
+      expect(() => albumDurations.setMany(null)).toThrow(
+        'Invalid album duration entries'
+      );
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for AlbumFeedbackService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AlbumFeedbackService } from '../services/AlbumFeedbackService.js';
+
+const ALBUM = {
+  albumKey: 'Kind of Blue||Miles Davis',
+  title: 'Kind of Blue',
+  artist: 'Miles Davis',
+};
+
+describe('AlbumFeedbackService', () => {
+  let mockStore;
+  let feedback;
+
+  beforeEach(() => {
+    const storage = {};
+    mockStore = {
+      get: vi.fn(key => storage[key]),
+      set: vi.fn((key, value) => {
+        storage[key] = value;
+      }),
+    };
+
+    feedback = new AlbumFeedbackService(mockStore);
+  });
+
+  describe('Constructor', () => {
+    it('should throw error if store is not provided', () => {
+      expect(() => new AlbumFeedbackService()).toThrow(
+        'AlbumFeedbackService requires a valid store instance'
+      );
+    });
+  });
+
+  describe('recordOutcome', () => {
+    it('should count skips and play-throughs per album', () => {
+      feedback.recordOutcome(ALBUM, 'skip', 1000);
+      feedback.recordOutcome(ALBUM, 'skip', 2000);
+      feedback.recordOutcome(ALBUM, 'playedThrough', 3000);
+
+      expect(feedback.get(ALBUM.albumKey)).toEqual({
+        title: 'Kind of Blue',
+        artist: 'Miles Davis',
+        rating: 0,
+        skips: 2,
+        playedThrough: 1,
+        updatedAt: 3000,
+      });
+    });
+
+    it('should reject unknown outcomes and album keys', () => {
+      expect(() => feedback.recordOutcome(ALBUM, 'loved')).toThrow(
+        'Invalid outcome'
+      );
+      expect(() => feedback.recordOutcome({}, 'skip')).toThrow(
+        'Invalid album key'
+      );
+    });
+  });
+
+  describe('setRating', () => {
+    it('should store thumbs up, thumbs down and cleared ratings', () => {
+      expect(feedback.setRating(ALBUM, 1).rating).toBe(1);
+      expect(feedback.setRating(ALBUM, -1).rating).toBe(-1);
+      expect(feedback.setRating(ALBUM, 0).rating).toBe(0);
+    });
+
+    it('should reject other ratings', () => {
+      expect(() => feedback.setRating(ALBUM, 5)).toThrow('Invalid rating');
+    });
+  });
+
+  describe('createWeigher', () => {
+    it('should weigh albums by their feedback', () => {
+      feedback.setRating(ALBUM, 1);
+      const weigh = feedback.createWeigher();
+
+      expect(weigh(ALBUM.albumKey, 'Miles Davis')).toBeGreaterThan(1);
+      expect(weigh('Abbey Road||The Beatles', 'The Beatles')).toBe(1);
+    });
+  });
+
+  describe('getSummary and reset', () => {
+    it('should count liked, disliked and skipped albums', () => {
+      feedback.setRating(ALBUM, 1);
+      feedback.setRating({ ...ALBUM, albumKey: 'B||X' }, -1);
+      feedback.recordOutcome({ ...ALBUM, albumKey: 'C||X' }, 'skip');
+
+      expect(feedback.getSummary()).toEqual({
+        albumCount: 3,
+        liked: 1,
+        disliked: 1,
+        skipped: 1,
+      });
+
+      feedback.reset();
+      expect(feedback.getSummary().albumCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for AlbumYearService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  AlbumYearService,
+  MAX_ALBUM_YEARS,
+} from '../services/AlbumYearService.js';
+
+describe('AlbumYearService', () => {
+  let mockStore;
+  let albumYears;
+
+  beforeEach(() => {
+    // Create a mock store with in-memory storage
+    const storage = {};
+    mockStore = {
+      get: vi.fn(key => storage[key]),
+      set: vi.fn((key, value) => {
+        storage[key] = value;
+      }),
+    };
+
+    albumYears = new AlbumYearService(mockStore);
+  });
+
+  describe('Constructor', () => {
+    it('should throw error if store is not provided', () => {
+      expect(() => new AlbumYearService()).toThrow(
+        'AlbumYearService requires a valid store instance'
+      );
+    });
+  });
+
+  describe('get', () => {
+    it('should return undefined for albums never looked up', () => {
+      expect(albumYears.get('Album||Artist')).toBeUndefined();
+    });
+
+    it('should distinguish unknown years from missing lookups', () => {
+      albumYears.setMany([
+        ['Kind of Blue||Miles Davis', 1959],
+        ['Untitled||Unknown', null],
+      ]);
+
+      expect(albumYears.get('Kind of Blue||Miles Davis')).toBe(1959);
+      expect(albumYears.get('Untitled||Unknown')).toBeNull();
+    });
+  });
+
+  describe('setMany', () => {
+    it('should write all entries in one store update', () => {
+      albumYears.setMany([
+        ['A||X', 1971],
+        ['B||Y', 1982],
+      ]);
+
+      expect(mockStore.set).toHaveBeenCalledTimes(1);
+      expect(albumYears.getAll()).toEqual({ 'A||X': 1971, 'B||Y': 1982 });
+    });
+
+    it('should skip invalid entries', () => {
+      const result = albumYears.setMany([
+        ['', 1971],
+        ['A||X', '1971'],
+        ['B||Y', 1982],
+      ]);
+
+      expect(result.albumCount).toBe(1);
+    });
+
+    it('should drop the oldest lookups beyond the limit', () => {
+      const entries = Array.from({ length: MAX_ALBUM_YEARS + 2 }, (_, i) => [
+        `Album ${i}||Artist`,
+        1970,
+      ]);
+      albumYears.setMany(entries);
+
+      expect(albumYears.get('Album 0||Artist')).toBeUndefined();
+      expect(albumYears.get(`Album ${MAX_ALBUM_YEARS + 1}||Artist`)).toBe(1970);
+    });
+
+    it('should throw error for non-array input', () => {
+      expect(() => albumYears.setMany(null)).toThrow(
+        'Invalid album year entries'
+      );
+    });
+  });
+});
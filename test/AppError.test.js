@@ -9,6 +9,7 @@ import {
   ConnectionError,
   ApiError,
   NotFoundError,
+  NoAlbumsError,
   PersistenceError,
 } from '../errors/AppError.js';
 
@@ -138,6 +139,23 @@ describe('AppError', () => {
     });
   });
 
+  describe('NoAlbumsError', () => {
+    it('should create with NO_ALBUMS code', () => {
+      const error = new NoAlbumsError('Album list is empty.');
+
+      expect(error.message).toBe('Album list is empty.');
+      expect(error.code).toBe('NO_ALBUMS');
+      expect(error.name).toBe('NoAlbumsError');
+    });
+
+    it('should extend AppError', () => {
+      const error = new NoAlbumsError('Test');
+
+      expect(error).toBeInstanceOf(AppError);
+      expect(error).toBeInstanceOf(NoAlbumsError);
+    });
+  });
+
   describe('PersistenceError', () => {
     it('should create with PERSISTENCE_ERROR code', () => {
       const error = new PersistenceError('Storage failed');
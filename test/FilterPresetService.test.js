@@ -0,0 +1,147 @@
+/**
+ * Tests for FilterPresetService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  FilterPresetService,
+  MAX_FILTER_PRESETS,
+  MAX_PRESET_NAME_LENGTH,
+} from '../services/FilterPresetService.js';
+
+describe('FilterPresetService', () => {
+  let mockStore;
+  let presetService;
+
+  const sundayFilters = {
+    genres: ['Jazz', 'Classical::Baroque'],
+    excludedArtists: ['Kenny G'],
+    genreWeighting: 'custom',
+    genreWeights: { Jazz: 8 },
+  };
+
+  beforeEach(() => {
+    // Create a mock store with in-memory storage
+    const storage = {};
+    mockStore = {
+      get: vi.fn(key => storage[key]),
+      set: vi.fn((key, value) => {
+        storage[key] = value;
+      }),
+    };
+
+    presetService = new FilterPresetService(mockStore);
+  });
+
+  describe('Constructor', () => {
+    it('should throw error if store is not provided', () => {
+      expect(() => new FilterPresetService()).toThrow(
+        'FilterPresetService requires a valid store instance'
+      );
+    });
+  });
+
+  describe('save', () => {
+    it('should store a named preset with its filters', () => {
+      const preset = presetService.save('Sunday morning', sundayFilters);
+
+      expect(preset.id).toBeDefined();
+      expect(preset.name).toBe('Sunday morning');
+      expect(preset.filters).toEqual(sundayFilters);
+      expect(presetService.list()).toHaveLength(1);
+    });
+
+    it('should trim the preset name', () => {
+      const preset = presetService.save('  Dinner party ', {});
+      expect(preset.name).toBe('Dinner party');
+    });
+
+    it('should overwrite a preset with the same name', () => {
+      const first = presetService.save('Sunday morning', sundayFilters);
+      const second = presetService.save('sunday morning', { genres: ['Rock'] });
+
+      expect(second.id).toBe(first.id);
+      expect(presetService.list()).toHaveLength(1);
+      expect(presetService.get(first.id).filters).toEqual({ genres: ['Rock'] });
+    });
+
+    it('should reject invalid names', () => {
+      expect(() => presetService.save('', {})).toThrow('Preset name must be');
+      expect(() => presetService.save('   ', {})).toThrow(
+        'Preset name must be'
+      );
+      expect(() =>
+        presetService.save('x'.repeat(MAX_PRESET_NAME_LENGTH + 1), {})
+      ).toThrow('Preset name must be');
+    });
+
+    it('should reject invalid filters', () => {
+      expect(() => presetService.save('Preset', null)).toThrow(
+        'Invalid preset filters'
+      );
+      expect(() => presetService.save('Preset', ['Jazz'])).toThrow(
+        'Invalid preset filters'
+      );
+    });
+
+    it('should enforce the preset limit', () => {
+      for (let i = 0; i < MAX_FILTER_PRESETS; i++) {
+        presetService.save(`Preset ${i}`, {});
+      }
+
+      expect(() => presetService.save('One too many', {})).toThrow(
+        'Preset limit reached'
+      );
+      // Overwriting an existing preset is still allowed
+      expect(() => presetService.save('Preset 0', {})).not.toThrow();
+    });
+  });
+
+  describe('list', () => {
+    it('should return presets sorted by name', () => {
+      presetService.save('Workout', {});
+      presetService.save('Dinner party', {});
+      presetService.save('Sunday morning', {});
+
+      expect(presetService.list().map(preset => preset.name)).toEqual([
+        'Dinner party',
+        'Sunday morning',
+        'Workout',
+      ]);
+    });
+
+    it('should handle corrupted data gracefully', () => {
+      mockStore.set('filterPresetData', 'invalid data');
+      expect(presetService.list()).toEqual([]);
+
+      mockStore.set('filterPresetData', { presets: [null, { id: 'x' }] });
+      expect(presetService.list()).toEqual([]);
+    });
+  });
+
+  describe('get', () => {
+    it('should return null for unknown presets', () => {
+      expect(presetService.get('missing')).toBeNull();
+    });
+  });
+
+  describe('delete', () => {
+    it('should remove a preset by ID', () => {
+      const preset = presetService.save('Sunday morning', sundayFilters);
+
+      expect(presetService.delete(preset.id)).toEqual({ success: true });
+      expect(presetService.list()).toEqual([]);
+    });
+
+    it('should report presets that do not exist', () => {
+      const result = presetService.delete('missing');
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Preset not found');
+    });
+
+    it('should throw error for invalid preset ID', () => {
+      expect(() => presetService.delete('')).toThrow('Invalid preset ID');
+      expect(() => presetService.delete(42)).toThrow('Invalid preset ID');
+    });
+  });
+});
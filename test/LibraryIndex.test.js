@@ -0,0 +1,264 @@
+/**
+ * Tests for LibraryIndex
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  LibraryIndex,
+  createIndexScopeKey,
+  createTagScopeKey,
+  LIBRARY_INDEX_TTL,
+  LIBRARY_SCOPE_KEY,
+} from '../services/LibraryIndex.js';
+
+describe('createIndexScopeKey', () => {
+  it('should use the library scope when no genre is given', () => {
+    expect(createIndexScopeKey(null)).toBe(LIBRARY_SCOPE_KEY);
+    expect(createIndexScopeKey(undefined)).toBe(LIBRARY_SCOPE_KEY);
+    expect(createIndexScopeKey({})).toBe(LIBRARY_SCOPE_KEY);
+  });
+
+  it('should key top-level genres by title', () => {
+    expect(createIndexScopeKey({ title: 'Jazz', isSubgenre: false })).toBe(
+      'genre:Jazz'
+    );
+  });
+
+  it('should key subgenres by parent and title', () => {
+    expect(
+      createIndexScopeKey({
+        title: 'Bebop',
+        isSubgenre: true,
+        parentGenre: 'Jazz',
+      })
+    ).toBe('genre:Jazz::Bebop');
+  });
+});
+
+describe('createTagScopeKey', () => {
+  it('should key tags by title apart from genres', () => {
+    expect(createTagScopeKey('Jazz')).toBe('tag:Jazz');
+    expect(createTagScopeKey('Jazz')).not.toBe(
+      createIndexScopeKey({ title: 'Jazz' })
+    );
+  });
+});
+
+describe('LibraryIndex', () => {
+  let index;
+  const items = [
+    { title: 'Kind of Blue', subtitle: 'Miles Davis', item_key: 'k1' },
+    {
+      title: 'A Love Supreme',
+      subtitle: 'John Coltrane',
+      item_key: 'k2',
+      image_key: 'img2',
+    },
+    { title: null, subtitle: 'Broken' },
+    { title: 'Blue Train', subtitle: 'John Coltrane', item_key: 'k4' },
+  ];
+
+  beforeEach(() => {
+    index = new LibraryIndex();
+  });
+
+  describe('setScope', () => {
+    it('should index albums with list offsets and album keys', () => {
+      const albums = index.setScope('library', items, 4);
+
+      expect(albums).toHaveLength(3);
+      expect(albums[0]).toMatchObject({
+        title: 'Kind of Blue',
+        subtitle: 'Miles Davis',
+        item_key: 'k1',
+        image_key: null,
+        offset: 0,
+        albumKey: 'Kind of Blue||Miles Davis',
+      });
+      expect(albums[1].image_key).toBe('img2');
+      // Offsets follow list positions, including skipped items
+      expect(albums[2].offset).toBe(3);
+    });
+
+    it('should throw for an invalid scope key', () => {
+      expect(() => index.setScope('', items, 4)).toThrow(
+        'Invalid index scope key'
+      );
+    });
+
+    it('should keep existing entries for unchanged albums on refresh', () => {
+      const [first] = index.setScope('library', items, 4);
+      first.extra = 'kept';
+
+      const refreshed = index.setScope(
+        'library',
+        [{ title: 'New Album', subtitle: 'Someone' }, items[0]],
+        2
+      );
+
+      expect(refreshed[1]).toBe(first);
+      expect(refreshed[1].extra).toBe('kept');
+      expect(refreshed[1].offset).toBe(1);
+    });
+
+    it('should accept its own entries when a refresh keeps part of the list', () => {
+      const albums = index.setScope('library', items, 4);
+
+      const refreshed = index.setScope(
+        'library',
+        [{ title: 'New Album', subtitle: 'Someone' }, ...albums],
+        4
+      );
+
+      expect(refreshed[1]).toBe(albums[0]);
+      expect(refreshed[2]).toMatchObject({ item_key: 'k2', image_key: 'img2' });
+      expect(refreshed.map(album => album.offset)).toEqual([0, 1, 2, 3]);
+    });
+
+    it('should create separate entries for duplicate albums', () => {
+      const albums = index.setScope('library', [items[0], items[0]], 2);
+      expect(albums[0]).not.toBe(albums[1]);
+      expect(albums.map(album => album.offset)).toEqual([0, 1]);
+    });
+  });
+
+  describe('isFresh', () => {
+    it('should be false for unknown scopes', () => {
+      expect(index.isFresh('library', 4)).toBe(false);
+    });
+
+    it('should be true when the list count matches within the TTL', () => {
+      const now = Date.now();
+      index.setScope('library', items, 4, now);
+      expect(index.isFresh('library', 4, now + 1000)).toBe(true);
+    });
+
+    it('should be false when the list count changed', () => {
+      index.setScope('library', items, 4);
+      expect(index.isFresh('library', 5)).toBe(false);
+    });
+
+    it('should be false once the TTL has passed', () => {
+      const now = Date.now();
+      index.setScope('library', items, 4, now);
+      expect(index.isFresh('library', 4, now + LIBRARY_INDEX_TTL)).toBe(false);
+    });
+
+    it('should be false after invalidation', () => {
+      index.setScope('library', items, 4);
+      index.invalidate('library');
+      expect(index.isFresh('library', 4)).toBe(false);
+    });
+  });
+
+  describe('getAlbums', () => {
+    it('should return an empty array for unknown scopes', () => {
+      expect(index.getAlbums('genre:Jazz')).toEqual([]);
+    });
+
+    it('should keep scopes independent', () => {
+      index.setScope('library', items, 4);
+      index.setScope('genre:Jazz', [items[0]], 1);
+
+      expect(index.getAlbums('library')).toHaveLength(3);
+      expect(index.getAlbums('genre:Jazz')).toHaveLength(1);
+    });
+  });
+
+  describe('getListCount and isStale', () => {
+    it('should report the count a scope was indexed with', () => {
+      expect(index.getListCount('library')).toBe(0);
+      index.setScope('library', items, 4);
+      expect(index.getListCount('library')).toBe(4);
+    });
+
+    it('should report invalidated scopes as stale', () => {
+      index.setScope('library', items, 4);
+      expect(index.isStale('library')).toBe(false);
+
+      index.invalidate('library');
+      expect(index.isStale('library')).toBe(true);
+      expect(index.isStale('genre:Jazz')).toBe(false);
+    });
+  });
+
+  describe('setAlbumYears', () => {
+    it('should record years on the album in every scope', () => {
+      index.setScope('library', items, 4);
+      index.setScope('genre:Jazz', [items[0]], 1);
+
+      index.setAlbumYears([
+        ['Kind of Blue||Miles Davis', 1959],
+        ['Blue Train||John Coltrane', null],
+      ]);
+
+      expect(index.getAlbums('library').map(a => a.year)).toEqual([
+        1959,
+        undefined,
+        null,
+      ]);
+      expect(index.getAlbums('genre:Jazz')[0].year).toBe(1959);
+    });
+  });
+
+  describe('restrictions', () => {
+    const restrictions = {
+      excluded: new Set(['a::b']),
+      included: null,
+    };
+
+    it('should return restrictions cached for the same filters', () => {
+      index.setRestrictions('key', restrictions, ['tag:Favourites'], 1000);
+
+      expect(index.getRestrictions('key', 2000)).toEqual(restrictions);
+      expect(index.getRestrictions('other', 2000)).toBeNull();
+    });
+
+    it('should expire restrictions with the index', () => {
+      index.setRestrictions('key', restrictions, ['tag:Favourites'], 1000);
+
+      expect(index.getRestrictions('key', 1000 + LIBRARY_INDEX_TTL)).toBeNull();
+    });
+
+    it('should drop restrictions when a list they came from changes', () => {
+      index.setRestrictions('key', restrictions, ['tag:Favourites'], 1000);
+      index.setScope('library', items, 4);
+      index.invalidate('genre:Jazz');
+      expect(index.getRestrictions('key', 2000)).not.toBeNull();
+
+      index.setScope('tag:Favourites', [items[0]], 1);
+      expect(index.getRestrictions('key', 2000)).toBeNull();
+
+      index.setRestrictions('key', restrictions, ['tag:Favourites'], 1000);
+      index.invalidate('tag:Favourites');
+      expect(index.getRestrictions('key', 2000)).toBeNull();
+    });
+
+    it('should drop restrictions when invalidated or cleared', () => {
+      index.setRestrictions('key', restrictions, [], 1000);
+      index.invalidateRestrictions();
+      expect(index.getRestrictions('key', 2000)).toBeNull();
+
+      index.setRestrictions('key', restrictions, [], 1000);
+      index.clear();
+      expect(index.getRestrictions('key', 2000)).toBeNull();
+    });
+  });
+
+  describe('clear and getStats', () => {
+    it('should report scope and album counts', () => {
+      index.setScope('library', items, 4);
+      index.setScope('genre:Jazz', [items[0]], 1);
+
+      expect(index.getStats()).toEqual({ scopes: 2, albums: 4 });
+    });
+
+    it('should remove all scopes', () => {
+      index.setScope('library', items, 4);
+      index.clear();
+
+      expect(index.getAlbums('library')).toEqual([]);
+      expect(index.getStats()).toEqual({ scopes: 0, albums: 0 });
+    });
+  });
+});
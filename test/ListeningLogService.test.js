@@ -0,0 +1,325 @@
+/**
+ * Tests for ListeningLogService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ListeningLogService } from '../services/ListeningLogService.js';
+
+function playedTrack(title, startedAt, playedMs = 200000) {
+  return {
+    title,
+    artist: 'Artist',
+    album: 'Album',
+    length: 300,
+    startedAt,
+    playedMs,
+  };
+}
+
+function activityItem(title, timestamp) {
+  return {
+    id: null,
+    title,
+    subtitle: 'Artist',
+    timestamp,
+    playedVia: 'random',
+  };
+}
+
+describe('ListeningLogService', () => {
+  let storage;
+  let mockStore;
+  let listeningLog;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    storage = {};
+    mockStore = {
+      get: vi.fn(key => storage[key]),
+      set: vi.fn((key, value) => {
+        storage[key] = value;
+      }),
+    };
+
+    listeningLog = new ListeningLogService(mockStore);
+  });
+
+  describe('Constructor', () => {
+    it('should throw error if store is not provided', () => {
+      expect(() => new ListeningLogService()).toThrow(
+        'ListeningLogService requires a valid store instance'
+      );
+    });
+  });
+
+  describe('record', () => {
+    it('should append entries with context and a generated id', () => {
+      const entry = listeningLog.record(activityItem('A', 100), {
+        zoneId: 'zone-1',
+        zoneName: 'Kitchen',
+        profile: 'Alex',
+      });
+
+      expect(entry.id).toEqual(expect.any(String));
+      expect(entry).toMatchObject({
+        album: 'A',
+        zoneName: 'Kitchen',
+        profile: 'Alex',
+      });
+      expect(listeningLog.getAll()).toEqual([entry]);
+    });
+
+    it('should keep entries oldest first', () => {
+      listeningLog.record(activityItem('A', 100));
+      listeningLog.record(activityItem('B', 200));
+      expect(listeningLog.getAll().map(e => e.album)).toEqual(['A', 'B']);
+    });
+
+    it('should reject invalid activity items', () => {
+      expect(() => listeningLog.record({ title: 'A' })).toThrow(
+        'Invalid activity item structure'
+      );
+    });
+  });
+
+  describe('recordTrackListen', () => {
+    it('should record tracks that played long enough', () => {
+      const listen = listeningLog.recordTrackListen(playedTrack('A', 100), {
+        zoneId: 'zone-1',
+      });
+
+      expect(listen).toMatchObject({
+        id: expect.any(String),
+        timestamp: 100,
+        track: 'A',
+        album: 'Album',
+        durationMs: 300000,
+        zoneId: 'zone-1',
+      });
+      expect(listeningLog.getListens()).toEqual([listen]);
+    });
+
+    it('should ignore tracks that were skipped', () => {
+      expect(
+        listeningLog.recordTrackListen(playedTrack('A', 100, 10000))
+      ).toBeNull();
+      expect(listeningLog.getListens()).toEqual([]);
+    });
+
+    it('should not submit album entries', () => {
+      listeningLog.record(activityItem('A', 100));
+      expect(listeningLog.getPending()).toEqual([]);
+      expect(listeningLog.getStatus()).toMatchObject({
+        count: 1,
+        listens: 0,
+        pending: 0,
+      });
+    });
+  });
+
+  describe('submission progress', () => {
+    let listens;
+
+    beforeEach(() => {
+      listeningLog.record(activityItem('Album', 50));
+      listens = [
+        listeningLog.recordTrackListen(playedTrack('A', 100), {}, 1000),
+        listeningLog.recordTrackListen(playedTrack('B', 200), {}, 2000),
+        listeningLog.recordTrackListen(playedTrack('C', 300), {}, 3000),
+      ];
+    });
+
+    it('should report every listen as pending at first', () => {
+      expect(listeningLog.getPending()).toHaveLength(3);
+      expect(listeningLog.getStatus()).toMatchObject({
+        count: 1,
+        listens: 3,
+        pending: 3,
+        firstTimestamp: 50,
+        lastTimestamp: 50,
+        lastSubmittedAt: null,
+      });
+    });
+
+    it('should only return listens recorded after the last submitted one', () => {
+      listeningLog.recordSubmission({ through: listens[1].id }, 5000);
+
+      expect(listeningLog.getPending().map(l => l.track)).toEqual(['C']);
+      expect(listeningLog.getStatus()).toMatchObject({
+        pending: 1,
+        lastSubmittedAt: 5000,
+        lastSubmissionError: null,
+      });
+    });
+
+    it('should not lose listens recorded in the same millisecond', () => {
+      listeningLog.recordTrackListen(playedTrack('D', 400), {}, 3000);
+      listeningLog.recordSubmission({ through: listens[2].id }, 5000);
+
+      expect(listeningLog.getPending().map(l => l.track)).toEqual(['D']);
+    });
+
+    it('should never move progress backwards', () => {
+      listeningLog.recordSubmission({ through: listens[1].id }, 5000);
+      listeningLog.recordSubmission({ through: listens[0].id }, 6000);
+      listeningLog.recordSubmission({ through: 'unknown' }, 7000);
+
+      expect(listeningLog.getStatus()).toMatchObject({
+        pending: 1,
+        lastSubmittedAt: 5000,
+      });
+    });
+
+    it('should treat every listen as pending once the last submitted one is trimmed', () => {
+      listeningLog.recordSubmission({ through: listens[0].id }, 5000);
+      storage.listeningLogData.listens.shift();
+
+      expect(listeningLog.getPending().map(l => l.track)).toEqual(['B', 'C']);
+    });
+
+    it('should carry over progress stored as a timestamp', () => {
+      const { submittedThrough, ...data } = storage.listeningLogData;
+      storage.listeningLogData = { ...data, submittedUntil: 2000 };
+
+      expect(submittedThrough).toBeNull();
+      expect(listeningLog.getPending().map(l => l.track)).toEqual(['C']);
+    });
+
+    it('should keep progress when a submission fails', () => {
+      listeningLog.recordSubmission({ through: listens[1].id }, 5000);
+      listeningLog.recordSubmission({ error: 'Rejected' }, 6000);
+
+      expect(listeningLog.getStatus()).toMatchObject({
+        pending: 1,
+        lastSubmittedAt: 5000,
+        lastSubmissionError: 'Rejected',
+      });
+    });
+
+    it('should clear entries, listens and progress', () => {
+      listeningLog.recordSubmission({ through: listens[2].id });
+      listeningLog.clear();
+
+      listeningLog.recordTrackListen(playedTrack('D', 50), {}, 500);
+      expect(listeningLog.getStatus()).toMatchObject({
+        count: 0,
+        listens: 1,
+        pending: 1,
+      });
+    });
+  });
+
+  describe('submission settings', () => {
+    it('should default to ListenBrainz without credentials', () => {
+      expect(listeningLog.getSubmissionSettings()).toMatchObject({
+        service: 'listenbrainz',
+        endpoint: '',
+        autoSubmit: false,
+      });
+      expect(listeningLog.isSubmissionConfigured()).toBe(false);
+    });
+
+    it('should save partial updates and trim credentials', () => {
+      listeningLog.setSubmissionSettings({ token: '  abc  ' });
+      listeningLog.setSubmissionSettings({ autoSubmit: true });
+
+      expect(listeningLog.getSubmissionSettings()).toMatchObject({
+        token: 'abc',
+        autoSubmit: true,
+      });
+      expect(listeningLog.isSubmissionConfigured()).toBe(true);
+    });
+
+    it('should only return whether each credential is set', () => {
+      const updated = listeningLog.setSubmissionSettings({ token: 'abc' });
+
+      expect(updated).toEqual({
+        service: 'listenbrainz',
+        endpoint: '',
+        autoSubmit: false,
+        credentials: {
+          token: true,
+          apiKey: false,
+          apiSecret: false,
+          sessionKey: false,
+        },
+      });
+      expect(listeningLog.getPublicSubmissionSettings()).toEqual(updated);
+    });
+
+    it('should clear a credential set to an empty string', () => {
+      listeningLog.setSubmissionSettings({ token: 'abc' });
+      listeningLog.setSubmissionSettings({ token: '' });
+      expect(listeningLog.isSubmissionConfigured()).toBe(false);
+    });
+
+    it('should encrypt credentials when encryption is available', () => {
+      const secretStorage = {
+        isEncryptionAvailable: () => true,
+        encryptString: text => Buffer.from(`enc:${text}`),
+        decryptString: buffer => buffer.toString().slice(4),
+      };
+      listeningLog = new ListeningLogService(mockStore, secretStorage);
+
+      listeningLog.setSubmissionSettings({ token: 'secret-token' });
+
+      const stored = storage.listeningLogSubmission;
+      expect(stored).not.toHaveProperty('token');
+      expect(stored.credentials).toMatchObject({ _encrypted: true });
+      expect(JSON.stringify(stored)).not.toContain('secret-token');
+      expect(listeningLog.getSubmissionSettings().token).toBe('secret-token');
+    });
+
+    it('should read credentials saved before encryption', () => {
+      storage.listeningLogSubmission = {
+        service: 'listenbrainz',
+        token: 'old-token',
+      };
+      expect(listeningLog.getSubmissionSettings().token).toBe('old-token');
+      expect(listeningLog.getPublicSubmissionSettings().credentials.token).toBe(
+        true
+      );
+    });
+
+    it('should need every Last.fm credential', () => {
+      listeningLog.setSubmissionSettings({
+        service: 'lastfm',
+        apiKey: 'key',
+        apiSecret: 'secret',
+      });
+      expect(listeningLog.isSubmissionConfigured()).toBe(false);
+
+      listeningLog.setSubmissionSettings({ sessionKey: 'session' });
+      expect(listeningLog.isSubmissionConfigured()).toBe(true);
+    });
+
+    it('should accept an http endpoint and reject other schemes', () => {
+      listeningLog.setSubmissionSettings({
+        endpoint: 'http://localhost:8100/1/submit-listens',
+      });
+      expect(listeningLog.getSubmissionSettings().endpoint).toBe(
+        'http://localhost:8100/1/submit-listens'
+      );
+
+      expect(() =>
+        listeningLog.setSubmissionSettings({ endpoint: 'ftp://example.com' })
+      ).toThrow('Invalid endpoint');
+    });
+
+    it('should reject unknown services and invalid values', () => {
+      expect(() =>
+        listeningLog.setSubmissionSettings({ service: 'myspace' })
+      ).toThrow('Invalid service');
+      expect(() => listeningLog.setSubmissionSettings({ token: 5 })).toThrow(
+        'Invalid token'
+      );
+      expect(() =>
+        listeningLog.setSubmissionSettings({ autoSubmit: 'yes' })
+      ).toThrow('Invalid autoSubmit');
+      expect(() => listeningLog.setSubmissionSettings(null)).toThrow(
+        'Submission settings must be an object'
+      );
+    });
+  });
+});
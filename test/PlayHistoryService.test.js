@@ -0,0 +1,153 @@
+/**
+ * Tests for PlayHistoryService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PlayHistoryService } from '../services/PlayHistoryService.js';
+import {
+  DEFAULT_COOLDOWN_DAYS,
+  MILLISECONDS_PER_DAY,
+} from '../playHistoryHelpers.js';
+
+describe('PlayHistoryService', () => {
+  let mockStore;
+  let playHistory;
+
+  beforeEach(() => {
+    // Create a mock store with in-memory storage
+    const storage = {};
+    mockStore = {
+      get: vi.fn(key => storage[key]),
+      set: vi.fn((key, value) => {
+        storage[key] = value;
+      }),
+    };
+
+    playHistory = new PlayHistoryService(mockStore);
+  });
+
+  describe('Constructor', () => {
+    it('should throw error if store is not provided', () => {
+      expect(() => new PlayHistoryService()).toThrow(
+        'PlayHistoryService requires a valid store instance'
+      );
+    });
+
+    it('should create instance with valid store', () => {
+      expect(new PlayHistoryService(mockStore)).toBeInstanceOf(
+        PlayHistoryService
+      );
+    });
+  });
+
+  describe('record', () => {
+    it('should store the play timestamp for an album', () => {
+      const result = playHistory.record('Album||Artist', 12345);
+
+      expect(result.success).toBe(true);
+      expect(playHistory.getLastPlayed('Album||Artist')).toBe(12345);
+    });
+
+    it('should overwrite earlier plays of the same album', () => {
+      playHistory.record('Album||Artist', 1);
+      playHistory.record('Album||Artist', 2);
+
+      expect(playHistory.getLastPlayed('Album||Artist')).toBe(2);
+      expect(playHistory.getSettings().albumCount).toBe(1);
+    });
+
+    it('should throw error for invalid album key', () => {
+      expect(() => playHistory.record('')).toThrow('Invalid album key');
+      expect(() => playHistory.record(null)).toThrow('Invalid album key');
+    });
+  });
+
+  describe('getLastPlayed', () => {
+    it('should return null for albums never played', () => {
+      expect(playHistory.getLastPlayed('Unknown||Artist')).toBeNull();
+    });
+
+    it('should handle corrupted data gracefully', () => {
+      mockStore.set('playHistoryData', 'invalid data');
+      expect(playHistory.getLastPlayed('Album||Artist')).toBeNull();
+      expect(playHistory.getSettings().cooldownDays).toBe(
+        DEFAULT_COOLDOWN_DAYS
+      );
+    });
+  });
+
+  describe('createCooldownCheck', () => {
+    it('should flag albums played within the cooldown window', () => {
+      const now = Date.now();
+      playHistory.setCooldownDays(7);
+      playHistory.record('Recent||Artist', now - MILLISECONDS_PER_DAY);
+      playHistory.record('Old||Artist', now - 8 * MILLISECONDS_PER_DAY);
+
+      const isCoolingDown = playHistory.createCooldownCheck(now);
+
+      expect(isCoolingDown('Recent||Artist')).toBe(true);
+      expect(isCoolingDown('Old||Artist')).toBe(false);
+      expect(isCoolingDown('Never||Played')).toBe(false);
+    });
+
+    it('should flag nothing when the cooldown is disabled', () => {
+      const now = Date.now();
+      playHistory.setCooldownDays(0);
+      playHistory.record('Recent||Artist', now);
+
+      expect(playHistory.createCooldownCheck(now)('Recent||Artist')).toBe(
+        false
+      );
+    });
+  });
+
+  describe('createRediscoverWeigher', () => {
+    it('should favour albums not played for the longest', () => {
+      const now = Date.now();
+      playHistory.record('Recent||Artist', now - 10 * MILLISECONDS_PER_DAY);
+      playHistory.record('Old||Artist', now - 200 * MILLISECONDS_PER_DAY);
+
+      const weigh = playHistory.createRediscoverWeigher(now);
+
+      expect(weigh('Old||Artist')).toBeGreaterThan(weigh('Recent||Artist'));
+      expect(weigh('Never||Played')).toBe(1);
+    });
+  });
+
+  describe('setCooldownDays', () => {
+    it('should persist the cooldown window', () => {
+      const settings = playHistory.setCooldownDays(30);
+
+      expect(settings.cooldownDays).toBe(30);
+      expect(mockStore.get('playHistoryData').cooldownDays).toBe(30);
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => playHistory.setCooldownDays(-1)).toThrow(
+        'Cooldown must be a whole number of days'
+      );
+      expect(() => playHistory.setCooldownDays(1.5)).toThrow(
+        'Cooldown must be a whole number of days'
+      );
+      expect(() => playHistory.setCooldownDays(1000)).toThrow(
+        'Cooldown must be a whole number of days'
+      );
+    });
+  });
+
+  describe('reset', () => {
+    it('should forget all plays but keep the cooldown', () => {
+      playHistory.setCooldownDays(14);
+      playHistory.record('Album||Artist');
+
+      const result = playHistory.reset();
+
+      expect(result.success).toBe(true);
+      expect(playHistory.getLastPlayed('Album||Artist')).toBeNull();
+      expect(playHistory.getSettings()).toEqual({
+        cooldownDays: 14,
+        albumCount: 0,
+      });
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Tests for album feedback helper functions
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  createListenTracker,
+  applyListenUpdate,
+  classifyListen,
+  createArtistFeedbackKey,
+  scoreAlbumFeedback,
+  createFeedbackWeigher,
+  pickWeightedItem,
+  trimAlbumFeedback,
+  SKIP_EARLY_SECONDS,
+  LISTEN_START_TIMEOUT_MS,
+  FEEDBACK_WEIGHT_BASE,
+  LIKE_POINTS,
+  MAX_FEEDBACK_SCORE,
+} from '../albumFeedbackHelpers.js';
+
+const ALBUM = {
+  albumKey: 'Kind of Blue||Miles Davis',
+  title: 'Kind of Blue',
+  artist: 'Miles Davis',
+};
+
+/**
+ * Applies a sequence of [time, update] pairs, stopping when the listen ends
+ */
+function listen(updates, tracker = createListenTracker(ALBUM, 0)) {
+  let result = { tracker, outcome: null, ended: false };
+  for (const [now, update] of updates) {
+    result = applyListenUpdate(result.tracker, update, now);
+    if (result.ended) break;
+  }
+  return result;
+}
+
+describe('Album Feedback Helpers', () => {
+  describe('applyListenUpdate', () => {
+    test('waits for the album to show up on the zone', () => {
+      const { tracker, ended } = listen([
+        [500, { album: 'Something Else', zoneState: 'playing' }],
+      ]);
+      expect(tracker.started).toBe(false);
+      expect(ended).toBe(false);
+    });
+
+    test('gives up on albums that never show up', () => {
+      const { ended, outcome } = listen([
+        [LISTEN_START_TIMEOUT_MS + 1, { album: 'Other', zoneState: 'playing' }],
+      ]);
+      expect(ended).toBe(true);
+      expect(outcome).toBeNull();
+    });
+
+    test('starts with the album length from the queue', () => {
+      const { tracker } = listen([
+        [
+          1000,
+          {
+            album: 'kind of blue',
+            zoneState: 'playing',
+            queueTimeRemaining: 2700,
+          },
+        ],
+      ]);
+      expect(tracker).toMatchObject({
+        started: true,
+        playingSince: 1000,
+        albumSeconds: 2700,
+      });
+    });
+
+    test('reports a skip when another album starts within a minute', () => {
+      const { ended, outcome } = listen([
+        [1000, { album: 'Kind of Blue', zoneState: 'playing' }],
+        [20_000, { album: 'Bitches Brew', zoneState: 'playing' }],
+      ]);
+      expect(ended).toBe(true);
+      expect(outcome).toBe('skip');
+    });
+
+    test('reports a play-through once most of the album was heard', () => {
+      const { outcome } = listen([
+        [
+          0,
+          {
+            album: 'Kind of Blue',
+            zoneState: 'playing',
+            queueTimeRemaining: 600,
+          },
+        ],
+        [580_000, { queueTimeRemaining: 20 }],
+        [600_000, { album: null, zoneState: 'stopped' }],
+      ]);
+      expect(outcome).toBe('playedThrough');
+    });
+
+    test('reports neither for albums left halfway', () => {
+      const { ended, outcome } = listen([
+        [
+          0,
+          {
+            album: 'Kind of Blue',
+            zoneState: 'playing',
+            queueTimeRemaining: 600,
+          },
+        ],
+        [300_000, { album: 'Bitches Brew', zoneState: 'playing' }],
+      ]);
+      expect(ended).toBe(true);
+      expect(outcome).toBeNull();
+    });
+
+    test('does not count paused time as listening', () => {
+      const { outcome } = listen([
+        [0, { album: 'Kind of Blue', zoneState: 'playing' }],
+        [10_000, { album: 'Kind of Blue', zoneState: 'paused' }],
+        [600_000, { album: 'Bitches Brew', zoneState: 'playing' }],
+      ]);
+      expect(outcome).toBe('skip');
+    });
+
+    test('works out the album length from a later seek update', () => {
+      const { tracker } = listen([
+        [0, { album: 'Kind of Blue', zoneState: 'playing' }],
+        [10_000, { queueTimeRemaining: 590 }],
+      ]);
+      expect(tracker.albumSeconds).toBe(600);
+    });
+  });
+
+  describe('classifyListen', () => {
+    test('is null for albums that never started', () => {
+      expect(classifyListen(createListenTracker(ALBUM, 0), 5000)).toBeNull();
+    });
+
+    test('counts listening up to now', () => {
+      const { tracker } = listen([
+        [0, { album: 'Kind of Blue', zoneState: 'playing' }],
+      ]);
+      expect(classifyListen(tracker, (SKIP_EARLY_SECONDS - 1) * 1000)).toBe(
+        'skip'
+      );
+      expect(classifyListen(tracker, (SKIP_EARLY_SECONDS + 1) * 1000)).toBe(
+        null
+      );
+    });
+  });
+
+  describe('createArtistFeedbackKey', () => {
+    test('uses the primary artist, ignoring case and accents', () => {
+      expect(createArtistFeedbackKey('Björk / Thom Yorke')).toBe(
+        createArtistFeedbackKey('bjork')
+      );
+    });
+  });
+
+  describe('scoreAlbumFeedback', () => {
+    test('adds up ratings, skips and play-throughs', () => {
+      expect(
+        scoreAlbumFeedback({ rating: 1, skips: 0, playedThrough: 2 })
+      ).toBe(LIKE_POINTS + 1);
+      expect(
+        scoreAlbumFeedback({ rating: -1, skips: 2, playedThrough: 0 })
+      ).toBe(-LIKE_POINTS - 2);
+      expect(scoreAlbumFeedback(null)).toBe(0);
+    });
+  });
+
+  describe('createFeedbackWeigher', () => {
+    const weigh = createFeedbackWeigher({
+      'Kind of Blue||Miles Davis': {
+        artist: 'Miles Davis',
+        rating: 1,
+        skips: 0,
+        playedThrough: 0,
+      },
+      'Pablo Honey||Radiohead': {
+        artist: 'Radiohead',
+        rating: -1,
+        skips: 0,
+        playedThrough: 0,
+      },
+    });
+
+    test('boosts liked albums and down-weights disliked ones', () => {
+      expect(weigh('Kind of Blue||Miles Davis', 'Miles Davis')).toBeCloseTo(
+        Math.pow(FEEDBACK_WEIGHT_BASE, LIKE_POINTS)
+      );
+      expect(weigh('Pablo Honey||Radiohead', 'Radiohead')).toBeCloseTo(
+        Math.pow(FEEDBACK_WEIGHT_BASE, -LIKE_POINTS)
+      );
+    });
+
+    test('carries part of the score over to the artist', () => {
+      expect(weigh('Bitches Brew||Miles Davis', 'Miles Davis')).toBeGreaterThan(
+        1
+      );
+      expect(weigh('OK Computer||Radiohead', 'Radiohead')).toBeLessThan(1);
+    });
+
+    test('leaves albums without feedback at 1', () => {
+      expect(weigh('Abbey Road||The Beatles', 'The Beatles')).toBe(1);
+    });
+
+    test('caps the score', () => {
+      const albums = Object.fromEntries(
+        Array.from({ length: 10 }, (_, i) => [
+          `A${i}||X`,
+          { artist: 'X', rating: 1, skips: 0, playedThrough: 0 },
+        ])
+      );
+      expect(createFeedbackWeigher(albums)('A0||X', 'X')).toBeCloseTo(
+        Math.pow(FEEDBACK_WEIGHT_BASE, MAX_FEEDBACK_SCORE)
+      );
+    });
+  });
+
+  describe('pickWeightedItem', () => {
+    const items = ['a', 'b', 'c'];
+    const weights = { a: 1, b: 0, c: 3 };
+
+    test('picks in proportion to the weights', () => {
+      expect(
+        pickWeightedItem(
+          items,
+          i => weights[i],
+          () => 0
+        )
+      ).toBe('a');
+      expect(
+        pickWeightedItem(
+          items,
+          i => weights[i],
+          () => 0.25
+        )
+      ).toBe('c');
+      expect(
+        pickWeightedItem(
+          items,
+          i => weights[i],
+          () => 0.999
+        )
+      ).toBe('c');
+    });
+
+    test('falls back to a uniform pick when every weight is zero', () => {
+      expect(
+        pickWeightedItem(
+          items,
+          () => 0,
+          () => 0.5
+        )
+      ).toBe('b');
+    });
+
+    test('returns null for an empty list', () => {
+      expect(pickWeightedItem([], () => 1)).toBeNull();
+    });
+  });
+
+  describe('trimAlbumFeedback', () => {
+    test('keeps the most recently updated albums', () => {
+      const trimmed = trimAlbumFeedback(
+        { a: { updatedAt: 1 }, b: { updatedAt: 3 }, c: { updatedAt: 2 } },
+        2
+      );
+      expect(Object.keys(trimmed).sort()).toEqual(['b', 'c']);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for auto-continue ("endless random") helper functions
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  createAutoContinueState,
+  applyAutoContinueUpdate,
+  AUTO_CONTINUE_LEAD_SECONDS,
+  AUTO_CONTINUE_MIN_INTERVAL_MS,
+} from '../autoContinueHelpers.js';
+
+const NOW = 1_700_000_000_000;
+
+describe('Auto-continue Helpers', () => {
+  describe('createAutoContinueState', () => {
+    test('seeds state from a zone', () => {
+      const state = createAutoContinueState({
+        state: 'playing',
+        queue_time_remaining: 600,
+      });
+
+      expect(state).toEqual({
+        zoneState: 'playing',
+        queueTimeRemaining: 600,
+        armed: true,
+        lastTriggeredAt: 0,
+      });
+    });
+
+    test('handles a missing zone', () => {
+      const state = createAutoContinueState();
+      expect(state.zoneState).toBeNull();
+      expect(state.queueTimeRemaining).toBeNull();
+    });
+  });
+
+  describe('applyAutoContinueUpdate', () => {
+    const playing = createAutoContinueState({
+      state: 'playing',
+      queue_time_remaining: 120,
+    });
+
+    test('does nothing while plenty of queue is left', () => {
+      const { trigger } = applyAutoContinueUpdate(
+        playing,
+        { queueTimeRemaining: 60 },
+        NOW
+      );
+      expect(trigger).toBeNull();
+    });
+
+    test('triggers nearEnd when the queue is about to run out', () => {
+      const { state, trigger } = applyAutoContinueUpdate(
+        playing,
+        { queueTimeRemaining: AUTO_CONTINUE_LEAD_SECONDS },
+        NOW
+      );
+
+      expect(trigger).toBe('nearEnd');
+      expect(state.armed).toBe(false);
+      expect(state.lastTriggeredAt).toBe(NOW);
+    });
+
+    test('triggers only once per ending', () => {
+      const first = applyAutoContinueUpdate(
+        playing,
+        { queueTimeRemaining: 10 },
+        NOW
+      );
+      const second = applyAutoContinueUpdate(
+        first.state,
+        { queueTimeRemaining: 9 },
+        NOW + AUTO_CONTINUE_MIN_INTERVAL_MS
+      );
+      const stopped = applyAutoContinueUpdate(
+        { ...second.state, queueTimeRemaining: 1 },
+        { zoneState: 'stopped' },
+        NOW + AUTO_CONTINUE_MIN_INTERVAL_MS
+      );
+
+      expect(second.trigger).toBeNull();
+      expect(stopped.trigger).toBeNull();
+    });
+
+    test('re-arms once the queue grows again', () => {
+      const first = applyAutoContinueUpdate(
+        playing,
+        { queueTimeRemaining: 10 },
+        NOW
+      );
+      const extended = applyAutoContinueUpdate(
+        first.state,
+        { queueTimeRemaining: 2400 },
+        NOW + 1000
+      );
+      const later = applyAutoContinueUpdate(
+        extended.state,
+        { queueTimeRemaining: 10 },
+        NOW + AUTO_CONTINUE_MIN_INTERVAL_MS * 100
+      );
+
+      expect(extended.state.armed).toBe(true);
+      expect(later.trigger).toBe('nearEnd');
+    });
+
+    test('does not trigger while paused', () => {
+      const { trigger } = applyAutoContinueUpdate(
+        { ...playing, zoneState: 'paused' },
+        { queueTimeRemaining: 5 },
+        NOW
+      );
+      expect(trigger).toBeNull();
+    });
+
+    test('triggers stopped when the zone stops at the end of its queue', () => {
+      const atEnd = { ...playing, armed: true, queueTimeRemaining: 1 };
+      const { trigger } = applyAutoContinueUpdate(
+        atEnd,
+        { zoneState: 'stopped', queueTimeRemaining: 0 },
+        NOW
+      );
+      expect(trigger).toBe('stopped');
+    });
+
+    test('ignores manual stops with queue left', () => {
+      const { trigger } = applyAutoContinueUpdate(
+        playing,
+        { zoneState: 'stopped' },
+        NOW
+      );
+      expect(trigger).toBeNull();
+    });
+
+    test('respects the minimum interval between picks', () => {
+      const recent = { ...playing, lastTriggeredAt: NOW - 1000 };
+      const { trigger } = applyAutoContinueUpdate(
+        recent,
+        { queueTimeRemaining: 10 },
+        NOW
+      );
+      expect(trigger).toBeNull();
+    });
+  });
+});
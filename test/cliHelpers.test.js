@@ -0,0 +1,124 @@
+/**
+ * Tests for CLI helper functions
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  EXIT_CODES,
+  UsageError,
+  formatResult,
+  getExitCode,
+  parseCliArgs,
+} from '../cliHelpers.js';
+
+describe('CLI Helpers', () => {
+  describe('parseCliArgs', () => {
+    test('parses a random pick with genres and a zone', () => {
+      expect(
+        parseCliArgs([
+          'play',
+          '--genre',
+          'Jazz',
+          '-g',
+          'Rock',
+          '--zone',
+          'Kitchen',
+        ])
+      ).toEqual({
+        command: 'playRandom',
+        params: { genres: ['Jazz', 'Rock'], zoneId: 'Kitchen' },
+        json: false,
+      });
+    });
+
+    test('maps transport words to transport actions', () => {
+      expect(parseCliArgs(['next'])).toEqual({
+        command: 'transport',
+        params: { action: 'next' },
+        json: false,
+      });
+      expect(parseCliArgs(['resume']).params.action).toBe('play');
+      expect(parseCliArgs(['toggle']).params.action).toBe('playpause');
+    });
+
+    test('joins multi-word album titles', () => {
+      const { params } = parseCliArgs([
+        'album',
+        'Kind',
+        'of',
+        'Blue',
+        '--artist',
+        'Miles Davis',
+      ]);
+      expect(params).toEqual({ album: 'Kind of Blue', artist: 'Miles Davis' });
+    });
+
+    test('defaults artist to now playing', () => {
+      expect(parseCliArgs(['artist']).params).toEqual({});
+      expect(parseCliArgs(['artist', 'Nina', 'Simone']).params).toEqual({
+        artist: 'Nina Simone',
+      });
+    });
+
+    test('reads --json and --limit', () => {
+      expect(parseCliArgs(['activity', '-n', '5', '--json'])).toEqual({
+        command: 'activity',
+        params: { limit: 5 },
+        json: true,
+      });
+    });
+
+    test('returns help when asked or without a command', () => {
+      expect(parseCliArgs([])).toEqual({ help: true });
+      expect(parseCliArgs(['now', '--help'])).toEqual({ help: true });
+    });
+
+    test('rejects unknown commands, options and incomplete albums', () => {
+      expect(() => parseCliArgs(['shuffle'])).toThrow(UsageError);
+      expect(() => parseCliArgs(['play', '--colour', 'red'])).toThrow(
+        UsageError
+      );
+      expect(() => parseCliArgs(['album', 'Kind of Blue'])).toThrow(/--artist/);
+    });
+  });
+
+  describe('formatResult', () => {
+    test('formats a pick', () => {
+      expect(
+        formatResult('playRandom', {
+          album: 'Kind of Blue',
+          artist: 'Miles Davis',
+        })
+      ).toBe('Playing "Kind of Blue" by Miles Davis');
+    });
+
+    test('formats now playing', () => {
+      expect(
+        formatResult('nowPlaying', {
+          nowPlaying: { song: 'So What', artist: 'Miles Davis', album: null },
+        })
+      ).toBe('So What — Miles Davis');
+      expect(formatResult('nowPlaying', { nowPlaying: null })).toBe(
+        'Nothing playing.'
+      );
+    });
+
+    test('lists zones one per line', () => {
+      expect(
+        formatResult('zones', [
+          { name: 'Kitchen', state: 'playing' },
+          { name: 'Study' },
+        ])
+      ).toBe('Kitchen (playing)\nStudy (unknown)');
+    });
+  });
+
+  describe('getExitCode', () => {
+    test('maps app error codes', () => {
+      expect(getExitCode('CONNECTION_ERROR')).toBe(EXIT_CODES.NOT_CONNECTED);
+      expect(getExitCode('NO_ALBUMS')).toBe(EXIT_CODES.NO_ALBUMS);
+      expect(getExitCode('VALIDATION_ERROR')).toBe(EXIT_CODES.USAGE);
+      expect(getExitCode('NOT_FOUND')).toBe(EXIT_CODES.ERROR);
+    });
+  });
+});
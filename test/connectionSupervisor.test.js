@@ -0,0 +1,249 @@
+/**
+ * Tests for the connection supervisor
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  ConnectionSupervisor,
+  getReconnectDelay,
+  RECONNECT_BASE_DELAY,
+  RECONNECT_MAX_DELAY,
+  DISCOVERY_TIMEOUT,
+  HEARTBEAT_INTERVAL,
+  HEARTBEAT_TIMEOUT,
+  MAX_MISSED_HEARTBEATS,
+} from '../connectionSupervisor.js';
+
+/**
+ * Creates a supervisor with mocked callbacks and jitter fixed at `random`
+ */
+function createSupervisor({ random = 1 - Number.EPSILON } = {}) {
+  const changes = [];
+  const callbacks = {
+    connect: vi.fn(),
+    probe: vi.fn(() => Promise.resolve()),
+    dropConnection: vi.fn(),
+    onChange: status => changes.push(status),
+    random: () => random,
+  };
+  return {
+    supervisor: new ConnectionSupervisor(callbacks),
+    callbacks,
+    changes,
+  };
+}
+
+describe('getReconnectDelay', () => {
+  it('should double with each attempt up to the maximum', () => {
+    const delays = [0, 1, 2, 3, 10].map(attempt =>
+      getReconnectDelay(attempt, () => 1)
+    );
+    expect(delays).toEqual([
+      RECONNECT_BASE_DELAY,
+      RECONNECT_BASE_DELAY * 2,
+      RECONNECT_BASE_DELAY * 4,
+      RECONNECT_BASE_DELAY * 8,
+      RECONNECT_MAX_DELAY,
+    ]);
+  });
+
+  it('should jitter between half and all of the delay', () => {
+    expect(getReconnectDelay(2, () => 0)).toBe(RECONNECT_BASE_DELAY * 2);
+    expect(getReconnectDelay(2, () => 0.5)).toBe(RECONNECT_BASE_DELAY * 3);
+    expect(getReconnectDelay(1000, () => 0)).toBe(RECONNECT_MAX_DELAY / 2);
+  });
+});
+
+describe('ConnectionSupervisor', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should start discovering in auto mode and pairing in manual mode', () => {
+    const { supervisor, callbacks } = createSupervisor();
+
+    supervisor.start({ mode: 'auto' });
+    expect(supervisor.getStatus()).toMatchObject({
+      state: 'discovering',
+      mode: 'auto',
+    });
+    expect(callbacks.connect).toHaveBeenCalledTimes(1);
+
+    supervisor.start({ mode: 'manual', host: '10.0.0.5', port: 9330 });
+    expect(supervisor.getStatus()).toMatchObject({
+      state: 'pairing',
+      mode: 'manual',
+      host: '10.0.0.5',
+      port: 9330,
+    });
+    expect(callbacks.connect).toHaveBeenCalledTimes(2);
+  });
+
+  it('should retry a lost connection with growing delays, indefinitely', () => {
+    const { supervisor, callbacks } = createSupervisor();
+    supervisor.start({ mode: 'manual', host: '10.0.0.5', port: 9330 });
+
+    for (let attempt = 0; attempt < 12; attempt++) {
+      supervisor.handleLost('Unable to reach the Roon Core');
+      const delay = getReconnectDelay(attempt, () => 1 - Number.EPSILON);
+      expect(supervisor.getStatus()).toMatchObject({
+        state: 'lost',
+        attempt,
+        error: 'Unable to reach the Roon Core',
+        retryAt: Date.now() + delay,
+      });
+
+      vi.advanceTimersByTime(delay - 1);
+      expect(callbacks.connect).toHaveBeenCalledTimes(attempt + 1);
+      vi.advanceTimersByTime(1);
+      expect(callbacks.connect).toHaveBeenCalledTimes(attempt + 2);
+      expect(supervisor.getStatus().state).toBe('pairing');
+    }
+  });
+
+  it('should ignore losses while a retry is already scheduled', () => {
+    const { supervisor, callbacks } = createSupervisor();
+    supervisor.start({ mode: 'manual', host: '10.0.0.5', port: 9330 });
+
+    supervisor.handleLost('first');
+    supervisor.handleLost('second');
+    expect(supervisor.getStatus().error).toBe('first');
+
+    vi.advanceTimersByTime(RECONNECT_BASE_DELAY);
+    expect(callbacks.connect).toHaveBeenCalledTimes(2);
+  });
+
+  it('should report a connect error as a lost connection', () => {
+    const { supervisor, callbacks } = createSupervisor();
+    callbacks.connect.mockImplementationOnce(() => {
+      throw new Error('Invalid host');
+    });
+
+    supervisor.start({ mode: 'manual', host: 'bad host', port: 9330 });
+    expect(supervisor.getStatus()).toMatchObject({
+      state: 'lost',
+      error: 'Invalid host',
+    });
+  });
+
+  it('should restart discovery when no Core is found', () => {
+    const { supervisor, callbacks } = createSupervisor();
+    supervisor.start({ mode: 'auto' });
+
+    vi.advanceTimersByTime(DISCOVERY_TIMEOUT);
+    expect(supervisor.getStatus()).toMatchObject({
+      state: 'lost',
+      error: 'No Roon Core found on the network',
+    });
+
+    vi.advanceTimersByTime(RECONNECT_BASE_DELAY);
+    expect(callbacks.connect).toHaveBeenCalledTimes(2);
+    expect(supervisor.getStatus()).toMatchObject({
+      state: 'discovering',
+      attempt: 1,
+    });
+  });
+
+  it('should wait for pairing in manual mode without a timeout', () => {
+    const { supervisor, callbacks } = createSupervisor();
+    supervisor.start({ mode: 'manual', host: '10.0.0.5', port: 9330 });
+
+    vi.advanceTimersByTime(DISCOVERY_TIMEOUT * 10);
+    expect(supervisor.getStatus().state).toBe('pairing');
+    expect(callbacks.connect).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reset the attempts once paired', () => {
+    const { supervisor, changes } = createSupervisor();
+    supervisor.start({ mode: 'auto' });
+    supervisor.handleLost();
+    vi.advanceTimersByTime(RECONNECT_BASE_DELAY);
+
+    supervisor.handlePaired('Studio Core');
+    expect(supervisor.getStatus()).toMatchObject({
+      state: 'paired',
+      coreName: 'Studio Core',
+      attempt: 0,
+      error: null,
+      retryAt: null,
+    });
+    expect(changes.map(status => status.state)).toEqual([
+      'discovering',
+      'lost',
+      'discovering',
+      'paired',
+    ]);
+  });
+
+  it('should probe a paired Core on every heartbeat', async () => {
+    const { supervisor, callbacks } = createSupervisor();
+    supervisor.start({ mode: 'auto' });
+    supervisor.handlePaired('Studio Core');
+
+    await vi.advanceTimersByTimeAsync(HEARTBEAT_INTERVAL * 3);
+    expect(callbacks.probe).toHaveBeenCalledTimes(3);
+    expect(supervisor.getStatus().state).toBe('paired');
+  });
+
+  it('should degrade on a missed heartbeat and recover on the next', async () => {
+    const { supervisor, callbacks } = createSupervisor();
+    supervisor.start({ mode: 'auto' });
+    supervisor.handlePaired('Studio Core');
+
+    // A probe that never answers times out
+    callbacks.probe.mockImplementationOnce(() => new Promise(() => {}));
+    await vi.advanceTimersByTimeAsync(HEARTBEAT_INTERVAL + HEARTBEAT_TIMEOUT);
+    expect(supervisor.getStatus()).toMatchObject({
+      state: 'degraded',
+      coreName: 'Studio Core',
+    });
+
+    await vi.advanceTimersByTimeAsync(HEARTBEAT_INTERVAL);
+    expect(supervisor.getStatus().state).toBe('paired');
+  });
+
+  it('should drop a stale connection and reconnect', async () => {
+    const { supervisor, callbacks } = createSupervisor();
+    supervisor.start({ mode: 'manual', host: '10.0.0.5', port: 9330 });
+    supervisor.handlePaired('Studio Core');
+    callbacks.probe.mockRejectedValue(new Error('NetworkError'));
+
+    await vi.advanceTimersByTimeAsync(
+      HEARTBEAT_INTERVAL * (MAX_MISSED_HEARTBEATS - 1)
+    );
+    expect(supervisor.getStatus().state).toBe('degraded');
+    expect(callbacks.dropConnection).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(HEARTBEAT_INTERVAL);
+    expect(callbacks.dropConnection).toHaveBeenCalledTimes(1);
+    expect(supervisor.getStatus()).toMatchObject({
+      state: 'lost',
+      error: 'Roon Core stopped responding',
+    });
+
+    await vi.advanceTimersByTimeAsync(RECONNECT_BASE_DELAY);
+    expect(callbacks.connect).toHaveBeenCalledTimes(2);
+    expect(supervisor.getStatus().state).toBe('pairing');
+  });
+
+  it('should stop retrying and probing once stopped', async () => {
+    const { supervisor, callbacks } = createSupervisor();
+    supervisor.start({ mode: 'auto' });
+    supervisor.handleLost();
+    supervisor.stop();
+
+    await vi.advanceTimersByTimeAsync(RECONNECT_MAX_DELAY * 2);
+    expect(callbacks.connect).toHaveBeenCalledTimes(1);
+
+    supervisor.handlePaired('Studio Core');
+    await vi.advanceTimersByTimeAsync(HEARTBEAT_INTERVAL * 2);
+    expect(callbacks.probe).not.toHaveBeenCalled();
+    expect(supervisor.getStatus().state).toBeNull();
+  });
+});
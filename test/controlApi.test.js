@@ -0,0 +1,274 @@
+/**
+ * Tests for the local HTTP control API
+ */
+
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest';
+import http from 'http';
+import {
+  createControlApiToken,
+  createRequestHandler,
+  getControlApiSettings,
+  initialize,
+  isAuthorized,
+  isLoopbackHost,
+  regenerateControlApiToken,
+  resolveRoute,
+  MAX_REQUEST_BODY_BYTES,
+} from '../controlApi.js';
+import { NotFoundError } from '../errors/AppError.js';
+
+const TOKEN = 'a'.repeat(48);
+
+describe('Control API', () => {
+  describe('createControlApiToken', () => {
+    test('creates distinct 48-character hex tokens', () => {
+      const token = createControlApiToken();
+      expect(token).toMatch(/^[0-9a-f]{48}$/);
+      expect(createControlApiToken()).not.toBe(token);
+    });
+  });
+
+  describe('isAuthorized', () => {
+    test('accepts the bearer token', () => {
+      expect(isAuthorized(`Bearer ${TOKEN}`, TOKEN)).toBe(true);
+    });
+
+    test('rejects missing, malformed and wrong tokens', () => {
+      expect(isAuthorized(undefined, TOKEN)).toBe(false);
+      expect(isAuthorized(TOKEN, TOKEN)).toBe(false);
+      expect(isAuthorized('Bearer nope', TOKEN)).toBe(false);
+      expect(isAuthorized(`Bearer ${TOKEN}`, null)).toBe(false);
+    });
+  });
+
+  describe('isLoopbackHost', () => {
+    test('accepts loopback hosts with or without a port', () => {
+      expect(isLoopbackHost('127.0.0.1:37913')).toBe(true);
+      expect(isLoopbackHost('localhost')).toBe(true);
+    });
+
+    test('rejects other hosts', () => {
+      expect(isLoopbackHost('evil.example:37913')).toBe(false);
+      expect(isLoopbackHost(undefined)).toBe(false);
+    });
+  });
+
+  describe('resolveRoute', () => {
+    test('maps routes to commands with query parameters', () => {
+      expect(resolveRoute('GET', '/now-playing?zoneId=z1')).toEqual({
+        command: 'nowPlaying',
+        query: { zoneId: 'z1' },
+      });
+      expect(resolveRoute('POST', '/play/random/').command).toBe('playRandom');
+    });
+
+    test('distinguishes unknown paths from wrong methods', () => {
+      expect(resolveRoute('GET', '/nope')).toEqual({ error: 'NOT_FOUND' });
+      expect(resolveRoute('GET', '/play/random')).toEqual({
+        error: 'METHOD_NOT_ALLOWED',
+      });
+    });
+  });
+
+  describe('request handler', () => {
+    let server;
+    let baseUrl;
+    const runCommand = vi.fn(async (command, params) => {
+      if (command === 'nowPlaying' && params.zoneId === 'missing') {
+        throw new NotFoundError('The chosen zone is no longer available.');
+      }
+      return { command, params };
+    });
+
+    beforeAll(async () => {
+      server = http.createServer(
+        createRequestHandler({ getToken: () => TOKEN, runCommand })
+      );
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    function request(path, { method = 'GET', body, token = TOKEN } = {}) {
+      return new Promise((resolve, reject) => {
+        const req = http.request(
+          `${baseUrl}${path}`,
+          {
+            method,
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+          },
+          res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () =>
+              resolve({
+                status: res.statusCode,
+                json: JSON.parse(Buffer.concat(chunks).toString('utf8')),
+              })
+            );
+          }
+        );
+        req.on('error', reject);
+        req.end(body);
+      });
+    }
+
+    test('requires the token', async () => {
+      const response = await request('/status', { token: null });
+      expect(response.status).toBe(401);
+      expect(runCommand).not.toHaveBeenCalled();
+    });
+
+    test('runs the command for a route', async () => {
+      const response = await request('/play/album', {
+        method: 'POST',
+        body: JSON.stringify({ album: 'Kind of Blue', artist: 'Miles Davis' }),
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.json).toEqual({
+        ok: true,
+        result: {
+          command: 'playAlbum',
+          params: { album: 'Kind of Blue', artist: 'Miles Davis' },
+        },
+      });
+      expect(runCommand).toHaveBeenLastCalledWith(
+        'playAlbum',
+        { album: 'Kind of Blue', artist: 'Miles Davis' },
+        'http'
+      );
+    });
+
+    test('maps command errors to status codes', async () => {
+      const response = await request('/now-playing?zoneId=missing');
+      expect(response.status).toBe(404);
+      expect(response.json.error.code).toBe('NOT_FOUND');
+    });
+
+    test('rejects invalid JSON bodies', async () => {
+      const response = await request('/transport', {
+        method: 'POST',
+        body: '{not json',
+      });
+      expect(response.status).toBe(400);
+    });
+
+    test('answers oversized bodies with 413 before closing', async () => {
+      const body = JSON.stringify({
+        padding: 'x'.repeat(MAX_REQUEST_BODY_BYTES * 4),
+      });
+
+      const response = await new Promise((resolve, reject) => {
+        const req = http.request(
+          `${baseUrl}/transport`,
+          {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${TOKEN}` },
+          },
+          res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () =>
+              resolve({
+                status: res.statusCode,
+                connection: res.headers.connection,
+                json: JSON.parse(Buffer.concat(chunks).toString('utf8')),
+              })
+            );
+          }
+        );
+        // The server may stop reading before the whole body is sent
+        req.on('error', error => {
+          if (error.code !== 'ECONNRESET' && error.code !== 'EPIPE') {
+            reject(error);
+          }
+        });
+        req.end(body);
+      });
+
+      expect(response.status).toBe(413);
+      expect(response.connection).toBe('close');
+      expect(response.json.error.code).toBe('PAYLOAD_TOO_LARGE');
+      expect(runCommand).not.toHaveBeenCalledWith(
+        'transport',
+        expect.anything(),
+        'http'
+      );
+    });
+
+    test('rejects non-object JSON bodies', async () => {
+      const response = await request('/transport', {
+        method: 'POST',
+        body: '["next"]',
+      });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('token storage', () => {
+    function createStore(initial = {}) {
+      const data = { ...initial };
+      return {
+        get: key => data[key],
+        set: (key, value) => {
+          data[key] = value;
+        },
+      };
+    }
+
+    // Reversible stand-in for Electron's safeStorage
+    const secretStorage = {
+      isEncryptionAvailable: () => true,
+      encryptString: text => Buffer.from(`enc:${text}`),
+      decryptString: buffer => buffer.toString().replace(/^enc:/, ''),
+    };
+
+    test('stores a new token encrypted', async () => {
+      const store = createStore();
+      await initialize(store, null, secretStorage);
+
+      const { token } = getControlApiSettings();
+      expect(token).toMatch(/^[0-9a-f]{48}$/);
+      expect(store.get('controlApi').token).toMatchObject({
+        _encrypted: true,
+      });
+      expect(JSON.stringify(store.get('controlApi'))).not.toContain(token);
+
+      const regenerated = regenerateControlApiToken().token;
+      expect(regenerated).not.toBe(token);
+      expect(JSON.stringify(store.get('controlApi'))).not.toContain(
+        regenerated
+      );
+    });
+
+    test('encrypts a token stored in plain text by an earlier version', async () => {
+      const store = createStore({
+        controlApi: { enabled: false, port: 37913, token: TOKEN },
+      });
+      await initialize(store, null, secretStorage);
+
+      expect(getControlApiSettings().token).toBe(TOKEN);
+      expect(store.get('controlApi').token).toMatchObject({
+        _encrypted: true,
+      });
+    });
+
+    test('falls back to plain text with a warning without encryption', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const store = createStore();
+      await initialize(store, null, {
+        ...secretStorage,
+        isEncryptionAvailable: () => false,
+      });
+
+      const { token } = getControlApiSettings();
+      expect(store.get('controlApi').token).toBe(token);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for the remote control commands
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  createControlCommands,
+  parseGenreParams,
+  PLAY_COMMAND_INTERVAL_MS,
+} from '../controlCommands.js';
+
+const ZONES = [
+  { id: 'zone-1', name: 'Living Room' },
+  { id: 'zone-2', name: 'Kitchen' },
+];
+
+const PICKED = { album: 'Kind of Blue', artist: 'Miles Davis', image_key: 'k' };
+
+describe('controlCommands', () => {
+  let roon;
+  let store;
+  let activityService;
+  let clock;
+  let runCommand;
+
+  beforeEach(() => {
+    roon = {
+      getCore: vi.fn(() => ({ display_name: 'Studio Core' })),
+      getFilters: vi.fn(() => ({ genres: [] })),
+      getZonesCache: vi.fn(() => ZONES),
+      getZoneNowPlaying: vi.fn(() => ({
+        song: 'So What',
+        artist: 'Miles Davis / John Coltrane',
+        album: 'Kind of Blue',
+      })),
+      pickRandomAlbumAndPlay: vi.fn(async () => PICKED),
+      playAlbumByName: vi.fn(async () => ({ success: true, ...PICKED })),
+      playRandomAlbumByArtist: vi.fn(async () => PICKED),
+      controlTransport: vi.fn(async () => {}),
+      announceRemotePlay: vi.fn(),
+    };
+    const storage = { lastZoneId: 'zone-1' };
+    store = { get: vi.fn(key => storage[key]) };
+    activityService = {
+      getAll: vi.fn(() => [{ id: 'a' }, { id: 'b' }, { id: 'c' }]),
+    };
+    clock = 1_700_000_000_000;
+    runCommand = createControlCommands({
+      roon,
+      store,
+      activityService,
+      now: () => clock,
+    });
+  });
+
+  describe('parseGenreParams', () => {
+    it('converts genre keys into genre objects', () => {
+      expect(parseGenreParams(['Jazz', 'Jazz::Bebop'])).toEqual([
+        { title: 'Jazz', isSubgenre: false, parentGenre: null },
+        { title: 'Bebop', isSubgenre: true, parentGenre: 'Jazz' },
+      ]);
+    });
+
+    it('passes genre objects through', () => {
+      const genre = { title: 'Jazz', albumCount: 12 };
+      expect(parseGenreParams([genre])).toEqual([genre]);
+    });
+
+    it('rejects invalid genres', () => {
+      expect(() => parseGenreParams('Jazz')).toThrow(/Invalid genres/);
+      expect(() => parseGenreParams([42])).toThrow(/Invalid genres/);
+    });
+  });
+
+  describe('status and lookups', () => {
+    it('reports the connection and selected zone', async () => {
+      const status = await runCommand('status');
+      expect(status).toMatchObject({
+        connected: true,
+        coreName: 'Studio Core',
+        zoneId: 'zone-1',
+      });
+    });
+
+    it('returns now playing for the selected zone by default', async () => {
+      const result = await runCommand('nowPlaying');
+      expect(result.zoneId).toBe('zone-1');
+      expect(roon.getZoneNowPlaying).toHaveBeenCalledWith('zone-1');
+    });
+
+    it('accepts zone names', async () => {
+      const result = await runCommand('nowPlaying', { zoneId: 'kitchen' });
+      expect(result.zoneId).toBe('zone-2');
+    });
+
+    it('rejects unknown zones with NOT_FOUND', async () => {
+      await expect(
+        runCommand('nowPlaying', { zoneId: 'missing' })
+      ).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+
+    it('limits activity items', async () => {
+      expect(await runCommand('activity', { limit: '2' })).toHaveLength(2);
+      await expect(runCommand('activity', { limit: 0 })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+      });
+    });
+
+    it('rejects unknown commands', async () => {
+      await expect(runCommand('shutdown')).rejects.toMatchObject({
+        code: 'NOT_FOUND',
+      });
+    });
+  });
+
+  describe('playback commands', () => {
+    it('plays a random album on the requested zone and announces it', async () => {
+      const result = await runCommand(
+        'playRandom',
+        { genres: ['Jazz'], zoneId: 'zone-2' },
+        'http'
+      );
+
+      expect(result).toEqual(PICKED);
+      expect(roon.pickRandomAlbumAndPlay).toHaveBeenCalledWith(
+        [{ title: 'Jazz', isSubgenre: false, parentGenre: null }],
+        'zone-2'
+      );
+      expect(roon.announceRemotePlay).toHaveBeenCalledWith(PICKED, 'http', {
+        zoneId: 'zone-2',
+        genres: ['Jazz'],
+      });
+    });
+
+    it('fails with CONNECTION_ERROR when no core is paired', async () => {
+      roon.getCore.mockReturnValue(null);
+      await expect(runCommand('playRandom')).rejects.toMatchObject({
+        code: 'CONNECTION_ERROR',
+      });
+    });
+
+    it('validates album and artist names', async () => {
+      await expect(
+        runCommand('playAlbum', { album: 'Kind of Blue' })
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(roon.playAlbumByName).not.toHaveBeenCalled();
+    });
+
+    it('defaults more-from-artist to the primary artist now playing', async () => {
+      await runCommand('moreFromArtist');
+      expect(roon.playRandomAlbumByArtist).toHaveBeenCalledWith(
+        'Miles Davis',
+        'Kind of Blue',
+        'zone-1'
+      );
+    });
+
+    it('does not announce ignored artist requests', async () => {
+      roon.playRandomAlbumByArtist.mockResolvedValue({ ignored: true });
+      await runCommand('moreFromArtist', { artist: 'Miles Davis' });
+      expect(roon.announceRemotePlay).not.toHaveBeenCalled();
+    });
+
+    it('spaces out play commands', async () => {
+      await runCommand('playRandom');
+      await expect(runCommand('playRandom')).rejects.toMatchObject({
+        code: 'RATE_LIMITED',
+      });
+
+      clock += PLAY_COMMAND_INTERVAL_MS;
+      await expect(runCommand('playRandom')).resolves.toEqual(PICKED);
+    });
+  });
+
+  describe('transport', () => {
+    it('sends valid actions to the zone', async () => {
+      await runCommand('transport', { action: 'next' });
+      expect(roon.controlTransport).toHaveBeenCalledWith('zone-1', 'next');
+    });
+
+    it('rejects invalid actions', async () => {
+      await expect(
+        runCommand('transport', { action: 'eject' })
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+});
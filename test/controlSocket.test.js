@@ -0,0 +1,170 @@
+/**
+ * Tests for the CLI control socket
+ */
+
+import {
+  describe,
+  test,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+  vi,
+} from 'vitest';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import {
+  encodeResponse,
+  getControlSocketDir,
+  getControlSocketPath,
+  startControlSocket,
+  stopControlSocket,
+} from '../controlSocket.js';
+import { NoAlbumsError } from '../errors/AppError.js';
+
+/**
+ * Sends one request line and resolves with the parsed response
+ */
+function sendLine(line) {
+  return new Promise((resolve, reject) => {
+    const connection = net.connect(getControlSocketPath());
+    let buffer = '';
+    connection.setEncoding('utf8');
+    connection.on('connect', () => connection.write(line));
+    connection.on('data', chunk => (buffer += chunk));
+    connection.on('end', () => resolve(JSON.parse(buffer)));
+    connection.on('error', reject);
+  });
+}
+
+describe('Control Socket', () => {
+  let runtimeDir;
+  let previousRuntimeDir;
+
+  beforeAll(() => {
+    // Keep test sockets out of the real runtime directory
+    previousRuntimeDir = process.env.XDG_RUNTIME_DIR;
+    runtimeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'control-socket-'));
+    process.env.XDG_RUNTIME_DIR = runtimeDir;
+  });
+
+  afterAll(() => {
+    if (previousRuntimeDir === undefined) {
+      delete process.env.XDG_RUNTIME_DIR;
+    } else {
+      process.env.XDG_RUNTIME_DIR = previousRuntimeDir;
+    }
+    fs.rmSync(runtimeDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    stopControlSocket();
+  });
+
+  describe('getControlSocketPath', () => {
+    test('uses a per-user named pipe on Windows', () => {
+      expect(getControlSocketPath('win32')).toMatch(
+        /^\\\\\.\\pipe\\roon-random-album-/
+      );
+    });
+
+    test('uses the user runtime directory when there is one', () => {
+      expect(
+        getControlSocketPath('linux', { XDG_RUNTIME_DIR: '/run/user/1000' })
+      ).toBe('/run/user/1000/roon-random-album/control.sock');
+    });
+
+    test('falls back to the app data folder', () => {
+      expect(getControlSocketDir('linux', {})).toBe(
+        path.join(os.homedir(), '.config', 'Roon Random Album', 'run')
+      );
+      expect(getControlSocketDir('darwin', {})).toBe(
+        path.join(
+          os.homedir(),
+          'Library',
+          'Application Support',
+          'Roon Random Album',
+          'run'
+        )
+      );
+    });
+  });
+
+  describe('encodeResponse', () => {
+    test('encodes results and errors as JSON lines', () => {
+      expect(encodeResponse({ a: 1 })).toBe('{"ok":true,"result":{"a":1}}\n');
+      expect(
+        encodeResponse(null, new NoAlbumsError('Album list is empty.'))
+      ).toBe(
+        '{"ok":false,"error":{"code":"NO_ALBUMS","message":"Album list is empty."}}\n'
+      );
+    });
+  });
+
+  describe.skipIf(process.platform === 'win32')('server', () => {
+    test('runs commands sent by the CLI', async () => {
+      const runCommand = vi.fn(async command => ({ command }));
+      await startControlSocket(runCommand);
+
+      const response = await sendLine(
+        '{"command":"nowPlaying","params":{"zoneId":"Kitchen"}}\n'
+      );
+
+      expect(response).toEqual({ ok: true, result: { command: 'nowPlaying' } });
+      expect(runCommand).toHaveBeenCalledWith(
+        'nowPlaying',
+        { zoneId: 'Kitchen' },
+        'cli'
+      );
+    });
+
+    test('reports command errors with their code', async () => {
+      await startControlSocket(async () => {
+        throw new NoAlbumsError('Album list is empty.');
+      });
+
+      const response = await sendLine('{"command":"playRandom"}\n');
+      expect(response.error.code).toBe('NO_ALBUMS');
+    });
+
+    test('creates the socket owner-only in a private directory', async () => {
+      await startControlSocket(vi.fn());
+
+      const target = getControlSocketPath();
+      expect(fs.statSync(path.dirname(target)).mode & 0o777).toBe(0o700);
+      expect(fs.statSync(target).mode & 0o777).toBe(0o600);
+    });
+
+    test('tightens a socket directory others can open', async () => {
+      const directory = getControlSocketDir();
+      fs.mkdirSync(directory, { recursive: true });
+      fs.chmodSync(directory, 0o755);
+
+      await startControlSocket(vi.fn());
+
+      expect(fs.statSync(directory).mode & 0o777).toBe(0o700);
+    });
+
+    test('replaces a file left at the socket path', async () => {
+      fs.mkdirSync(getControlSocketDir(), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(getControlSocketPath(), 'stale');
+
+      await startControlSocket(async () => 'ok');
+
+      expect(fs.statSync(getControlSocketPath()).isSocket()).toBe(true);
+      expect(await sendLine('{"command":"status"}\n')).toEqual({
+        ok: true,
+        result: 'ok',
+      });
+    });
+
+    test('rejects malformed requests', async () => {
+      await startControlSocket(vi.fn());
+
+      const response = await sendLine('not json\n');
+      expect(response.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for the two-tier album art cache
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  LRUImageCache,
+  DiskImageCache,
+  ImageCache,
+  createImageCacheKey,
+} from '../imageCache.js';
+
+/**
+ * Creates a test image of the given size
+ */
+function makeImage(bytes, contentType = 'image/jpeg') {
+  return { contentType, body: Buffer.alloc(bytes, 1) };
+}
+
+describe('createImageCacheKey', () => {
+  it('should key images by size, format and scale', () => {
+    const thumbnail = createImageCacheKey('abc', {
+      scale: 'fit',
+      width: 64,
+      height: 64,
+      format: 'image/jpeg',
+    });
+    const cover = createImageCacheKey('abc', {
+      scale: 'fit',
+      width: 512,
+      height: 512,
+      format: 'image/jpeg',
+    });
+
+    expect(thumbnail).toBe('abc|fit|64x64|image/jpeg');
+    expect(thumbnail).not.toBe(cover);
+  });
+});
+
+describe('LRUImageCache', () => {
+  it('should evict the least recently used images by bytes', () => {
+    const cache = new LRUImageCache(250);
+    cache.set('a', makeImage(100));
+    cache.set('b', makeImage(100));
+    cache.get('a');
+    cache.set('c', makeImage(100));
+
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.has('c')).toBe(true);
+    expect(cache.getStats()).toMatchObject({
+      entries: 2,
+      bytes: 200,
+      evictions: 1,
+    });
+  });
+
+  it('should not store an image larger than the budget', () => {
+    const cache = new LRUImageCache(100);
+    cache.set('a', makeImage(50));
+    cache.set('huge', makeImage(101));
+
+    expect(cache.has('huge')).toBe(false);
+    expect(cache.has('a')).toBe(true);
+  });
+
+  it('should count replaced images once', () => {
+    const cache = new LRUImageCache(1000);
+    cache.set('a', makeImage(100));
+    cache.set('a', makeImage(300));
+
+    expect(cache.getStats().bytes).toBe(300);
+  });
+});
+
+describe('DiskImageCache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should keep images across instances', async () => {
+    await new DiskImageCache(directory).set('a', makeImage(10, 'image/png'));
+
+    const image = await new DiskImageCache(directory).get('a');
+
+    expect(image.contentType).toBe('image/png');
+    expect(image.body.length).toBe(10);
+  });
+
+  it('should delete the oldest files beyond the byte budget', async () => {
+    const cache = new DiskImageCache(directory, 250);
+    await cache.set('a', makeImage(100));
+    await cache.set('b', makeImage(100));
+    await cache.get('a');
+    await cache.set('c', makeImage(100));
+
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('a')).not.toBeNull();
+    expect(fs.readdirSync(directory)).toHaveLength(2);
+    expect(cache.getStats()).toMatchObject({ entries: 2, bytes: 200 });
+  });
+
+  it('should treat a deleted file as a miss', async () => {
+    const cache = new DiskImageCache(directory);
+    await cache.set('a', makeImage(10));
+    fs.readdirSync(directory).forEach(name =>
+      fs.unlinkSync(path.join(directory, name))
+    );
+
+    expect(await cache.get('a')).toBeNull();
+    expect(cache.getStats().entries).toBe(0);
+  });
+});
+
+describe('ImageCache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should serve disk images once memory is cleared', async () => {
+    const cache = new ImageCache({ directory });
+    await cache.set('a', makeImage(10));
+    cache.clearMemory();
+
+    expect(await cache.get('a')).not.toBeNull();
+    expect(cache.getStats()).toMatchObject({
+      memory: { entries: 1 },
+      disk: { entries: 1, hits: 1 },
+    });
+  });
+});
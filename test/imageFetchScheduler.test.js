@@ -0,0 +1,140 @@
+/**
+ * Tests for the image fetch scheduler
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { ImageFetchScheduler } from '../imageFetchScheduler.js';
+
+/**
+ * Creates a task that resolves when released, recording when it started
+ */
+function createTask(started, name) {
+  let release;
+  const task = vi.fn(() => {
+    started.push(name);
+    return new Promise(resolve => {
+      release = () => resolve(name);
+    });
+  });
+  return { task, release: () => release() };
+}
+
+/**
+ * Lets queued microtasks (task starts and completions) run
+ */
+function flush() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('ImageFetchScheduler', () => {
+  it('should run at most the concurrency limit at once', async () => {
+    const scheduler = new ImageFetchScheduler(2);
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(name => createTask(started, name));
+
+    tasks.forEach(({ task }, i) => scheduler.schedule(`key-${i}`, task));
+    await flush();
+    expect(started).toEqual(['a', 'b']);
+
+    tasks[0].release();
+    await flush();
+    expect(started).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should run higher priorities first, oldest first within one', async () => {
+    const scheduler = new ImageFetchScheduler(1);
+    const started = [];
+    const blocker = createTask(started, 'blocker');
+    scheduler.schedule('blocker', blocker.task);
+
+    const queued = createTask(started, 'queued');
+    const firstActivity = createTask(started, 'activity 1');
+    const secondActivity = createTask(started, 'activity 2');
+    const nowPlaying = createTask(started, 'now playing');
+    scheduler.schedule('q', queued.task, 'queued');
+    scheduler.schedule('a1', firstActivity.task, 'activity');
+    scheduler.schedule('a2', secondActivity.task, 'activity');
+    scheduler.schedule('np', nowPlaying.task, 'nowPlaying');
+
+    for (const { release } of [
+      blocker,
+      nowPlaying,
+      firstActivity,
+      secondActivity,
+    ]) {
+      await flush();
+      release();
+    }
+    await flush();
+
+    expect(started).toEqual([
+      'blocker',
+      'now playing',
+      'activity 1',
+      'activity 2',
+      'queued',
+    ]);
+  });
+
+  it('should share one fetch between requests for the same key', async () => {
+    const scheduler = new ImageFetchScheduler(1);
+    const started = [];
+    const { task, release } = createTask(started, 'image');
+    const duplicate = vi.fn();
+
+    const first = scheduler.schedule('key', task);
+    const second = scheduler.schedule('key', duplicate);
+    await flush();
+    release();
+
+    expect(await first).toBe('image');
+    expect(await second).toBe('image');
+    expect(duplicate).not.toHaveBeenCalled();
+    expect(scheduler.getStats()).toMatchObject({ started: 1, deduplicated: 1 });
+  });
+
+  it('should move a queued fetch up when requested at a higher priority', async () => {
+    const scheduler = new ImageFetchScheduler(1);
+    const started = [];
+    const blocker = createTask(started, 'blocker');
+    const activity = createTask(started, 'activity');
+    const queued = createTask(started, 'queued');
+    scheduler.schedule('blocker', blocker.task);
+    scheduler.schedule('a', activity.task, 'activity');
+    scheduler.schedule('q', queued.task, 'queued');
+    scheduler.schedule('q', vi.fn(), 'nowPlaying');
+
+    await flush();
+    blocker.release();
+    await flush();
+
+    expect(started).toEqual(['blocker', 'queued']);
+  });
+
+  it('should resolve queued requests to null when cleared', async () => {
+    const scheduler = new ImageFetchScheduler(1);
+    const started = [];
+    const running = createTask(started, 'running');
+    const waiting = createTask(started, 'waiting');
+    scheduler.schedule('running', running.task);
+    const result = scheduler.schedule('waiting', waiting.task);
+
+    scheduler.clear();
+
+    expect(await result).toBeNull();
+    expect(waiting.task).not.toHaveBeenCalled();
+    expect(scheduler.getStats().queued).toBe(0);
+  });
+
+  it('should pass task failures to every waiting request', async () => {
+    const scheduler = new ImageFetchScheduler();
+    const failing = () => Promise.reject(new Error('Core went away'));
+
+    const first = scheduler.schedule('key', failing);
+    const second = scheduler.schedule('key', failing);
+
+    await expect(first).rejects.toThrow('Core went away');
+    await expect(second).rejects.toThrow('Core went away');
+    expect(scheduler.getStats().active).toBe(0);
+  });
+});
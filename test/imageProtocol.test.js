@@ -0,0 +1,59 @@
+/**
+ * Tests for the roonimg:// album art protocol
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('electron', () => ({
+  protocol: { registerSchemesAsPrivileged: vi.fn(), handle: vi.fn() },
+}));
+
+import { parseImageUrl, MAX_IMAGE_SIZE } from '../imageProtocol.js';
+import { createImageUrl } from '../renderer/utils/images.js';
+
+describe('parseImageUrl', () => {
+  it('should read the image key and options from renderer URLs', () => {
+    const url = createImageUrl('a1/b2 c3', {
+      width: 144,
+      height: 144,
+      format: 'png',
+      scale: 'fill',
+    });
+
+    expect(parseImageUrl(url)).toEqual({
+      imageKey: 'a1/b2 c3',
+      options: { width: 144, height: 144, format: 'image/png', scale: 'fill' },
+    });
+  });
+
+  it('should leave missing options to the image service defaults', () => {
+    expect(parseImageUrl(createImageUrl('abc'))).toEqual({
+      imageKey: 'abc',
+      options: {},
+    });
+  });
+
+  it('should read the fetch priority apart from the image options', () => {
+    expect(
+      parseImageUrl(createImageUrl('abc', { width: 64, priority: 'queued' }))
+    ).toEqual({ imageKey: 'abc', options: { width: 64 }, priority: 'queued' });
+    expect(parseImageUrl('roonimg://art/abc?priority=urgent')).toBeNull();
+  });
+
+  it('should reject invalid sizes, formats and scales', () => {
+    expect(parseImageUrl('roonimg://art/abc?w=0')).toBeNull();
+    expect(
+      parseImageUrl(`roonimg://art/abc?h=${MAX_IMAGE_SIZE + 1}`)
+    ).toBeNull();
+    expect(parseImageUrl('roonimg://art/abc?w=12.5')).toBeNull();
+    expect(parseImageUrl('roonimg://art/abc?format=gif')).toBeNull();
+    expect(parseImageUrl('roonimg://art/abc?scale=crop')).toBeNull();
+  });
+
+  it('should reject other schemes, hosts and empty keys', () => {
+    expect(parseImageUrl('https://art/abc')).toBeNull();
+    expect(parseImageUrl('roonimg://other/abc')).toBeNull();
+    expect(parseImageUrl('roonimg://art/')).toBeNull();
+    expect(parseImageUrl('not a url')).toBeNull();
+  });
+});
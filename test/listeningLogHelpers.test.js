@@ -0,0 +1,298 @@
+/**
+ * Tests for listening log helper functions
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createHash } from 'crypto';
+import {
+  createLogEntry,
+  createTrackListen,
+  hasPassedPlayThreshold,
+  trimListeningLog,
+  formatCsv,
+  toListenBrainzListens,
+  toLastfmScrobbles,
+  toLastfmScrobbleParams,
+  signLastfmParams,
+  exportListeningLog,
+  MAX_LOG_GENRES,
+  SUBMISSION_CLIENT_NAME,
+} from '../listeningLogHelpers.js';
+
+const ENTRY = {
+  id: 'a1',
+  timestamp: Date.UTC(2024, 0, 2, 3, 4, 5),
+  album: 'Kind of Blue',
+  artist: 'Miles Davis',
+  zoneId: 'zone-1',
+  zoneName: 'Living Room',
+  profile: 'Alex',
+  genres: ['Jazz', 'Jazz::Modal'],
+  playedVia: 'random',
+};
+
+const LISTEN = {
+  id: 'l1',
+  timestamp: Date.UTC(2024, 0, 2, 3, 4, 5),
+  track: 'So What',
+  artist: 'Miles Davis',
+  album: 'Kind of Blue',
+  durationMs: 562000,
+  zoneId: 'zone-1',
+  zoneName: 'Living Room',
+  profile: 'Alex',
+};
+
+describe('Listening Log Helpers', () => {
+  describe('createLogEntry', () => {
+    test('maps an activity item and adds the main process context', () => {
+      const entry = createLogEntry(
+        {
+          id: 'a1',
+          title: 'Kind of Blue',
+          subtitle: 'Miles Davis',
+          timestamp: 123,
+          playedVia: 'auto',
+          genres: ['Jazz'],
+        },
+        { zoneId: 'zone-1', zoneName: 'Kitchen', profile: 'Alex' }
+      );
+
+      expect(entry).toEqual({
+        id: 'a1',
+        timestamp: 123,
+        album: 'Kind of Blue',
+        artist: 'Miles Davis',
+        zoneId: 'zone-1',
+        zoneName: 'Kitchen',
+        profile: 'Alex',
+        genres: ['Jazz'],
+        playedVia: 'auto',
+      });
+    });
+
+    test('prefers the zone the item was played on', () => {
+      const entry = createLogEntry(
+        { id: 'a', title: 'A', subtitle: 'B', zoneId: 'zone-2' },
+        { zoneId: 'zone-1' }
+      );
+      expect(entry.zoneId).toBe('zone-2');
+    });
+
+    test('drops invalid genres and caps the list', () => {
+      const genres = ['', 42, ...Array.from({ length: 30 }, (_, i) => `G${i}`)];
+      const entry = createLogEntry({
+        id: 'a',
+        title: 'A',
+        subtitle: 'B',
+        genres,
+      });
+      expect(entry.genres).toHaveLength(MAX_LOG_GENRES);
+      expect(entry.genres[0]).toBe('G0');
+    });
+  });
+
+  describe('hasPassedPlayThreshold', () => {
+    const track = { title: 'So What', artist: 'Miles Davis', length: 200 };
+
+    test('counts a track once half of it has played', () => {
+      expect(hasPassedPlayThreshold({ ...track, playedMs: 99000 })).toBe(false);
+      expect(hasPassedPlayThreshold({ ...track, playedMs: 100000 })).toBe(true);
+    });
+
+    test('counts long tracks after 4 minutes', () => {
+      expect(
+        hasPassedPlayThreshold({ ...track, length: 1200, playedMs: 240000 })
+      ).toBe(true);
+    });
+
+    test('never counts tracks of 30 seconds or less', () => {
+      expect(
+        hasPassedPlayThreshold({ ...track, length: 30, playedMs: 30000 })
+      ).toBe(false);
+    });
+
+    test('needs 4 minutes when the length is unknown', () => {
+      const unknown = { ...track, length: null };
+      expect(hasPassedPlayThreshold({ ...unknown, playedMs: 200000 })).toBe(
+        false
+      );
+      expect(hasPassedPlayThreshold({ ...unknown, playedMs: 240000 })).toBe(
+        true
+      );
+    });
+
+    test('needs a title and artist', () => {
+      expect(
+        hasPassedPlayThreshold({ ...track, artist: null, playedMs: 200000 })
+      ).toBe(false);
+    });
+  });
+
+  describe('createTrackListen', () => {
+    test('maps a track history entry and adds the context', () => {
+      const listen = createTrackListen(
+        {
+          id: 'l1',
+          title: 'So What',
+          artist: 'Miles Davis',
+          album: 'Kind of Blue',
+          length: 562,
+          startedAt: LISTEN.timestamp,
+          playedMs: 562000,
+        },
+        { zoneId: 'zone-1', zoneName: 'Living Room', profile: 'Alex' }
+      );
+      expect(listen).toEqual(LISTEN);
+    });
+
+    test('leaves the duration empty when the length is unknown', () => {
+      const listen = createTrackListen({
+        title: 'A',
+        artist: 'B',
+        length: null,
+        startedAt: 1,
+      });
+      expect(listen).toMatchObject({ album: null, durationMs: null });
+    });
+  });
+
+  describe('trimListeningLog', () => {
+    test('keeps the newest entries', () => {
+      const entries = [1, 2, 3, 4, 5].map(timestamp => ({ timestamp }));
+      expect(trimListeningLog(entries, 3).map(e => e.timestamp)).toEqual([
+        3, 4, 5,
+      ]);
+    });
+
+    test('returns the log unchanged when under the limit', () => {
+      const entries = [{ timestamp: 1 }];
+      expect(trimListeningLog(entries, 3)).toBe(entries);
+    });
+  });
+
+  describe('formatCsv', () => {
+    test('writes a header row and ISO timestamps', () => {
+      const csv = formatCsv([ENTRY]);
+      expect(csv).toBe(
+        'timestamp,album,artist,zoneId,zoneName,profile,genres,playedVia\r\n' +
+          '2024-01-02T03:04:05.000Z,Kind of Blue,Miles Davis,zone-1,Living Room,Alex,Jazz; Jazz::Modal,random\r\n'
+      );
+    });
+
+    test('quotes fields with commas, quotes and line breaks', () => {
+      const csv = formatCsv([
+        {
+          ...ENTRY,
+          album: 'Live, "Evil"',
+          artist: 'Line\nBreak',
+          zoneName: null,
+          genres: [],
+        },
+      ]);
+      const row = csv.split('\r\n')[1];
+      expect(row).toContain('"Live, ""Evil"""');
+      expect(row).toContain('"Line\nBreak"');
+      expect(row).toContain('zone-1,,Alex,,random');
+    });
+  });
+
+  describe('toListenBrainzListens', () => {
+    test('sends the track with its album and duration', () => {
+      const [listen] = toListenBrainzListens([LISTEN]);
+      expect(listen.listened_at).toBe(Math.floor(LISTEN.timestamp / 1000));
+      expect(listen.track_metadata).toMatchObject({
+        artist_name: 'Miles Davis',
+        track_name: 'So What',
+        release_name: 'Kind of Blue',
+        additional_info: {
+          submission_client: SUBMISSION_CLIENT_NAME,
+          duration_ms: 562000,
+        },
+      });
+    });
+
+    test('leaves out unknown album and duration', () => {
+      const [listen] = toListenBrainzListens([
+        { ...LISTEN, album: null, durationMs: null },
+      ]);
+      expect(listen.track_metadata).not.toHaveProperty('release_name');
+      expect(listen.track_metadata.additional_info).not.toHaveProperty(
+        'duration_ms'
+      );
+    });
+  });
+
+  describe('Last.fm', () => {
+    test('builds indexed scrobble parameters', () => {
+      const params = toLastfmScrobbleParams(
+        toLastfmScrobbles([LISTEN, { ...LISTEN, track: 'Freddie Freeloader' }])
+      );
+      expect(params).toMatchObject({
+        'artist[0]': 'Miles Davis',
+        'track[0]': 'So What',
+        'album[0]': 'Kind of Blue',
+        'duration[0]': '562',
+        'track[1]': 'Freddie Freeloader',
+        'timestamp[1]': String(Math.floor(LISTEN.timestamp / 1000)),
+      });
+    });
+
+    test('signs sorted parameters and ignores format', () => {
+      const signature = signLastfmParams(
+        { sk: 'S', method: 'track.scrobble', api_key: 'K', format: 'json' },
+        'secret'
+      );
+      const expected = createHash('md5')
+        .update('api_keyKmethodtrack.scrobbleskSsecret')
+        .digest('hex');
+      expect(signature).toBe(expected);
+    });
+  });
+
+  describe('exportListeningLog', () => {
+    const now = Date.UTC(2024, 5, 1);
+
+    const log = { entries: [ENTRY], listens: [LISTEN] };
+
+    test('exports JSON with a version and export date', () => {
+      const data = JSON.parse(exportListeningLog(log, 'json', now));
+      expect(data).toEqual({
+        version: 1,
+        exportedAt: '2024-06-01T00:00:00.000Z',
+        entries: [ENTRY],
+        listens: [LISTEN],
+      });
+    });
+
+    test('exports played tracks as a ListenBrainz import payload', () => {
+      const data = JSON.parse(exportListeningLog(log, 'listenbrainz'));
+      expect(data.listen_type).toBe('import');
+      expect(data.payload).toHaveLength(1);
+      expect(data.payload[0].track_metadata.track_name).toBe('So What');
+    });
+
+    test('exports played tracks as Last.fm scrobbles', () => {
+      const data = JSON.parse(exportListeningLog(log, 'lastfm'));
+      expect(data).toEqual([
+        {
+          artist: 'Miles Davis',
+          track: 'So What',
+          timestamp: Math.floor(LISTEN.timestamp / 1000),
+          album: 'Kind of Blue',
+          duration: 562,
+        },
+      ]);
+    });
+
+    test('exports albums as CSV', () => {
+      expect(exportListeningLog(log, 'csv')).toBe(formatCsv([ENTRY]));
+    });
+
+    test('throws for unknown formats', () => {
+      expect(() => exportListeningLog(log, 'xml')).toThrow(
+        'Unknown export format: xml'
+      );
+    });
+  });
+});
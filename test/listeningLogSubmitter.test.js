@@ -0,0 +1,190 @@
+/**
+ * Tests for the listening log submitter, against a local stand-in service
+ */
+
+import {
+  describe,
+  test,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  vi,
+} from 'vitest';
+import http from 'http';
+import { URLSearchParams } from 'url';
+import { submitPendingListens } from '../listeningLogSubmitter.js';
+import { ListeningLogService } from '../services/ListeningLogService.js';
+
+describe('Listening Log Submitter', () => {
+  let server;
+  let endpoint;
+  let requests;
+  let respond;
+  let listeningLog;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const request = {
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString('utf8'),
+        };
+        requests.push(request);
+        const { status, body } = respond(request, requests.length);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/submit`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    requests = [];
+    respond = () => ({ status: 200, body: { status: 'ok' } });
+
+    const storage = {};
+    listeningLog = new ListeningLogService({
+      get: key => storage[key],
+      set: (key, value) => {
+        storage[key] = value;
+      },
+    });
+  });
+
+  function recordTracks(count) {
+    for (let i = 1; i <= count; i++) {
+      listeningLog.recordTrackListen(
+        {
+          title: `Track ${i}`,
+          artist: 'Artist',
+          album: 'Album',
+          length: 180,
+          startedAt: i * 1000,
+          playedMs: 180000,
+        },
+        {},
+        i * 1000
+      );
+    }
+  }
+
+  test('refuses to submit without credentials', async () => {
+    recordTracks(1);
+    await expect(submitPendingListens(listeningLog)).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+    });
+    expect(requests).toHaveLength(0);
+  });
+
+  test('submits ListenBrainz listens in batches of 100', async () => {
+    recordTracks(150);
+    listeningLog.setSubmissionSettings({ endpoint, token: 'lb-token' });
+
+    const result = await submitPendingListens(listeningLog);
+
+    expect(result).toEqual({ submitted: 150 });
+    expect(requests).toHaveLength(2);
+    expect(requests[0].headers.authorization).toBe('Token lb-token');
+
+    const first = JSON.parse(requests[0].body);
+    expect(first.listen_type).toBe('import');
+    expect(first.payload).toHaveLength(100);
+    expect(first.payload[0].track_metadata.track_name).toBe('Track 1');
+    expect(JSON.parse(requests[1].body).payload).toHaveLength(50);
+
+    expect(listeningLog.getStatus().pending).toBe(0);
+  });
+
+  test('sends a single listen on its own', async () => {
+    recordTracks(1);
+    listeningLog.setSubmissionSettings({ endpoint, token: 'lb-token' });
+
+    await submitPendingListens(listeningLog);
+    expect(JSON.parse(requests[0].body).listen_type).toBe('single');
+  });
+
+  test('keeps the batches already accepted when one is rejected', async () => {
+    recordTracks(150);
+    listeningLog.setSubmissionSettings({ endpoint, token: 'lb-token' });
+    respond = (_request, count) =>
+      count === 1
+        ? { status: 200, body: { status: 'ok' } }
+        : { status: 401, body: { code: 401, error: 'Invalid token' } };
+
+    await expect(submitPendingListens(listeningLog)).rejects.toMatchObject({
+      code: 'API_ERROR',
+      message: 'ListenBrainz rejected the submission (401)',
+    });
+
+    expect(listeningLog.getStatus()).toMatchObject({
+      pending: 50,
+      lastSubmissionError: 'ListenBrainz rejected the submission (401)',
+    });
+  });
+
+  test('submits signed Last.fm scrobbles', async () => {
+    recordTracks(2);
+    listeningLog.setSubmissionSettings({
+      service: 'lastfm',
+      endpoint,
+      apiKey: 'key',
+      apiSecret: 'secret',
+      sessionKey: 'session',
+    });
+
+    await submitPendingListens(listeningLog);
+
+    const params = new URLSearchParams(requests[0].body);
+    expect(params.get('method')).toBe('track.scrobble');
+    expect(params.get('api_key')).toBe('key');
+    expect(params.get('sk')).toBe('session');
+    expect(params.get('artist[1]')).toBe('Artist');
+    expect(params.get('api_sig')).toMatch(/^[0-9a-f]{32}$/);
+    expect(params.get('format')).toBe('json');
+  });
+
+  test('treats Last.fm errors in a 200 response as failures', async () => {
+    recordTracks(1);
+    listeningLog.setSubmissionSettings({
+      service: 'lastfm',
+      endpoint,
+      apiKey: 'key',
+      apiSecret: 'secret',
+      sessionKey: 'session',
+    });
+    respond = () => ({
+      status: 200,
+      body: { error: 9, message: 'Invalid session key' },
+    });
+
+    await expect(submitPendingListens(listeningLog)).rejects.toThrow(
+      'Last.fm rejected the submission (9): Invalid session key'
+    );
+    expect(listeningLog.getStatus().pending).toBe(1);
+  });
+
+  test('shares a submission already running', async () => {
+    recordTracks(1);
+    listeningLog.setSubmissionSettings({ endpoint, token: 'lb-token' });
+
+    const [first, second] = await Promise.all([
+      submitPendingListens(listeningLog),
+      submitPendingListens(listeningLog),
+    ]);
+
+    expect(first).toEqual(second);
+    expect(requests).toHaveLength(1);
+  });
+});
@@ -0,0 +1,637 @@
+/**
+ * Mock Roon Core for end-to-end tests
+ *
+ * A scripted stand-in for a paired Roon Core: browse, transport and image
+ * services backed by an in-memory library, plus a fake `node-roon-api` class
+ * that pairs with it. roonService runs unchanged on top of it, so random
+ * picks, artist picks, profile switching and zone updates can be tested
+ * without hardware.
+ *
+ * The browse hierarchy mirrors the parts of a real Core that roonService
+ * navigates:
+ *
+ *   Library > Artists > <artist> > <album>
+ *   Library > Albums > <album> > Play Album > Play Now | Add Next | Queue
+ *                              > <n>. <track> > Play Now | Add Next | Queue
+ *   Library > Tags > <tag> > Albums
+ *   Genres > <genre> > Albums | <subgenre> > Albums
+ *   Settings > Profile > <profile>
+ *
+ * Like a real Core, item keys are only valid until the next `pop_all`, and
+ * `load` always reads the current level whatever item_key is passed.
+ *
+ * Track rows show their length after the performer ("Artist · 5:00") so
+ * duration lookups can be tested; with `showTrackLengths: false` they show
+ * only the performer, as real Cores usually do. Each zone has a play queue
+ * that albums and tracks are added to, whose items always carry lengths.
+ */
+
+// Actions offered for an album, in the order Roon lists them
+const ALBUM_ACTIONS = ['Play Now', 'Add Next', 'Queue', 'Start Radio'];
+
+// Track lengths for albums whose fixture gives none (a 20 minute album)
+const DEFAULT_TRACK_LENGTHS = [300, 300, 300, 300];
+
+/**
+ * Creates an album fixture list
+ * @param {number} count - Number of albums
+ * @param {Object} fields - Shared fields (artist, genre, subgenre, year, tags, profile, trackLengths)
+ * @param {string} [prefix] - Title prefix (titles are "<prefix> 1", "<prefix> 2"...)
+ * @returns {Array<Object>} Albums
+ */
+export function makeAlbums(count, fields, prefix = fields.genre) {
+  return Array.from({ length: count }, (_, i) => ({
+    title: `${prefix} ${i + 1}`,
+    ...fields,
+  }));
+}
+
+/**
+ * Formats an album count the way Roon does in list subtitles
+ * @param {number} count - Album count
+ * @returns {string} "1 Album" or "12 Albums"
+ */
+function formatAlbumCount(count) {
+  return `${count} ${count === 1 ? 'Album' : 'Albums'}`;
+}
+
+/**
+ * Formats a track length the way album pages show it
+ * @param {number} seconds - Length in seconds
+ * @returns {string} "m:ss"
+ */
+function formatTrackLength(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Creates a mock Core
+ * @param {Object} options
+ * @param {Array<Object>} options.albums - Albums ({ title, artist, genre, subgenre?, year?, profile?, trackLengths? })
+ * @param {Array<string>} [options.profiles] - Profile names; the first is selected
+ * @param {Array<Object>} [options.zones] - Raw transport zones
+ * @param {string} [options.displayName] - Core name
+ * @param {boolean} [options.showTrackLengths] - Whether album pages show track lengths
+ * @returns {Object} Mock Core ({ core, played, transportCalls, ... })
+ */
+export function createMockRoonCore({
+  albums,
+  profiles = ['Default'],
+  zones = [],
+  displayName = 'Mock Core',
+  showTrackLengths = true,
+}) {
+  let currentProfile = profiles[0];
+  let zonesRaw = zones.map(zone => ({ ...zone }));
+  let zoneSubscriber = null;
+
+  // Browse session: the level stack and the item keys valid in it
+  let generation = 0;
+  let nextKey = 0;
+  let itemsByKey = new Map();
+  let stack = [];
+
+  const played = [];
+  const transportCalls = [];
+
+  // Play queues and their subscribers: zoneId -> items / Set of callbacks
+  const queues = new Map();
+  const queueSubscribers = new Map();
+  let nextQueueItemId = 1;
+
+  function visibleAlbums() {
+    return albums.filter(
+      album => !album.profile || album.profile === currentProfile
+    );
+  }
+
+  /**
+   * Creates a browse node; children are built when the node is opened
+   */
+  function node(fields, children = null) {
+    return { hint: children ? 'list' : 'action', ...fields, children };
+  }
+
+  function albumNode(album) {
+    return node(
+      {
+        title: album.title,
+        subtitle: album.artist,
+        image_key: album.image_key || `img-${album.title}`,
+        album,
+      },
+      () => [
+        node({ title: 'Play Album', hint: 'action_list' }, () =>
+          ALBUM_ACTIONS.map(action =>
+            node({ title: action, hint: 'action', album, action })
+          )
+        ),
+        ...trackNodes(album),
+      ]
+    );
+  }
+
+  function albumTracks(album) {
+    return (album.trackLengths || DEFAULT_TRACK_LENGTHS).map((length, i) => ({
+      title: `${album.title} Track ${i + 1}`,
+      length,
+    }));
+  }
+
+  function trackNodes(album) {
+    return albumTracks(album).map((track, i) => {
+      return node(
+        {
+          title: `${i + 1}. ${track.title}`,
+          subtitle: showTrackLengths
+            ? `${album.artist} · ${formatTrackLength(track.length)}`
+            : album.artist,
+          hint: 'action_list',
+          album,
+          track,
+        },
+        () =>
+          ALBUM_ACTIONS.map(action =>
+            node({ title: action, hint: 'action', album, track, action })
+          )
+      );
+    });
+  }
+
+  // "Albums" entries carry no count; only genre and artist items do
+  function albumListNode(list) {
+    return node({ title: 'Albums' }, () => list.map(albumNode));
+  }
+
+  function genreNode(genre, genreAlbums) {
+    const subgenres = [
+      ...new Set(genreAlbums.map(a => a.subgenre).filter(Boolean)),
+    ];
+
+    return node(
+      { title: genre, subtitle: formatAlbumCount(genreAlbums.length) },
+      () => [
+        albumListNode(genreAlbums),
+        ...subgenres.map(subgenre => {
+          const subgenreAlbums = genreAlbums.filter(
+            a => a.subgenre === subgenre
+          );
+          return node(
+            {
+              title: subgenre,
+              subtitle: formatAlbumCount(subgenreAlbums.length),
+            },
+            () => [albumListNode(subgenreAlbums)]
+          );
+        }),
+      ]
+    );
+  }
+
+  function buildRoot() {
+    const library = visibleAlbums();
+    const artists = [...new Set(library.map(a => a.artist))].sort();
+    const genres = [...new Set(library.map(a => a.genre))].sort();
+    const tags = [...new Set(library.flatMap(a => a.tags || []))].sort();
+
+    return node({ title: 'Explore' }, () => [
+      node({ title: 'Library' }, () => [
+        node({ title: 'Search', hint: 'action' }),
+        node({ title: 'Artists' }, () =>
+          artists.map(artist => {
+            const artistAlbums = library.filter(a => a.artist === artist);
+            return node(
+              {
+                title: artist,
+                subtitle: formatAlbumCount(artistAlbums.length),
+              },
+              () => artistAlbums.map(albumNode)
+            );
+          })
+        ),
+        albumListNode(library),
+        node({ title: 'Tags' }, () =>
+          tags.map(tag => {
+            const tagAlbums = library.filter(a => a.tags?.includes(tag));
+            return node(
+              { title: tag, subtitle: formatAlbumCount(tagAlbums.length) },
+              () => [albumListNode(tagAlbums)]
+            );
+          })
+        ),
+      ]),
+      node({ title: 'Genres' }, () =>
+        genres.map(genre =>
+          genreNode(
+            genre,
+            library.filter(a => a.genre === genre)
+          )
+        )
+      ),
+      node({ title: 'Settings' }, () => [
+        node({ title: 'Profile', subtitle: currentProfile }, () =>
+          profiles.map(profile =>
+            node({
+              title: profile,
+              subtitle: profile === currentProfile ? 'selected' : '',
+              profile,
+            })
+          )
+        ),
+      ]),
+    ]);
+  }
+
+  /**
+   * Opens a node: builds its items and gives each a key for this session
+   */
+  function open(target) {
+    const items = (target.children ? target.children() : []).map(child => {
+      const itemKey = `${generation}:${nextKey++}`;
+      itemsByKey.set(itemKey, child);
+      return { ...child, item_key: itemKey };
+    });
+    return { node: target, items };
+  }
+
+  function listInfo() {
+    const { node: current, items } = stack[stack.length - 1];
+    const album = current.album;
+    return {
+      title: current.title,
+      subtitle:
+        album && !current.hint.startsWith('action')
+          ? [album.artist, album.year].filter(Boolean).join(' · ')
+          : current.subtitle || null,
+      count: items.length,
+      level: stack.length - 1,
+      image_key: current.image_key || null,
+    };
+  }
+
+  function resetSession() {
+    generation++;
+    itemsByKey = new Map();
+    stack = [open(buildRoot())];
+  }
+
+  function runAction(target, zoneId) {
+    if (target.profile) {
+      currentProfile = target.profile;
+      return;
+    }
+
+    if (!target.album) return;
+
+    const zone = zonesRaw.find(z => z.zone_id === zoneId);
+    played.push({
+      action: target.action,
+      album: target.album.title,
+      artist: target.album.artist,
+      zoneId,
+      ...(target.track && { track: target.track.title }),
+    });
+
+    queueTracks(
+      zoneId,
+      target.action,
+      target.album,
+      target.track ? [target.track] : albumTracks(target.album)
+    );
+
+    // Starting an album or track changes what the zone is playing
+    if (zone && target.action === 'Play Now') {
+      updateZone({
+        ...zone,
+        state: 'playing',
+        now_playing: {
+          seek_position: 0,
+          length: target.track?.length || 300,
+          image_key: target.album.image_key || `img-${target.album.title}`,
+          three_line: {
+            line1: target.track?.title || `${target.album.title} Track 1`,
+            line2: target.album.artist,
+            line3: target.album.title,
+          },
+        },
+      });
+    }
+  }
+
+  /**
+   * Adds tracks to a zone's queue the way an action would, and notifies
+   * the queue's subscriber of the change
+   */
+  function queueTracks(zoneId, action, album, tracks) {
+    const queue = queues.get(zoneId) || [];
+    const items = tracks.map(track => ({
+      queue_item_id: nextQueueItemId++,
+      length: track.length,
+      image_key: album.image_key || `img-${album.title}`,
+      one_line: { line1: track.title },
+      two_line: { line1: track.title, line2: album.artist },
+      three_line: {
+        line1: track.title,
+        line2: album.artist,
+        line3: album.title,
+      },
+    }));
+
+    const changes = [];
+    let index = queue.length;
+    if (action === 'Play Now') {
+      if (queue.length) {
+        changes.push({ operation: 'remove', index: 0, count: queue.length });
+      }
+      queue.length = 0;
+      index = 0;
+    } else if (action === 'Add Next') {
+      index = Math.min(1, queue.length);
+    } else if (action !== 'Queue') {
+      return;
+    }
+
+    queue.splice(index, 0, ...items);
+    queues.set(zoneId, queue);
+    changes.push({ operation: 'insert', index, items });
+    (queueSubscribers.get(zoneId) || []).forEach(subscriber =>
+      subscriber('Changed', { changes })
+    );
+  }
+
+  function stripItem(item) {
+    const { title, subtitle, hint, image_key, item_key } = item;
+    return { title, subtitle, hint, image_key, item_key };
+  }
+
+  /**
+   * Calls back on a later tick, like a network round trip
+   */
+  function reply(callback, error, result) {
+    setTimeout(() => callback(error, result), 0);
+  }
+
+  const browseService = {
+    browse(options, callback) {
+      if (options.pop_all || stack.length === 0) {
+        resetSession();
+      }
+
+      if (options.pop_levels) {
+        stack = stack.slice(0, Math.max(1, stack.length - options.pop_levels));
+      }
+
+      if (options.item_key) {
+        const target = itemsByKey.get(options.item_key);
+        if (!target) return reply(callback, 'InvalidItemKey');
+
+        if (!target.children) {
+          runAction(target, options.zone_or_output_id);
+          return reply(callback, false, { action: 'none' });
+        }
+
+        stack.push(open(target));
+      }
+
+      reply(callback, false, { action: 'list', list: listInfo() });
+    },
+
+    load(options, callback) {
+      if (stack.length === 0) resetSession();
+
+      const { items } = stack[stack.length - 1];
+      const offset = options.offset || 0;
+      const count = options.count || 100;
+
+      reply(callback, false, {
+        items: items.slice(offset, offset + count).map(stripItem),
+        offset,
+        list: listInfo(),
+      });
+    },
+  };
+
+  function updateZone(zone) {
+    zonesRaw = zonesRaw.map(z => (z.zone_id === zone.zone_id ? zone : z));
+    zoneSubscriber?.('Changed', { zones_changed: [zone] });
+  }
+
+  function findZone(zoneOrOutput) {
+    const zoneId = zoneOrOutput?.zone_id || zoneOrOutput;
+    return zonesRaw.find(z => z.zone_id === zoneId) || null;
+  }
+
+  function recordTransport(name, args, callback) {
+    transportCalls.push({ name, ...args });
+    reply(callback, false);
+  }
+
+  // Zones merged into each group, restored when it is ungrouped: group zone_id -> zones
+  const groupedZones = new Map();
+  let nextGroupId = 1;
+
+  /**
+   * Replaces zones and notifies subscribers, like a Core grouping outputs
+   * Grouping never changes a zone: the old zones are removed and new added
+   */
+  function replaceZones(removed, added) {
+    const removedIds = removed.map(zone => zone.zone_id);
+    zonesRaw = [
+      ...zonesRaw.filter(zone => !removedIds.includes(zone.zone_id)),
+      ...added,
+    ];
+    zoneSubscriber?.('Changed', {
+      zones_removed: removedIds,
+      zones_added: added,
+    });
+  }
+
+  function zonesWithOutputs(outputs) {
+    const outputIds = outputs.map(o => o.output_id ?? o);
+    return zonesRaw.filter(zone =>
+      (zone.outputs || []).some(output => outputIds.includes(output.output_id))
+    );
+  }
+
+  const transportService = {
+    subscribe_zones(callback) {
+      zoneSubscriber = callback;
+      reply(callback, 'Subscribed', { zones: zonesRaw });
+    },
+    get_zones(callback) {
+      reply(callback, false, { zones: zonesRaw });
+    },
+    control(zone, control, callback) {
+      recordTransport(
+        'control',
+        { zoneId: findZone(zone)?.zone_id, control },
+        callback
+      );
+    },
+    seek(zone, how, seconds, callback) {
+      recordTransport(
+        'seek',
+        { zoneId: findZone(zone)?.zone_id, how, seconds },
+        callback
+      );
+    },
+    change_volume(output, how, value, callback) {
+      recordTransport(
+        'change_volume',
+        { outputId: output?.output_id, how, value },
+        callback
+      );
+    },
+    mute(output, how, callback) {
+      recordTransport('mute', { outputId: output?.output_id, how }, callback);
+    },
+    group_outputs(outputs, callback) {
+      recordTransport(
+        'group_outputs',
+        { outputIds: outputs.map(o => o.output_id ?? o) },
+        callback
+      );
+
+      const zones = zonesWithOutputs(outputs);
+      const group = {
+        ...zones[0],
+        zone_id: `zone-group-${nextGroupId++}`,
+        display_name: zones.map(zone => zone.display_name).join(' + '),
+        outputs: zones.flatMap(zone => zone.outputs || []),
+      };
+      groupedZones.set(group.zone_id, zones);
+      replaceZones(zones, [group]);
+    },
+    ungroup_outputs(outputs, callback) {
+      recordTransport(
+        'ungroup_outputs',
+        { outputIds: outputs.map(o => o.output_id ?? o) },
+        callback
+      );
+
+      const groups = zonesWithOutputs(outputs).filter(zone =>
+        groupedZones.has(zone.zone_id)
+      );
+      const restored = groups.flatMap(zone => groupedZones.get(zone.zone_id));
+      groups.forEach(zone => groupedZones.delete(zone.zone_id));
+      replaceZones(groups, restored);
+    },
+    subscribe_queue(zoneOrOutput, maxItemCount, callback) {
+      const zoneId = findZone(zoneOrOutput)?.zone_id;
+      if (!queueSubscribers.has(zoneId))
+        queueSubscribers.set(zoneId, new Set());
+      queueSubscribers.get(zoneId).add(callback);
+      reply(callback, 'Subscribed', {
+        items: (queues.get(zoneId) || []).slice(0, maxItemCount),
+      });
+      return {
+        unsubscribe(ucb) {
+          queueSubscribers.get(zoneId)?.delete(callback);
+          ucb?.();
+        },
+      };
+    },
+    play_from_here(options, callback) {
+      recordTransport(
+        'play_from_here',
+        { zoneId: options.zone_or_output_id },
+        callback
+      );
+    },
+  };
+
+  const imageService = {
+    get_image(imageKey, options, callback) {
+      if (!String(imageKey).startsWith('img-')) {
+        return setTimeout(() => callback('NotFound'), 0);
+      }
+      setTimeout(
+        () =>
+          callback(
+            false,
+            options.format || 'image/jpeg',
+            Buffer.from(`${imageKey}@${options.width}`)
+          ),
+        0
+      );
+    },
+  };
+
+  return {
+    core: {
+      core_id: 'mock-core',
+      display_name: displayName,
+      display_version: '2.0 (mock)',
+      services: {
+        RoonApiBrowse: browseService,
+        RoonApiTransport: transportService,
+        RoonApiImage: imageService,
+      },
+    },
+    /** Albums started or queued through browse actions */
+    played,
+    /** Transport calls ({ name, zoneId, ... }) */
+    transportCalls,
+    /** Play queue of a zone */
+    queue(zoneId) {
+      return queues.get(zoneId) || [];
+    },
+    /** Currently selected profile */
+    get currentProfile() {
+      return currentProfile;
+    },
+    /** Replaces a zone and notifies subscribers, like a Core zone change */
+    updateZone,
+    /** Sends a seek update, like a Core playing a track */
+    updateSeek(zoneId, seekPosition, queueTimeRemaining) {
+      zoneSubscriber?.('Changed', {
+        zones_seek_changed: [
+          {
+            zone_id: zoneId,
+            seek_position: seekPosition,
+            queue_time_remaining: queueTimeRemaining,
+          },
+        ],
+      });
+    },
+  };
+}
+
+/**
+ * Stand-in for the `node-roon-api` default export
+ * Use with vi.mock('node-roon-api', () => ({ default: MockRoonApi })) and
+ * pair the instance roonService creates with a mock Core
+ */
+export class MockRoonApi {
+  /** Most recently created instance (roonService creates one per connection) */
+  static lastInstance = null;
+
+  constructor(options) {
+    this.options = options;
+    this.paired = null;
+    MockRoonApi.lastInstance = this;
+  }
+
+  init_services() {}
+
+  start_discovery() {}
+
+  /**
+   * Pairs with a mock Core, as discovery would
+   * @param {Object} mockCore - Result of createMockRoonCore
+   */
+  pair(mockCore) {
+    this.paired = mockCore.core;
+    this.options.core_paired(mockCore.core);
+  }
+
+  /**
+   * Drops the pairing, as a Core going away would
+   */
+  unpair() {
+    if (!this.paired) return;
+    const core = this.paired;
+    this.paired = null;
+    this.options.core_unpaired(core);
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Tests for the MOO protocol helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  MOO_REGISTRY_INFO,
+  encodeMooRequest,
+  parseMooMessage,
+} from '../mooHelpers.js';
+
+describe('encodeMooRequest', () => {
+  it('should encode a request without a body', () => {
+    expect(encodeMooRequest(MOO_REGISTRY_INFO, 0).toString()).toBe(
+      'MOO/1 REQUEST com.roonlabs.registry:1/info\nRequest-Id: 0\n\n'
+    );
+  });
+
+  it('should encode a JSON body with its byte length', () => {
+    const frame = encodeMooRequest('svc:1/method', 7, { name: 'Café' });
+
+    expect(frame.toString()).toBe(
+      'MOO/1 REQUEST svc:1/method\nRequest-Id: 7\nContent-Length: 16\nContent-Type: application/json\n\n{"name":"Café"}'
+    );
+  });
+});
+
+describe('parseMooMessage', () => {
+  it('should parse a response with a JSON body', () => {
+    const body = JSON.stringify({ core_id: 'abc', display_name: 'Studio' });
+    const frame = Buffer.from(
+      `MOO/1 COMPLETE Success\nRequest-Id: 0\nContent-Length: ${body.length}\nContent-Type: application/json\n\n${body}`
+    );
+
+    expect(parseMooMessage(frame)).toEqual({
+      verb: 'COMPLETE',
+      name: 'Success',
+      requestId: 0,
+      headers: {
+        'Request-Id': '0',
+        'Content-Length': String(body.length),
+        'Content-Type': 'application/json',
+      },
+      body: { core_id: 'abc', display_name: 'Studio' },
+    });
+  });
+
+  it('should round-trip an encoded request', () => {
+    const message = parseMooMessage(
+      encodeMooRequest('svc:1/method', 3, { token: 't' })
+    );
+
+    expect(message).toMatchObject({
+      verb: 'REQUEST',
+      name: 'svc:1/method',
+      requestId: 3,
+      body: { token: 't' },
+    });
+  });
+
+  it('should parse a message without a body', () => {
+    expect(
+      parseMooMessage(
+        'MOO/1 REQUEST com.roonlabs.ping:1/ping\nRequest-Id: 4\n\n'
+      )
+    ).toMatchObject({ verb: 'REQUEST', requestId: 4, body: null });
+  });
+
+  it('should reject data that is not MOO', () => {
+    expect(parseMooMessage('hello')).toBeNull();
+    expect(parseMooMessage('HTTP/1.1 200 OK\nServer: x\n\n')).toBeNull();
+    expect(parseMooMessage('MOO/1 COMPLETE Success\n\n')).toBeNull();
+    expect(
+      parseMooMessage(
+        'MOO/1 COMPLETE Success\nRequest-Id: 1\nContent-Type: application/json\n\n{broken'
+      )
+    ).toBeNull();
+  });
+});
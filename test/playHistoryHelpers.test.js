@@ -0,0 +1,89 @@
+/**
+ * Tests for play history helper functions
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  isInCooldown,
+  getRediscoverWeight,
+  trimPlayHistory,
+  MILLISECONDS_PER_DAY,
+  REDISCOVER_FULL_WEIGHT_DAYS,
+  REDISCOVER_MIN_WEIGHT,
+} from '../playHistoryHelpers.js';
+
+describe('Play History Helpers', () => {
+  describe('isInCooldown', () => {
+    const now = 1_700_000_000_000;
+
+    test('is true for albums played inside the window', () => {
+      expect(isInCooldown(now - MILLISECONDS_PER_DAY, 7, now)).toBe(true);
+      expect(isInCooldown(now, 1, now)).toBe(true);
+    });
+
+    test('is false once the window has passed', () => {
+      expect(isInCooldown(now - 7 * MILLISECONDS_PER_DAY, 7, now)).toBe(false);
+      expect(isInCooldown(now - 30 * MILLISECONDS_PER_DAY, 7, now)).toBe(false);
+    });
+
+    test('is false for albums never played', () => {
+      expect(isInCooldown(undefined, 7, now)).toBe(false);
+      expect(isInCooldown(null, 7, now)).toBe(false);
+    });
+
+    test('is false when the cooldown is disabled', () => {
+      expect(isInCooldown(now, 0, now)).toBe(false);
+      expect(isInCooldown(now, undefined, now)).toBe(false);
+    });
+  });
+
+  describe('getRediscoverWeight', () => {
+    const now = 1_700_000_000_000;
+    const daysAgo = days => now - days * MILLISECONDS_PER_DAY;
+
+    test('grows with the time since the last play', () => {
+      expect(getRediscoverWeight(daysAgo(30), now)).toBeLessThan(
+        getRediscoverWeight(daysAgo(90), now)
+      );
+      expect(
+        getRediscoverWeight(daysAgo(REDISCOVER_FULL_WEIGHT_DAYS / 2), now)
+      ).toBeCloseTo(0.5);
+    });
+
+    test('reaches full weight for long-forgotten albums', () => {
+      expect(
+        getRediscoverWeight(daysAgo(REDISCOVER_FULL_WEIGHT_DAYS), now)
+      ).toBe(1);
+      expect(getRediscoverWeight(daysAgo(1000), now)).toBe(1);
+    });
+
+    test('keeps recently played albums possible', () => {
+      expect(getRediscoverWeight(now, now)).toBe(REDISCOVER_MIN_WEIGHT);
+    });
+
+    test('gives albums never played full weight', () => {
+      expect(getRediscoverWeight(undefined, now)).toBe(1);
+    });
+  });
+
+  describe('trimPlayHistory', () => {
+    test('keeps everything under the limit', () => {
+      const plays = { a: 1, b: 2 };
+      expect(trimPlayHistory(plays, 5)).toEqual(plays);
+    });
+
+    test('keeps the most recently played albums over the limit', () => {
+      const plays = { a: 1, b: 3, c: 2 };
+      expect(trimPlayHistory(plays, 2)).toEqual({ b: 3, c: 2 });
+    });
+
+    test('drops invalid timestamps', () => {
+      expect(trimPlayHistory({ a: 'x', b: 0, c: 5 }, 10)).toEqual({ c: 5 });
+    });
+
+    test('handles missing input', () => {
+      expect(trimPlayHistory(null)).toEqual({});
+      expect(trimPlayHistory(undefined)).toEqual({});
+    });
+  });
+});
@@ -3,7 +3,35 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { findItemCaseInsensitive, createAlbumKey } from '../roonHelpers.js';
+import {
+  findItemCaseInsensitive,
+  createAlbumKey,
+  createGenreKey,
+  getGenreWeight,
+  pickWeightedGenre,
+  parseGenreKey,
+  isGenreExcluded,
+  isAlbumExcluded,
+  normalizeArtistName,
+  splitCreditedArtists,
+  artistMatches,
+  isArtistExcluded,
+  findAlbumAction,
+  parseTrackLength,
+  getAlbumTracks,
+  getAlbumDuration,
+  applyQueueChanges,
+  getQueuedAlbumDuration,
+  planAlbumSequence,
+  MAX_FILL_ALBUMS,
+  shuffleArray,
+  getDecade,
+  extractReleaseYear,
+  hasYearFilter,
+  matchesYearFilter,
+  collectGroupableOutputs,
+  DEFAULT_GENRE_WEIGHT,
+} from '../roonHelpers.js';
 
 describe('Roon Helpers', () => {
   describe('findItemCaseInsensitive', () => {
@@ -209,4 +237,609 @@ describe('Roon Helpers', () => {
       );
     });
   });
+
+  describe('createGenreKey', () => {
+    test('uses the title for top-level genres', () => {
+      expect(createGenreKey({ title: 'Jazz', isSubgenre: false })).toBe('Jazz');
+    });
+
+    test('prefixes subgenres with their parent', () => {
+      expect(
+        createGenreKey({
+          title: 'Bebop',
+          isSubgenre: true,
+          parentGenre: 'Jazz',
+        })
+      ).toBe('Jazz::Bebop');
+    });
+
+    test('handles missing input', () => {
+      expect(createGenreKey(null)).toBe('');
+    });
+  });
+
+  describe('getGenreWeight', () => {
+    const jazz = { title: 'Jazz', albumCount: 400 };
+
+    test('proportional uses the album count', () => {
+      expect(getGenreWeight(jazz, 'proportional')).toBe(400);
+    });
+
+    test('uniform gives every genre the same weight', () => {
+      expect(getGenreWeight(jazz, 'uniform')).toBe(1);
+      expect(getGenreWeight({ title: 'Tiny', albumCount: 2 }, 'uniform')).toBe(
+        1
+      );
+    });
+
+    test('sqrt dampens large genres', () => {
+      expect(getGenreWeight(jazz, 'sqrt')).toBe(20);
+    });
+
+    test('custom uses the stored weight or the default', () => {
+      expect(getGenreWeight(jazz, 'custom', { Jazz: 2 })).toBe(2);
+      expect(getGenreWeight(jazz, 'custom', { Jazz: 0 })).toBe(0);
+      expect(getGenreWeight(jazz, 'custom', {})).toBe(DEFAULT_GENRE_WEIGHT);
+    });
+
+    test('unknown strategies fall back to album count', () => {
+      expect(getGenreWeight(jazz, undefined)).toBe(400);
+    });
+
+    test('treats missing album counts as zero', () => {
+      expect(getGenreWeight({ title: 'Jazz' }, 'proportional')).toBe(0);
+    });
+  });
+
+  describe('pickWeightedGenre', () => {
+    const genres = [
+      { title: 'Jazz', albumCount: 900 },
+      { title: 'Ambient', albumCount: 100 },
+    ];
+
+    test('returns null for an empty list', () => {
+      expect(pickWeightedGenre([], 'uniform')).toBeNull();
+    });
+
+    test('proportional favours the larger genre', () => {
+      expect(
+        pickWeightedGenre(genres, 'proportional', {}, () => 0.85).title
+      ).toBe('Jazz');
+      expect(
+        pickWeightedGenre(genres, 'proportional', {}, () => 0.95).title
+      ).toBe('Ambient');
+    });
+
+    test('uniform splits the range evenly', () => {
+      expect(pickWeightedGenre(genres, 'uniform', {}, () => 0.45).title).toBe(
+        'Jazz'
+      );
+      expect(pickWeightedGenre(genres, 'uniform', {}, () => 0.55).title).toBe(
+        'Ambient'
+      );
+    });
+
+    test('custom never picks a genre weighted zero', () => {
+      const weights = { Jazz: 0, Ambient: 3 };
+      expect(pickWeightedGenre(genres, 'custom', weights, () => 0).title).toBe(
+        'Ambient'
+      );
+      expect(
+        pickWeightedGenre(genres, 'custom', weights, () => 0.9999).title
+      ).toBe('Ambient');
+    });
+
+    test('falls back to a uniform pick when every weight is zero', () => {
+      const weights = { Jazz: 0, Ambient: 0 };
+      expect(
+        pickWeightedGenre(genres, 'custom', weights, () => 0.6).title
+      ).toBe('Ambient');
+    });
+  });
+
+  describe('parseGenreKey', () => {
+    test('parses top-level genres', () => {
+      expect(parseGenreKey('Jazz')).toEqual({
+        title: 'Jazz',
+        isSubgenre: false,
+        parentGenre: null,
+      });
+    });
+
+    test('parses subgenres', () => {
+      expect(parseGenreKey('Jazz::Bebop')).toEqual({
+        title: 'Bebop',
+        isSubgenre: true,
+        parentGenre: 'Jazz',
+      });
+    });
+  });
+
+  describe('isGenreExcluded', () => {
+    const christmas = {
+      title: 'Christmas',
+      isSubgenre: true,
+      parentGenre: 'Holiday',
+    };
+
+    test('matches excluded genres case-insensitively', () => {
+      expect(isGenreExcluded({ title: 'Holiday' }, ['holiday'])).toBe(true);
+      expect(isGenreExcluded(christmas, ['Holiday::Christmas'])).toBe(true);
+    });
+
+    test('excludes subgenres of an excluded genre', () => {
+      expect(isGenreExcluded(christmas, ['Holiday'])).toBe(true);
+    });
+
+    test('does not exclude a parent when only a subgenre is excluded', () => {
+      expect(
+        isGenreExcluded({ title: 'Holiday' }, ['Holiday::Christmas'])
+      ).toBe(false);
+    });
+
+    test('handles empty input', () => {
+      expect(isGenreExcluded({ title: 'Jazz' }, [])).toBe(false);
+      expect(isGenreExcluded(null, ['Jazz'])).toBe(false);
+    });
+  });
+
+  describe('isAlbumExcluded', () => {
+    const excluded = [
+      { title: 'Sound Effects Vol. 1', artist: '' },
+      { title: 'Greatest Hits', artist: 'Queen' },
+    ];
+
+    test('excludes any artist when the entry has no artist', () => {
+      expect(isAlbumExcluded('sound effects vol. 1', 'BBC', excluded)).toBe(
+        true
+      );
+    });
+
+    test('matches the artist when the entry has one', () => {
+      expect(isAlbumExcluded('Greatest Hits', 'Queen', excluded)).toBe(true);
+      expect(isAlbumExcluded('Greatest Hits', 'ABBA', excluded)).toBe(false);
+    });
+
+    test('matches the primary artist of a collaboration', () => {
+      expect(
+        isAlbumExcluded('Greatest Hits', 'Queen / David Bowie', excluded)
+      ).toBe(true);
+    });
+
+    test('matches artists like the artist filters do', () => {
+      const entries = [
+        { title: 'Abbey Road', artist: 'Beatles' },
+        { title: 'Homogenic', artist: 'Bjork' },
+        { title: 'Kind of Blue', artist: 'The Miles Davis Quintet' },
+      ];
+      expect(isAlbumExcluded('Abbey Road', 'The Beatles', entries)).toBe(true);
+      expect(isAlbumExcluded('Homogenic', 'Björk', entries)).toBe(true);
+      expect(
+        isAlbumExcluded(
+          'Kind of Blue',
+          'Miles Davis Quintet / Bill Evans',
+          entries
+        )
+      ).toBe(true);
+      expect(
+        isAlbumExcluded('Abbey Road', 'The Beatles Revival', entries)
+      ).toBe(false);
+    });
+
+    test('matches a whole collaboration credit', () => {
+      const entries = [{ title: 'Duets', artist: 'Queen / David Bowie' }];
+      expect(isAlbumExcluded('Duets', 'queen / david bowie', entries)).toBe(
+        true
+      );
+      expect(isAlbumExcluded('Duets', 'David Bowie / Queen', entries)).toBe(
+        false
+      );
+    });
+
+    test('handles empty input', () => {
+      expect(isAlbumExcluded('Greatest Hits', 'Queen', [])).toBe(false);
+      expect(isAlbumExcluded('', 'Queen', excluded)).toBe(false);
+    });
+  });
+
+  describe('normalizeArtistName', () => {
+    test('folds case and diacritics', () => {
+      expect(normalizeArtistName('Beyoncé')).toBe('beyonce');
+      expect(normalizeArtistName('MOTÖRHEAD')).toBe('motorhead');
+    });
+
+    test('drops a leading "The"', () => {
+      expect(normalizeArtistName('The Beatles')).toBe('beatles');
+      expect(normalizeArtistName('the  beatles ')).toBe('beatles');
+    });
+
+    test('keeps "The" inside a name', () => {
+      expect(normalizeArtistName('Theatre of Tragedy')).toBe(
+        'theatre of tragedy'
+      );
+      expect(normalizeArtistName('Florence and The Machine')).toBe(
+        'florence and the machine'
+      );
+    });
+
+    test('handles missing input', () => {
+      expect(normalizeArtistName(null)).toBe('');
+    });
+  });
+
+  describe('splitCreditedArtists', () => {
+    test('splits collaborations on the Roon separator', () => {
+      expect(splitCreditedArtists('Miles Davis / John Coltrane')).toEqual([
+        'Miles Davis',
+        'John Coltrane',
+      ]);
+    });
+
+    test('keeps names containing a slash without spaces', () => {
+      expect(splitCreditedArtists('AC/DC')).toEqual(['AC/DC']);
+    });
+
+    test('handles missing input', () => {
+      expect(splitCreditedArtists(undefined)).toEqual([]);
+    });
+  });
+
+  describe('artistMatches', () => {
+    const credit = 'Miles Davis / John Coltrane';
+
+    test('primary mode only matches the first credited artist', () => {
+      expect(artistMatches(credit, 'miles davis', 'primary')).toBe(true);
+      expect(artistMatches(credit, 'John Coltrane', 'primary')).toBe(false);
+    });
+
+    test('any mode matches every credited artist', () => {
+      expect(artistMatches(credit, 'John Coltrane', 'any')).toBe(true);
+      expect(artistMatches(credit, 'Bill Evans', 'any')).toBe(false);
+    });
+
+    test('exact mode compares the whole credit', () => {
+      expect(
+        artistMatches(credit, 'miles davis / john coltrane', 'exact')
+      ).toBe(true);
+      expect(artistMatches(credit, 'Miles Davis', 'exact')).toBe(false);
+    });
+
+    test('normalizes names outside exact mode', () => {
+      expect(artistMatches('The Beatles', 'Beatles')).toBe(true);
+      expect(artistMatches('Beyoncé / Jay-Z', 'Beyonce')).toBe(true);
+      expect(artistMatches('The Beatles', 'Beatles', 'exact')).toBe(false);
+    });
+
+    test('handles missing input', () => {
+      expect(artistMatches('', 'Miles Davis')).toBe(false);
+      expect(artistMatches(credit, '')).toBe(false);
+    });
+  });
+
+  describe('isArtistExcluded', () => {
+    const credit = 'Miles Davis / John Coltrane';
+
+    test('defaults to matching the primary artist', () => {
+      expect(isArtistExcluded(credit, ['Miles Davis'])).toBe(true);
+      expect(isArtistExcluded(credit, ['John Coltrane'])).toBe(false);
+    });
+
+    test('catches collaborators in any mode', () => {
+      expect(isArtistExcluded(credit, ['John Coltrane'], 'any')).toBe(true);
+    });
+
+    test('handles empty exclusion lists', () => {
+      expect(isArtistExcluded(credit, [])).toBe(false);
+      expect(isArtistExcluded(credit, undefined)).toBe(false);
+    });
+  });
+
+  describe('findAlbumAction', () => {
+    const actions = [
+      { title: 'Play Now' },
+      { title: 'Add Next' },
+      { title: 'Queue' },
+      { title: 'Start Radio' },
+    ];
+
+    test('finds each action by title', () => {
+      expect(findAlbumAction(actions)).toBe(actions[0]);
+      expect(findAlbumAction(actions, 'addNext')).toBe(actions[1]);
+      expect(findAlbumAction(actions, 'queue')).toBe(actions[2]);
+    });
+
+    test('accepts "Add to Queue" for the queue action', () => {
+      const items = [{ title: 'Play Now' }, { title: 'Add to Queue' }];
+      expect(findAlbumAction(items, 'queue')).toBe(items[1]);
+    });
+
+    test('falls back to the first item only for play', () => {
+      const items = [{ title: 'Play Album' }, { title: 'Shuffle' }];
+      expect(findAlbumAction(items)).toBe(items[0]);
+      expect(findAlbumAction(items, 'addNext')).toBeNull();
+      expect(findAlbumAction(items, 'queue')).toBeNull();
+    });
+
+    test('handles empty input', () => {
+      expect(findAlbumAction([])).toBeNull();
+      expect(findAlbumAction(undefined, 'queue')).toBeNull();
+    });
+  });
+
+  describe('parseTrackLength', () => {
+    test('reads m:ss and h:mm:ss from the end of a subtitle', () => {
+      expect(parseTrackLength('Miles Davis · 9:22')).toBe(562);
+      expect(parseTrackLength('1:02:03')).toBe(3723);
+      expect(parseTrackLength('0:45')).toBe(45);
+    });
+
+    test('is null when the subtitle shows no length', () => {
+      expect(parseTrackLength('Miles Davis')).toBeNull();
+      expect(parseTrackLength('')).toBeNull();
+      expect(parseTrackLength(undefined)).toBeNull();
+    });
+  });
+
+  describe('getAlbumTracks', () => {
+    const items = [
+      { title: 'Play Album', hint: 'action_list', item_key: 'a' },
+      {
+        title: '1. So What',
+        subtitle: 'Miles Davis · 9:22',
+        hint: 'action_list',
+        item_key: 'b',
+      },
+      {
+        title: '2. Freddie Freeloader',
+        subtitle: 'Miles Davis',
+        hint: 'action_list',
+        item_key: 'c',
+      },
+      { title: 'Credits', hint: 'list', item_key: 'd' },
+    ];
+
+    test('lists the track rows without their numbers', () => {
+      expect(getAlbumTracks(items)).toEqual([
+        {
+          item: items[1],
+          title: 'So What',
+          artist: 'Miles Davis',
+          length: 562,
+        },
+        {
+          item: items[2],
+          title: 'Freddie Freeloader',
+          artist: 'Miles Davis',
+          length: null,
+        },
+      ]);
+    });
+
+    test('handles empty input', () => {
+      expect(getAlbumTracks(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getAlbumDuration', () => {
+    test('adds up the track lengths', () => {
+      expect(getAlbumDuration([{ length: 300 }, { length: 262 }])).toBe(562);
+    });
+
+    test('is null when any length is unknown', () => {
+      expect(getAlbumDuration([{ length: 300 }, { length: null }])).toBeNull();
+      expect(getAlbumDuration([])).toBeNull();
+    });
+  });
+
+  describe('applyQueueChanges', () => {
+    test('inserts and removes items in order', () => {
+      expect(
+        applyQueueChanges(
+          ['a', 'b', 'c'],
+          [
+            { operation: 'remove', index: 0, count: 2 },
+            { operation: 'insert', index: 1, items: ['d', 'e'] },
+          ]
+        )
+      ).toEqual(['c', 'd', 'e']);
+    });
+  });
+
+  describe('getQueuedAlbumDuration', () => {
+    const queued = (album, length) => ({
+      length,
+      three_line: { line1: 'Track', line2: 'Artist', line3: album },
+    });
+
+    test('adds up the lengths of the whole album in the queue', () => {
+      const items = [
+        queued('Other', 200),
+        queued('Kind of Blue', 300),
+        queued('Kind of Blue', 262),
+      ];
+      expect(getQueuedAlbumDuration(items, 'Kind of Blue', 2)).toBe(562);
+    });
+
+    test('is null until every track of the album is queued', () => {
+      expect(
+        getQueuedAlbumDuration([queued('Kind of Blue', 300)], 'Kind of Blue', 2)
+      ).toBeNull();
+      expect(
+        getQueuedAlbumDuration(
+          [queued('Kind of Blue', 300), queued('Kind of Blue', 0)],
+          'Kind of Blue',
+          2
+        )
+      ).toBeNull();
+    });
+
+    test('ignores runs with extra tracks of the same album', () => {
+      const items = [1, 2, 3].map(() => queued('Kind of Blue', 300));
+      expect(getQueuedAlbumDuration(items, 'Kind of Blue', 2)).toBeNull();
+    });
+  });
+
+  describe('planAlbumSequence', () => {
+    const album = (title, minutes) => ({ title, duration: minutes * 60 });
+    const first = list => list[0];
+
+    test('adds albums while they still fit', () => {
+      const albums = [album('A', 30), album('B', 40), album('C', 10)];
+      expect(
+        planAlbumSequence(albums, 45 * 60, first).map(a => a.title)
+      ).toEqual(['A', 'C']);
+    });
+
+    test('keeps the plan that fills the budget most closely', () => {
+      const albums = [album('Long', 50), album('A', 30), album('B', 30)];
+      let calls = 0;
+      // First plan starts with Long (10 min over), later plans start with A
+      const pick = list => list[calls++ === 0 ? 0 : list.length - 1];
+
+      const plan = planAlbumSequence(albums, 60 * 60, pick, 3);
+      expect(plan.map(a => a.title)).toEqual(['B', 'A']);
+    });
+
+    test('ignores albums without a known duration', () => {
+      const albums = [{ title: 'Unknown', duration: null }, album('A', 20)];
+      expect(planAlbumSequence(albums, 60 * 60, first)).toEqual([albums[1]]);
+    });
+
+    test('is empty when nothing fits', () => {
+      expect(planAlbumSequence([album('A', 90)], 60 * 60, first)).toEqual([]);
+    });
+
+    test(`plans at most MAX_FILL_ALBUMS albums`, () => {
+      const albums = Array.from({ length: 20 }, (_, i) => album(`${i}`, 1));
+      expect(planAlbumSequence(albums, 600 * 60, first)).toHaveLength(
+        MAX_FILL_ALBUMS
+      );
+    });
+  });
+
+  describe('shuffleArray', () => {
+    test('returns a permutation without changing the input', () => {
+      const items = [1, 2, 3, 4, 5];
+      const shuffled = shuffleArray(items);
+
+      expect(shuffled).toHaveLength(5);
+      expect([...shuffled].sort()).toEqual(items);
+      expect(items).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('handles empty input', () => {
+      expect(shuffleArray(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getDecade', () => {
+    test('rounds down to the start of the decade', () => {
+      expect(getDecade(1973)).toBe(1970);
+      expect(getDecade(1980)).toBe(1980);
+      expect(getDecade(2009)).toBe(2000);
+    });
+  });
+
+  describe('extractReleaseYear', () => {
+    test('finds a year in metadata text', () => {
+      expect(extractReleaseYear('Pink Floyd • 1973', 'Pink Floyd')).toBe(1973);
+      expect(extractReleaseYear('Released 2011')).toBe(2011);
+    });
+
+    test('ignores numbers in the artist credit', () => {
+      expect(
+        extractReleaseYear('1910 Fruitgum Company', '1910 Fruitgum Company')
+      ).toBeNull();
+    });
+
+    test('returns null without a plausible year', () => {
+      expect(extractReleaseYear('Miles Davis')).toBeNull();
+      expect(extractReleaseYear('Track 1234567')).toBeNull();
+      expect(extractReleaseYear(undefined)).toBeNull();
+    });
+  });
+
+  describe('hasYearFilter', () => {
+    test('detects decades and year bounds', () => {
+      expect(hasYearFilter({ decades: [1970] })).toBe(true);
+      expect(hasYearFilter({ yearFrom: 1990 })).toBe(true);
+      expect(hasYearFilter({ yearTo: 1990 })).toBe(true);
+    });
+
+    test('is false without year filters', () => {
+      expect(hasYearFilter({ decades: [], yearFrom: null, yearTo: null })).toBe(
+        false
+      );
+      expect(hasYearFilter(undefined)).toBe(false);
+    });
+  });
+
+  describe('matchesYearFilter', () => {
+    test('matches any year when no filter is set', () => {
+      expect(matchesYearFilter(null, {})).toBe(true);
+    });
+
+    test('matches selected decades', () => {
+      const filters = { decades: [1970, 1990] };
+      expect(matchesYearFilter(1975, filters)).toBe(true);
+      expect(matchesYearFilter(1985, filters)).toBe(false);
+    });
+
+    test('matches an open or closed year range', () => {
+      expect(matchesYearFilter(1965, { yearFrom: 1960, yearTo: 1969 })).toBe(
+        true
+      );
+      expect(matchesYearFilter(1970, { yearFrom: 1960, yearTo: 1969 })).toBe(
+        false
+      );
+      expect(matchesYearFilter(2020, { yearFrom: 2000 })).toBe(true);
+    });
+
+    test('requires decades and range to agree', () => {
+      const filters = { decades: [1970], yearFrom: 1975 };
+      expect(matchesYearFilter(1977, filters)).toBe(true);
+      expect(matchesYearFilter(1972, filters)).toBe(false);
+    });
+
+    test('never matches an unknown year while filtering', () => {
+      expect(matchesYearFilter(null, { decades: [1970] })).toBe(false);
+    });
+  });
+
+  describe('collectGroupableOutputs', () => {
+    const kitchen = {
+      display_name: 'Kitchen',
+      outputs: [
+        { output_id: 'o1', can_group_with_output_ids: ['o1', 'o2', 'o3'] },
+      ],
+    };
+    const lounge = { display_name: 'Lounge', outputs: [{ output_id: 'o2' }] };
+    const grouped = {
+      display_name: 'Upstairs',
+      outputs: [{ output_id: 'o3' }, { output_id: 'o2' }],
+    };
+    const headphones = {
+      display_name: 'Headphones',
+      outputs: [{ output_id: 'o9' }],
+    };
+
+    test('collects outputs the first zone can group with', () => {
+      expect(collectGroupableOutputs([kitchen, lounge])).toEqual({
+        outputIds: ['o1', 'o2'],
+        ungroupable: [],
+      });
+    });
+
+    test('includes every output of an existing group once', () => {
+      expect(
+        collectGroupableOutputs([kitchen, lounge, grouped]).outputIds
+      ).toEqual(['o1', 'o2', 'o3']);
+    });
+
+    test('reports zones that cannot be grouped', () => {
+      expect(
+        collectGroupableOutputs([kitchen, headphones]).ungroupable
+      ).toEqual(['Headphones']);
+    });
+  });
 });
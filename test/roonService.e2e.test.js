@@ -0,0 +1,1038 @@
+/**
+ * End-to-end tests for Roon Service against a mock Roon Core
+ *
+ * Runs roonService.js unchanged on top of test/mocks/mockRoonCore.js, so the
+ * browse navigation, album index, exclusions, profile switching and zone
+ * handling are exercised together the way a real Core drives them.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { createMockRoonCore, makeAlbums } from './mocks/mockRoonCore.js';
+import { DEFAULT_MAX_ALBUM_MINUTES } from '../roonHelpers.js';
+
+// Mock Electron modules before importing roonService
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/tmp/test-roon-app'),
+    getVersion: vi.fn(() => '1.6.0'),
+    getName: vi.fn(() => 'Roon Random Album'),
+  },
+  safeStorage: {
+    isEncryptionAvailable: vi.fn(() => false),
+    encryptString: vi.fn(),
+    decryptString: vi.fn(),
+  },
+}));
+
+// Mock fs/promises
+vi.mock('fs/promises', () => ({
+  default: {
+    writeFile: vi.fn(),
+    readFile: vi.fn(),
+    mkdir: vi.fn(),
+    rename: vi.fn(),
+  },
+}));
+
+// Mock fs (synchronous operations)
+vi.mock('fs', () => ({
+  default: {
+    existsSync: vi.fn(() => false),
+    readFileSync: vi.fn(() => {
+      throw new Error('ENOENT');
+    }),
+  },
+}));
+
+// The mock Core replaces discovery; the service classes are never called
+vi.mock('node-roon-api', async () => ({
+  default: (await import('./mocks/mockRoonCore.js')).MockRoonApi,
+}));
+vi.mock('node-roon-api-browse', () => ({ default: class RoonApiBrowse {} }));
+vi.mock('node-roon-api-transport', () => ({
+  default: class RoonApiTransport {},
+}));
+vi.mock('node-roon-api-image', () => ({ default: class RoonApiImage {} }));
+
+const LIBRARY = [
+  ...makeAlbums(
+    12,
+    {
+      artist: 'Charlie Parker',
+      genre: 'Jazz',
+      subgenre: 'Bebop',
+      year: 1950,
+    },
+    'Bird'
+  ),
+  ...makeAlbums(
+    3,
+    {
+      artist: 'Miles Davis',
+      genre: 'Jazz',
+      year: 1959,
+      tags: ['Favourites', 'Late Night'],
+    },
+    'Kind'
+  ),
+  ...makeAlbums(5, { artist: 'The Beatles', genre: 'Rock', year: 1965 }, 'Fab'),
+  ...makeAlbums(
+    3,
+    {
+      artist: 'Radiohead',
+      genre: 'Rock',
+      year: 1997,
+      tags: ['Favourites'],
+      trackLengths: [600, 600, 600, 600, 600],
+    },
+    'OK'
+  ),
+  ...makeAlbums(
+    2,
+    { artist: 'Raffi', genre: 'Children', year: 1980, profile: 'Kids' },
+    'Baby Beluga'
+  ),
+];
+
+const ZONES = [
+  {
+    zone_id: 'zone-living',
+    display_name: 'Living Room',
+    state: 'stopped',
+    outputs: [
+      {
+        output_id: 'out-living',
+        volume: { value: 40 },
+        can_group_with_output_ids: ['out-living', 'out-kitchen'],
+      },
+    ],
+  },
+  {
+    zone_id: 'zone-kitchen',
+    display_name: 'Kitchen',
+    state: 'stopped',
+    outputs: [
+      {
+        output_id: 'out-kitchen',
+        can_group_with_output_ids: ['out-living', 'out-kitchen'],
+      },
+    ],
+  },
+];
+
+/**
+ * In-memory stand-in for electron-store
+ */
+function createStore(initial = {}) {
+  const data = { ...initial };
+  return {
+    get: key => data[key],
+    set: (key, value) => {
+      data[key] = value;
+    },
+  };
+}
+
+/**
+ * Main window stand-in that records the events sent to the renderer
+ */
+function createWindow() {
+  const events = [];
+  return {
+    events,
+    isDestroyed: () => false,
+    webContents: {
+      isDestroyed: () => false,
+      send: (_channel, payload) => events.push(payload),
+    },
+  };
+}
+
+describe('RoonService with a mock Core', () => {
+  let RoonService;
+  let MockRoonApi;
+  let mockCore;
+  let store;
+  let window;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'time').mockImplementation(() => {});
+    vi.spyOn(console, 'timeEnd').mockImplementation(() => {});
+
+    // Fresh module state (caches, session history) for every test
+    vi.resetModules();
+    RoonService = await import('../roonService.js');
+    // The MockRoonApi class roonService was given
+    MockRoonApi = (await import('node-roon-api')).default;
+
+    mockCore = createMockRoonCore({
+      albums: LIBRARY,
+      profiles: ['Default', 'Kids'],
+      zones: ZONES,
+    });
+    store = createStore({ filters: {} });
+    window = createWindow();
+
+    RoonService.initialize(window, store);
+    MockRoonApi.lastInstance.pair(mockCore);
+
+    // Pairing subscribes to zones and loads profiles in the background
+    await vi.waitFor(() => {
+      expect(RoonService.getZonesCache()).toHaveLength(2);
+      expect(RoonService.getProfilesCache()).not.toBeNull();
+    });
+  });
+
+  afterEach(() => {
+    RoonService.shutdown();
+    MockRoonApi.lastInstance?.unpair();
+    vi.restoreAllMocks();
+  });
+
+  describe('pairing', () => {
+    it('loads zones and selects the first one by default', () => {
+      expect(RoonService.getCore().display_name).toBe('Mock Core');
+      expect(RoonService.getZonesCache().map(z => z.name)).toEqual([
+        'Living Room',
+        'Kitchen',
+      ]);
+      expect(store.get('lastZoneId')).toBe('zone-living');
+      expect(window.events).toContainEqual(
+        expect.objectContaining({ type: 'core', status: 'paired' })
+      );
+    });
+
+    it('clears the connection when the Core goes away', () => {
+      MockRoonApi.lastInstance.unpair();
+
+      expect(RoonService.getCore()).toBeNull();
+      expect(RoonService.getZonesCache()).toEqual([]);
+    });
+
+    it('reports the connection as paired', () => {
+      expect(RoonService.getConnectionStatus()).toMatchObject({
+        state: 'paired',
+        mode: 'auto',
+        coreName: 'Mock Core',
+      });
+      expect(
+        window.events
+          .filter(event => event.type === 'connection')
+          .map(event => event.connection.state)
+      ).toEqual(['discovering', 'paired']);
+    });
+
+    it('reconnects after the Core goes away', async () => {
+      const lostApi = MockRoonApi.lastInstance;
+      lostApi.unpair();
+
+      expect(RoonService.getConnectionStatus()).toMatchObject({
+        state: 'lost',
+        attempt: 0,
+        retryAt: expect.any(Number),
+      });
+
+      // The first retry comes within a second and starts discovery again
+      await vi.waitFor(
+        () => expect(MockRoonApi.lastInstance).not.toBe(lostApi),
+        { timeout: 2000 }
+      );
+      expect(RoonService.getConnectionStatus()).toMatchObject({
+        state: 'discovering',
+        attempt: 1,
+      });
+
+      MockRoonApi.lastInstance.pair(mockCore);
+      expect(RoonService.getConnectionStatus()).toMatchObject({
+        state: 'paired',
+        attempt: 0,
+      });
+    });
+  });
+
+  describe('listGenres', () => {
+    it('lists genres with album counts, largest first', async () => {
+      const genres = await RoonService.listGenres();
+
+      expect(genres.map(g => [g.title, g.albumCount])).toEqual([
+        ['Jazz', 15],
+        ['Rock', 8],
+      ]);
+    });
+
+    it('lists subgenres with enough albums', async () => {
+      const subgenres = await RoonService.getSubgenres('Jazz');
+
+      expect(subgenres).toEqual([
+        expect.objectContaining({
+          title: 'Bebop',
+          albumCount: 12,
+          parentGenre: 'Jazz',
+        }),
+      ]);
+    });
+  });
+
+  describe('listTags', () => {
+    it('lists tags with album counts, by title', async () => {
+      const tags = await RoonService.listTags();
+
+      expect(tags).toEqual([
+        { title: 'Favourites', albumCount: 6 },
+        { title: 'Late Night', albumCount: 3 },
+      ]);
+    });
+  });
+
+  describe('selectRandomAlbum', () => {
+    it('plays a random library album on the selected zone', async () => {
+      const result = await RoonService.pickRandomAlbumAndPlay();
+
+      expect(mockCore.played).toEqual([
+        {
+          action: 'Play Now',
+          album: result.album,
+          artist: result.artist,
+          zoneId: 'zone-living',
+        },
+      ]);
+      expect(result.image_key).toBe(`img-${result.album}`);
+    });
+
+    it('plays on a target zone without changing the selection', async () => {
+      await RoonService.pickRandomAlbumAndPlay([], 'zone-kitchen');
+
+      expect(mockCore.played[0].zoneId).toBe('zone-kitchen');
+      expect(store.get('lastZoneId')).toBe('zone-living');
+    });
+
+    it('stays within the selected genre', async () => {
+      for (let i = 0; i < 5; i++) {
+        const result = await RoonService.pickRandomAlbumAndPlay([
+          { title: 'Rock' },
+        ]);
+        expect(['The Beatles', 'Radiohead']).toContain(result.artist);
+      }
+    });
+
+    it('stays within the selected subgenre', async () => {
+      for (let i = 0; i < 5; i++) {
+        const result = await RoonService.pickRandomAlbumAndPlay([
+          { title: 'Bebop', isSubgenre: true, parentGenre: 'Jazz' },
+        ]);
+        expect(result.artist).toBe('Charlie Parker');
+      }
+    });
+
+    it('does not repeat an album until the list has been played through', async () => {
+      const picked = new Set();
+      for (let i = 0; i < 8; i++) {
+        const result = await RoonService.pickRandomAlbumAndPlay([
+          { title: 'Rock' },
+        ]);
+        picked.add(result.album);
+      }
+
+      expect(picked.size).toBe(8);
+    });
+
+    it('never picks an excluded artist', async () => {
+      store.set('filters', { excludedArtists: ['The Beatles'] });
+
+      for (let i = 0; i < 3; i++) {
+        const result = await RoonService.pickRandomAlbumAndPlay([
+          { title: 'Rock' },
+        ]);
+        expect(result.artist).toBe('Radiohead');
+      }
+    });
+
+    it('never picks an album from an excluded genre', async () => {
+      store.set('filters', { excludedGenres: ['Jazz'] });
+
+      for (let i = 0; i < 5; i++) {
+        const result = await RoonService.pickRandomAlbumAndPlay();
+        expect(['The Beatles', 'Radiohead']).toContain(result.artist);
+      }
+    });
+
+    it('only picks albums carrying an included tag', async () => {
+      store.set('filters', { includedTags: ['Late Night'] });
+
+      for (let i = 0; i < 3; i++) {
+        const result = await RoonService.pickRandomAlbumAndPlay();
+        expect(result.artist).toBe('Miles Davis');
+      }
+    });
+
+    it('never picks an album carrying an excluded tag', async () => {
+      store.set('filters', { excludedTags: ['Favourites'] });
+
+      for (let i = 0; i < 3; i++) {
+        const result = await RoonService.pickRandomAlbumAndPlay([
+          { title: 'Rock' },
+        ]);
+        expect(result.artist).toBe('The Beatles');
+      }
+    });
+
+    it('reuses the excluded albums on later picks', async () => {
+      store.set('filters', { excludedTags: ['Favourites'] });
+      await RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }]);
+
+      const openedLists = [];
+      const { browse } = mockCore.core.services.RoonApiBrowse;
+      vi.spyOn(
+        mockCore.core.services.RoonApiBrowse,
+        'browse'
+      ).mockImplementation((options, callback) =>
+        browse(options, (error, result) => {
+          openedLists.push(result?.list?.title);
+          callback(error, result);
+        })
+      );
+
+      const result = await RoonService.pickRandomAlbumAndPlay([
+        { title: 'Rock' },
+      ]);
+      expect(result.artist).toBe('The Beatles');
+      expect(openedLists).not.toContain('Favourites');
+
+      store.set('filters', { excludedTags: ['Late Night'] });
+      await RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }]);
+      expect(openedLists).toContain('Late Night');
+    });
+
+    it('reports NO_ALBUMS when no album in the genre carries an included tag', async () => {
+      store.set('filters', { includedTags: ['Late Night'] });
+
+      await expect(
+        RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }])
+      ).rejects.toMatchObject({
+        code: 'NO_ALBUMS',
+        message: expect.stringContaining('selected tags'),
+      });
+    });
+
+    it('reports NO_ALBUMS when every album is excluded', async () => {
+      store.set('filters', { excludedArtists: ['The Beatles', 'Radiohead'] });
+
+      await expect(
+        RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }])
+      ).rejects.toMatchObject({ code: 'NO_ALBUMS' });
+      expect(mockCore.played).toEqual([]);
+    });
+
+    it('only picks albums from the filtered decade', async () => {
+      store.set('filters', { decades: [1990] });
+
+      const result = await RoonService.pickRandomAlbumAndPlay([
+        { title: 'Rock' },
+      ]);
+
+      expect(result.artist).toBe('Radiohead');
+      expect(store.get('albumYearData')).toBeDefined();
+    });
+
+    it('queues several albums with the Queue action', async () => {
+      const result = await RoonService.queueRandomAlbums(
+        [{ title: 'Rock' }],
+        3,
+        'queue'
+      );
+
+      expect(result.albums).toHaveLength(3);
+      expect(mockCore.played.map(p => p.action)).toEqual([
+        'Queue',
+        'Queue',
+        'Queue',
+      ]);
+    });
+  });
+
+  describe('library index', () => {
+    let albums;
+    let pageLoads;
+
+    beforeEach(async () => {
+      albums = makeAlbums(2000, { artist: 'Band', genre: 'Rock' }, 'Album');
+      const large = createMockRoonCore({ albums, zones: ZONES });
+      MockRoonApi.lastInstance.unpair();
+      MockRoonApi.lastInstance.pair(large);
+      await vi.waitFor(() =>
+        expect(RoonService.getZonesCache()).toHaveLength(2)
+      );
+
+      await RoonService.pickRandomAlbumAndPlay();
+
+      // Full pages read from the album list (10 to re-read all of it)
+      pageLoads = 0;
+      const { load } = large.core.services.RoonApiBrowse;
+      vi.spyOn(large.core.services.RoonApiBrowse, 'load').mockImplementation(
+        (options, callback) => {
+          if (options.count === 200) pageLoads++;
+          return load(options, callback);
+        }
+      );
+    });
+
+    it('re-reads only the part of a list that has grown', async () => {
+      albums.splice(1000, 0, { title: 'New', artist: 'Band', genre: 'Rock' });
+
+      await RoonService.pickRandomAlbumAndPlay();
+
+      expect(pageLoads).toBeLessThan(10);
+      expect(console.log).toHaveBeenCalledWith(
+        '[Index] Refreshed library: re-read 1 of 2001 items'
+      );
+    });
+
+    it('re-reads nothing when an album is removed', async () => {
+      albums.splice(1500, 1);
+
+      await RoonService.pickRandomAlbumAndPlay();
+
+      expect(pageLoads).toBeLessThan(10);
+      expect(console.log).toHaveBeenCalledWith(
+        '[Index] Refreshed library: re-read 0 of 1999 items'
+      );
+    });
+  });
+
+  describe('performArtistAlbumSelection', () => {
+    it('plays another album by the same artist', async () => {
+      const result = await RoonService.playRandomAlbumByArtist(
+        'Miles Davis',
+        'Kind 1'
+      );
+
+      expect(result.artist).toBe('Miles Davis');
+      expect(['Kind 2', 'Kind 3']).toContain(result.album);
+      expect(mockCore.played[0]).toMatchObject({ album: result.album });
+    });
+
+    it('works through the artist before repeating', async () => {
+      const first = await RoonService.playRandomAlbumByArtist(
+        'Miles Davis',
+        'Kind 1'
+      );
+      const second = await RoonService.playRandomAlbumByArtist(
+        'Miles Davis',
+        first.album
+      );
+
+      expect(new Set(['Kind 1', first.album, second.album]).size).toBe(3);
+    });
+
+    it('reports NO_ALBUMS for an artist with a single album', async () => {
+      const kids = createMockRoonCore({
+        albums: [{ title: 'Solo', artist: 'One Hit', genre: 'Pop' }],
+        zones: ZONES,
+      });
+      MockRoonApi.lastInstance.unpair();
+      MockRoonApi.lastInstance.pair(kids);
+      await vi.waitFor(() =>
+        expect(RoonService.getZonesCache()).toHaveLength(2)
+      );
+
+      await expect(
+        RoonService.playRandomAlbumByArtist('One Hit', 'Solo')
+      ).rejects.toMatchObject({ code: 'NO_ALBUMS' });
+    });
+  });
+
+  describe('track picks', () => {
+    it('plays a single track from a random album', async () => {
+      const result = await RoonService.pickRandomAlbumAndPlay([], null, {
+        type: 'track',
+      });
+
+      expect(result.track.title).toMatch(/^.+ Track \d$/);
+      expect(mockCore.played).toEqual([
+        {
+          action: 'Play Now',
+          album: result.album,
+          artist: result.artist,
+          zoneId: 'zone-living',
+          track: result.track.title,
+        },
+      ]);
+      // A single track leaves the album free for a later album pick
+      expect(store.get('playHistoryData')).toBeUndefined();
+    });
+
+    it('plays a 5-track mix from different albums', async () => {
+      const result = await RoonService.pickRandomAlbumAndPlay([], null, {
+        type: 'mix',
+      });
+
+      expect(result.tracks).toHaveLength(5);
+      expect(mockCore.played.map(p => p.action)).toEqual([
+        'Play Now',
+        'Queue',
+        'Queue',
+        'Queue',
+        'Queue',
+      ]);
+      expect(new Set(mockCore.played.map(p => p.album)).size).toBe(5);
+      expect(result.album).toBe(result.tracks[0].album);
+    });
+
+    it('only picks albums within the time limit', async () => {
+      for (let i = 0; i < 5; i++) {
+        const result = await RoonService.pickRandomAlbumAndPlay(
+          [{ title: 'Rock' }],
+          null,
+          { maxMinutes: 40 }
+        );
+        expect(result.artist).toBe('The Beatles');
+      }
+    });
+
+    it('never plays a long album of unknown length as a short pick', async () => {
+      const unlisted = createMockRoonCore({
+        albums: [
+          {
+            title: 'Long',
+            artist: 'Band',
+            genre: 'Rock',
+            trackLengths: [900, 900, 900, 900],
+          },
+        ],
+        zones: ZONES,
+        showTrackLengths: false,
+      });
+      MockRoonApi.lastInstance.unpair();
+      MockRoonApi.lastInstance.pair(unlisted);
+      await vi.waitFor(() =>
+        expect(RoonService.getZonesCache()).toHaveLength(2)
+      );
+
+      for (let i = 0; i < 3; i++) {
+        await expect(
+          RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }], null, {
+            maxMinutes: DEFAULT_MAX_ALBUM_MINUTES,
+          })
+        ).rejects.toMatchObject({ code: 'NO_ALBUMS' });
+      }
+      expect(unlisted.played).toEqual([]);
+    });
+
+    it('explains when no album is short enough', async () => {
+      await expect(
+        RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }], null, {
+          maxMinutes: 10,
+        })
+      ).rejects.toMatchObject({ code: 'NO_ALBUMS' });
+    });
+  });
+
+  describe('year filters', () => {
+    it('only picks albums from the filtered decades', async () => {
+      RoonService.setFilters({ decades: [1960] });
+
+      const result = await RoonService.pickRandomAlbumAndPlay([
+        { title: 'Rock' },
+      ]);
+
+      expect(result.artist).toBe('The Beatles');
+      expect(
+        store.get('albumYearData').years[`${result.album}||${result.artist}`]
+      ).toBe(1965);
+    });
+
+    it('plays nothing on a Core whose album pages carry no year', async () => {
+      const undated = createMockRoonCore({
+        albums: makeAlbums(3, { artist: 'Band', genre: 'Rock' }, 'Live'),
+        zones: ZONES,
+      });
+      MockRoonApi.lastInstance.unpair();
+      MockRoonApi.lastInstance.pair(undated);
+      await vi.waitFor(() =>
+        expect(RoonService.getZonesCache()).toHaveLength(2)
+      );
+      RoonService.setFilters({ decades: [1960] });
+
+      await expect(
+        RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }])
+      ).rejects.toThrow('shows no release years');
+      expect(undated.played).toEqual([]);
+    });
+
+    it('never counts an album without a year as matching', async () => {
+      const mixed = createMockRoonCore({
+        albums: [
+          ...makeAlbums(3, { artist: 'Band', genre: 'Rock' }, 'Live'),
+          { title: 'Help!', artist: 'The Beatles', genre: 'Rock', year: 1965 },
+        ],
+        zones: ZONES,
+      });
+      MockRoonApi.lastInstance.unpair();
+      MockRoonApi.lastInstance.pair(mixed);
+      await vi.waitFor(() =>
+        expect(RoonService.getZonesCache()).toHaveLength(2)
+      );
+      RoonService.setFilters({ decades: [1960] });
+
+      const result = await RoonService.pickRandomAlbumAndPlay([
+        { title: 'Rock' },
+      ]);
+      expect(result.album).toBe('Help!');
+
+      await expect(
+        RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }])
+      ).rejects.toMatchObject({ code: 'NO_ALBUMS' });
+      expect(mixed.played.map(p => p.album)).toEqual(['Help!']);
+    });
+  });
+
+  describe('time budgets', () => {
+    it('remembers the duration of albums it plays', async () => {
+      const result = await RoonService.pickRandomAlbumAndPlay([
+        { title: 'Rock' },
+      ]);
+
+      expect(
+        store.get('albumDurationData').durations[
+          `${result.album}||${result.artist}`
+        ]
+      ).toBe(result.artist === 'Radiohead' ? 3000 : 1200);
+    });
+
+    it('fills a time budget with a sequence of albums', async () => {
+      const result = await RoonService.pickRandomAlbumAndPlay(
+        [{ title: 'Rock' }],
+        null,
+        { type: 'fill', budgetMinutes: 60 }
+      );
+
+      // Three 20 minute albums fill the hour exactly
+      expect(result.totalSeconds).toBe(3600);
+      expect(result.albums.map(a => a.artist)).toEqual([
+        'The Beatles',
+        'The Beatles',
+        'The Beatles',
+      ]);
+      expect(mockCore.played.map(p => p.action)).toEqual([
+        'Play Now',
+        'Queue',
+        'Queue',
+      ]);
+    });
+
+    describe('on a Core whose album pages show no track lengths', () => {
+      let unlisted;
+
+      beforeEach(async () => {
+        unlisted = createMockRoonCore({
+          albums: [
+            {
+              title: 'Long',
+              artist: 'Band',
+              genre: 'Rock',
+              trackLengths: [900, 900, 900, 900],
+            },
+            { title: 'Short', artist: 'Band', genre: 'Rock' },
+          ],
+          zones: ZONES,
+          showTrackLengths: false,
+        });
+        MockRoonApi.lastInstance.unpair();
+        MockRoonApi.lastInstance.pair(unlisted);
+        await vi.waitFor(() =>
+          expect(RoonService.getZonesCache()).toHaveLength(2)
+        );
+      });
+
+      it('plays nothing rather than an album of unknown length', async () => {
+        await expect(
+          RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }], null, {
+            maxMinutes: 40,
+          })
+        ).rejects.toThrow('shows no track lengths');
+        await expect(
+          RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }], null, {
+            type: 'fill',
+            budgetMinutes: 60,
+          })
+        ).rejects.toThrow('shows no track lengths');
+
+        expect(unlisted.played).toEqual([]);
+        expect(store.get('albumDurationData').durations).toEqual({
+          'Long||Band': null,
+          'Short||Band': null,
+        });
+      });
+
+      it('learns album lengths from the play queue', async () => {
+        await RoonService.playAlbumByName('Long', 'Band');
+        await RoonService.playAlbumByName('Short', 'Band');
+
+        await vi.waitFor(() =>
+          expect(store.get('albumDurationData').durations).toEqual({
+            'Long||Band': 3600,
+            'Short||Band': 1200,
+          })
+        );
+        RoonService.clearSessionHistory();
+
+        const result = await RoonService.pickRandomAlbumAndPlay(
+          [{ title: 'Rock' }],
+          null,
+          { maxMinutes: 40 }
+        );
+        expect(result.album).toBe('Short');
+
+        // Only the hour-long album is left
+        await expect(
+          RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }], null, {
+            maxMinutes: 40,
+          })
+        ).rejects.toMatchObject({ code: 'NO_ALBUMS' });
+        expect(unlisted.played.map(p => p.album)).toEqual([
+          'Long',
+          'Short',
+          'Short',
+        ]);
+      });
+    });
+
+    it('explains when no album fits the budget', async () => {
+      await expect(
+        RoonService.pickRandomAlbumAndPlay([{ title: 'Rock' }], null, {
+          type: 'fill',
+          budgetMinutes: 15,
+        })
+      ).rejects.toMatchObject({ code: 'NO_ALBUMS' });
+    });
+  });
+
+  describe('rediscover mode', () => {
+    it('favours the album the app has not played for the longest', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const now = Date.now();
+      const plays = {};
+      LIBRARY.filter(album => album.genre === 'Rock').forEach(album => {
+        plays[`${album.title}||${album.artist}`] = now - 10 * day;
+      });
+      plays['OK 3||Radiohead'] = now - 2 * 365 * day;
+      store.set('playHistoryData', { plays, cooldownDays: 7, version: 1 });
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      const result = await RoonService.pickRandomAlbumAndPlay(
+        [{ title: 'Rock' }],
+        null,
+        { mode: 'rediscover' }
+      );
+
+      expect(result.album).toBe('OK 3');
+    });
+  });
+
+  describe('album feedback', () => {
+    it('records a skip when a picked album is replaced within a minute', async () => {
+      const first = await RoonService.pickRandomAlbumAndPlay();
+      await RoonService.pickRandomAlbumAndPlay();
+
+      const feedback = store.get('albumFeedbackData').albums;
+      expect(feedback[`${first.album}||${first.artist}`]).toMatchObject({
+        title: first.album,
+        artist: first.artist,
+        skips: 1,
+      });
+    });
+
+    it('rates the album playing on a zone', async () => {
+      const result = await RoonService.pickRandomAlbumAndPlay();
+
+      expect(RoonService.rateNowPlaying('zone-living', 1)).toEqual({
+        album: result.album,
+        artist: result.artist,
+        rating: 1,
+      });
+      expect(RoonService.getNowPlayingRating('zone-living').rating).toBe(1);
+      expect(RoonService.getAlbumFeedbackSummary().liked).toBe(1);
+    });
+
+    it('cannot rate a zone with nothing playing', () => {
+      expect(() => RoonService.rateNowPlaying('zone-kitchen', 1)).toThrow(
+        expect.objectContaining({ code: 'NOT_FOUND' })
+      );
+    });
+
+    it('steers weighted picks away from disliked artists', async () => {
+      const albums = {};
+      for (let i = 1; i <= 5; i++) {
+        albums[`Fab ${i}||The Beatles`] = {
+          title: `Fab ${i}`,
+          artist: 'The Beatles',
+          rating: -1,
+          skips: 0,
+          playedThrough: 0,
+        };
+      }
+      store.set('albumFeedbackData', { albums, version: 1 });
+      store.set('filters', { feedbackWeighting: true });
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      const result = await RoonService.pickRandomAlbumAndPlay([
+        { title: 'Rock' },
+      ]);
+
+      expect(result.artist).toBe('Radiohead');
+    });
+  });
+
+  describe('switchProfile', () => {
+    it('reads the profiles and the selected one', async () => {
+      const profiles = await RoonService.listProfiles();
+
+      expect(profiles.map(p => [p.name, p.isSelected])).toEqual([
+        ['Default', true],
+        ['Kids', false],
+      ]);
+      expect(RoonService.getCurrentProfile()).toBe('Default');
+    });
+
+    it('switches the Core profile and its library', async () => {
+      expect((await RoonService.listGenres()).map(g => g.title)).not.toContain(
+        'Children'
+      );
+
+      const result = await RoonService.switchProfile('Kids');
+
+      expect(result).toEqual({ success: true, currentProfile: 'Kids' });
+      expect(mockCore.currentProfile).toBe('Kids');
+      expect(RoonService.getProfilesCache().find(p => p.isSelected).name).toBe(
+        'Kids'
+      );
+      expect((await RoonService.listGenres()).map(g => g.title)).toContain(
+        'Children'
+      );
+    });
+
+    it('rejects an unknown profile', async () => {
+      await expect(RoonService.switchProfile('Nobody')).rejects.toThrow(
+        "Profile 'Nobody' not found."
+      );
+      expect(mockCore.currentProfile).toBe('Default');
+    });
+  });
+
+  describe('handleZoneUpdates', () => {
+    it('sends now playing when an album starts on the selected zone', async () => {
+      const result = await RoonService.pickRandomAlbumAndPlay();
+
+      expect(RoonService.getZoneNowPlaying('zone-living')).toMatchObject({
+        artist: result.artist,
+        album: result.album,
+      });
+      expect(window.events).toContainEqual(
+        expect.objectContaining({
+          type: 'nowPlaying',
+          zoneId: 'zone-living',
+          meta: expect.objectContaining({ album: result.album }),
+        })
+      );
+      expect(RoonService.getZonesCache()[0].state).toBe('playing');
+    });
+
+    it('sends seek positions for the selected zone only', () => {
+      mockCore.updateSeek('zone-living', 42, 258);
+      mockCore.updateSeek('zone-kitchen', 7, 100);
+
+      const seekEvents = window.events.filter(e => e.type === 'seekPosition');
+      expect(seekEvents).toEqual([
+        {
+          type: 'seekPosition',
+          zoneId: 'zone-living',
+          seek_position: 42,
+          queue_time_remaining: 258,
+        },
+      ]);
+    });
+
+    it('keeps a track history for each zone', async () => {
+      const first = await RoonService.pickRandomAlbumAndPlay();
+      const second = await RoonService.pickRandomAlbumAndPlay();
+
+      const tracks = RoonService.getTrackHistory('zone-living');
+      expect(tracks.map(t => [t.album, t.isCurrent])).toEqual([
+        [second.album, true],
+        [first.album, false],
+      ]);
+      expect(tracks[1].title).toBe(`${first.album} Track 1`);
+      expect(RoonService.getTrackHistory('zone-kitchen')).toEqual([]);
+
+      const historyEvents = window.events.filter(
+        e => e.type === 'trackHistory'
+      );
+      expect(historyEvents.at(-1)).toMatchObject({
+        zoneId: 'zone-living',
+        tracks: [{ album: second.album }, { album: first.album }],
+      });
+    });
+
+    it('merges changed zones into the zone list', () => {
+      mockCore.updateZone({ ...ZONES[1], display_name: 'Kitchen Speaker' });
+
+      expect(RoonService.getZonesCache().map(z => z.name)).toEqual([
+        'Living Room',
+        'Kitchen Speaker',
+      ]);
+    });
+
+    it('replaces grouped zones and restores them when ungrouped', async () => {
+      store.set('lastZoneId', 'zone-living');
+
+      await RoonService.groupZones(['zone-living', 'zone-kitchen']);
+
+      expect(RoonService.getZonesCache()).toEqual([
+        expect.objectContaining({
+          id: 'zone-group-1',
+          name: 'Living Room + Kitchen',
+          outputCount: 2,
+        }),
+      ]);
+      expect(store.get('lastZoneId')).toBe('zone-group-1');
+      expect(window.events.at(-1)).toMatchObject({
+        type: 'zones',
+        zones: [{ id: 'zone-group-1' }],
+      });
+
+      await RoonService.ungroupZone('zone-group-1');
+
+      expect(RoonService.getZonesCache().map(z => [z.id, z.name])).toEqual([
+        ['zone-living', 'Living Room'],
+        ['zone-kitchen', 'Kitchen'],
+      ]);
+      expect(store.get('lastZoneId')).toBe('zone-living');
+    });
+  });
+
+  describe('getImage', () => {
+    it('returns album art with its content type', async () => {
+      const image = await RoonService.getImage('img-Fab 1', { width: 100 });
+
+      expect(image.contentType).toBe('image/jpeg');
+      expect(image.body.toString()).toBe('img-Fab 1@100');
+    });
+
+    it('caches each image size separately', async () => {
+      const thumbnail = await RoonService.getImage('img-Fab 2', { width: 64 });
+      const cover = await RoonService.getImage('img-Fab 2', { width: 512 });
+
+      expect(thumbnail.body.toString()).toBe('img-Fab 2@64');
+      expect(cover.body.toString()).toBe('img-Fab 2@512');
+      expect(await RoonService.getImage('img-Fab 2', { width: 64 })).toBe(
+        thumbnail
+      );
+    });
+
+    it('returns null for an unknown image', async () => {
+      expect(await RoonService.getImage('missing')).toBeNull();
+    });
+  });
+});
@@ -9,6 +9,10 @@
  */
 
 import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WebSocketServer } from 'ws';
+
+import { parseMooMessage } from '../mooHelpers.js';
+import { CONNECTION_TEST_ERRORS } from '../renderer/constants/connection.js';
 
 // Mock Electron modules before importing roonService
 vi.mock('electron', () => ({
@@ -81,6 +85,50 @@ vi.mock('node-roon-api-image', () => {
 
 // Import after mocks are set up
 let roonService;
+let mockStore;
+
+const CORE_INFO = {
+  core_id: 'core-1234',
+  display_name: 'Studio Core',
+  display_version: '2.0 (build 1470)',
+};
+
+/**
+ * Encodes a MOO response frame, as a Roon Core sends it
+ */
+function mooResponse(verb, name, requestId, body) {
+  const content = JSON.stringify(body);
+  return Buffer.from(
+    `MOO/1 ${verb} ${name}\nRequest-Id: ${requestId}\nContent-Length: ${Buffer.byteLength(content)}\nContent-Type: application/json\n\n${content}`
+  );
+}
+
+/**
+ * Starts a local WebSocket server standing in for a Roon Core
+ * @param {Function} onMessage - Called with (socket, parsed MOO message) per frame
+ * @param {Object} [options] - Extra WebSocketServer options
+ */
+async function startFakeCore(onMessage, options = {}) {
+  const server = new WebSocketServer({
+    host: '127.0.0.1',
+    port: 0,
+    ...options,
+  });
+  await new Promise(resolve => server.once('listening', resolve));
+
+  server.on('connection', socket => {
+    socket.on('message', data => onMessage(socket, parseMooMessage(data)));
+  });
+
+  return {
+    port: server.address().port,
+    close: () =>
+      new Promise(resolve => {
+        server.clients.forEach(client => client.terminate());
+        server.close(resolve);
+      }),
+  };
+}
 
 describe('RoonService - Core Business Logic', () => {
   beforeEach(async () => {
@@ -99,7 +147,7 @@ describe('RoonService - Core Business Logic', () => {
       },
     };
 
-    const mockStore = {
+    mockStore = {
       get: vi.fn(key => {
         if (key === 'token') return null;
         if (key === 'lastZoneId') return null;
@@ -117,6 +165,7 @@ describe('RoonService - Core Business Logic', () => {
     if (roonService && roonService.clearSessionHistory) {
       roonService.clearSessionHistory();
     }
+    roonService?.shutdown();
   });
 
   describe('Session History Management', () => {
@@ -135,6 +184,94 @@ describe('RoonService - Core Business Logic', () => {
       const newFilters = { genres: ['Rock', 'Jazz'] };
       expect(() => roonService.setFilters(newFilters)).not.toThrow();
     });
+
+    test('setFilters defaults genre weighting to proportional', () => {
+      const filters = roonService.setFilters({ genres: ['Rock'] });
+      expect(filters.genreWeighting).toBe('proportional');
+      expect(filters.genreWeights).toEqual({});
+    });
+
+    test('setFilters stores weighting strategy and clamps custom weights', () => {
+      const filters = roonService.setFilters({
+        genreWeighting: 'custom',
+        genreWeights: { Jazz: 3, Ambient: 50, 'Jazz::Bebop': -2, Rock: 'x' },
+      });
+      expect(filters.genreWeighting).toBe('custom');
+      expect(filters.genreWeights).toEqual({
+        Jazz: 3,
+        Ambient: 10,
+        'Jazz::Bebop': 0,
+      });
+    });
+
+    test('setFilters keeps feedback weighting off unless turned on', () => {
+      expect(roonService.setFilters({ genres: [] }).feedbackWeighting).toBe(
+        false
+      );
+      expect(
+        roonService.setFilters({ feedbackWeighting: true }).feedbackWeighting
+      ).toBe(true);
+      expect(
+        roonService.setFilters({ feedbackWeighting: 'yes' }).feedbackWeighting
+      ).toBe(false);
+    });
+
+    test('setFilters stores excluded genres and albums', () => {
+      const filters = roonService.setFilters({
+        excludedGenres: [' Holiday ', ''],
+        excludedAlbums: [
+          { title: ' Sound Effects ', artist: null },
+          { title: '', artist: 'Nobody' },
+        ],
+      });
+      expect(filters.excludedGenres).toEqual(['Holiday']);
+      expect(filters.excludedAlbums).toEqual([
+        { title: 'Sound Effects', artist: '' },
+      ]);
+    });
+
+    test('setFilters stores included and excluded tags', () => {
+      const filters = roonService.setFilters({
+        includedTags: [' Favourites ', 'Favourites', ''],
+        excludedTags: ['Christmas'],
+      });
+      expect(filters.includedTags).toEqual(['Favourites']);
+      expect(filters.excludedTags).toEqual(['Christmas']);
+    });
+
+    test('setFilters stores the artist match mode', () => {
+      expect(roonService.setFilters({}).artistMatchMode).toBe('primary');
+      expect(
+        roonService.setFilters({ artistMatchMode: 'any' }).artistMatchMode
+      ).toBe('any');
+    });
+
+    test('setFilters ignores unknown weighting strategies', () => {
+      const filters = roonService.setFilters({ genreWeighting: 'loudest' });
+      expect(filters.genreWeighting).toBe('proportional');
+    });
+
+    test('setFilters keeps settings that are not given and resets invalid ones', () => {
+      mockStore.get.mockReturnValueOnce({
+        genres: ['Jazz'],
+        artistMatchMode: 'any',
+        decades: [1970],
+      });
+
+      const filters = roonService.setFilters({ decades: 'seventies' });
+
+      expect(filters).toMatchObject({
+        genres: ['Jazz'],
+        artistMatchMode: 'any',
+        decades: [],
+        excludedArtists: [],
+      });
+    });
+
+    test('setFilters swaps a reversed year range', () => {
+      const filters = roonService.setFilters({ yearFrom: 1990, yearTo: 1970 });
+      expect(filters).toMatchObject({ yearFrom: 1970, yearTo: 1990 });
+    });
   });
 
   describe('Zone Management', () => {
@@ -181,19 +318,19 @@ describe('RoonService - Core Business Logic', () => {
   });
 
   describe('Image Caching', () => {
-    test('getImageDataUrl with empty string returns null', async () => {
-      const result = await roonService.getImageDataUrl('');
+    test('getImage with empty string returns null', async () => {
+      const result = await roonService.getImage('');
       expect(result).toBeNull();
     });
 
-    test('getImageDataUrl without core connection returns null', async () => {
-      const result = await roonService.getImageDataUrl('test-image-key');
+    test('getImage without core connection returns null', async () => {
+      const result = await roonService.getImage('test-image-key');
       expect(result).toBeNull();
     });
 
-    test('getImageDataUrl returns null when Roon core is not connected', async () => {
+    test('getImage returns null when Roon core is not connected', async () => {
       // Core is not connected in test environment
-      const result = await roonService.getImageDataUrl('valid-image-key');
+      const result = await roonService.getImage('valid-image-key');
       expect(result).toBeNull();
     });
   });
@@ -251,6 +388,107 @@ describe('RoonService - Core Business Logic', () => {
       expect(() => roonService.setFilters({ genres: [] })).not.toThrow();
     });
   });
+
+  describe('testConnection', () => {
+    let fakeCore;
+
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      vi.restoreAllMocks();
+      await fakeCore?.close();
+      fakeCore = null;
+    });
+
+    /**
+     * Stores the Roon pairing state, as the main connection does
+     */
+    async function setPersistedState(state) {
+      const RoonApi = (await import('node-roon-api')).default;
+      RoonApi.mock.calls.at(-1)[0].set_persisted_state(state);
+    }
+
+    test('reports a Core that has authorized the extension before', async () => {
+      const requests = [];
+      fakeCore = await startFakeCore((socket, message) => {
+        requests.push(message.name);
+        if (message.name === 'com.roonlabs.registry:1/info') {
+          socket.send(
+            mooResponse('COMPLETE', 'Success', message.requestId, CORE_INFO)
+          );
+        }
+      });
+      await setPersistedState({ tokens: { 'core-1234': 'token-1' } });
+
+      const result = await roonService.testConnection(
+        '127.0.0.1',
+        fakeCore.port
+      );
+
+      expect(result).toMatchObject({
+        success: true,
+        coreName: 'Studio Core',
+        coreId: 'core-1234',
+        version: '2.0 (build 1470)',
+        authorized: true,
+      });
+      // Identifying the Core is enough: the test never registers
+      expect(requests).toEqual(['com.roonlabs.registry:1/info']);
+    });
+
+    test('reports a pending authorization when no token is stored for the Core', async () => {
+      const requests = [];
+      fakeCore = await startFakeCore((socket, message) => {
+        requests.push(message.name);
+        if (message.name === 'com.roonlabs.registry:1/info') {
+          socket.send(
+            mooResponse('COMPLETE', 'Success', message.requestId, CORE_INFO)
+          );
+        }
+      });
+      await setPersistedState({ tokens: { 'other-core': 'token-2' } });
+
+      await expect(
+        roonService.testConnection('127.0.0.1', fakeCore.port)
+      ).rejects.toMatchObject({
+        code: CONNECTION_TEST_ERRORS.AUTH_PENDING,
+        details: {
+          coreName: 'Studio Core',
+          coreId: 'core-1234',
+          authorized: false,
+        },
+      });
+      expect(requests).toEqual(['com.roonlabs.registry:1/info']);
+    });
+
+    test('reports a server that is not a Roon Core', async () => {
+      fakeCore = await startFakeCore(socket => socket.send('hello'));
+
+      await expect(
+        roonService.testConnection('127.0.0.1', fakeCore.port)
+      ).rejects.toMatchObject({ code: CONNECTION_TEST_ERRORS.NOT_ROON_CORE });
+    });
+
+    test('reports a server that refuses the WebSocket as not a Roon Core', async () => {
+      fakeCore = await startFakeCore(() => {}, { verifyClient: () => false });
+
+      await expect(
+        roonService.testConnection('127.0.0.1', fakeCore.port)
+      ).rejects.toMatchObject({ code: CONNECTION_TEST_ERRORS.NOT_ROON_CORE });
+    });
+
+    test('reports an address where nothing is listening as unreachable', async () => {
+      const closedCore = await startFakeCore(() => {});
+      await closedCore.close();
+
+      await expect(
+        roonService.testConnection('127.0.0.1', closedCore.port)
+      ).rejects.toMatchObject({ code: CONNECTION_TEST_ERRORS.UNREACHABLE });
+    });
+  });
 });
 
 /**
@@ -0,0 +1,186 @@
+/**
+ * Tests for track history helper functions
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  createTrackHistoryState,
+  applyTrackHistoryUpdate,
+  getZoneTrack,
+  listTrackHistory,
+  MAX_TRACK_HISTORY_PER_ZONE,
+} from '../trackHistoryHelpers.js';
+
+function track(title, seekPosition = 0) {
+  return {
+    title,
+    artist: 'Miles Davis',
+    album: 'Kind of Blue',
+    imageKey: 'img',
+    length: 300,
+    seekPosition,
+  };
+}
+
+/**
+ * Applies a sequence of [time, track, zoneState] updates
+ */
+function play(updates, state = createTrackHistoryState()) {
+  return updates.reduce(
+    (current, [now, nextTrack, zoneState]) =>
+      applyTrackHistoryUpdate(current, { track: nextTrack, zoneState }, now)
+        .state,
+    state
+  );
+}
+
+describe('Track History Helpers', () => {
+  describe('getZoneTrack', () => {
+    test('reads the track from a zone', () => {
+      expect(
+        getZoneTrack({
+          now_playing: {
+            image_key: 'img',
+            length: 300,
+            seek_position: 12,
+            three_line: {
+              line1: 'So What',
+              line2: 'Miles Davis',
+              line3: 'Kind of Blue',
+            },
+          },
+        })
+      ).toEqual({
+        title: 'So What',
+        artist: 'Miles Davis',
+        album: 'Kind of Blue',
+        imageKey: 'img',
+        length: 300,
+        seekPosition: 12,
+      });
+    });
+
+    test('is null for zones with nothing loaded', () => {
+      expect(getZoneTrack({ state: 'stopped' })).toBeNull();
+      expect(getZoneTrack({ now_playing: { three_line: {} } })).toBeNull();
+      expect(getZoneTrack(null)).toBeNull();
+    });
+  });
+
+  describe('applyTrackHistoryUpdate', () => {
+    test('starts the first track without history', () => {
+      const { state, changed } = applyTrackHistoryUpdate(
+        createTrackHistoryState(),
+        { track: track('So What'), zoneState: 'playing' },
+        1000
+      );
+
+      expect(changed).toBe(true);
+      expect(state.tracks).toEqual([]);
+      expect(state.current).toMatchObject({
+        title: 'So What',
+        startedAt: 1000,
+        playingSince: 1000,
+      });
+    });
+
+    test('moves the previous track into history when the track changes', () => {
+      const state = play([
+        [0, track('So What'), 'playing'],
+        [60_000, track('Freddie Freeloader'), 'playing'],
+      ]);
+
+      expect(state.current.title).toBe('Freddie Freeloader');
+      expect(state.tracks).toEqual([
+        expect.objectContaining({
+          title: 'So What',
+          startedAt: 0,
+          playedMs: 60_000,
+        }),
+      ]);
+      expect(state.tracks[0]).not.toHaveProperty('playingSince');
+    });
+
+    test('does not count paused time as played', () => {
+      const state = play([
+        [0, track('So What'), 'playing'],
+        [30_000, track('So What'), 'paused'],
+        [90_000, track('So What'), 'playing'],
+        [100_000, track('Blue in Green'), 'playing'],
+      ]);
+
+      expect(state.tracks[0].playedMs).toBe(40_000);
+    });
+
+    test('ignores updates that change nothing', () => {
+      const first = play([[0, track('So What'), 'playing']]);
+      const { state, changed } = applyTrackHistoryUpdate(
+        first,
+        { track: track('So What', 20), zoneState: 'playing' },
+        20_000
+      );
+
+      expect(changed).toBe(false);
+      expect(state).toBe(first);
+    });
+
+    test('dates tracks already underway from their seek position', () => {
+      const state = play([[100_000, track('So What', 30), 'playing']]);
+      expect(state.current.startedAt).toBe(70_000);
+    });
+
+    test('ends the current track when the zone has nothing loaded', () => {
+      const { state, changed } = applyTrackHistoryUpdate(
+        play([[0, track('So What'), 'playing']]),
+        { track: null, zoneState: 'stopped' },
+        5000
+      );
+
+      expect(changed).toBe(true);
+      expect(state.current).toBeNull();
+      expect(state.tracks[0]).toMatchObject({
+        title: 'So What',
+        playedMs: 5000,
+      });
+    });
+
+    test('ignores zones that stay empty', () => {
+      const empty = createTrackHistoryState();
+      expect(
+        applyTrackHistoryUpdate(empty, { track: null, zoneState: 'stopped' })
+      ).toEqual({ state: empty, changed: false });
+    });
+
+    test('keeps at most MAX_TRACK_HISTORY_PER_ZONE tracks', () => {
+      const updates = Array.from(
+        { length: MAX_TRACK_HISTORY_PER_ZONE + 5 },
+        (_, i) => [i * 1000, track(`Track ${i}`), 'playing']
+      );
+      const state = play(updates);
+
+      expect(state.tracks).toHaveLength(MAX_TRACK_HISTORY_PER_ZONE);
+      expect(state.tracks[0].title).toBe(
+        `Track ${MAX_TRACK_HISTORY_PER_ZONE + 3}`
+      );
+    });
+  });
+
+  describe('listTrackHistory', () => {
+    test('lists the current track first with its time so far', () => {
+      const state = play([
+        [0, track('So What'), 'playing'],
+        [60_000, track('Freddie Freeloader'), 'playing'],
+      ]);
+
+      const tracks = listTrackHistory(state, 75_000);
+      expect(tracks.map(t => [t.title, t.playedMs, t.isCurrent])).toEqual([
+        ['Freddie Freeloader', 15_000, true],
+        ['So What', 60_000, false],
+      ]);
+    });
+
+    test('is empty for a zone that played nothing', () => {
+      expect(listTrackHistory(createTrackHistoryState())).toEqual([]);
+    });
+  });
+});
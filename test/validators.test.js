@@ -194,4 +194,190 @@ describe('Validators', () => {
       expect(Validators.isGenreArray(largeArray)).toBe(false); // Default max 100
     });
   });
+
+  describe('isValidCooldownDays', () => {
+    test('accepts whole days in range', () => {
+      expect(Validators.isValidCooldownDays(0)).toBe(true);
+      expect(Validators.isValidCooldownDays(7)).toBe(true);
+      expect(Validators.isValidCooldownDays(365)).toBe(true);
+    });
+
+    test('rejects out of range values', () => {
+      expect(Validators.isValidCooldownDays(-1)).toBe(false);
+      expect(Validators.isValidCooldownDays(366)).toBe(false);
+    });
+
+    test('rejects fractions and non-numbers', () => {
+      expect(Validators.isValidCooldownDays(1.5)).toBe(false);
+      expect(Validators.isValidCooldownDays('7')).toBe(false);
+      expect(Validators.isValidCooldownDays(null)).toBe(false);
+      expect(Validators.isValidCooldownDays(NaN)).toBe(false);
+    });
+  });
+
+  describe('isValidGenreWeighting', () => {
+    test('accepts known strategies', () => {
+      ['proportional', 'uniform', 'sqrt', 'custom'].forEach(strategy => {
+        expect(Validators.isValidGenreWeighting(strategy)).toBe(true);
+      });
+    });
+
+    test('rejects unknown strategies and non-strings', () => {
+      expect(Validators.isValidGenreWeighting('random')).toBe(false);
+      expect(Validators.isValidGenreWeighting('')).toBe(false);
+      expect(Validators.isValidGenreWeighting(null)).toBe(false);
+      expect(Validators.isValidGenreWeighting(1)).toBe(false);
+    });
+  });
+
+  describe('isGenreWeightMap', () => {
+    test('accepts maps of genre keys to weights in range', () => {
+      expect(Validators.isGenreWeightMap({})).toBe(true);
+      expect(
+        Validators.isGenreWeightMap({ Jazz: 0, 'Jazz::Bebop': 10, Rock: 2.5 })
+      ).toBe(true);
+    });
+
+    test('rejects out of range or non-numeric weights', () => {
+      expect(Validators.isGenreWeightMap({ Jazz: -1 })).toBe(false);
+      expect(Validators.isGenreWeightMap({ Jazz: 11 })).toBe(false);
+      expect(Validators.isGenreWeightMap({ Jazz: '5' })).toBe(false);
+      expect(Validators.isGenreWeightMap({ Jazz: NaN })).toBe(false);
+    });
+
+    test('rejects non-objects and oversized maps', () => {
+      expect(Validators.isGenreWeightMap(null)).toBe(false);
+      expect(Validators.isGenreWeightMap([1, 2])).toBe(false);
+      expect(Validators.isGenreWeightMap({ a: 1, b: 1 }, 1)).toBe(false);
+    });
+  });
+
+  describe('isExcludedAlbumArray', () => {
+    test('accepts albums with or without an artist', () => {
+      expect(Validators.isExcludedAlbumArray([])).toBe(true);
+      expect(
+        Validators.isExcludedAlbumArray([
+          { title: 'Greatest Hits', artist: 'Queen' },
+          { title: 'Sound Effects' },
+          { title: 'Audiobook', artist: '' },
+        ])
+      ).toBe(true);
+    });
+
+    test('rejects entries without a title', () => {
+      expect(Validators.isExcludedAlbumArray([{ artist: 'Queen' }])).toBe(
+        false
+      );
+      expect(Validators.isExcludedAlbumArray([{ title: '  ' }])).toBe(false);
+    });
+
+    test('rejects non-object entries and oversized arrays', () => {
+      expect(Validators.isExcludedAlbumArray(['Greatest Hits'])).toBe(false);
+      expect(Validators.isExcludedAlbumArray([{ title: 'A', artist: 5 }])).toBe(
+        false
+      );
+      expect(
+        Validators.isExcludedAlbumArray([{ title: 'A' }, { title: 'B' }], 1)
+      ).toBe(false);
+      expect(Validators.isExcludedAlbumArray(null)).toBe(false);
+    });
+  });
+
+  describe('isValidArtistMatchMode', () => {
+    test('accepts known modes', () => {
+      ['primary', 'any', 'exact'].forEach(mode => {
+        expect(Validators.isValidArtistMatchMode(mode)).toBe(true);
+      });
+    });
+
+    test('rejects unknown modes and non-strings', () => {
+      expect(Validators.isValidArtistMatchMode('fuzzy')).toBe(false);
+      expect(Validators.isValidArtistMatchMode(undefined)).toBe(false);
+      expect(Validators.isValidArtistMatchMode(['any'])).toBe(false);
+    });
+  });
+
+  describe('isValidQueueCount', () => {
+    test('accepts whole numbers within range', () => {
+      expect(Validators.isValidQueueCount(1)).toBe(true);
+      expect(Validators.isValidQueueCount(20)).toBe(true);
+    });
+
+    test('rejects out-of-range and non-integer counts', () => {
+      expect(Validators.isValidQueueCount(0)).toBe(false);
+      expect(Validators.isValidQueueCount(21)).toBe(false);
+      expect(Validators.isValidQueueCount(2.5)).toBe(false);
+      expect(Validators.isValidQueueCount('3')).toBe(false);
+    });
+  });
+
+  describe('isValidQueueAction', () => {
+    test('accepts queue actions', () => {
+      expect(Validators.isValidQueueAction('addNext')).toBe(true);
+      expect(Validators.isValidQueueAction('queue')).toBe(true);
+    });
+
+    test('rejects other actions', () => {
+      expect(Validators.isValidQueueAction('play')).toBe(false);
+      expect(Validators.isValidQueueAction(undefined)).toBe(false);
+    });
+  });
+
+  describe('isValidListenPort', () => {
+    test('accepts unprivileged ports', () => {
+      expect(Validators.isValidListenPort(1024)).toBe(true);
+      expect(Validators.isValidListenPort(65535)).toBe(true);
+    });
+
+    test('rejects privileged, out-of-range and non-integer ports', () => {
+      expect(Validators.isValidListenPort(80)).toBe(false);
+      expect(Validators.isValidListenPort(65536)).toBe(false);
+      expect(Validators.isValidListenPort(8080.5)).toBe(false);
+      expect(Validators.isValidListenPort('8080')).toBe(false);
+    });
+  });
+
+  describe('isHttpUrl', () => {
+    test('accepts http and https URLs', () => {
+      expect(
+        Validators.isHttpUrl('https://api.listenbrainz.org/1/submit-listens')
+      ).toBe(true);
+      expect(Validators.isHttpUrl('http://127.0.0.1:8080/submit')).toBe(true);
+    });
+
+    test('rejects other protocols and malformed URLs', () => {
+      expect(Validators.isHttpUrl('ftp://example.com')).toBe(false);
+      expect(Validators.isHttpUrl('file:///etc/passwd')).toBe(false);
+      expect(Validators.isHttpUrl('not a url')).toBe(false);
+      expect(Validators.isHttpUrl('')).toBe(false);
+      expect(Validators.isHttpUrl(null)).toBe(false);
+    });
+  });
+
+  describe('isValidReleaseYear', () => {
+    test('accepts years in range and null', () => {
+      expect(Validators.isValidReleaseYear(1973)).toBe(true);
+      expect(Validators.isValidReleaseYear(null)).toBe(true);
+    });
+
+    test('rejects out-of-range and non-integer years', () => {
+      expect(Validators.isValidReleaseYear(1899)).toBe(false);
+      expect(Validators.isValidReleaseYear(1973.5)).toBe(false);
+      expect(Validators.isValidReleaseYear('1973')).toBe(false);
+      expect(Validators.isValidReleaseYear(undefined)).toBe(false);
+    });
+  });
+
+  describe('isDecadeArray', () => {
+    test('accepts decade start years', () => {
+      expect(Validators.isDecadeArray([])).toBe(true);
+      expect(Validators.isDecadeArray([1960, 1970])).toBe(true);
+    });
+
+    test('rejects years that are not decades', () => {
+      expect(Validators.isDecadeArray([1973])).toBe(false);
+      expect(Validators.isDecadeArray(['1970'])).toBe(false);
+      expect(Validators.isDecadeArray(1970)).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,160 @@
+/**
+ * Track history helper functions
+ * Builds a rolling per-zone history of the tracks a zone played, from Roon
+ * zone updates. Separated from roonService to enable testing without
+ * Electron/Roon dependencies
+ */
+
+// Track history constants (exported for use in tests)
+export const MAX_TRACK_HISTORY_PER_ZONE = 100;
+
+/**
+ * Creates the tracking state for a zone
+ * @returns {Object} Track history state ({ current, tracks })
+ */
+export function createTrackHistoryState() {
+  return { current: null, tracks: [] };
+}
+
+/**
+ * Reads the track a raw Roon zone is on
+ * @param {Object} zone - Raw Roon zone
+ * @returns {Object|null} { title, artist, album, imageKey, length, seekPosition } or null
+ */
+export function getZoneTrack(zone) {
+  const nowPlaying = zone?.now_playing;
+  const lines = nowPlaying?.three_line;
+  if (!lines?.line1 && !lines?.line2 && !lines?.line3) return null;
+
+  return {
+    title: lines.line1 || null,
+    artist: lines.line2 || null,
+    album: lines.line3 || null,
+    imageKey: nowPlaying.image_key || null,
+    length: typeof nowPlaying.length === 'number' ? nowPlaying.length : null,
+    seekPosition:
+      typeof nowPlaying.seek_position === 'number'
+        ? nowPlaying.seek_position
+        : null,
+  };
+}
+
+/**
+ * Checks whether two tracks are the same
+ * @param {Object|null} a - Track
+ * @param {Object|null} b - Track
+ * @returns {boolean} True if title, artist and album match
+ */
+function isSameTrack(a, b) {
+  return (
+    !!a &&
+    !!b &&
+    a.title === b.title &&
+    a.artist === b.artist &&
+    a.album === b.album
+  );
+}
+
+/**
+ * Works out how long the current track has actually played
+ * Pauses and stops don't count
+ * @param {Object} current - Current track state
+ * @param {number} now - Current timestamp
+ * @returns {number} Milliseconds played
+ */
+function getPlayedMs(current, now) {
+  return (
+    current.playedMs +
+    (current.playingSince !== null
+      ? Math.max(0, now - current.playingSince)
+      : 0)
+  );
+}
+
+/**
+ * Turns the current track state into a history entry
+ * @param {Object} current - Current track state
+ * @param {number} now - Current timestamp
+ * @returns {Object} History entry
+ */
+function toHistoryEntry(current, now) {
+  const { playingSince: _playingSince, ...track } = current;
+  return { ...track, playedMs: getPlayedMs(current, now) };
+}
+
+/**
+ * Applies a zone update to the zone's track history
+ *
+ * A new track starts when the title, artist or album changes. The previous
+ * track then moves into the history with the time it actually spent playing.
+ * A zone with nothing loaded ends the current track.
+ *
+ * @param {Object} state - Current state (from createTrackHistoryState)
+ * @param {Object} update - Zone update ({ track, zoneState })
+ * @param {Object|null} update.track - Track from getZoneTrack
+ * @param {string} [update.zoneState] - Roon zone state ('playing', 'paused', ...)
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {Object} { state, changed } where changed is true when a track started or ended
+ */
+export function applyTrackHistoryUpdate(state, update, now = Date.now()) {
+  const { track, zoneState } = update;
+  const isPlaying = zoneState === 'playing';
+  let { current, tracks } = state;
+
+  // Nothing loaded before or now
+  if (!current && !track) return { state, changed: false };
+
+  // Same track: only the playing time changes
+  if (isSameTrack(current, track)) {
+    const wasPlaying = current.playingSince !== null;
+    if (wasPlaying === isPlaying) return { state, changed: false };
+
+    current = isPlaying
+      ? { ...current, playingSince: now }
+      : {
+          ...current,
+          playedMs: getPlayedMs(current, now),
+          playingSince: null,
+        };
+    return { state: { current, tracks }, changed: false };
+  }
+
+  if (current) {
+    tracks = [toHistoryEntry(current, now), ...tracks].slice(
+      0,
+      MAX_TRACK_HISTORY_PER_ZONE
+    );
+  }
+
+  current = track
+    ? {
+        title: track.title,
+        artist: track.artist,
+        album: track.album,
+        imageKey: track.imageKey,
+        length: track.length,
+        // Tracks already underway when first seen started before this update
+        startedAt: now - Math.round((track.seekPosition || 0) * 1000),
+        playedMs: 0,
+        playingSince: isPlaying ? now : null,
+      }
+    : null;
+
+  return { state: { current, tracks }, changed: true };
+}
+
+/**
+ * Lists a zone's tracks, newest first, with the current track on top
+ * @param {Object} state - Track history state
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {Array} Tracks ({ title, artist, album, imageKey, length, startedAt, playedMs, isCurrent })
+ */
+export function listTrackHistory(state, now = Date.now()) {
+  const tracks = state.tracks.map(track => ({ ...track, isCurrent: false }));
+  if (!state.current) return tracks;
+
+  return [
+    { ...toHistoryEntry(state.current, now), isCurrent: true },
+    ...tracks,
+  ];
+}
@@ -3,9 +3,22 @@
  * Separated from IPC handlers to enable testing without Electron dependencies
  */
 
+import { URL } from 'url';
+
+import { MAX_COOLDOWN_DAYS } from './playHistoryHelpers.js';
+import {
+  GENRE_WEIGHTING_STRATEGIES,
+  MAX_GENRE_WEIGHT,
+  ARTIST_MATCH_MODES,
+  QUEUE_ACTIONS,
+  MAX_QUEUE_ALBUMS,
+  isReleaseYear,
+} from './roonHelpers.js';
+
 // Validation constants (exported for use in error messages)
 export const MAX_STRING_LENGTH = 1000;
 export const MAX_GENRE_ARRAY_SIZE = 100;
+export const MAX_GENRE_WEIGHT_ENTRIES = 500;
 export const VALID_TRANSPORT_ACTIONS = [
   'play',
   'pause',
@@ -17,6 +30,8 @@ export const VALID_TRANSPORT_ACTIONS = [
 export const MIN_VOLUME = 0;
 export const MAX_VOLUME = 100;
 export const MIN_SEEK_POSITION = 0;
+export const MIN_LISTEN_PORT = 1024;
+export const MAX_PORT = 65535;
 
 /**
  * Input validation utilities for IPC handlers
@@ -93,6 +108,126 @@ export const Validators = {
     return !isNaN(num) && isFinite(num) && num >= MIN_SEEK_POSITION;
   },
 
+  /**
+   * Validates the number of albums to queue in one batch
+   * @param {*} value - Count to validate
+   * @returns {boolean} True if valid
+   */
+  isValidQueueCount(value) {
+    return Number.isInteger(value) && value >= 1 && value <= MAX_QUEUE_ALBUMS;
+  },
+
+  /**
+   * Validates a queue action ('addNext' or 'queue')
+   * @param {*} value - Action to validate
+   * @returns {boolean} True if valid
+   */
+  isValidQueueAction(value) {
+    return typeof value === 'string' && QUEUE_ACTIONS.includes(value);
+  },
+
+  /**
+   * Validates a port the app can listen on (unprivileged ports only)
+   * @param {*} value - Port to validate
+   * @returns {boolean} True if valid
+   */
+  isValidListenPort(value) {
+    return (
+      Number.isInteger(value) && value >= MIN_LISTEN_PORT && value <= MAX_PORT
+    );
+  },
+
+  /**
+   * Validates an http:// or https:// URL (e.g. a submission endpoint)
+   * @param {*} value - URL to validate
+   * @returns {boolean} True if valid
+   */
+  isHttpUrl(value) {
+    if (!this.isNonEmptyString(value)) return false;
+    try {
+      const { protocol } = new URL(value);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Validates a play history cooldown is a whole number of days in range
+   * @param {*} value - Cooldown value to validate
+   * @returns {boolean} True if valid
+   */
+  isValidCooldownDays(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_COOLDOWN_DAYS;
+  },
+
+  /**
+   * Validates an artist exclusion match mode
+   * @param {*} value - Mode to validate
+   * @returns {boolean} True if valid
+   */
+  isValidArtistMatchMode(value) {
+    return typeof value === 'string' && ARTIST_MATCH_MODES.includes(value);
+  },
+
+  /**
+   * Validates a genre weighting strategy name
+   * @param {*} value - Strategy to validate
+   * @returns {boolean} True if valid
+   */
+  isValidGenreWeighting(value) {
+    return (
+      typeof value === 'string' && GENRE_WEIGHTING_STRATEGIES.includes(value)
+    );
+  },
+
+  /**
+   * Validates a map of genre keys to custom weights
+   * @param {*} value - Value to validate
+   * @param {number} maxEntries - Maximum allowed number of genres
+   * @returns {boolean} True if valid
+   */
+  isGenreWeightMap(value, maxEntries = MAX_GENRE_WEIGHT_ENTRIES) {
+    if (!this.isObject(value)) {
+      return false;
+    }
+
+    const entries = Object.entries(value);
+    return (
+      entries.length <= maxEntries &&
+      entries.every(
+        ([genreKey, weight]) =>
+          this.isNonEmptyString(genreKey) &&
+          typeof weight === 'number' &&
+          isFinite(weight) &&
+          weight >= 0 &&
+          weight <= MAX_GENRE_WEIGHT
+      )
+    );
+  },
+
+  /**
+   * Validates a release year filter value (null clears it)
+   * @param {*} value - Year to validate
+   * @returns {boolean} True if valid
+   */
+  isValidReleaseYear(value) {
+    return value === null || isReleaseYear(value);
+  },
+
+  /**
+   * Validates an array of decades (first year of each decade, e.g. 1970)
+   * @param {*} value - Value to validate
+   * @returns {boolean} True if valid
+   */
+  isDecadeArray(value) {
+    return (
+      Array.isArray(value) &&
+      value.length <= MAX_GENRE_ARRAY_SIZE &&
+      value.every(decade => isReleaseYear(decade) && decade % 10 === 0)
+    );
+  },
+
   /**
    * Validates an object has expected structure
    * @param {*} value - Value to validate
@@ -140,6 +275,26 @@ export const Validators = {
     return allGenreObjects;
   },
 
+  /**
+   * Validates an array of excluded albums ({ title, artist? })
+   * @param {*} value - Value to validate
+   * @param {number} maxItems - Maximum allowed array size
+   * @returns {boolean} True if valid excluded album array
+   */
+  isExcludedAlbumArray(value, maxItems = MAX_GENRE_ARRAY_SIZE) {
+    if (!Array.isArray(value) || value.length > maxItems) {
+      return false;
+    }
+    return value.every(
+      item =>
+        this.isObject(item) &&
+        this.isNonEmptyString(item.title) &&
+        (item.artist === undefined ||
+          (typeof item.artist === 'string' &&
+            item.artist.length <= MAX_STRING_LENGTH))
+    );
+  },
+
   /**
    * Validates an array contains artist names (strings)
    * @param {*} value - Value to validate